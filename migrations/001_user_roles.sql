@@ -0,0 +1,40 @@
+-- Role-based access control: one role per user, plus department membership
+-- for department-scoped roles.
+BEGIN;
+
+ALTER TABLE contract_management.user_account
+  ADD COLUMN IF NOT EXISTS role text;
+
+-- Accounts from before roles could do everything: they become organization-wide
+-- contract managers, and the oldest active account becomes the first admin
+UPDATE contract_management.user_account
+  SET role = 'contract_manager'
+  WHERE role IS NULL;
+UPDATE contract_management.user_account
+  SET role = 'admin'
+  WHERE user_id = (
+    SELECT MIN(user_id) FROM contract_management.user_account WHERE status <> 'inactive'
+  )
+  AND NOT EXISTS (SELECT 1 FROM contract_management.user_account WHERE role = 'admin');
+
+-- New accounts start read-only
+ALTER TABLE contract_management.user_account
+  ALTER COLUMN role SET DEFAULT 'viewer',
+  ALTER COLUMN role SET NOT NULL;
+
+ALTER TABLE contract_management.user_account
+  DROP CONSTRAINT IF EXISTS user_account_role_check;
+ALTER TABLE contract_management.user_account
+  ADD CONSTRAINT user_account_role_check
+  CHECK (role IN ('admin', 'contract_manager', 'department_editor', 'viewer'));
+
+CREATE TABLE IF NOT EXISTS contract_management.user_department (
+  user_id integer NOT NULL REFERENCES contract_management.user_account (user_id) ON DELETE CASCADE,
+  department_id integer NOT NULL REFERENCES contract_management.department (department_id) ON DELETE CASCADE,
+  PRIMARY KEY (user_id, department_id)
+);
+
+CREATE INDEX IF NOT EXISTS user_department_department_idx
+  ON contract_management.user_department (department_id);
+
+COMMIT;
@@ -0,0 +1,17 @@
+-- Single-use password reset tokens. Only a SHA-256 hash of the token is stored.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS contract_management.password_reset_token (
+  token_id serial PRIMARY KEY,
+  user_id integer NOT NULL REFERENCES contract_management.user_account (user_id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  requested_ip text,
+  created_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_token_user_idx
+  ON contract_management.password_reset_token (user_id);
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- Failed-login tracking and temporary lockouts for /auth/login.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS contract_management.login_attempt (
+  attempt_id bigserial PRIMARY KEY,
+  username text NOT NULL,
+  ip text,
+  succeeded boolean NOT NULL,
+  attempted_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS login_attempt_username_idx
+  ON contract_management.login_attempt (username, attempted_at);
+CREATE INDEX IF NOT EXISTS login_attempt_ip_idx
+  ON contract_management.login_attempt (ip, attempted_at);
+
+CREATE TABLE IF NOT EXISTS contract_management.login_lockout (
+  lockout_id serial PRIMARY KEY,
+  username text NOT NULL,
+  ip text,
+  reason text NOT NULL CHECK (reason IN ('username', 'ip')),
+  failure_count integer NOT NULL,
+  locked_until timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  cleared_at timestamptz,
+  cleared_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS login_lockout_username_idx
+  ON contract_management.login_lockout (username, locked_until);
+
+COMMIT;
@@ -0,0 +1,16 @@
+-- Session metadata for expiry checks and the /auth/sessions endpoints.
+BEGIN;
+
+ALTER TABLE contract_management.user_session
+  ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS last_seen_at timestamptz,
+  ADD COLUMN IF NOT EXISTS user_agent text,
+  ADD COLUMN IF NOT EXISTS ip text,
+  ADD COLUMN IF NOT EXISTS session_ref bigserial;
+
+CREATE UNIQUE INDEX IF NOT EXISTS user_session_session_ref_idx
+  ON contract_management.user_session (session_ref);
+CREATE INDEX IF NOT EXISTS user_session_user_idx
+  ON contract_management.user_session (user_id);
+
+COMMIT;
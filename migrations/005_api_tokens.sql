@@ -0,0 +1,22 @@
+-- Personal API tokens. Only a SHA-256 hash of the token is stored.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS contract_management.api_token (
+  token_id serial PRIMARY KEY,
+  user_id integer NOT NULL REFERENCES contract_management.user_account (user_id) ON DELETE CASCADE,
+  name text NOT NULL,
+  token_prefix text NOT NULL,
+  token_hash text NOT NULL UNIQUE,
+  scope text NOT NULL DEFAULT 'read' CHECK (scope IN ('read', 'read_write')),
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  last_used_ip text,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  revoked_at timestamptz
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS api_token_user_name_idx
+  ON contract_management.api_token (user_id, lower(name))
+  WHERE revoked_at IS NULL;
+
+COMMIT;
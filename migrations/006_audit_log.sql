@@ -0,0 +1,21 @@
+-- Field-level audit trail for contracts, departments and statuses.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS contract_management.audit_log (
+  audit_id bigserial PRIMARY KEY,
+  entity_type text NOT NULL CHECK (entity_type IN ('contract', 'department', 'status')),
+  entity_id integer NOT NULL,
+  action text NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  changes jsonb NOT NULL DEFAULT '{}'::jsonb,
+  actor_id integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx
+  ON contract_management.audit_log (entity_type, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx
+  ON contract_management.audit_log (actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_created_idx
+  ON contract_management.audit_log (created_at DESC);
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- Soft delete for contracts plus the restore/purge audit actions.
+BEGIN;
+
+ALTER TABLE contract_management.contract
+  ADD COLUMN IF NOT EXISTS deleted_at timestamptz,
+  ADD COLUMN IF NOT EXISTS deleted_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS contract_not_deleted_idx
+  ON contract_management.contract (end_date)
+  WHERE deleted_at IS NULL;
+
+ALTER TABLE contract_management.audit_log
+  DROP CONSTRAINT IF EXISTS audit_log_action_check;
+ALTER TABLE contract_management.audit_log
+  ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- Attachment metadata; file contents live in the configured storage driver.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS contract_management.contract_file (
+  file_id serial PRIMARY KEY,
+  contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  storage_key text NOT NULL UNIQUE,
+  file_name text NOT NULL,
+  content_type text NOT NULL,
+  size_bytes bigint NOT NULL CHECK (size_bytes >= 0),
+  sha256 text NOT NULL,
+  uploaded_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  uploaded_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS contract_file_contract_idx
+  ON contract_management.contract_file (contract_id);
+
+COMMIT;
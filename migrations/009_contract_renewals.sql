@@ -0,0 +1,17 @@
+-- Renewal periods recorded when auto-renewing contracts are rolled forward.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS contract_management.contract_renewal (
+  renewal_id serial PRIMARY KEY,
+  contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  period_start date NOT NULL,
+  period_end date NOT NULL,
+  previous_end_date date NOT NULL,
+  renewed_at timestamptz NOT NULL DEFAULT NOW(),
+  CHECK (period_start <= period_end)
+);
+
+CREATE INDEX IF NOT EXISTS contract_renewal_contract_idx
+  ON contract_management.contract_renewal (contract_id, period_start);
+
+COMMIT;
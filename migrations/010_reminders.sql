@@ -0,0 +1,22 @@
+-- Department watchers and the log that keeps deadline reminders from repeating.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS contract_management.department_watcher (
+  department_id integer NOT NULL REFERENCES contract_management.department (department_id) ON DELETE CASCADE,
+  user_id integer NOT NULL REFERENCES contract_management.user_account (user_id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (department_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS contract_management.reminder_log (
+  reminder_id bigserial PRIMARY KEY,
+  contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  kind text NOT NULL,
+  due_date date NOT NULL,
+  lead_days integer NOT NULL,
+  recipient text NOT NULL,
+  sent_at timestamptz NOT NULL DEFAULT NOW(),
+  UNIQUE (contract_id, kind, due_date, lead_days, recipient)
+);
+
+COMMIT;
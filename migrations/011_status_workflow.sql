@@ -0,0 +1,36 @@
+-- Status attributes, the allowed transition graph and the per-contract status history.
+BEGIN;
+
+ALTER TABLE contract_management.status
+  ADD COLUMN IF NOT EXISTS sort_order integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS color text CHECK (color ~ '^#[0-9A-Fa-f]{6}$'),
+  ADD COLUMN IF NOT EXISTS is_terminal boolean NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS is_default boolean NOT NULL DEFAULT FALSE;
+
+-- At most one default status (assigned to new contracts created without one)
+CREATE UNIQUE INDEX IF NOT EXISTS status_single_default_idx
+  ON contract_management.status ((TRUE))
+  WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS contract_management.status_transition (
+  from_status_id integer NOT NULL REFERENCES contract_management.status (status_id) ON DELETE CASCADE,
+  to_status_id integer NOT NULL REFERENCES contract_management.status (status_id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (from_status_id, to_status_id),
+  CHECK (from_status_id <> to_status_id)
+);
+
+CREATE TABLE IF NOT EXISTS contract_management.contract_status_change (
+  change_id bigserial PRIMARY KEY,
+  contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  from_status_id integer REFERENCES contract_management.status (status_id) ON DELETE SET NULL,
+  to_status_id integer REFERENCES contract_management.status (status_id) ON DELETE SET NULL,
+  reason text,
+  actor_id integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  changed_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS contract_status_change_contract_idx
+  ON contract_management.contract_status_change (contract_id, changed_at);
+
+COMMIT;
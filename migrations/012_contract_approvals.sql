@@ -0,0 +1,51 @@
+-- Approval rules, per-contract approval requests and their approver steps.
+BEGIN;
+
+-- Moving a contract into a status flagged requires_approval (e.g. Active) needs
+-- an approved request when an approval rule matches the contract
+ALTER TABLE contract_management.status
+  ADD COLUMN IF NOT EXISTS requires_approval boolean NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS contract_management.approval_rule (
+  rule_id serial PRIMARY KEY,
+  name text NOT NULL,
+  contract_type text,
+  department_id integer REFERENCES contract_management.department (department_id) ON DELETE CASCADE,
+  mode text NOT NULL DEFAULT 'sequential' CHECK (mode IN ('sequential', 'parallel')),
+  approver_ids integer[] NOT NULL CHECK (cardinality(approver_ids) > 0),
+  created_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS contract_management.approval_request (
+  request_id serial PRIMARY KEY,
+  contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  mode text NOT NULL CHECK (mode IN ('sequential', 'parallel')),
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+  note text,
+  requested_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  requested_at timestamptz NOT NULL DEFAULT NOW(),
+  completed_at timestamptz
+);
+
+-- One open request per contract
+CREATE UNIQUE INDEX IF NOT EXISTS approval_request_one_pending_idx
+  ON contract_management.approval_request (contract_id)
+  WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS contract_management.approval_step (
+  step_id serial PRIMARY KEY,
+  request_id integer NOT NULL REFERENCES contract_management.approval_request (request_id) ON DELETE CASCADE,
+  position integer NOT NULL,
+  approver_id integer NOT NULL REFERENCES contract_management.user_account (user_id),
+  decision text NOT NULL DEFAULT 'pending' CHECK (decision IN ('pending', 'approved', 'rejected')),
+  comment text,
+  decided_at timestamptz,
+  UNIQUE (request_id, approver_id)
+);
+
+CREATE INDEX IF NOT EXISTS approval_step_approver_idx
+  ON contract_management.approval_step (approver_id)
+  WHERE decision = 'pending';
+
+COMMIT;
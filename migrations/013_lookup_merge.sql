@@ -0,0 +1,10 @@
+-- Department and status merges are recorded in the audit log as their own action.
+BEGIN;
+
+ALTER TABLE contract_management.audit_log
+  DROP CONSTRAINT IF EXISTS audit_log_action_check;
+ALTER TABLE contract_management.audit_log
+  ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge', 'merge'));
+
+COMMIT;
@@ -0,0 +1,116 @@
+-- Counterparty registry (contacts, addresses, tax ids) linked from contracts,
+-- seeded by deduplicating the free-text counterparty fields on existing contracts.
+BEGIN;
+
+-- Matching key for counterparty names: case, punctuation, spacing and a
+-- trailing legal form are ignored, so "ACME, Inc." and "Acme Inc" are one vendor
+CREATE OR REPLACE FUNCTION contract_management.counterparty_key(name text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NULLIF(
+    trim(regexp_replace(
+      regexp_replace(lower(coalesce(name, '')), '[^[:alnum:]]+', ' ', 'g'),
+      '\s(inc|incorporated|llc|llp|ltd|limited|corp|corporation|co|company|gmbh|ag|plc|sa|bv|nv)\s*$',
+      ''
+    )),
+    ''
+  )
+$$;
+
+CREATE TABLE IF NOT EXISTS contract_management.counterparty (
+  counterparty_id serial PRIMARY KEY,
+  name text NOT NULL,
+  legal_name text,
+  website text,
+  notes text,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  created_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  updated_at timestamptz NOT NULL DEFAULT NOW(),
+  updated_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS counterparty_key_idx
+  ON contract_management.counterparty (contract_management.counterparty_key(name));
+
+CREATE TABLE IF NOT EXISTS contract_management.counterparty_contact (
+  contact_id serial PRIMARY KEY,
+  counterparty_id integer NOT NULL REFERENCES contract_management.counterparty (counterparty_id) ON DELETE CASCADE,
+  name text,
+  email text,
+  phone text,
+  role text,
+  is_primary boolean NOT NULL DEFAULT FALSE,
+  CHECK (name IS NOT NULL OR email IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS contract_management.counterparty_address (
+  address_id serial PRIMARY KEY,
+  counterparty_id integer NOT NULL REFERENCES contract_management.counterparty (counterparty_id) ON DELETE CASCADE,
+  label text,
+  line1 text NOT NULL,
+  line2 text,
+  city text,
+  region text,
+  postal_code text,
+  country text
+);
+
+CREATE TABLE IF NOT EXISTS contract_management.counterparty_tax_id (
+  tax_id_id serial PRIMARY KEY,
+  counterparty_id integer NOT NULL REFERENCES contract_management.counterparty (counterparty_id) ON DELETE CASCADE,
+  scheme text NOT NULL,
+  value text NOT NULL,
+  country text,
+  UNIQUE (counterparty_id, scheme, value)
+);
+
+ALTER TABLE contract_management.contract
+  ADD COLUMN IF NOT EXISTS counterparty_id integer REFERENCES contract_management.counterparty (counterparty_id);
+
+CREATE INDEX IF NOT EXISTS contract_counterparty_idx
+  ON contract_management.contract (counterparty_id);
+
+ALTER TABLE contract_management.audit_log
+  DROP CONSTRAINT IF EXISTS audit_log_entity_type_check;
+ALTER TABLE contract_management.audit_log
+  ADD CONSTRAINT audit_log_entity_type_check
+  CHECK (entity_type IN ('contract', 'department', 'status', 'counterparty'));
+
+-- One registry entry per matching key, named after its most common spelling
+INSERT INTO contract_management.counterparty (name)
+SELECT mode() WITHIN GROUP (ORDER BY trim(c.counterparty_name))
+FROM contract_management.contract c
+WHERE contract_management.counterparty_key(c.counterparty_name) IS NOT NULL
+GROUP BY contract_management.counterparty_key(c.counterparty_name)
+ON CONFLICT DO NOTHING;
+
+UPDATE contract_management.contract c
+SET counterparty_id = cp.counterparty_id,
+    counterparty_name = cp.name
+FROM contract_management.counterparty cp
+WHERE c.counterparty_id IS NULL
+  AND contract_management.counterparty_key(c.counterparty_name) = contract_management.counterparty_key(cp.name);
+
+-- Distinct contact name/email pairs become counterparty contacts (latest spelling wins)
+INSERT INTO contract_management.counterparty_contact (counterparty_id, name, email)
+SELECT DISTINCT ON (src.counterparty_id, src.contact_key) src.counterparty_id, src.name, src.email
+FROM (
+  SELECT c.counterparty_id,
+         NULLIF(trim(c.counterparty_contact), '') AS name,
+         NULLIF(lower(trim(c.counterparty_email)), '') AS email,
+         COALESCE(NULLIF(lower(trim(c.counterparty_email)), ''), lower(trim(c.counterparty_contact))) AS contact_key,
+         c.updated_at
+  FROM contract_management.contract c
+  WHERE c.counterparty_id IS NOT NULL
+) src
+WHERE src.contact_key <> ''
+  AND NOT EXISTS (
+    SELECT 1 FROM contract_management.counterparty_contact x
+    WHERE x.counterparty_id = src.counterparty_id
+      AND COALESCE(lower(x.email), lower(x.name)) = src.contact_key
+  )
+ORDER BY src.counterparty_id, src.contact_key, src.updated_at DESC NULLS LAST;
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- Contract value, currency and billing frequency (amounts in minor units) and a per-contract payment schedule.
+BEGIN;
+
+ALTER TABLE contract_management.contract
+  ADD COLUMN IF NOT EXISTS total_value_minor bigint CHECK (total_value_minor >= 0),
+  ADD COLUMN IF NOT EXISTS currency char(3) CHECK (currency ~ '^[A-Z]{3}$'),
+  ADD COLUMN IF NOT EXISTS billing_frequency text
+    CHECK (billing_frequency IN ('one_time', 'monthly', 'quarterly', 'semiannual', 'annual'));
+
+ALTER TABLE contract_management.contract
+  DROP CONSTRAINT IF EXISTS contract_value_currency_check;
+ALTER TABLE contract_management.contract
+  ADD CONSTRAINT contract_value_currency_check CHECK (total_value_minor IS NULL OR currency IS NOT NULL);
+
+-- Installments are in the contract's currency
+CREATE TABLE IF NOT EXISTS contract_management.contract_payment (
+  payment_id serial PRIMARY KEY,
+  contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  due_date date NOT NULL,
+  amount_minor bigint NOT NULL CHECK (amount_minor >= 0),
+  description text,
+  invoice_number text,
+  status text NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'invoiced', 'paid', 'cancelled')),
+  paid_date date,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  created_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  updated_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS contract_payment_contract_idx
+  ON contract_management.contract_payment (contract_id, due_date);
+
+CREATE INDEX IF NOT EXISTS contract_payment_due_idx
+  ON contract_management.contract_payment (due_date) WHERE status IN ('scheduled', 'invoiced');
+
+COMMIT;
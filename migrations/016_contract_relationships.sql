@@ -0,0 +1,25 @@
+-- Typed links between contracts: amendments, renewals, supersessions and statements of work under a master agreement.
+BEGIN;
+
+-- Read as "<from_contract> <relationship_type> <to_contract>", e.g. 12 renews 7
+CREATE TABLE IF NOT EXISTS contract_management.contract_relationship (
+  relationship_id serial PRIMARY KEY,
+  from_contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  to_contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  relationship_type text NOT NULL CHECK (relationship_type IN ('amends', 'renews', 'supersedes', 'statement_of_work')),
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  created_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  CHECK (from_contract_id <> to_contract_id),
+  UNIQUE (from_contract_id, to_contract_id, relationship_type)
+);
+
+-- An amendment, renewal or statement of work belongs to exactly one parent;
+-- a new agreement may supersede several
+CREATE UNIQUE INDEX IF NOT EXISTS contract_relationship_single_parent_idx
+  ON contract_management.contract_relationship (from_contract_id, relationship_type)
+  WHERE relationship_type <> 'supersedes';
+
+CREATE INDEX IF NOT EXISTS contract_relationship_to_idx
+  ON contract_management.contract_relationship (to_contract_id);
+
+COMMIT;
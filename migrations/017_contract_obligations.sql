@@ -0,0 +1,45 @@
+-- Dated obligations per contract (deliverables, certificate renewals, price reviews, SLA checkpoints) and their reminders.
+BEGIN;
+
+-- A recurring obligation is one row per occurrence; occurrence n is due
+-- series_start plus n - 1 recurrence steps, so month-end dates do not drift
+CREATE TABLE IF NOT EXISTS contract_management.contract_obligation (
+  obligation_id serial PRIMARY KEY,
+  contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  title text NOT NULL,
+  category text NOT NULL DEFAULT 'other'
+    CHECK (category IN ('deliverable', 'insurance', 'price_review', 'sla', 'compliance', 'other')),
+  description text,
+  owner text,
+  due_date date NOT NULL,
+  recurrence text NOT NULL DEFAULT 'none'
+    CHECK (recurrence IN ('none', 'weekly', 'monthly', 'quarterly', 'semiannual', 'annual')),
+  recurrence_until date,
+  series_start date NOT NULL,
+  occurrence integer NOT NULL DEFAULT 1 CHECK (occurrence > 0),
+  previous_obligation_id integer REFERENCES contract_management.contract_obligation (obligation_id) ON DELETE SET NULL,
+  completed_on date,
+  completed_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  completion_note text,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  created_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  updated_at timestamptz NOT NULL DEFAULT NOW(),
+  CHECK (recurrence_until IS NULL OR recurrence_until >= due_date)
+);
+
+CREATE INDEX IF NOT EXISTS contract_obligation_contract_idx
+  ON contract_management.contract_obligation (contract_id, due_date);
+
+CREATE INDEX IF NOT EXISTS contract_obligation_open_due_idx
+  ON contract_management.contract_obligation (due_date) WHERE completed_on IS NULL;
+
+-- Obligation reminders are logged per obligation; several can share a contract and date
+ALTER TABLE contract_management.reminder_log
+  ADD COLUMN IF NOT EXISTS obligation_id integer REFERENCES contract_management.contract_obligation (obligation_id) ON DELETE CASCADE;
+
+ALTER TABLE contract_management.reminder_log
+  DROP CONSTRAINT IF EXISTS reminder_log_contract_id_kind_due_date_lead_days_recipient_key;
+CREATE UNIQUE INDEX IF NOT EXISTS reminder_log_once_idx
+  ON contract_management.reminder_log (contract_id, kind, due_date, lead_days, recipient, COALESCE(obligation_id, 0));
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- Threaded contract comments with @username mentions, and per-user notifications.
+BEGIN;
+
+-- Deleting a comment keeps the row (body cleared) so its replies stay in the thread
+CREATE TABLE IF NOT EXISTS contract_management.contract_comment (
+  comment_id serial PRIMARY KEY,
+  contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  parent_comment_id integer REFERENCES contract_management.contract_comment (comment_id) ON DELETE CASCADE,
+  author_id integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  body text CHECK (body IS NOT NULL OR deleted_at IS NOT NULL),
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  edited_at timestamptz,
+  deleted_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS contract_comment_contract_idx
+  ON contract_management.contract_comment (contract_id, created_at);
+
+CREATE TABLE IF NOT EXISTS contract_management.comment_mention (
+  comment_id integer NOT NULL REFERENCES contract_management.contract_comment (comment_id) ON DELETE CASCADE,
+  user_id integer NOT NULL REFERENCES contract_management.user_account (user_id) ON DELETE CASCADE,
+  PRIMARY KEY (comment_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS contract_management.notification (
+  notification_id bigserial PRIMARY KEY,
+  user_id integer NOT NULL REFERENCES contract_management.user_account (user_id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('mention')),
+  contract_id integer REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  comment_id integer REFERENCES contract_management.contract_comment (comment_id) ON DELETE CASCADE,
+  actor_id integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  read_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS notification_user_idx
+  ON contract_management.notification (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS notification_unread_idx
+  ON contract_management.notification (user_id) WHERE read_at IS NULL;
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- Admin-defined custom contract fields (text, number, date, boolean, enum), optionally per department and required.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS contract_management.custom_field (
+  field_id serial PRIMARY KEY,
+  key text NOT NULL UNIQUE CHECK (key ~ '^[a-z][a-z0-9_]{0,62}$'),
+  label text NOT NULL,
+  field_type text NOT NULL CHECK (field_type IN ('text', 'number', 'date', 'boolean', 'enum')),
+  options text[],
+  -- NULL applies to every department
+  department_id integer REFERENCES contract_management.department (department_id) ON DELETE CASCADE,
+  required boolean NOT NULL DEFAULT FALSE,
+  sort_order integer NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  updated_at timestamptz NOT NULL DEFAULT NOW(),
+  CHECK ((field_type = 'enum') = (options IS NOT NULL AND cardinality(options) > 0))
+);
+
+-- Values keyed by custom_field.key; numbers and booleans as JSON types, dates as YYYY-MM-DD
+ALTER TABLE contract_management.contract
+  ADD COLUMN IF NOT EXISTS custom_fields jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS contract_custom_fields_idx
+  ON contract_management.contract USING gin (custom_fields);
+
+ALTER TABLE contract_management.audit_log
+  DROP CONSTRAINT IF EXISTS audit_log_entity_type_check;
+ALTER TABLE contract_management.audit_log
+  ADD CONSTRAINT audit_log_entity_type_check
+  CHECK (entity_type IN ('contract', 'department', 'status', 'counterparty', 'custom_field'));
+
+COMMIT;
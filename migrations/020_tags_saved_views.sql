@@ -0,0 +1,44 @@
+-- Free-form contract tags, and per-user saved list views that can be shared with a department.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS contract_management.tag (
+  tag_id serial PRIMARY KEY,
+  name text NOT NULL CHECK (name <> '' AND length(name) <= 50 AND position(',' IN name) = 0),
+  created_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+-- One tag per name ignoring case; the first spelling used is kept
+CREATE UNIQUE INDEX IF NOT EXISTS tag_name_idx
+  ON contract_management.tag (lower(name));
+
+CREATE TABLE IF NOT EXISTS contract_management.contract_tag (
+  contract_id integer NOT NULL REFERENCES contract_management.contract (contract_id) ON DELETE CASCADE,
+  tag_id integer NOT NULL REFERENCES contract_management.tag (tag_id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  created_by integer REFERENCES contract_management.user_account (user_id) ON DELETE SET NULL,
+  PRIMARY KEY (contract_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS contract_tag_tag_idx
+  ON contract_management.contract_tag (tag_id);
+
+-- filters holds GET /contracts query parameters ({ "status_id": "2", "tag": "hr" }); sort uses the same syntax
+CREATE TABLE IF NOT EXISTS contract_management.saved_view (
+  view_id serial PRIMARY KEY,
+  owner_id integer NOT NULL REFERENCES contract_management.user_account (user_id) ON DELETE CASCADE,
+  name text NOT NULL,
+  filters jsonb NOT NULL DEFAULT '{}'::jsonb,
+  sort text,
+  -- Members of this department see the view too; NULL keeps it private
+  department_id integer REFERENCES contract_management.department (department_id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  updated_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS saved_view_owner_name_idx
+  ON contract_management.saved_view (owner_id, lower(name));
+
+CREATE INDEX IF NOT EXISTS saved_view_department_idx
+  ON contract_management.saved_view (department_id) WHERE department_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- Approval requests are voided when the contract's type or department changes after sign-off.
+BEGIN;
+
+ALTER TABLE contract_management.approval_request
+  DROP CONSTRAINT IF EXISTS approval_request_status_check;
+ALTER TABLE contract_management.approval_request
+  ADD CONSTRAINT approval_request_status_check
+  CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled', 'voided'));
+
+COMMIT;
@@ -0,0 +1,13 @@
+-- Approval rules can be limited to contracts worth at least a minimum value (minor units) in one currency.
+BEGIN;
+
+ALTER TABLE contract_management.approval_rule
+  ADD COLUMN IF NOT EXISTS min_value_minor bigint CHECK (min_value_minor >= 0),
+  ADD COLUMN IF NOT EXISTS currency char(3) CHECK (currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE contract_management.approval_rule
+  DROP CONSTRAINT IF EXISTS approval_rule_threshold_check;
+ALTER TABLE contract_management.approval_rule
+  ADD CONSTRAINT approval_rule_threshold_check CHECK ((min_value_minor IS NULL) = (currency IS NULL));
+
+COMMIT;
@@ -0,0 +1,16 @@
+-- Per-username and per-IP request log for throttling /auth/forgot-password.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS contract_management.password_reset_request (
+  request_id bigserial PRIMARY KEY,
+  username text NOT NULL,
+  ip text,
+  requested_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_request_username_idx
+  ON contract_management.password_reset_request (username, requested_at);
+CREATE INDEX IF NOT EXISTS password_reset_request_ip_idx
+  ON contract_management.password_reset_request (ip, requested_at);
+
+COMMIT;
@@ -4,8 +4,12 @@
   - Mocks ./db.js module to avoid a real database
 */
 
+import { createHash } from 'node:crypto';
 import request from 'supertest';
 
+// Keep login throttling fast under test
+process.env.LOGIN_DELAY_BASE_MS = '0';
+
 // In-memory fixtures for the mocked DB
 const state = {
   users: new Map(), // user_id -> user row
@@ -19,6 +23,32 @@ const state = {
     { status_id: 2, name: 'active' },
   ],
   contractRows: [],
+  resetTokens: [],
+  loginAttempts: [],
+  resetRequests: [],
+  lockouts: [],
+  apiTokens: [],
+  auditLog: [],
+  contractFiles: [],
+  renewals: [],
+  reminderLog: [],
+  transitions: [],
+  statusChanges: [],
+  approvalRules: [],
+  approvalRequests: [],
+  approvalSteps: [],
+  counterparties: [],
+  payments: [],
+  relationships: [],
+  obligations: [],
+  comments: [],
+  mentions: [],
+  notifications: [],
+  customFields: [],
+  tags: [],
+  contractTags: [],
+  savedViews: [],
+  watchers: [],
 };
 
 // Seed a default user
@@ -30,9 +60,33 @@ const defaultUser = {
   created_at: new Date().toISOString(),
   last_login_at: null,
   password_must_change: false,
+  role: 'admin',
 };
 state.users.set(defaultUser.user_id, { ...defaultUser });
 
+// Seed a read-only user
+const viewerUser = {
+  user_id: 102,
+  username: 'viewer@example.com',
+  name: 'Viewer User',
+  status: 'active',
+  created_at: new Date().toISOString(),
+  last_login_at: null,
+  password_must_change: false,
+  role: 'viewer',
+};
+state.users.set(viewerUser.user_id, { ...viewerUser });
+
+// Mirrors the counterparty_key() SQL function from migration 014
+function counterpartyKey(name) {
+  const key = String(name ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\s(inc|incorporated|llc|llp|ltd|limited|corp|corporation|co|company|gmbh|ag|plc|sa|bv|nv)\s*$/, '')
+    .trim();
+  return key || null;
+}
+
+const COUNTERPARTY_CHILD_TABLES = { counterparty_contact: 'contacts', counterparty_address: 'addresses', counterparty_tax_id: 'tax_ids' };
+
 // Simple SQL router to respond to queries our routes make
 function createQueryImpl() {
   return jest.fn(async (text, params = []) => {
@@ -65,6 +119,41 @@ function createQueryImpl() {
       return { rowCount: 1, rows: [] };
     }
 
+    // Revoke the other sessions of a user (DELETE /auth/sessions)
+    if (/DELETE\s+FROM\s+contract_management\.user_session\s+WHERE\s+user_id\s*=\s*\$1\s+AND\s+\(\$2::boolean\s+OR\s+session_id\s+IS\s+DISTINCT\s+FROM\s+\$3\)/i.test(sql)) {
+      const [userId, includeCurrent, currentId] = params;
+      let count = 0;
+      for (const [sid, uid] of state.sessions) {
+        if (uid === Number(userId) && (includeCurrent || sid !== currentId)) {
+          state.sessions.delete(sid);
+          count += 1;
+        }
+      }
+      return { rowCount: count, rows: [] };
+    }
+
+    // List a user's sessions
+    if (/SELECT\s+s\.session_ref[\s\S]*FROM\s+contract_management\.user_session\s+s\s+WHERE\s+s\.user_id\s*=\s*\$1/i.test(sql)) {
+      const [userId, , , currentId] = params;
+      const rows = Array.from(state.sessions.entries())
+        .filter(([, uid]) => uid === Number(userId))
+        .map(([sid], i) => ({ session_ref: i + 1, current: sid === currentId }));
+      return { rows };
+    }
+
+    // Delete every session of a user (password reset, deactivation)
+    if (/DELETE\s+FROM\s+contract_management\.user_session\s+WHERE\s+user_id\s*=\s*\$1/i.test(sql)) {
+      const [userId] = params;
+      let count = 0;
+      for (const [sid, uid] of state.sessions) {
+        if (uid === Number(userId)) {
+          state.sessions.delete(sid);
+          count += 1;
+        }
+      }
+      return { rowCount: count, rows: [] };
+    }
+
     // Delete session (logout)
     if (/DELETE\s+FROM\s+contract_management\.user_session/i.test(sql)) {
       const [sessionId] = params;
@@ -94,6 +183,149 @@ function createQueryImpl() {
       return { rowCount: u ? 1 : 0, rows: [] };
     }
 
+    // Admin: create user
+    if (/INSERT\s+INTO\s+contract_management\.user_account\s*\(username,\s*name,\s*role/i.test(sql)) {
+      const [username, name, role] = params;
+      const exists = Array.from(state.users.values()).find((u) => u.username === username);
+      if (exists) {
+        const err = new Error('duplicate');
+        err.code = '23505';
+        throw err;
+      }
+      const nextId = Math.max(0, ...state.users.keys()) + 1;
+      state.users.set(nextId, {
+        user_id: nextId,
+        username,
+        name,
+        role,
+        status: 'pending',
+        created_at: new Date().toISOString(),
+        last_login_at: null,
+        password_must_change: true,
+      });
+      return { rowCount: 1, rows: [{ user_id: nextId }] };
+    }
+
+    // Admin: fetch single user
+    if (/FROM\s+contract_management\.user_account\s+ua\s+WHERE\s+ua\.user_id\s*=\s*\$1/i.test(sql)) {
+      const [userId] = params;
+      const u = state.users.get(Number(userId));
+      return u ? { rows: [{ ...u, department_ids: [] }] } : { rows: [] };
+    }
+
+    // Login throttling
+    if (/INSERT\s+INTO\s+contract_management\.login_attempt/i.test(sql)) {
+      const [username, ip] = params;
+      state.loginAttempts.push({ username, ip, succeeded: /TRUE\)\s*$/i.test(sql.trim()) });
+      return { rowCount: 1, rows: [] };
+    }
+    if (/DELETE\s+FROM\s+contract_management\.login_attempt\s+WHERE\s+username/i.test(sql)) {
+      const [username] = params;
+      state.loginAttempts = state.loginAttempts.filter((a) => a.username !== username || a.succeeded);
+      return { rowCount: 0, rows: [] };
+    }
+    if (/FROM\s+contract_management\.login_attempt\s+WHERE\s+succeeded\s*=\s*FALSE/i.test(sql)) {
+      const [username, ip] = params;
+      const failures = state.loginAttempts.filter((a) => !a.succeeded);
+      return {
+        rows: [{
+          username_failures: failures.filter((a) => a.username === username).length,
+          ip_failures: failures.filter((a) => a.ip === ip).length,
+        }],
+      };
+    }
+    if (/FROM\s+contract_management\.password_reset_request\s+WHERE\s+requested_at/i.test(sql)) {
+      const [username, ip] = params;
+      return {
+        rows: [{
+          username_requests: state.resetRequests.filter((r) => r.username === username).length,
+          ip_requests: state.resetRequests.filter((r) => r.ip === ip).length,
+        }],
+      };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.password_reset_request/i.test(sql)) {
+      const [username, ip] = params;
+      state.resetRequests.push({ username, ip });
+      return { rowCount: 1, rows: [] };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.login_lockout/i.test(sql)) {
+      const [username, ip, reason] = params;
+      const row = { lockout_id: state.lockouts.length + 1, username, ip, reason, locked_until: new Date(Date.now() + 60000) };
+      state.lockouts.push(row);
+      return { rowCount: 1, rows: [row] };
+    }
+    if (/FROM\s+contract_management\.login_lockout\s+WHERE/i.test(sql)) {
+      const [username] = params;
+      const row = state.lockouts.find((l) => l.reason === 'username' && l.username === username);
+      return row ? { rows: [row] } : { rows: [] };
+    }
+
+    // API tokens
+    if (/INSERT\s+INTO\s+contract_management\.api_token/i.test(sql)) {
+      const [userId, name, tokenPrefix, tokenHash, scope, expiresAt] = params;
+      const row = {
+        token_id: state.apiTokens.length + 1,
+        user_id: Number(userId),
+        name,
+        token_prefix: tokenPrefix,
+        token_hash: tokenHash,
+        scope,
+        expires_at: expiresAt,
+        revoked_at: null,
+      };
+      state.apiTokens.push(row);
+      return { rowCount: 1, rows: [row] };
+    }
+    if (/FROM\s+contract_management\.api_token\s+t\s+JOIN\s+contract_management\.user_account\s+ua/i.test(sql)) {
+      const [tokenHash] = params;
+      const t = state.apiTokens.find((x) => x.token_hash === tokenHash && !x.revoked_at);
+      const user = t ? state.users.get(t.user_id) : null;
+      return user ? { rows: [{ ...user, token_id: t.token_id, scope: t.scope }] } : { rows: [] };
+    }
+    if (/UPDATE\s+contract_management\.api_token\s+SET\s+revoked_at/i.test(sql)) {
+      const [tokenId, userId] = params;
+      const t = state.apiTokens.find((x) => x.token_id === Number(tokenId) && x.user_id === Number(userId) && !x.revoked_at);
+      if (t) t.revoked_at = new Date().toISOString();
+      return { rowCount: t ? 1 : 0, rows: [] };
+    }
+
+    // Forgot password: user lookup
+    if (/FROM\s+contract_management\.user_account\s+WHERE\s+username\s*=\s*\$1\s+AND\s+status\s*<>\s*'inactive'/i.test(sql)) {
+      const [username] = params;
+      const user = Array.from(state.users.values()).find((u) => u.username === username && u.status !== 'inactive');
+      return user ? { rows: [user] } : { rows: [] };
+    }
+
+    // Reset tokens
+    if (/UPDATE\s+contract_management\.password_reset_token\s+SET\s+used_at\s*=\s*NOW\(\)\s+WHERE\s+user_id/i.test(sql)) {
+      const [userId] = params;
+      state.resetTokens.filter((t) => t.user_id === Number(userId)).forEach((t) => { t.used = true; });
+      return { rowCount: 0, rows: [] };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.password_reset_token/i.test(sql)) {
+      const [userId, tokenHash] = params;
+      state.resetTokens.push({ token_id: state.resetTokens.length + 1, user_id: Number(userId), token_hash: tokenHash, used: false });
+      return { rowCount: 1, rows: [] };
+    }
+    if (/FROM\s+contract_management\.password_reset_token\s+WHERE\s+token_hash\s*=\s*\$1/i.test(sql)) {
+      const [tokenHash] = params;
+      const t = state.resetTokens.find((x) => x.token_hash === tokenHash && !x.used);
+      return t ? { rows: [{ token_id: t.token_id, user_id: t.user_id }] } : { rows: [] };
+    }
+    if (/UPDATE\s+contract_management\.password_reset_token\s+SET\s+used_at\s*=\s*NOW\(\)\s+WHERE\s+token_id/i.test(sql)) {
+      const [tokenId] = params;
+      const t = state.resetTokens.find((x) => x.token_id === Number(tokenId));
+      if (t) t.used = true;
+      return { rowCount: t ? 1 : 0, rows: [] };
+    }
+
+    // Lock department row before update/delete
+    if (/SELECT\s+department_id,\s+name\s+FROM\s+contract_management\.department\s+WHERE\s+department_id\s*=\s*\$1\s+FOR\s+UPDATE/i.test(sql)) {
+      const [id] = params;
+      const d = state.departments.find((x) => x.department_id === Number(id));
+      return d ? { rows: [{ ...d }] } : { rows: [] };
+    }
+
     // Departments list
     if (/SELECT\s+department_id,\s+name\s+FROM\s+contract_management\.department/i.test(sql)) {
       return { rows: state.departments.slice() };
@@ -114,6 +346,13 @@ function createQueryImpl() {
       return { rows: [row] };
     }
 
+    // Audit log writes
+    if (/INSERT\s+INTO\s+contract_management\.audit_log/i.test(sql)) {
+      const [entityType, entityId, action, changes, actorId] = params;
+      state.auditLog.push({ entity_type: entityType, entity_id: entityId, action, changes: JSON.parse(changes), actor_id: actorId });
+      return { rowCount: 1, rows: [] };
+    }
+
     // Update department name
     if (/UPDATE\s+contract_management\.department\s+SET\s+name\s*=\s*\$1\s+WHERE\s+department_id\s*=\s*\$2\s+RETURNING/i.test(sql)) {
       const [name, id] = params;
@@ -132,8 +371,753 @@ function createQueryImpl() {
       return { rowCount: 1 };
     }
 
+    // Lock contract row for a write
+    if (/SELECT\s+\*\s+FROM\s+contract_management\.contract\s+WHERE\s+contract_id\s*=\s*\$1[\s\S]*FOR\s+UPDATE/i.test(sql)) {
+      const [id] = params;
+      const includeDeleted = !/deleted_at\s+IS\s+NULL/i.test(sql);
+      const c = state.contractRows.find((x) => x.contract_id === Number(id) && (includeDeleted || !x.deleted_at));
+      return c ? { rows: [{ ...c }] } : { rows: [] };
+    }
+
+    // Auto-renewal sweep
+    if (/SELECT\s+contract_id\s+FROM\s+contract_management\.contract\s+WHERE\s+auto_renew\s+IS\s+TRUE/i.test(sql)) {
+      const [today] = params;
+      const due = state.contractRows.filter((c) => c.auto_renew === true && c.renewal_term_months > 0 && c.end_date < today && !c.deleted_at);
+      return { rows: due.map((c) => ({ contract_id: c.contract_id })).sort((a, b) => a.contract_id - b.contract_id) };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.contract_renewal/i.test(sql)) {
+      const [contractId, periodStart, periodEnd, previousEnd] = params;
+      state.renewals.push({
+        renewal_id: state.renewals.length + 1,
+        contract_id: contractId,
+        period_start: periodStart,
+        period_end: periodEnd,
+        previous_end_date: previousEnd,
+        renewed_at: new Date().toISOString(),
+      });
+      return { rowCount: 1, rows: [] };
+    }
+    if (/FROM\s+contract_management\.contract_renewal\s+WHERE\s+contract_id\s*=\s*\$1/i.test(sql)) {
+      const rows = state.renewals.filter((r) => r.contract_id === Number(params[0]));
+      return { rows: rows.sort((a, b) => a.period_start.localeCompare(b.period_start)) };
+    }
+    if (/UPDATE\s+contract_management\.contract\s+SET\s+end_date\s*=\s*\$2,\s+termination_notice_deadline\s*=\s*\$3/i.test(sql)) {
+      const [id, endDate, deadline] = params;
+      const c = state.contractRows.find((x) => x.contract_id === Number(id));
+      Object.assign(c, { end_date: endDate, termination_notice_deadline: deadline });
+      return { rowCount: 1, rows: [{ ...c }] };
+    }
+
+    // Soft delete / restore / purge
+    if (/UPDATE\s+contract_management\.contract\s+SET\s+deleted_at\s*=\s*NOW\(\)/i.test(sql)) {
+      const [id, actorId] = params;
+      const c = state.contractRows.find((x) => x.contract_id === Number(id));
+      Object.assign(c, { deleted_at: new Date().toISOString(), deleted_by: actorId });
+      return { rowCount: 1, rows: [{ ...c }] };
+    }
+    if (/UPDATE\s+contract_management\.contract\s+SET\s+deleted_at\s*=\s*NULL/i.test(sql)) {
+      const [id] = params;
+      const c = state.contractRows.find((x) => x.contract_id === Number(id));
+      Object.assign(c, { deleted_at: null, deleted_by: null });
+      return { rowCount: 1, rows: [{ ...c }] };
+    }
+    if (/DELETE\s+FROM\s+contract_management\.contract\s+WHERE\s+contract_id\s*=\s*\$1/i.test(sql)) {
+      const [id] = params;
+      const before = state.contractRows.length;
+      state.contractRows = state.contractRows.filter((x) => x.contract_id !== Number(id));
+      return { rowCount: before - state.contractRows.length, rows: [] };
+    }
+
+    // Export cursor: DECLARE snapshots the live rows, FETCH pages through them
+    if (/DECLARE\s+contract_export\s+NO\s+SCROLL\s+CURSOR/i.test(sql)) {
+      state.exportCursor = state.contractRows.filter((c) => !c.deleted_at).map((c) => ({ ...c }));
+      return { rows: [] };
+    }
+    if (/FETCH\s+(\d+)\s+FROM\s+contract_export/i.test(sql)) {
+      const n = Number(sql.match(/FETCH\s+(\d+)/i)[1]);
+      return { rows: state.exportCursor.splice(0, n) };
+    }
+
+    // Contract update (PATCH): SET "field" = $n, ..., updated_by = $m WHERE contract_id = $k
+    if (/UPDATE\s+contract_management\.contract\s+SET\s+"/i.test(sql)) {
+      const id = params[Number(sql.match(/WHERE\s+contract_id\s*=\s*\$(\d+)/i)[1]) - 1];
+      const c = state.contractRows.find((x) => x.contract_id === Number(id));
+      for (const [, field, n] of sql.matchAll(/"(\w+)"\s*=\s*\$(\d+)/g)) c[field] = params[Number(n) - 1];
+      const by = sql.match(/updated_by\s*=\s*\$(\d+)/i);
+      if (by) c.updated_by = params[Number(by[1]) - 1];
+      return { rowCount: 1, rows: [{ ...c }] };
+    }
+
+    // Status workflow
+    if (/SELECT\s+status_id\s+FROM\s+contract_management\.status\s+WHERE\s+is_default/i.test(sql)) {
+      const d = state.statuses.find((st) => st.is_default);
+      return { rows: d ? [{ status_id: d.status_id }] : [] };
+    }
+    if (/FROM\s+contract_management\.status\s+WHERE\s+status_id\s*=\s*ANY\(\$1::int\[\]\)/i.test(sql)) {
+      return { rows: state.statuses.filter((st) => params[0].includes(st.status_id)).map((st) => ({ is_terminal: false, ...st })) };
+    }
+    if (/FROM\s+contract_management\.status\s+WHERE\s+status_id\s*=\s*\$1\s+FOR\s+UPDATE/i.test(sql)) {
+      const st = state.statuses.find((x) => x.status_id === Number(params[0]));
+      return { rows: st ? [{ is_terminal: false, is_default: false, ...st }] : [] };
+    }
+    if (/AS\s+graph_defined/i.test(sql)) {
+      const [from, to] = params;
+      return { rows: [{ graph_defined: state.transitions.length > 0, allowed: state.transitions.some((t) => t.from === from && t.to === to) }] };
+    }
+    if (/SELECT\s+to_status_id\s+FROM\s+contract_management\.status_transition\s+WHERE\s+from_status_id\s*=\s*\$1/i.test(sql)) {
+      return { rows: state.transitions.filter((t) => t.from === params[0]).map((t) => ({ to_status_id: t.to })) };
+    }
+    if (/DELETE\s+FROM\s+contract_management\.status_transition\s+WHERE\s+from_status_id\s*=\s*\$1/i.test(sql)) {
+      state.transitions = state.transitions.filter((t) => t.from !== params[0]);
+      return { rows: [] };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.status_transition/i.test(sql)) {
+      const [from, toIds] = params;
+      toIds.forEach((to) => state.transitions.push({ from, to }));
+      return { rowCount: toIds.length, rows: [] };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.contract_status_change/i.test(sql)) {
+      const [contractId, fromStatusId, toStatusId, reason, actorId] = params;
+      state.statusChanges.push({ contract_id: contractId, from_status_id: fromStatusId, to_status_id: toStatusId, reason, actor_id: actorId });
+      return { rowCount: 1, rows: [] };
+    }
+    if (/FROM\s+contract_management\.contract_status_change\s+sc/i.test(sql)) {
+      return { rows: state.statusChanges.filter((c) => c.contract_id === params[0]) };
+    }
+
+    // Approvals
+    if (/SELECT\s+name,\s+requires_approval\s+FROM\s+contract_management\.status\s+WHERE\s+status_id\s*=\s*\$1/i.test(sql)) {
+      const st = state.statuses.find((x) => x.status_id === Number(params[0]));
+      return { rows: st ? [{ name: st.name, requires_approval: st.requires_approval === true }] : [] };
+    }
+    if (/FROM\s+contract_management\.approval_rule\s+WHERE\s+\(contract_type\s+IS\s+NULL/i.test(sql)) {
+      const [type, departmentId, currency, valueMinor] = params;
+      const rows = state.approvalRules.filter(
+        (r) => (r.contract_type == null || (type != null && r.contract_type.toLowerCase() === type.toLowerCase())) &&
+          (r.department_id == null || r.department_id === departmentId) &&
+          (r.min_value_minor == null || (r.currency === currency && valueMinor != null && Number(valueMinor) >= r.min_value_minor)),
+      );
+      return { rows };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.approval_rule/i.test(sql)) {
+      const [name, contractType, departmentId, minValueMinor, currency, mode, approverIds, createdBy] = params;
+      const row = {
+        rule_id: state.approvalRules.length + 1, name, contract_type: contractType, department_id: departmentId,
+        min_value_minor: minValueMinor, currency, mode, approver_ids: approverIds, created_by: createdBy,
+      };
+      state.approvalRules.push(row);
+      return { rows: [{ ...row }] };
+    }
+    if (/SELECT\s+status\s+FROM\s+contract_management\.approval_request\s+WHERE\s+contract_id\s*=\s*\$1/i.test(sql)) {
+      const rows = state.approvalRequests.filter((r) => r.contract_id === params[0]).reverse();
+      return { rows: rows.slice(0, 1) };
+    }
+    if (/SELECT\s+user_id\s+FROM\s+contract_management\.user_account\s+WHERE\s+user_id\s*=\s*ANY/i.test(sql)) {
+      return { rows: params[0].filter((id) => state.users.has(id)).map((id) => ({ user_id: id })) };
+    }
+    if (/SELECT\s+username\s+FROM\s+contract_management\.user_account\s+WHERE\s+user_id\s*=\s*ANY/i.test(sql)) {
+      return { rows: params[0].filter((id) => state.users.has(id)).map((id) => ({ username: state.users.get(id).username })) };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.approval_request/i.test(sql)) {
+      const [contractId, mode, note, requestedBy] = params;
+      if (state.approvalRequests.some((r) => r.contract_id === contractId && r.status === 'pending')) {
+        const err = new Error('duplicate');
+        err.code = '23505';
+        throw err;
+      }
+      const row = { request_id: state.approvalRequests.length + 1, contract_id: contractId, mode, note, requested_by: requestedBy, status: 'pending', requested_at: new Date().toISOString(), completed_at: null };
+      state.approvalRequests.push(row);
+      return { rows: [{ request_id: row.request_id }] };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.approval_step/i.test(sql)) {
+      const [requestId, approverIds] = params;
+      approverIds.forEach((approverId, i) => {
+        state.approvalSteps.push({ step_id: state.approvalSteps.length + 1, request_id: requestId, position: i + 1, approver_id: approverId, decision: 'pending', comment: null });
+      });
+      return { rowCount: approverIds.length, rows: [] };
+    }
+    if (/FROM\s+contract_management\.approval_request\s+r\s+LEFT\s+JOIN/i.test(sql)) {
+      const byRequest = /r\.request_id\s*=\s*\$1/i.test(sql);
+      const rows = state.approvalRequests.filter((r) => (byRequest ? r.request_id : r.contract_id) === params[0]);
+      return { rows: rows.map((r) => ({ ...r })).reverse() };
+    }
+    if (/FROM\s+contract_management\.approval_step\s+st\s+LEFT\s+JOIN/i.test(sql)) {
+      return { rows: state.approvalSteps.filter((st) => params[0].includes(st.request_id)).map((st) => ({ ...st })) };
+    }
+    if (/SELECT\s+r\.\*,\s+c\.title\s+AS\s+contract_title[\s\S]*FOR\s+UPDATE\s+OF\s+r/i.test(sql)) {
+      const r = state.approvalRequests.find((x) => x.request_id === params[0]);
+      return { rows: r ? [{ ...r, contract_title: state.contractRows.find((c) => c.contract_id === r.contract_id).title }] : [] };
+    }
+    if (/FROM\s+contract_management\.approval_step\s+WHERE\s+request_id\s*=\s*\$1/i.test(sql)) {
+      return { rows: state.approvalSteps.filter((st) => st.request_id === params[0]).map((st) => ({ ...st })) };
+    }
+    if (/UPDATE\s+contract_management\.approval_step\s+SET\s+decision/i.test(sql)) {
+      const [stepId, decision, comment] = params;
+      Object.assign(state.approvalSteps.find((st) => st.step_id === stepId), { decision, comment });
+      return { rowCount: 1, rows: [] };
+    }
+    if (/UPDATE\s+contract_management\.approval_request\s+SET\s+status\s*=\s*'voided'/i.test(sql)) {
+      const voided = state.approvalRequests.filter((r) => params[0].includes(r.contract_id) && ['pending', 'approved'].includes(r.status));
+      voided.forEach((r) => Object.assign(r, { status: 'voided' }));
+      return { rowCount: voided.length, rows: [] };
+    }
+    if (/UPDATE\s+contract_management\.approval_request\s+SET\s+status\s*=\s*\$2/i.test(sql)) {
+      const [requestId, status] = params;
+      Object.assign(state.approvalRequests.find((r) => r.request_id === requestId), { status });
+      return { rowCount: 1, rows: [] };
+    }
+    if (/FROM\s+contract_management\.approval_step\s+st\s+JOIN\s+contract_management\.approval_request\s+r/i.test(sql)) {
+      const rows = state.approvalSteps
+        .filter((st) => st.approver_id === params[0] && st.decision === 'pending')
+        .filter((st) => {
+          const r = state.approvalRequests.find((x) => x.request_id === st.request_id);
+          if (r.status !== 'pending') return false;
+          const earlier = state.approvalSteps.filter((p) => p.request_id === st.request_id && p.position < st.position);
+          return r.mode === 'parallel' || earlier.every((p) => p.decision === 'approved');
+        })
+        .map((st) => ({ request_id: st.request_id, step_id: st.step_id, position: st.position }));
+      return { rows };
+    }
+
+    // Contracts of a counterparty outside a scoped user's departments
+    if (/SELECT\s+COUNT\(\*\)\s+AS\s+total\s+FROM\s+contract_management\.contract\s+WHERE\s+counterparty_id\s*=\s*\$1\s+AND\s+NOT\s+COALESCE/i.test(sql)) {
+      const [counterpartyId, departmentIds] = params;
+      return { rows: [{ total: String(state.contractRows.filter((c) => c.counterparty_id === counterpartyId && !departmentIds.includes(c.department_id)).length) }] };
+    }
+
+    // Contracts referencing a department/status, and moving them elsewhere
+    if (/SELECT\s+contract_id,\s+contract_type,\s+department_id,\s+total_value_minor,\s+currency,\s+status_id\s+FROM\s+contract_management\.contract\s+WHERE\s+department_id\s*=\s*\$1/i.test(sql)) {
+      return { rows: state.contractRows.filter((c) => c.department_id === params[0]).map((c) => ({ contract_type: null, total_value_minor: null, currency: null, ...c })) };
+    }
+    if (/SELECT\s+contract_id,\s+contract_type,\s+department_id,\s+total_value_minor,\s+currency\s+FROM\s+contract_management\.contract\s+WHERE\s+status_id\s*=\s*\$1/i.test(sql)) {
+      const rows = state.contractRows
+        .filter((c) => c.status_id === params[0])
+        .map((c) => ({ contract_id: c.contract_id, contract_type: c.contract_type ?? null, department_id: c.department_id ?? null, total_value_minor: c.total_value_minor ?? null, currency: c.currency ?? null }));
+      return { rows };
+    }
+    if (/SELECT\s+COUNT\(\*\)\s+AS\s+total\s+FROM\s+contract_management\.contract\s+WHERE\s+(department_id|status_id|counterparty_id)\s*=\s*\$1/i.test(sql)) {
+      const column = sql.match(/WHERE\s+(department_id|status_id|counterparty_id)/i)[1];
+      return { rows: [{ total: String(state.contractRows.filter((c) => c[column] === params[0]).length) }] };
+    }
+    if (/UPDATE\s+contract_management\.contract\s+SET\s+(department_id|status_id|counterparty_id)\s*=\s*\$2/i.test(sql)) {
+      const column = sql.match(/SET\s+(department_id|status_id|counterparty_id)/i)[1];
+      const [fromId, toId, actorId] = params;
+      const moved = state.contractRows.filter((c) => c[column] === fromId);
+      moved.forEach((c) => Object.assign(c, { [column]: toId, updated_by: actorId }));
+      return { rowCount: moved.length, rows: moved.map((c) => ({ contract_id: c.contract_id })) };
+    }
+
+    // Counterparty registry; contacts, addresses and tax ids live on the row
+    if (/INSERT\s+INTO\s+contract_management\.counterparty\s*\(/i.test(sql)) {
+      const cols = sql.match(/counterparty\s*\(([^)]*)\)/i)[1].split(',').map((c) => c.trim());
+      const row = { counterparty_id: Math.max(0, ...state.counterparties.map((x) => x.counterparty_id)) + 1, contacts: [], addresses: [], tax_ids: [] };
+      cols.forEach((c, i) => { row[c] = params[i]; });
+      if (state.counterparties.some((x) => counterpartyKey(x.name) === counterpartyKey(row.name))) {
+        const err = new Error('duplicate key value violates unique constraint "counterparty_key_idx"');
+        err.code = '23505';
+        throw err;
+      }
+      state.counterparties.push(row);
+      return { rowCount: 1, rows: [{ counterparty_id: row.counterparty_id }] };
+    }
+    if (/UPDATE\s+contract_management\.counterparty\s+SET/i.test(sql)) {
+      const cp = state.counterparties.find((x) => x.counterparty_id === params[0]);
+      for (const [, col, n] of sql.matchAll(/(\w+)\s*=\s*\$(\d+)/g)) {
+        if (col !== 'counterparty_id') cp[col] = params[Number(n) - 1];
+      }
+      return { rowCount: 1, rows: [] };
+    }
+    if (/SELECT\s+counterparty_id,\s+name,\s+legal_name[\s\S]*WHERE\s+counterparty_id\s*=\s*\$1/i.test(sql)) {
+      const cp = state.counterparties.find((x) => x.counterparty_id === params[0]);
+      if (!cp) return { rows: [] };
+      const { contacts, addresses, tax_ids: taxIds, ...row } = cp;
+      return { rows: [row] };
+    }
+    if (/SELECT\s+(counterparty_id,\s+)?name\s+FROM\s+contract_management\.counterparty\s+WHERE\s+counterparty_id\s*=\s*\$1/i.test(sql)) {
+      const cp = state.counterparties.find((x) => x.counterparty_id === params[0]);
+      return { rows: cp ? [{ counterparty_id: cp.counterparty_id, name: cp.name }] : [] };
+    }
+    if (/WHERE\s+contract_management\.counterparty_key\(name\)\s*=\s*contract_management\.counterparty_key\(\$1\)/i.test(sql)) {
+      const cp = state.counterparties.find((x) => counterpartyKey(x.name) === counterpartyKey(params[0]));
+      return { rows: cp ? [{ counterparty_id: cp.counterparty_id, name: cp.name }] : [] };
+    }
+    if (/contract_management\.(counterparty_contact|counterparty_address|counterparty_tax_id)\b/i.test(sql)) {
+      const [, table] = sql.match(/contract_management\.(counterparty_contact|counterparty_address|counterparty_tax_id)\b/i);
+      const kind = COUNTERPARTY_CHILD_TABLES[table];
+      if (/^\s*INSERT/i.test(sql)) {
+        const cols = sql.match(/\(([^)]*)\)\s+VALUES/i)[1].split(',').map((c) => c.trim());
+        const row = Object.fromEntries(cols.map((c, i) => [c, params[i]]));
+        state.counterparties.find((x) => x.counterparty_id === row.counterparty_id)[kind].push(row);
+        return { rowCount: 1, rows: [] };
+      }
+      const cp = state.counterparties.find((x) => x.counterparty_id === params[0]);
+      if (/^\s*DELETE/i.test(sql)) {
+        if (cp) cp[kind] = [];
+        return { rowCount: 0, rows: [] };
+      }
+      return { rows: cp ? cp[kind].map((r) => ({ ...r })) : [] };
+    }
+    if (/DELETE\s+FROM\s+contract_management\.counterparty\s+WHERE\s+counterparty_id\s*=\s*\$1/i.test(sql)) {
+      state.counterparties = state.counterparties.filter((x) => x.counterparty_id !== params[0]);
+      return { rowCount: 1, rows: [] };
+    }
+    if (/UPDATE\s+contract_management\.contract\s+c\s+SET\s+counterparty_name\s*=\s*\$2/i.test(sql)) {
+      const [counterpartyId, name, actorId] = params;
+      const linked = state.contractRows.filter((c) => c.counterparty_id === counterpartyId && c.counterparty_name !== name);
+      const rows = linked.map((c) => ({ contract_id: c.contract_id, old_name: c.counterparty_name ?? null }));
+      linked.forEach((c) => Object.assign(c, { counterparty_name: name, updated_by: actorId }));
+      return { rowCount: rows.length, rows };
+    }
+    if (/WHERE\s+c\.counterparty_id\s*=\s*\$1\s+AND\s+c\.deleted_at\s+IS\s+NULL/i.test(sql)) {
+      return { rows: state.contractRows.filter((c) => c.counterparty_id === params[0] && !c.deleted_at) };
+    }
+
+    // Payment schedule
+    if (/INSERT\s+INTO\s+contract_management\.contract_payment/i.test(sql)) {
+      const cols = sql.match(/contract_payment\s*\(([^)]*)\)/i)[1].split(',').map((c) => c.trim());
+      const row = { payment_id: state.payments.length + 1, status: 'scheduled', paid_date: null, description: null, invoice_number: null };
+      cols.forEach((c, i) => { row[c] = params[i]; });
+      row.amount_minor = String(row.amount_minor);
+      state.payments.push(row);
+      return { rowCount: 1, rows: [{ ...row }] };
+    }
+    if (/UPDATE\s+contract_management\.contract_payment\s+SET/i.test(sql)) {
+      const p = state.payments.find((x) => x.contract_id === params[0] && x.payment_id === params[1]);
+      if (!p) return { rowCount: 0, rows: [] };
+      for (const [, col, n] of sql.matchAll(/(\w+)\s*=\s*\$(\d+)/g)) {
+        if (!['contract_id', 'payment_id'].includes(col)) p[col] = params[Number(n) - 1];
+      }
+      return { rowCount: 1, rows: [{ ...p }] };
+    }
+    if (/DELETE\s+FROM\s+contract_management\.contract_payment\s+WHERE\s+contract_id\s*=\s*\$1\s+AND\s+status\s+IN/i.test(sql)) {
+      const before = state.payments.length;
+      state.payments = state.payments.filter((x) => !(x.contract_id === params[0] && ['scheduled', 'cancelled'].includes(x.status)));
+      return { rowCount: before - state.payments.length, rows: [] };
+    }
+    if (/FROM\s+contract_management\.contract_payment\s+WHERE\s+contract_id\s*=\s*\$1/i.test(sql)) {
+      const rows = state.payments.filter((x) => x.contract_id === params[0]).map((x) => ({ ...x }));
+      if (/COUNT\(\*\)/i.test(sql)) return { rows: [{ total: String(rows.length) }] };
+      return { rows };
+    }
+
+    // Financial rollup: groups valued contracts by department and currency
+    if (/AS\s+annualized_value_minor/i.test(sql)) {
+      const groups = new Map();
+      for (const c of state.contractRows.filter((x) => !x.deleted_at && x.total_value_minor != null)) {
+        const key = `${c.department_id}|${c.currency}`;
+        const g = groups.get(key) || { group_id: c.department_id, group_name: null, currency: c.currency, contract_count: 0, total_value_minor: 0 };
+        g.contract_count += 1;
+        g.total_value_minor += Number(c.total_value_minor);
+        groups.set(key, g);
+      }
+      return {
+        rows: Array.from(groups.values()).map((g) => ({
+          ...g,
+          contract_count: String(g.contract_count),
+          total_value_minor: String(g.total_value_minor),
+          annualized_value_minor: String(g.total_value_minor),
+          unannualized_count: '0',
+        })),
+      };
+    }
+
+    // Contract detail
+    if (/AS\s+updated_by_name[\s\S]*WHERE\s+c\.contract_id\s*=\s*\$1/i.test(sql)) {
+      const c = state.contractRows.find((x) => x.contract_id === Number(params[0]) && !x.deleted_at);
+      return { rows: c ? [{ ...c }] : [] };
+    }
+    if (/^SELECT\s+department_id\s+FROM\s+contract_management\.contract\s+WHERE\s+contract_id\s*=\s*\$1$/i.test(sql.trim())) {
+      const c = state.contractRows.find((x) => x.contract_id === Number(params[0]));
+      return { rows: c ? [{ department_id: c.department_id }] : [] };
+    }
+
+    // Contract relationships
+    if (/SELECT\s+r\.from_contract_id\s+FROM\s+contract_management\.contract_relationship\s+r[\s\S]*relationship_type\s*=\s*'renews'/i.test(sql)) {
+      const r = state.relationships.find((x) => x.to_contract_id === params[0] && x.relationship_type === 'renews');
+      return { rows: r ? [{ from_contract_id: r.from_contract_id }] : [] };
+    }
+    if (/SELECT\s+EXISTS[\s\S]*AS\s+cycle/i.test(sql)) {
+      const [fromId, toId] = params;
+      const below = new Set();
+      const walk = (id) => state.relationships.filter((r) => r.to_contract_id === id && !below.has(r.from_contract_id)).forEach((r) => {
+        below.add(r.from_contract_id);
+        walk(r.from_contract_id);
+      });
+      walk(fromId);
+      return { rows: [{ cycle: below.has(toId) }] };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.contract_relationship/i.test(sql)) {
+      const [fromId, toId, type, createdBy] = params;
+      const taken = state.relationships.some((r) => r.from_contract_id === fromId && r.relationship_type === type && (type !== 'supersedes' || r.to_contract_id === toId));
+      if (taken) throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+      const row = { relationship_id: state.relationships.length + 1, from_contract_id: fromId, to_contract_id: toId, relationship_type: type, created_by: createdBy, created_at: new Date().toISOString() };
+      state.relationships.push(row);
+      return { rows: [{ ...row }] };
+    }
+    if (/DELETE\s+FROM\s+contract_management\.contract_relationship/i.test(sql)) {
+      const [relationshipId, contractId] = params;
+      const r = state.relationships.find((x) => x.relationship_id === relationshipId && (x.from_contract_id === contractId || x.to_contract_id === contractId));
+      if (!r) return { rows: [] };
+      state.relationships = state.relationships.filter((x) => x !== r);
+      return { rows: [{ ...r }] };
+    }
+    if (/WITH\s+RECURSIVE\s+links/i.test(sql)) {
+      const [near, far] = /WHERE\s+r\.from_contract_id\s*=\s*\$1/i.test(sql) ? ['from_contract_id', 'to_contract_id'] : ['to_contract_id', 'from_contract_id'];
+      const live = (id) => state.contractRows.find((c) => c.contract_id === id && !c.deleted_at);
+      const found = [];
+      const walk = (id) => state.relationships.filter((r) => r[near] === id && live(r[far]) && !found.includes(r)).forEach((r) => {
+        found.push(r);
+        walk(r[far]);
+      });
+      walk(params[0]);
+      return { rows: found.map((r) => ({ ...r, ...live(r[far]) })) };
+    }
+
+    // Contract obligations
+    if (/INSERT\s+INTO\s+contract_management\.contract_obligation/i.test(sql)) {
+      const cols = sql.match(/contract_obligation\s*\(([^)]*)\)/i)[1].split(',').map((c) => c.trim());
+      const row = { obligation_id: Math.max(0, ...state.obligations.map((o) => o.obligation_id)) + 1, category: 'other', recurrence: 'none', recurrence_until: null, previous_obligation_id: null, completed_on: null, completion_note: null };
+      cols.forEach((c, i) => { row[c] = params[i]; });
+      state.obligations.push(row);
+      return { rows: [{ ...row }] };
+    }
+    if (/FROM\s+contract_management\.contract_obligation\s+WHERE\s+contract_id\s*=\s*\$1\s+AND\s+obligation_id\s*=\s*\$2\s+FOR\s+UPDATE/i.test(sql)) {
+      const o = state.obligations.find((x) => x.contract_id === params[0] && x.obligation_id === params[1]);
+      return { rows: o ? [{ ...o }] : [] };
+    }
+    if (/WHERE\s+previous_obligation_id\s*=\s*\$1/i.test(sql)) {
+      const later = state.obligations.filter((x) => x.previous_obligation_id === params[0]);
+      if (/^\s*DELETE/i.test(sql)) state.obligations = state.obligations.filter((x) => !later.includes(x));
+      return { rowCount: later.length, rows: later.map((x) => ({ ...x })) };
+    }
+    if (/UPDATE\s+contract_management\.contract_obligation\s+SET/i.test(sql)) {
+      const o = state.obligations.find((x) => x.obligation_id === params[0]);
+      if (/completed_on\s*=\s*NULL/i.test(sql)) Object.assign(o, { completed_on: null, completion_note: null, completed_by: null });
+      for (const [, field, n] of sql.matchAll(/(\w+)\s*=\s*\$(\d+)/g)) o[field] = params[Number(n) - 1];
+      return { rows: [{ ...o }] };
+    }
+    if (/FROM\s+contract_management\.contract_obligation\s+WHERE\s+contract_id\s*=\s*\$1/i.test(sql)) {
+      const matches = (x) => x.contract_id === params[0] && (params[1] === undefined || x.obligation_id === params[1]);
+      if (/^\s*DELETE/i.test(sql)) {
+        const before = state.obligations.length;
+        state.obligations = state.obligations.filter((x) => !matches(x));
+        return { rowCount: before - state.obligations.length, rows: [] };
+      }
+      const open = /completed_on\s+IS\s+NULL/i.test(sql);
+      const done = /completed_on\s+IS\s+NOT\s+NULL/i.test(sql);
+      const rows = state.obligations
+        .filter((x) => matches(x) && (!open || !x.completed_on) && (!done || x.completed_on))
+        .sort((a, b) => a.due_date.localeCompare(b.due_date));
+      return { rows: rows.map((x) => ({ ...x })) };
+    }
+
+    // Contract comments and mentions
+    if (/INSERT\s+INTO\s+contract_management\.contract_comment/i.test(sql)) {
+      const [contractId, parentId, authorId, body] = params;
+      const row = { comment_id: state.comments.length + 1, contract_id: contractId, parent_comment_id: parentId, author_id: authorId, body, created_at: new Date().toISOString(), edited_at: null, deleted_at: null };
+      state.comments.push(row);
+      return { rows: [{ comment_id: row.comment_id }] };
+    }
+    if (/FROM\s+contract_management\.contract_comment\s+WHERE\s+contract_id\s*=\s*\$1\s+AND\s+comment_id\s*=\s*\$2\s+FOR\s+UPDATE/i.test(sql)) {
+      const c = state.comments.find((x) => x.contract_id === params[0] && x.comment_id === params[1]);
+      return { rows: c ? [{ ...c }] : [] };
+    }
+    if (/UPDATE\s+contract_management\.contract_comment\s+SET\s+body\s*=\s*\$2/i.test(sql)) {
+      Object.assign(state.comments.find((x) => x.comment_id === params[0]), { body: params[1], edited_at: new Date().toISOString() });
+      return { rowCount: 1, rows: [] };
+    }
+    if (/UPDATE\s+contract_management\.contract_comment\s+SET\s+body\s*=\s*NULL/i.test(sql)) {
+      Object.assign(state.comments.find((x) => x.comment_id === params[0]), { body: null, deleted_at: new Date().toISOString() });
+      return { rowCount: 1, rows: [] };
+    }
+    if (/FROM\s+contract_management\.contract_comment\s+cc[\s\S]*WHERE\s+cc\.(comment_id|contract_id)\s*=\s*\$1/i.test(sql)) {
+      const key = sql.match(/WHERE\s+cc\.(comment_id|contract_id)\s*=\s*\$1/i)[1];
+      const rows = state.comments.filter((c) => c[key] === params[0]).map((c) => {
+        const author = state.users.get(c.author_id);
+        const mentions = state.mentions
+          .filter((m) => m.comment_id === c.comment_id)
+          .map((m) => ({ user_id: m.user_id, username: state.users.get(m.user_id).username }))
+          .sort((a, b) => a.username.localeCompare(b.username));
+        return { ...c, author_username: author?.username, author_name: author?.name, mentions };
+      });
+      return { rows };
+    }
+    if (/SELECT\s+user_id\s+FROM\s+contract_management\.user_account\s+WHERE\s+lower\(username\)\s*=\s*ANY/i.test(sql)) {
+      const users = [...state.users.values()].filter((u) => params[0].includes(u.username.toLowerCase()) && u.status !== 'inactive');
+      return { rows: users.map((u) => ({ user_id: u.user_id })) };
+    }
+    if (/DELETE\s+FROM\s+contract_management\.comment_mention/i.test(sql)) {
+      const [commentId, keep] = params;
+      state.mentions = state.mentions.filter((m) => m.comment_id !== commentId || (keep && keep.includes(m.user_id)));
+      return { rowCount: 0, rows: [] };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.comment_mention/i.test(sql)) {
+      const [commentId, userIds] = params;
+      const added = userIds.filter((id) => !state.mentions.some((m) => m.comment_id === commentId && m.user_id === id));
+      added.forEach((id) => state.mentions.push({ comment_id: commentId, user_id: id }));
+      return { rows: added.map((id) => ({ user_id: id })) };
+    }
+
+    // Notifications
+    if (/INSERT\s+INTO\s+contract_management\.notification/i.test(sql)) {
+      const [userIds, kind, contractId, commentId, actorId] = params;
+      for (const userId of userIds) {
+        state.notifications.push({ notification_id: state.notifications.length + 1, user_id: userId, kind, contract_id: contractId, comment_id: commentId, actor_id: actorId, created_at: new Date().toISOString(), read_at: null });
+      }
+      return { rowCount: userIds.length, rows: [] };
+    }
+    if (/FROM\s+contract_management\.notification\s+n?\s*WHERE\s+(n\.)?user_id\s*=\s*\$1/i.test(sql) || /FROM\s+contract_management\.notification\s+n\s+LEFT\s+JOIN/i.test(sql)) {
+      const unread = /read_at\s+IS\s+NULL/i.test(sql);
+      const mine = state.notifications.filter((n) => n.user_id === params[0] && (!unread || !n.read_at));
+      if (/COUNT\(\*\)\s+AS\s+unread/i.test(sql)) return { rows: [{ unread: String(mine.length) }] };
+      if (/COUNT\(\*\)\s+AS\s+total/i.test(sql)) return { rows: [{ total: String(mine.length) }] };
+      return {
+        rows: mine.slice().reverse().map((n) => ({
+          ...n,
+          contract_title: state.contractRows.find((c) => c.contract_id === n.contract_id)?.title,
+          comment_excerpt: state.comments.find((c) => c.comment_id === n.comment_id)?.body?.slice(0, 200) ?? null,
+        })),
+      };
+    }
+    if (/UPDATE\s+contract_management\.notification\s+SET\s+read_at\s*=\s*NOW\(\)\s+WHERE\s+user_id/i.test(sql)) {
+      const unread = state.notifications.filter((n) => n.user_id === params[0] && !n.read_at);
+      unread.forEach((n) => { n.read_at = new Date().toISOString(); });
+      return { rowCount: unread.length, rows: [] };
+    }
+    if (/UPDATE\s+contract_management\.notification\s+SET\s+read_at/i.test(sql)) {
+      const n = state.notifications.find((x) => x.notification_id === params[0] && x.user_id === params[1]);
+      if (!n) return { rows: [] };
+      n.read_at = /SET\s+read_at\s*=\s*NULL/i.test(sql) ? null : n.read_at || new Date().toISOString();
+      return { rows: [{ ...n }] };
+    }
+
+    // Tags
+    if (/INSERT\s+INTO\s+contract_management\.tag\s+\(name\)/i.test(sql)) {
+      for (const name of params[0]) {
+        if (!state.tags.some((t) => t.name.toLowerCase() === name.toLowerCase())) state.tags.push({ tag_id: state.tags.length + 1, name, created_at: new Date().toISOString() });
+      }
+      return { rowCount: 1, rows: [] };
+    }
+    if (/SELECT\s+tag_id,\s+name\s+FROM\s+contract_management\.tag\s+WHERE\s+lower\(name\)/i.test(sql)) {
+      return { rows: state.tags.filter((t) => params[0].includes(t.name.toLowerCase())) };
+    }
+    if (/^\s*SELECT\s+t\.tag_id,\s+t\.name\s+FROM\s+contract_management\.contract_tag\s+ct[\s\S]*WHERE\s+ct\.contract_id\s*=\s*\$1/i.test(sql)) {
+      const ids = state.contractTags.filter((ct) => ct.contract_id === params[0]).map((ct) => ct.tag_id);
+      const rows = state.tags.filter((t) => ids.includes(t.tag_id)).map(({ tag_id, name }) => ({ tag_id, name }));
+      return { rows: rows.sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase())) };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.contract_tag/i.test(sql)) {
+      const [contractId, tagIds] = params;
+      for (const tagId of tagIds) {
+        if (!state.contractTags.some((ct) => ct.contract_id === contractId && ct.tag_id === tagId)) state.contractTags.push({ contract_id: contractId, tag_id: tagId });
+      }
+      return { rowCount: tagIds.length, rows: [] };
+    }
+    if (/DELETE\s+FROM\s+contract_management\.contract_tag\s+WHERE\s+contract_id\s*=\s*\$1/i.test(sql)) {
+      const keep = /NOT\s+\(tag_id/i.test(sql);
+      const drop = (ct) => ct.contract_id === params[0] && (keep ? !params[1].includes(ct.tag_id) : ct.tag_id === params[1]);
+      const before = state.contractTags.length;
+      state.contractTags = state.contractTags.filter((ct) => !drop(ct));
+      return { rowCount: before - state.contractTags.length, rows: [] };
+    }
+    if (/FROM\s+contract_management\.tag\s+t\s+LEFT\s+JOIN/i.test(sql)) {
+      const prefix = typeof params[0] === 'string' ? params[0].replace(/%$/, '') : undefined;
+      return {
+        rows: state.tags
+          .filter((t) => prefix === undefined || t.name.toLowerCase().startsWith(prefix))
+          .map((t) => ({ ...t, contract_count: String(state.contractTags.filter((ct) => ct.tag_id === t.tag_id).length) })),
+      };
+    }
+
+    // Saved views
+    if (/INSERT\s+INTO\s+contract_management\.saved_view\s*\(/i.test(sql)) {
+      const cols = sql.match(/saved_view\s*\(([^)]*)\)/i)[1].split(',').map((c) => c.trim());
+      const row = { view_id: state.savedViews.length + 1, sort: null, department_id: null, created_at: new Date().toISOString() };
+      cols.forEach((c, i) => { row[c] = params[i]; });
+      if (state.savedViews.some((v) => v.owner_id === row.owner_id && v.name.toLowerCase() === row.name.toLowerCase())) {
+        throw Object.assign(new Error('duplicate key'), { code: '23505' });
+      }
+      state.savedViews.push(row);
+      return { rowCount: 1, rows: [{ view_id: row.view_id }] };
+    }
+    if (/FROM\s+contract_management\.saved_view\s+v\s+LEFT\s+JOIN/i.test(sql)) {
+      const [userId, departmentIds, viewId] = params;
+      const rows = state.savedViews
+        .filter((v) => (v.owner_id === userId || departmentIds.includes(v.department_id)) && (viewId === undefined || v.view_id === viewId))
+        .map((v) => ({ ...v, owner_name: state.users.get(v.owner_id)?.name, department: state.departments.find((d) => d.department_id === v.department_id)?.name ?? null }));
+      return { rows };
+    }
+    if (/UPDATE\s+contract_management\.saved_view\s+SET/i.test(sql)) {
+      const [, viewN, ownerN] = sql.match(/WHERE\s+view_id\s*=\s*\$(\d+)\s+AND\s+owner_id\s*=\s*\$(\d+)/i);
+      const v = state.savedViews.find((x) => x.view_id === params[viewN - 1] && x.owner_id === params[ownerN - 1]);
+      if (!v) return { rowCount: 0, rows: [] };
+      for (const [, field, n] of sql.matchAll(/(\w+)\s*=\s*\$(\d+)/g)) if (!['view_id', 'owner_id'].includes(field)) v[field] = params[Number(n) - 1];
+      return { rowCount: 1, rows: [] };
+    }
+    if (/DELETE\s+FROM\s+contract_management\.saved_view/i.test(sql)) {
+      const before = state.savedViews.length;
+      state.savedViews = state.savedViews.filter((v) => !(v.view_id === params[0] && v.owner_id === params[1]));
+      return { rowCount: before - state.savedViews.length, rows: [] };
+    }
+
+    // Custom field definitions and the contract values they govern
+    if (/FROM\s+contract_management\.custom_field\s+WHERE\s+field_id\s*=\s*\$1\s+FOR\s+UPDATE/i.test(sql)) {
+      const f = state.customFields.find((x) => x.field_id === params[0]);
+      return { rows: f ? [{ ...f }] : [] };
+    }
+    if (/^\s*SELECT\s+field_id,[\s\S]*FROM\s+contract_management\.custom_field/i.test(sql)) {
+      const rows = state.customFields.filter((f) => params.length === 0 || f.department_id == null || f.department_id === params[0]);
+      return { rows: rows.map((f) => ({ ...f })).sort((a, b) => a.sort_order - b.sort_order || a.key.localeCompare(b.key)) };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.custom_field\s*\(/i.test(sql)) {
+      const cols = sql.match(/custom_field\s*\(([^)]*)\)/i)[1].split(',').map((c) => c.trim());
+      const row = { field_id: state.customFields.length + 1, options: null, department_id: null, required: false, sort_order: 0 };
+      cols.forEach((c, i) => { row[c] = params[i]; });
+      if (state.customFields.some((f) => f.key === row.key)) throw Object.assign(new Error('duplicate key'), { code: '23505' });
+      state.customFields.push(row);
+      return { rowCount: 1, rows: [{ ...row }] };
+    }
+    if (/UPDATE\s+contract_management\.custom_field\s+SET\s+(?!department_id\s*=\s*\$2)/i.test(sql)) {
+      const f = state.customFields.find((x) => x.field_id === params[params.length - 1]);
+      for (const [, field, n] of sql.matchAll(/(\w+)\s*=\s*\$(\d+)/g)) f[field] = params[Number(n) - 1];
+      return { rowCount: 1, rows: [{ ...f }] };
+    }
+    if (/DELETE\s+FROM\s+contract_management\.custom_field\s+WHERE\s+field_id/i.test(sql)) {
+      state.customFields = state.customFields.filter((f) => f.field_id !== params[0]);
+      return { rowCount: 1, rows: [] };
+    }
+    if (/SELECT\s+DISTINCT\s+custom_fields->>\$1\s+AS\s+value/i.test(sql)) {
+      const values = state.contractRows.map((c) => c.custom_fields?.[params[0]]).filter((v) => params[1].includes(v));
+      return { rows: [...new Set(values)].map((value) => ({ value })) };
+    }
+    if (/UPDATE\s+contract_management\.contract\s+SET\s+custom_fields\s*=\s*custom_fields\s*-\s*\$1/i.test(sql)) {
+      const holding = state.contractRows.filter((c) => c.custom_fields && params[0] in c.custom_fields);
+      holding.forEach((c) => { c.custom_fields = Object.fromEntries(Object.entries(c.custom_fields).filter(([k]) => k !== params[0])); });
+      return { rowCount: holding.length, rows: [] };
+    }
+
+    // Contract insert (create and import)
+    if (/INSERT\s+INTO\s+contract_management\.contract\s*\(/i.test(sql)) {
+      const cols = sql.match(/contract\s*\(([^)]*)\)/i)[1].split(',').map((c) => c.trim().replace(/"/g, ''));
+      const nextId = Math.max(1000, ...state.contractRows.map((c) => c.contract_id)) + 1;
+      const row = { contract_id: nextId, deleted_at: null };
+      cols.forEach((c, i) => { row[c] = params[i]; });
+      state.contractRows.push(row);
+      return { rowCount: 1, rows: [{ ...row }] };
+    }
+
+    // Department/status name resolution and id lookups
+    if (/SELECT\s+department_id\s+FROM\s+contract_management\.department\s+WHERE\s+lower\(name\)\s*=\s*lower\(\$1\)/i.test(sql)) {
+      const d = state.departments.find((x) => x.name.toLowerCase() === String(params[0]).toLowerCase());
+      return { rows: d ? [{ department_id: d.department_id }] : [] };
+    }
+    if (/SELECT\s+status_id\s+FROM\s+contract_management\.status\s+WHERE\s+lower\(name\)\s*=\s*lower\(\$1\)/i.test(sql)) {
+      const st = state.statuses.find((x) => x.name.toLowerCase() === String(params[0]).toLowerCase());
+      return { rows: st ? [{ status_id: st.status_id }] : [] };
+    }
+    if (/^\s*SELECT\s+department_id\s+FROM\s+contract_management\.department\s*$/i.test(sql)) {
+      return { rows: state.departments.map((d) => ({ department_id: d.department_id })) };
+    }
+    if (/^\s*SELECT\s+status_id\s+FROM\s+contract_management\.status\s*$/i.test(sql)) {
+      return { rows: state.statuses.map((st) => ({ status_id: st.status_id })) };
+    }
+
+    // Contract lookup for routes under /contracts/:contract_id
+    if (/SELECT\s+contract_id,\s+title,\s+department_id,\s+contract_type,[\s\S]*WHERE\s+contract_id\s*=\s*\$1\s+AND\s+deleted_at\s+IS\s+NULL/i.test(sql)) {
+      const c = state.contractRows.find((x) => x.contract_id === Number(params[0]) && !x.deleted_at);
+      return { rows: c ? [{ department_id: null, contract_type: null, total_value_minor: null, currency: null, ...c }] : [] };
+    }
+
+    // Attachments
+    if (/INSERT\s+INTO\s+contract_management\.contract_file/i.test(sql)) {
+      const [contractId, storageKey, fileName, contentType, sizeBytes, sha256, uploadedBy] = params;
+      const row = {
+        file_id: state.contractFiles.length + 1,
+        contract_id: contractId,
+        storage_key: storageKey,
+        file_name: fileName,
+        content_type: contentType,
+        size_bytes: sizeBytes,
+        sha256,
+        uploaded_by: uploadedBy,
+        uploaded_at: new Date().toISOString(),
+      };
+      state.contractFiles.push(row);
+      return { rowCount: 1, rows: [row] };
+    }
+    if (/FROM\s+contract_management\.contract_file\s+WHERE\s+contract_id\s*=\s*\$1\s+AND\s+file_id\s*=\s*\$2/i.test(sql)) {
+      const [contractId, fileId] = params;
+      const idx = state.contractFiles.findIndex((f) => f.contract_id === Number(contractId) && f.file_id === Number(fileId));
+      if (idx === -1) return { rowCount: 0, rows: [] };
+      const row = state.contractFiles[idx];
+      if (/^\s*DELETE/i.test(sql)) state.contractFiles.splice(idx, 1);
+      return { rowCount: 1, rows: [row] };
+    }
+
+    // Upcoming deadlines: derive items from contractRows and open obligations within the
+    // date bounds (last two params); overdue obligations are those before the last param
+    if (/WITH\s+candidates\s+AS/i.test(sql)) {
+      const overdue = /o\.due_date\s*<\s*\$/i.test(sql);
+      const [fromDate, toDate] = overdue ? [null, params[params.length - 1]] : params.slice(-2);
+      const asOf = overdue ? toDate : fromDate;
+      const inRange = (due) => due && (overdue ? due < toDate : due >= fromDate && due <= toDate);
+      const dayMs = 24 * 60 * 60 * 1000;
+      const item = (kind, due, c, extra = {}) => ({ kind, due_date: due, days_until: (Date.parse(due) - Date.parse(asOf)) / dayMs, ...c, ...extra });
+      const items = [];
+      for (const c of state.contractRows.filter((x) => !x.deleted_at)) {
+        if (!overdue) {
+          for (const [kind, due] of [['end_date', c.end_date], ['notice_deadline', c.termination_notice_deadline]]) {
+            if (inRange(due)) items.push(item(kind, due, c));
+          }
+        }
+        for (const o of state.obligations.filter((x) => x.contract_id === c.contract_id && !x.completed_on && inRange(x.due_date))) {
+          items.push(item('obligation', o.due_date, c, { obligation_id: o.obligation_id, obligation_title: o.title, obligation_owner: o.owner }));
+        }
+      }
+      return { rows: items.sort((a, b) => a.due_date.localeCompare(b.due_date)) };
+    }
+
+    // Obligation owner emails
+    if (/FROM\s+unnest\(\$1::text\[\]\)\s+AS\s+o\(owner\)/i.test(sql)) {
+      return { rows: params[0].map((owner) => ({ owner, email: owner.includes('@') ? owner : null })) };
+    }
+
+    // Department watchers
+    if (/SELECT\s+ua\.user_id,\s+ua\.role,/i.test(sql)) {
+      const u = state.users.get(params[0]);
+      return { rows: u ? [{ user_id: u.user_id, role: u.role, department_ids: u.department_ids || [] }] : [] };
+    }
+    if (/INSERT\s+INTO\s+contract_management\.department_watcher\s+\(department_id,\s*user_id\)\s+VALUES/i.test(sql)) {
+      const [departmentId, userId] = params;
+      state.watchers.push({ department_id: departmentId, user_id: userId });
+      return { rowCount: 1, rows: [] };
+    }
+
+    // Reminder recipients
+    if (/AS\s+owner_email/i.test(sql)) {
+      const [ids] = params;
+      return {
+        rows: state.contractRows
+          .filter((c) => ids.includes(c.contract_id))
+          .map((c) => ({ contract_id: c.contract_id, owner_email: c.internal_owner, watcher_emails: ['watcher@example.com'] })),
+      };
+    }
+
+    // Reminder dedupe log
+    if (/INSERT\s+INTO\s+contract_management\.reminder_log/i.test(sql)) {
+      const key = params.join('|');
+      if (state.reminderLog.includes(key)) return { rowCount: 0, rows: [] };
+      state.reminderLog.push(key);
+      return { rowCount: 1, rows: [{ reminder_id: state.reminderLog.length }] };
+    }
+
+    // Contract list count
+    if (/SELECT\s+COUNT\(\*\)\s+AS\s+total\s+FROM\s+contract_management\.contract\s+c/i.test(sql)) {
+      return { rows: [{ total: String(state.contractRows.length) }] };
+    }
+
     // Status list
-    if (/SELECT\s+status_id,\s+name\s+FROM\s+contract_management\.status/i.test(sql)) {
+    if (/SELECT\s+status_id,\s+name\b[^;]*?FROM\s+contract_management\.status\s+ORDER\s+BY/i.test(sql)) {
       return { rows: state.statuses.slice() };
     }
 
@@ -156,8 +1140,16 @@ jest.mock('../db.js', () => ({
 
 // Import the app under test after mocks are in place
 let app;
+let mail;
+let storage;
+let reminders;
+let renewals;
 beforeAll(async () => {
   app = (await import('../server.js')).default;
+  mail = await import('../mail.js');
+  storage = await import('../storage.js');
+  reminders = await import('../reminders.js');
+  renewals = await import('../renewals.js');
 });
 
 describe('Auth gating (unauthenticated)', () => {
@@ -249,6 +1241,12 @@ describe('Lists + SQL injection safety', () => {
     expect(renamed.body.name).toBe(newName);
 
     await request(app).delete(`/departments/${depId}`).set('X-Session-Id', sid).expect(204);
+
+    // Every change is in the audit log with a field-level diff
+    const entries = state.auditLog.filter((a) => a.entity_type === 'department' && a.entity_id === depId);
+    expect(entries.map((a) => a.action)).toEqual(['create', 'update', 'delete']);
+    expect(entries[1].changes).toEqual({ name: { old: inj, new: newName } });
+    expect(entries[1].actor_id).toBe(defaultUser.user_id);
   });
 
   it('lists contracts after login (empty array ok with mock)', async () => {
@@ -262,3 +1260,1298 @@ describe('Lists + SQL injection safety', () => {
     expect(Array.isArray(res.body)).toBe(true);
   });
 });
+
+describe('Role-based access control', () => {
+  it('exposes role and permissions on /auth/me', async () => {
+    const loginRes = await request(app)
+      .post('/auth/login')
+      .send({ username: viewerUser.username, password: 'pw' })
+      .expect(200);
+    const sid = loginRes.body.session_id;
+    const me = await request(app).get('/auth/me').set('X-Session-Id', sid).expect(200);
+    expect(me.body.role).toBe('viewer');
+    expect(me.body.permissions).toContain('contracts:read');
+    expect(me.body.permissions).not.toContain('contracts:write');
+  });
+
+  it('lets viewers read but returns 403 naming the missing permission on writes', async () => {
+    const loginRes = await request(app)
+      .post('/auth/login')
+      .send({ username: viewerUser.username, password: 'pw' })
+      .expect(200);
+    const sid = loginRes.body.session_id;
+
+    await request(app).get('/departments').set('X-Session-Id', sid).expect(200);
+    await request(app).get('/contracts').set('X-Session-Id', sid).expect(200);
+
+    const created = await request(app)
+      .post('/departments')
+      .set('X-Session-Id', sid)
+      .send({ name: 'viewer-dept' })
+      .expect(403);
+    expect(created.body.missing_permission).toBe('departments:write');
+
+    const deleted = await request(app).delete('/contracts/1').set('X-Session-Id', sid).expect(403);
+    expect(deleted.body.missing_permission).toBe('contracts:delete');
+  });
+});
+
+describe('User management', () => {
+  it('lets admins create users with a temporary password and blocks viewers', async () => {
+    const adminLogin = await request(app)
+      .post('/auth/login')
+      .send({ username: defaultUser.username, password: 'pw' })
+      .expect(200);
+    const created = await request(app)
+      .post('/users')
+      .set('X-Session-Id', adminLogin.body.session_id)
+      .send({ username: 'New.User@example.com', name: 'New User', role: 'contract_manager' })
+      .expect(201);
+    expect(created.body.username).toBe('new.user@example.com');
+    expect(created.body.role).toBe('contract_manager');
+    expect(created.body.password_must_change).toBe(true);
+    expect(typeof created.body.temporary_password).toBe('string');
+    expect(created.body.temporary_password.length).toBeGreaterThanOrEqual(8);
+
+    await request(app)
+      .post('/users')
+      .set('X-Session-Id', adminLogin.body.session_id)
+      .send({ username: 'someone@example.com', role: 'superuser' })
+      .expect(400);
+
+    const viewerLogin = await request(app)
+      .post('/auth/login')
+      .send({ username: viewerUser.username, password: 'pw' })
+      .expect(200);
+    const denied = await request(app).get('/users').set('X-Session-Id', viewerLogin.body.session_id).expect(403);
+    expect(denied.body.missing_permission).toBe('users:manage');
+  });
+});
+
+describe('Forgot password', () => {
+  it('mails a single-use token that resets the password and ends existing sessions', async () => {
+    const sent = [];
+    mail.setMailTransport({ send: async (message) => { sent.push(message); } });
+
+    const loginRes = await request(app)
+      .post('/auth/login')
+      .send({ username: viewerUser.username, password: 'pw' })
+      .expect(200);
+    const sid = loginRes.body.session_id;
+
+    // Unknown usernames get the same answer and no mail
+    await request(app).post('/auth/forgot-password').send({ username: 'nobody@example.com' }).expect(202);
+    expect(sent).toHaveLength(0);
+
+    await request(app).post('/auth/forgot-password').send({ username: viewerUser.username }).expect(202);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe(viewerUser.username);
+    const token = sent[0].text.match(/token(?: is)?[:=]\s*(\S+)/)[1];
+
+    await request(app)
+      .post('/auth/reset-password')
+      .send({ token, new_password: 'brand-new-password' })
+      .expect(204);
+    await request(app).get('/auth/me').set('X-Session-Id', sid).expect(401);
+
+    // Second use is rejected
+    await request(app)
+      .post('/auth/reset-password')
+      .send({ token, new_password: 'another-password' })
+      .expect(400);
+  });
+
+  it('answers without waiting for the mail and throttles requests whether or not the account exists', async () => {
+    const sent = [];
+    // A transport that never finishes must not hold up the response
+    mail.setMailTransport({ send: (message) => { sent.push(message); return new Promise(() => {}); } });
+
+    const forgot = (username) => request(app).post('/auth/forgot-password').send({ username });
+    const knownStatuses = [];
+    const unknownStatuses = [];
+    for (let i = 0; i < 4; i += 1) {
+      knownStatuses.push((await forgot(defaultUser.username)).status);
+      unknownStatuses.push((await forgot('nobody-else@example.com')).status);
+    }
+    expect(knownStatuses).toEqual([202, 202, 202, 429]);
+    expect(unknownStatuses).toEqual(knownStatuses);
+    expect(sent).toHaveLength(3);
+
+    const limited = await forgot(defaultUser.username).expect(429);
+    expect(limited.headers['retry-after']).toBeDefined();
+    state.resetRequests = [];
+  });
+});
+
+describe('Login throttling', () => {
+  it('locks a username after repeated failures without revealing whether it exists', async () => {
+    const userLogin = (username) => request(app).post('/auth/login').send({ username, password: 'wrong' });
+    const unknownStatuses = [];
+    for (let i = 0; i < 5; i += 1) {
+      unknownStatuses.push((await userLogin('ghost@example.com')).status);
+    }
+    expect(unknownStatuses).toEqual([401, 401, 401, 401, 423]);
+
+    const locked = await userLogin('ghost@example.com').expect(423);
+    expect(locked.headers['retry-after']).toBeDefined();
+    expect(locked.body.error).not.toMatch(/exist/i);
+  });
+});
+
+describe('Session management', () => {
+  it('lists the current user sessions and revokes the others', async () => {
+    const login = () => request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200);
+    const first = (await login()).body.session_id;
+    const second = (await login()).body.session_id;
+
+    const list = await request(app).get('/auth/sessions').set('X-Session-Id', second).expect(200);
+    expect(list.body.filter((x) => x.current)).toHaveLength(1);
+    expect(list.body.length).toBeGreaterThanOrEqual(2);
+
+    const revoked = await request(app).delete('/auth/sessions').set('X-Session-Id', second).expect(200);
+    expect(revoked.body.revoked).toBeGreaterThanOrEqual(1);
+    await request(app).get('/auth/me').set('X-Session-Id', first).expect(401);
+    await request(app).get('/auth/me').set('X-Session-Id', second).expect(200);
+  });
+});
+
+describe('API tokens', () => {
+  it('authenticates with a bearer token, enforces read scope and stops working once revoked', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const created = await request(app)
+      .post('/auth/tokens')
+      .set('X-Session-Id', sid)
+      .send({ name: 'reporting', scope: 'read' })
+      .expect(201);
+    const { token, token_id: tokenId } = created.body;
+    expect(token).toMatch(/^cmt_/);
+
+    const bearer = `Bearer ${token}`;
+    const me = await request(app).get('/auth/me').set('Authorization', bearer).expect(200);
+    expect(me.body.user_id).toBe(defaultUser.user_id);
+    await request(app).get('/departments').set('Authorization', bearer).expect(200);
+    const denied = await request(app).post('/departments').set('Authorization', bearer).send({ name: 'via-token' }).expect(403);
+    expect(denied.body.missing_scope).toBe('read_write');
+
+    await request(app).delete(`/auth/tokens/${tokenId}`).set('X-Session-Id', sid).expect(204);
+    await request(app).get('/departments').set('Authorization', bearer).expect(401);
+  });
+});
+
+describe('Contract list filters', () => {
+  it('passes filters as parameters, reports the total and rejects unknown sort fields', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    mockQuery.mockClear();
+    const res = await request(app)
+      .get('/contracts')
+      .query({ department_id: '1,2', auto_renew: 'yes', end_date_from: '2025-01-01', q: "50%'; --", sort: '-end_date,title' })
+      .set('X-Session-Id', sid)
+      .expect(200);
+    expect(res.headers['x-total-count']).toBe('0');
+
+    const listCall = mockQuery.mock.calls.find(([text]) => /ORDER BY/.test(text) && /FROM\s+contract_management\.contract\s+c/.test(text));
+    const [text, params] = listCall;
+    expect(text).toMatch(/c\.department_id = ANY\(\$1::int\[\]\)/);
+    expect(text).toMatch(/c\.end_date DESC NULLS LAST, lower\(c\.title\) ASC/);
+    expect(params).toEqual(expect.arrayContaining([[1, 2], '2025-01-01', "%50\\%'; --%"]));
+
+    await request(app).get('/contracts').query({ sort: 'password_hash' }).set('X-Session-Id', sid).expect(400);
+    await request(app).get('/contracts').query({ start_date_to: 'tomorrow' }).set('X-Session-Id', sid).expect(400);
+  });
+});
+
+describe('Contract soft delete', () => {
+  it('soft-deletes, restores and only purges deleted contracts', async () => {
+    state.contractRows.push({ contract_id: 501, title: 'Janitorial services', department_id: 1, deleted_at: null, deleted_by: null });
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+
+    await request(app).delete('/contracts/501/purge').set('X-Session-Id', sid).expect(409);
+    await request(app).delete('/contracts/501').set('X-Session-Id', sid).expect(204);
+    expect(state.contractRows.find((c) => c.contract_id === 501).deleted_by).toBe(defaultUser.user_id);
+    await request(app).delete('/contracts/501').set('X-Session-Id', sid).expect(404);
+
+    const restored = await request(app).post('/contracts/501/restore').set('X-Session-Id', sid).expect(200);
+    expect(restored.body.deleted_at).toBeNull();
+    await request(app).post('/contracts/501/restore').set('X-Session-Id', sid).expect(409);
+
+    await request(app).delete('/contracts/501').set('X-Session-Id', sid).expect(204);
+    await request(app).delete('/contracts/501/purge').set('X-Session-Id', sid).expect(204);
+    expect(state.contractRows.find((c) => c.contract_id === 501)).toBeUndefined();
+    const actions = state.auditLog.filter((a) => a.entity_type === 'contract' && a.entity_id === 501).map((a) => a.action);
+    expect(actions).toEqual(['delete', 'restore', 'delete', 'purge']);
+  });
+});
+
+describe('Contract terms and auto-renewal', () => {
+  it('derives the notice deadline on create and update', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const created = await request(app)
+      .post('/contracts')
+      .set('X-Session-Id', sid)
+      .send({ title: 'Copier lease', department_id: 1, start_date: '2025-01-01', end_date: '2025-12-31', termination_notice_days: 90, termination_notice_deadline: '2025-01-01' })
+      .expect(201);
+    expect(created.body.termination_notice_deadline).toBe('2025-10-02');
+    const id = created.body.contract_id;
+
+    // Only end_date changes: notice days come from the stored row
+    const moved = await request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send({ end_date: '2026-06-30' }).expect(200);
+    expect(moved.body.termination_notice_deadline).toBe('2026-04-01');
+    const shortened = await request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send({ termination_notice_days: 30 }).expect(200);
+    expect(shortened.body.termination_notice_deadline).toBe('2026-05-31');
+  });
+
+  it('rejects inconsistent terms on create and update', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const create = (body) => request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Bad terms', department_id: 1, ...body });
+    expect((await create({ start_date: '2025-02-01', end_date: '2025-01-01' }).expect(400)).body.error).toMatch(/start_date/);
+    expect((await create({ end_date: '2025-02-30' }).expect(400)).body.error).toMatch(/Invalid date for end_date/);
+    expect((await create({ auto_renew: true }).expect(400)).body.error).toMatch(/renewal_term_months/);
+    expect((await create({ termination_notice_days: -5 }).expect(400)).body.error).toMatch(/negative/);
+
+    const { contract_id: id } = (await create({ start_date: '2025-01-01', end_date: '2025-12-31' }).expect(201)).body;
+    const patched = await request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send({ start_date: '2026-06-01' }).expect(400);
+    expect(patched.body.error).toMatch(/start_date/);
+    await request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send({ auto_renew: true }).expect(400);
+    const stored = state.contractRows.find((c) => c.contract_id === id);
+    expect(stored.start_date).toBe('2025-01-01');
+    expect(stored.auto_renew).not.toBe(true);
+  });
+
+  it('lets unrelated edits through on contracts that already break a term rule', async () => {
+    state.contractRows.push({ contract_id: 704, title: 'Legacy lease', department_id: 1, auto_renew: true, renewal_term_months: null, deleted_at: null });
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    await request(app).patch('/contracts/704').set('X-Session-Id', sid).send({ title: 'Legacy lease (HQ)' }).expect(200);
+    await request(app).patch('/contracts/704').set('X-Session-Id', sid).send({ end_date: '2027-01-31' }).expect(400);
+    state.contractRows = state.contractRows.filter((c) => c.contract_id !== 704);
+  });
+
+  it('rolls overdue auto-renewing contracts forward and records each period', async () => {
+    state.contractRows.push(
+      { contract_id: 701, title: 'Elevator service', department_id: 1, end_date: '2024-01-31', auto_renew: true, renewal_term_months: 6, termination_notice_days: 30, deleted_at: null },
+      { contract_id: 702, title: 'Fixed term', department_id: 1, end_date: '2024-01-31', auto_renew: false, renewal_term_months: 6, deleted_at: null },
+      { contract_id: 703, title: 'Deleted', department_id: 1, end_date: '2024-01-31', auto_renew: true, renewal_term_months: 6, deleted_at: '2024-02-01T00:00:00Z' },
+    );
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+
+    expect(await renewals.runAutoRenewals('2025-03-01')).toBe(3);
+    const renewed = await request(app).get('/contracts/701').set('X-Session-Id', sid).expect(200);
+    expect(renewed.body).toMatchObject({ end_date: '2025-07-31', termination_notice_deadline: '2025-07-01' });
+    const periods = await request(app).get('/contracts/701/renewals').set('X-Session-Id', sid).expect(200);
+    expect(periods.body.map((p) => [p.period_start, p.period_end])).toEqual([
+      ['2024-02-01', '2024-07-31'],
+      ['2024-08-01', '2025-01-31'],
+      ['2025-02-01', '2025-07-31'],
+    ]);
+    expect(state.auditLog.some((a) => a.entity_type === 'contract' && a.entity_id === 701 && a.action === 'update')).toBe(true);
+    expect(state.contractRows.find((c) => c.contract_id === 702).end_date).toBe('2024-01-31');
+    expect(state.renewals.filter((r) => r.contract_id !== 701)).toEqual([]);
+
+    // A second sweep finds nothing left to do
+    expect(await renewals.runAutoRenewals('2025-03-01')).toBe(0);
+    state.contractRows = state.contractRows.filter((c) => ![701, 702, 703].includes(c.contract_id));
+  });
+});
+
+describe('Contract attachments', () => {
+  it('uploads, lists checksum metadata, downloads and deletes files', async () => {
+    const { Readable } = await import('node:stream');
+    const blobs = new Map();
+    storage.setStorageDriver({
+      put: async (key, body) => {
+        const chunks = [];
+        for await (const chunk of body) chunks.push(chunk);
+        blobs.set(key, Buffer.concat(chunks));
+      },
+      get: async (key) => Readable.from([blobs.get(key)]),
+      remove: async (key) => { blobs.delete(key); },
+    });
+    state.contractRows.push({ contract_id: 601, title: 'Elevator maintenance', department_id: 1, deleted_at: null });
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+
+    const pdf = Buffer.from('%PDF-1.7 signed copy');
+    const uploaded = await request(app)
+      .post('/contracts/601/files')
+      .set('X-Session-Id', sid)
+      .attach('file', pdf, { filename: 'signed.pdf', contentType: 'application/pdf' })
+      .expect(201);
+    expect(uploaded.body).toHaveLength(1);
+    const [file] = uploaded.body;
+    expect(file.size_bytes).toBe(pdf.length);
+    expect(file.sha256).toBe(createHash('sha256').update(pdf).digest('hex'));
+    expect(blobs.size).toBe(1);
+    expect([...blobs.values()][0].equals(pdf)).toBe(true);
+
+    await request(app)
+      .post('/contracts/601/files')
+      .set('X-Session-Id', sid)
+      .attach('file', Buffer.from('MZ'), { filename: 'tool.exe', contentType: 'application/x-msdownload' })
+      .expect(415);
+
+    const downloaded = await request(app)
+      .get(`/contracts/601/files/${file.file_id}`)
+      .set('X-Session-Id', sid)
+      .buffer(true)
+      .parse((res, cb) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => cb(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(downloaded.headers['content-type']).toBe('application/pdf');
+    expect(downloaded.headers['content-disposition']).toMatch(/signed\.pdf/);
+    expect(downloaded.body.equals(pdf)).toBe(true);
+
+    await request(app).delete(`/contracts/601/files/${file.file_id}`).set('X-Session-Id', sid).expect(204);
+    expect(blobs.size).toBe(0);
+    await request(app).post('/contracts/9999/files').set('X-Session-Id', sid).attach('file', pdf, { filename: 'x.pdf', contentType: 'application/pdf' }).expect(404);
+  });
+});
+
+describe('Contract import', () => {
+  const csv = [
+    'Title,Vendor,Department,Status,Start Date,End Date,Auto Renew,Renewal Months,Notice Days,Legacy ID',
+    'Snow removal,"Frost, Inc.",operations,active,2025-01-01,2025-12-31,yes,12,30,A-1',
+    '"Fire alarm ""monitoring""",Sentinel,Shelters,pending,2025-03-01,2026-02-28,no,,,A-2',
+  ].join('\r\n');
+
+  it('reports row-level errors on a dry run and imports nothing while any row is invalid', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const before = state.contractRows.length;
+    const bad = `${csv}\n,Nobody,finance,active,2025-05-01,2025-04-01,maybe,,,A-3\n`;
+
+    const dry = await request(app)
+      .post('/contracts/import?dry_run=true')
+      .set('X-Session-Id', sid)
+      .attach('file', Buffer.from(bad), { filename: 'contracts.csv', contentType: 'text/csv' })
+      .expect(200);
+    expect(dry.body).toMatchObject({ format: 'csv', dry_run: true, total_rows: 3, valid_rows: 2, invalid_rows: 1, ignored_columns: ['Legacy ID'] });
+    expect(dry.body.columns.Vendor).toBe('counterparty_name');
+    expect(dry.body.errors).toEqual([
+      {
+        row: 4,
+        errors: expect.arrayContaining([
+          'Invalid auto_renew "maybe"',
+          'title is required',
+          'Unknown department "finance"',
+          'start_date must be on or before end_date',
+        ]),
+      },
+    ]);
+
+    const rejected = await request(app)
+      .post('/contracts/import')
+      .set('X-Session-Id', sid)
+      .attach('file', Buffer.from(bad), { filename: 'contracts.csv', contentType: 'text/csv' })
+      .expect(422);
+    expect(rejected.body.imported).toBe(0);
+    expect(state.contractRows.length).toBe(before);
+  });
+
+  it('imports every row of a CSV or XLSX file in one go', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const res = await request(app)
+      .post('/contracts/import')
+      .set('X-Session-Id', sid)
+      .attach('file', Buffer.from(csv), { filename: 'contracts.csv', contentType: 'text/csv' })
+      .expect(201);
+    expect(res.body.imported).toBe(2);
+    const [snow, alarm] = res.body.contract_ids.map((id) => state.contractRows.find((c) => c.contract_id === id));
+    expect(snow).toMatchObject({ counterparty_name: 'Frost, Inc.', department_id: 1, status_id: 2, auto_renew: true, termination_notice_deadline: '2025-12-01' });
+    expect(alarm).toMatchObject({ title: 'Fire alarm "monitoring"', department_id: 2, status_id: 1, auto_renew: false });
+    expect(state.auditLog.filter((a) => res.body.contract_ids.includes(a.entity_id) && a.action === 'create')).toHaveLength(2);
+
+    const ExcelJS = (await import('exceljs')).default;
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Contracts');
+    sheet.addRow(['Contract', 'End Date']);
+    sheet.addRow(['Pest control', new Date(Date.UTC(2026, 5, 30))]);
+    const xlsx = Buffer.from(await workbook.xlsx.writeBuffer());
+    const imported = await request(app)
+      .post('/contracts/import')
+      .field('mapping', JSON.stringify({ Contract: 'title' }))
+      .set('X-Session-Id', sid)
+      .attach('file', xlsx, { filename: 'contracts.xlsx' })
+      .expect(201);
+    expect(imported.body.format).toBe('xlsx');
+    expect(state.contractRows.find((c) => c.contract_id === imported.body.contract_ids[0])).toMatchObject({ title: 'Pest control', end_date: '2026-06-30' });
+
+    await request(app)
+      .post('/contracts/import')
+      .set('X-Session-Id', sid)
+      .attach('file', Buffer.from('x'), { filename: 'contracts.pdf', contentType: 'application/pdf' })
+      .expect(415);
+  });
+});
+
+describe('Contract export', () => {
+  const binary = (res, cb) => {
+    const chunks = [];
+    res.on('data', (c) => chunks.push(c));
+    res.on('end', () => cb(null, Buffer.concat(chunks)));
+  };
+
+  it('streams every matching contract as csv, json or xlsx', async () => {
+    state.contractRows.push(
+      { contract_id: 801, title: 'Waste "hauling", weekly', department_id: 1, department: 'operations', end_date: '2026-01-31', notes: '=HYPERLINK("x")', created_by_name: 'Example User', deleted_at: null },
+      { contract_id: 802, title: 'Old lease', deleted_at: new Date().toISOString() },
+    );
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const live = state.contractRows.filter((c) => !c.deleted_at).length;
+
+    mockQuery.mockClear();
+    const csv = await request(app).get('/contracts/export').query({ department_id: '1' }).set('X-Session-Id', sid).expect(200);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.headers['content-disposition']).toMatch(/contracts-\d{4}-\d{2}-\d{2}\.csv/);
+    const lines = csv.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    expect(lines[0]).toMatch(/^contract_id,title,.*,department,.*,created_by_name,/);
+    expect(lines).toHaveLength(live + 1);
+    const waste = lines.find((l) => l.startsWith('801,'));
+    expect(waste).toContain('"Waste ""hauling"", weekly"');
+    expect(waste).toContain(`"'=HYPERLINK(""x"")"`);
+    const declare = mockQuery.mock.calls.find(([text]) => /DECLARE\s+contract_export/.test(text));
+    expect(declare[0]).toMatch(/c\.department_id = ANY\(\$1::int\[\]\)/);
+    expect(declare[1]).toEqual([[1]]);
+
+    const json = await request(app).get('/contracts/export?format=json').set('X-Session-Id', sid).expect(200);
+    expect(json.body).toHaveLength(live);
+    expect(json.body.find((c) => c.contract_id === 801)).toMatchObject({ department: 'operations', end_date: '2026-01-31' });
+
+    const xlsx = await request(app).get('/contracts/export?format=xlsx').set('X-Session-Id', sid).buffer(true).parse(binary).expect(200);
+    const ExcelJS = (await import('exceljs')).default;
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(xlsx.body);
+    const sheet = workbook.worksheets[0];
+    expect(sheet.rowCount).toBe(live + 1);
+    expect(sheet.getRow(1).getCell(2).value).toBe('title');
+
+    await request(app).get('/contracts/export?format=pdf').set('X-Session-Id', sid).expect(400);
+  });
+});
+
+describe('Status workflow', () => {
+  beforeAll(() => {
+    state.statuses[0].is_default = true;
+    state.statuses.push({ status_id: 3, name: 'terminated', is_terminal: true });
+  });
+  afterAll(() => {
+    delete state.statuses[0].is_default;
+    state.statuses.splice(2);
+    state.transitions = [];
+  });
+
+  it('creates contracts in the default status and only allows moves in the transition graph', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    await request(app).put('/statuses/1/transitions').set('X-Session-Id', sid).send({ to_status_ids: [2] }).expect(200);
+    await request(app).put('/statuses/2/transitions').set('X-Session-Id', sid).send({ to_status_ids: [3] }).expect(200);
+    await request(app).put('/statuses/3/transitions').set('X-Session-Id', sid).send({ to_status_ids: [1] }).expect(409);
+    await request(app).put('/statuses/1/transitions').set('X-Session-Id', sid).send({ to_status_ids: [1] }).expect(400);
+
+    const created = await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Landscaping' }).expect(201);
+    const id = created.body.contract_id;
+    expect(created.body.status_id).toBe(1);
+
+    const skipped = await request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send({ status_id: 3 }).expect(409);
+    expect(skipped.body.error).toBe('Cannot move a contract from "pending" to "terminated"');
+    await request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send({ status: 'Active', status_reason: 'Signed by both parties' }).expect(200);
+    await request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send({ status_id: 3 }).expect(200);
+    const final = await request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send({ status_id: 2 }).expect(409);
+    expect(final.body.error).toMatch(/final status/);
+
+    const history = await request(app).get(`/contracts/${id}/status-history`).set('X-Session-Id', sid).expect(200);
+    expect(history.body).toEqual([
+      expect.objectContaining({ from_status_id: null, to_status_id: 1, actor_id: defaultUser.user_id }),
+      expect.objectContaining({ from_status_id: 1, to_status_id: 2, reason: 'Signed by both parties' }),
+      expect.objectContaining({ from_status_id: 2, to_status_id: 3, reason: null }),
+    ]);
+  });
+
+  it('refuses to delete or merge a status when its contracts could not make the move themselves', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const id = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Fencing', contract_type: 'Security' }).expect(201)).body.contract_id;
+
+    const skipped = await request(app).delete('/statuses/1?reassign_to=3').set('X-Session-Id', sid).expect(409);
+    expect(skipped.body.error).toMatch(/Cannot move a contract from "pending" to "terminated"/);
+    expect(skipped.body.blocked_contract_ids).toContain(id);
+    await request(app).post('/statuses/1/merge').set('X-Session-Id', sid).send({ into: 3 }).expect(409);
+
+    state.statuses[1].requires_approval = true;
+    state.approvalRules.push({ rule_id: 1, name: 'Security', contract_type: 'security', department_id: null, mode: 'parallel', approver_ids: [defaultUser.user_id] });
+    try {
+      const unapproved = await request(app).post('/statuses/1/merge').set('X-Session-Id', sid).send({ into: 2 }).expect(409);
+      expect(unapproved.body.error).toMatch(/approved approval request/);
+      expect(unapproved.body.blocked_contract_ids).toEqual([id]);
+      expect(state.contractRows.find((c) => c.contract_id === id).status_id).toBe(1);
+      expect(state.statuses.some((st) => st.status_id === 1)).toBe(true);
+    } finally {
+      delete state.statuses[1].requires_approval;
+      state.approvalRules = [];
+    }
+  });
+});
+
+describe('Contract approvals', () => {
+  const managerUser = { ...viewerUser, user_id: 104, username: 'manager@example.com', name: 'Manager User', role: 'contract_manager' };
+  beforeAll(() => {
+    state.users.set(managerUser.user_id, { ...managerUser });
+  });
+  afterAll(() => {
+    delete state.statuses[1].requires_approval;
+    state.approvalRules = [];
+    state.users.delete(managerUser.user_id);
+  });
+
+  it('blocks activation until every approver in order has approved', async () => {
+    const sent = [];
+    mail.setMailTransport({ send: async (message) => { sent.push(message); } });
+    state.statuses[1].requires_approval = true;
+    const adminSid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const viewerSid = (await request(app).post('/auth/login').send({ username: viewerUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const managerSid = (await request(app).post('/auth/login').send({ username: managerUser.username, password: 'pw' }).expect(200)).body.session_id;
+
+    await request(app).post('/approvals/rules').set('X-Session-Id', viewerSid).send({ name: 'Software', approver_ids: [101] }).expect(403);
+    await request(app)
+      .post('/approvals/rules')
+      .set('X-Session-Id', adminSid)
+      .send({ name: 'Software needs legal', contract_type: 'software', approver_ids: [defaultUser.user_id, viewerUser.user_id] })
+      .expect(201);
+
+    const id = (await request(app).post('/contracts').set('X-Session-Id', adminSid).send({ title: 'CRM licence', contract_type: 'Software', status_id: 1 }).expect(201)).body.contract_id;
+    await request(app).post('/contracts').set('X-Session-Id', adminSid).send({ title: 'ERP licence', contract_type: 'software', status_id: 2 }).expect(409);
+    const blocked = await request(app).patch(`/contracts/${id}`).set('X-Session-Id', adminSid).send({ status_id: 2 }).expect(409);
+    expect(blocked.body.error).toMatch(/approved approval request/);
+
+    const narrowed = await request(app).post(`/contracts/${id}/approvals`).set('X-Session-Id', managerSid).send({ approver_ids: [managerUser.user_id] }).expect(400);
+    expect(narrowed.body.error).toMatch(/101, 102/);
+    const opened = await request(app).post(`/contracts/${id}/approvals`).set('X-Session-Id', managerSid).send({ note: 'Renewal of CRM' }).expect(201);
+    expect(opened.body).toMatchObject({ mode: 'sequential', status: 'pending', current_approver_ids: [defaultUser.user_id] });
+    expect(sent.map((m) => m.to)).toEqual([defaultUser.username]);
+    await request(app).post(`/contracts/${id}/approvals`).set('X-Session-Id', adminSid).send({}).expect(409);
+    const requestId = opened.body.request_id;
+
+    expect((await request(app).get('/approvals/pending').set('X-Session-Id', viewerSid).expect(200)).body).toEqual([]);
+    await request(app).post(`/approvals/${requestId}/approve`).set('X-Session-Id', viewerSid).send({}).expect(409);
+    await request(app).post(`/approvals/${requestId}/approve`).set('X-Session-Id', adminSid).send({ comment: 'Legal OK' }).expect(200);
+    expect(sent.map((m) => m.to)).toEqual([defaultUser.username, viewerUser.username]);
+
+    expect((await request(app).get('/approvals/pending').set('X-Session-Id', viewerSid).expect(200)).body).toHaveLength(1);
+    await request(app).post(`/approvals/${requestId}/reject`).set('X-Session-Id', viewerSid).send({}).expect(400);
+    await request(app).patch(`/contracts/${id}`).set('X-Session-Id', adminSid).send({ status_id: 2 }).expect(409);
+    const approved = await request(app).post(`/approvals/${requestId}/approve`).set('X-Session-Id', viewerSid).send({ comment: 'Budget OK' }).expect(200);
+    expect(approved.body.status).toBe('approved');
+    expect(approved.body.steps.map((st) => st.comment)).toEqual(['Legal OK', 'Budget OK']);
+
+    await request(app).patch(`/contracts/${id}`).set('X-Session-Id', adminSid).send({ status_id: 2 }).expect(200);
+    const edited = await request(app).patch(`/contracts/${id}`).set('X-Session-Id', adminSid).send({ department_id: 1 }).expect(409);
+    expect(edited.body.error).toMatch(/approved approval request/);
+  });
+
+  it('voids an approval when the fields the rules match on change', async () => {
+    const adminSid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const viewerSid = (await request(app).post('/auth/login').send({ username: viewerUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const managerSid = (await request(app).post('/auth/login').send({ username: managerUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const id = (await request(app).post('/contracts').set('X-Session-Id', managerSid).send({ title: 'Payroll suite', contract_type: 'Software', status_id: 1 }).expect(201)).body.contract_id;
+    const requestId = (await request(app).post(`/contracts/${id}/approvals`).set('X-Session-Id', managerSid).send({}).expect(201)).body.request_id;
+    await request(app).post(`/approvals/${requestId}/approve`).set('X-Session-Id', adminSid).send({}).expect(200);
+    await request(app).post(`/approvals/${requestId}/approve`).set('X-Session-Id', viewerSid).send({}).expect(200);
+
+    await request(app).patch(`/contracts/${id}`).set('X-Session-Id', managerSid).send({ title: 'Payroll suite 2' }).expect(200);
+    await request(app).patch(`/contracts/${id}`).set('X-Session-Id', managerSid).send({ department_id: 2 }).expect(200);
+    const [voided] = (await request(app).get(`/contracts/${id}/approvals`).set('X-Session-Id', managerSid).expect(200)).body;
+    expect(voided.status).toBe('voided');
+    await request(app).patch(`/contracts/${id}`).set('X-Session-Id', managerSid).send({ status_id: 2 }).expect(409);
+  });
+
+  it('does not let the requester approve their own request', async () => {
+    const adminSid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const id = (await request(app).post('/contracts').set('X-Session-Id', adminSid).send({ title: 'HR suite', contract_type: 'Software', status_id: 1 }).expect(201)).body.contract_id;
+    const own = await request(app).post(`/contracts/${id}/approvals`).set('X-Session-Id', adminSid).send({}).expect(409);
+    expect(own.body.error).toMatch(/another editor/);
+    await request(app)
+      .post(`/contracts/${id}/approvals`)
+      .set('X-Session-Id', adminSid)
+      .send({ approver_ids: [defaultUser.user_id, viewerUser.user_id, managerUser.user_id] })
+      .expect(409);
+
+    // Requests opened before requesters were kept off their own approver list
+    const requestId = state.approvalRequests.length + 1;
+    state.approvalRequests.push({ request_id: requestId, contract_id: id, mode: 'parallel', requested_by: defaultUser.user_id, status: 'pending', requested_at: new Date().toISOString() });
+    state.approvalSteps.push({ step_id: state.approvalSteps.length + 1, request_id: requestId, position: 1, approver_id: defaultUser.user_id, decision: 'pending', comment: null });
+    const refused = await request(app).post(`/approvals/${requestId}/approve`).set('X-Session-Id', adminSid).send({}).expect(403);
+    expect(refused.body.error).toMatch(/your own/);
+    await request(app).patch(`/contracts/${id}`).set('X-Session-Id', adminSid).send({ status_id: 2 }).expect(409);
+  });
+
+  it('applies value thresholds in the rule currency only', async () => {
+    const adminSid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    await request(app).post('/approvals/rules').set('X-Session-Id', adminSid).send({ name: 'Big deals', min_value: '100000', approver_ids: [101] }).expect(400);
+    const rule = await request(app)
+      .post('/approvals/rules')
+      .set('X-Session-Id', adminSid)
+      .send({ name: 'Big deals', min_value: '100,000', currency: 'gbp', approver_ids: [defaultUser.user_id] })
+      .expect(201);
+    expect(rule.body).toMatchObject({ min_value_minor: 10000000, min_value: '100000.00', currency: 'GBP' });
+
+    const create = (title, value, currency) =>
+      request(app).post('/contracts').set('X-Session-Id', adminSid).send({ title, contract_type: 'Hardware', status_id: 1, total_value: value, currency }).expect(201);
+    const big = (await create('Servers', '250000', 'GBP')).body.contract_id;
+    const small = (await create('Laptops', '500', 'GBP')).body.contract_id;
+    const franc = (await create('Racks', '250000', 'CHF')).body.contract_id;
+    await request(app).patch(`/contracts/${big}`).set('X-Session-Id', adminSid).send({ status_id: 2 }).expect(409);
+    await request(app).patch(`/contracts/${small}`).set('X-Session-Id', adminSid).send({ status_id: 2 }).expect(200);
+    await request(app).patch(`/contracts/${franc}`).set('X-Session-Id', adminSid).send({ status_id: 2 }).expect(200);
+    await request(app).patch(`/contracts/${small}`).set('X-Session-Id', adminSid).send({ total_value: '150000' }).expect(409);
+  });
+});
+
+describe('Department and status deletion', () => {
+  it('refuses to orphan contracts, reassigns them on request and merges departments', async () => {
+    state.departments.push({ department_id: 3, name: 'facilities' }, { department_id: 4, name: 'grounds' });
+    state.contractRows.push(
+      { contract_id: 901, title: 'HVAC service', department_id: 3, status_id: 2, deleted_at: null },
+      { contract_id: 902, title: 'Old HVAC service', department_id: 3, status_id: 2, deleted_at: new Date().toISOString() },
+      { contract_id: 903, title: 'Mowing', department_id: 4, status_id: 2, deleted_at: null },
+    );
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+
+    const refused = await request(app).delete('/departments/3').set('X-Session-Id', sid).expect(409);
+    expect(refused.body.contract_count).toBe(2);
+    await request(app).delete('/departments/3?reassign_to=99').set('X-Session-Id', sid).expect(400);
+    await request(app).delete('/departments/3?reassign_to=3').set('X-Session-Id', sid).expect(400);
+
+    const deleted = await request(app).delete('/departments/3?reassign_to=1').set('X-Session-Id', sid).expect(200);
+    expect(deleted.body.contracts_moved).toBe(2);
+    expect(state.departments.some((d) => d.department_id === 3)).toBe(false);
+    expect(state.contractRows.filter((c) => [901, 902].includes(c.contract_id)).map((c) => c.department_id)).toEqual([1, 1]);
+    expect(state.auditLog.some((a) => a.entity_type === 'contract' && a.entity_id === 901 && a.changes.department_id?.new === 1)).toBe(true);
+
+    const merged = await request(app).post('/departments/4/merge').set('X-Session-Id', sid).send({ into: 2 }).expect(200);
+    expect(merged.body).toMatchObject({ department: { department_id: 2 }, merged_department_id: 4, contracts_moved: 1 });
+    expect(state.contractRows.find((c) => c.contract_id === 903).department_id).toBe(2);
+    expect(state.departments.some((d) => d.department_id === 4)).toBe(false);
+    expect(state.auditLog.find((a) => a.entity_type === 'department' && a.entity_id === 4).action).toBe('merge');
+
+    const statusRefused = await request(app).delete('/statuses/2').set('X-Session-Id', sid).expect(409);
+    expect(statusRefused.body.contract_count).toBeGreaterThan(0);
+  });
+
+  it('refuses to move contracts that would lose the approval their status needs', async () => {
+    state.departments.push({ department_id: 5, name: 'legal' }, { department_id: 6, name: 'paralegal' }, { department_id: 7, name: 'compliance' });
+    state.contractRows.push(
+      { contract_id: 911, title: 'Case archive', department_id: 6, status_id: 2, deleted_at: null },
+      { contract_id: 912, title: 'Case intake', department_id: 6, status_id: 1, deleted_at: null },
+      { contract_id: 913, title: 'Screening', department_id: 7, status_id: 2, deleted_at: null },
+    );
+    state.statuses[1].requires_approval = true;
+    state.approvalRules.push(
+      { rule_id: 1, name: 'Legal', contract_type: null, department_id: 5, mode: 'parallel', approver_ids: [defaultUser.user_id] },
+      { rule_id: 2, name: 'Compliance', contract_type: null, department_id: 7, mode: 'parallel', approver_ids: [defaultUser.user_id] },
+    );
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    try {
+      const deleted = await request(app).delete('/departments/6?reassign_to=5').set('X-Session-Id', sid).expect(409);
+      expect(deleted.body.error).toMatch(/approved approval request/);
+      expect(deleted.body.blocked_contract_ids).toEqual([911]);
+      const merged = await request(app).post('/departments/6/merge').set('X-Session-Id', sid).send({ into: 5 }).expect(409);
+      expect(merged.body.blocked_contract_ids).toEqual([911]);
+      // The source department's rules follow the merge
+      const carried = await request(app).post('/departments/7/merge').set('X-Session-Id', sid).send({ into: 1 }).expect(409);
+      expect(carried.body.blocked_contract_ids).toEqual([913]);
+      await request(app).delete('/departments/7?reassign_to=1').set('X-Session-Id', sid).expect(200);
+      expect(state.contractRows.filter((c) => [911, 912].includes(c.contract_id)).map((c) => c.department_id)).toEqual([6, 6]);
+    } finally {
+      delete state.statuses[1].requires_approval;
+      state.approvalRules = [];
+    }
+  });
+});
+
+describe('Counterparty registry', () => {
+  it('dedupes names, links contracts by id or matching name and reports exposure', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const viewerSid = (await request(app).post('/auth/login').send({ username: viewerUser.username, password: 'pw' }).expect(200)).body.session_id;
+
+    await request(app).post('/counterparties').set('X-Session-Id', viewerSid).send({ name: 'Acme' }).expect(403);
+    await request(app)
+      .post('/counterparties')
+      .set('X-Session-Id', sid)
+      .send({ name: 'Acme', contacts: [{ name: 'A', is_primary: true }, { name: 'B', is_primary: true }] })
+      .expect(400);
+    const created = await request(app)
+      .post('/counterparties')
+      .set('X-Session-Id', sid)
+      .send({
+        name: 'Acme Inc.',
+        contacts: [{ name: 'Jo Buyer', email: 'Jo@Acme.example', is_primary: true }],
+        tax_ids: [{ scheme: 'vat', value: 'DE123456789', country: 'de' }],
+      })
+      .expect(201);
+    const acmeId = created.body.counterparty_id;
+    expect(created.body.contacts).toEqual([expect.objectContaining({ email: 'jo@acme.example', is_primary: true })]);
+    expect(created.body.tax_ids).toEqual([expect.objectContaining({ scheme: 'VAT', country: 'DE' })]);
+    await request(app).post('/counterparties').set('X-Session-Id', sid).send({ name: 'ACME, LLC' }).expect(409);
+
+    const byName = await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Anvils', counterparty_name: 'acme' }).expect(201);
+    expect(byName.body).toMatchObject({ counterparty_id: acmeId, counterparty_name: 'Acme Inc.' });
+    const byId = await request(app)
+      .post('/contracts')
+      .set('X-Session-Id', sid)
+      .send({ title: 'Rockets', counterparty_id: acmeId, end_date: '2099-06-30', auto_renew: true, renewal_term_months: 12 })
+      .expect(201);
+    expect(byId.body.counterparty_name).toBe('Acme Inc.');
+
+    await request(app).patch(`/counterparties/${acmeId}`).set('X-Session-Id', sid).send({ name: 'Acme Corporation' }).expect(200);
+    const renamed = state.auditLog.filter((a) => a.entity_type === 'contract' && a.entity_id === byId.body.contract_id && a.action === 'update');
+    expect(renamed.map((a) => a.changes)).toEqual([{ counterparty_name: { old: 'Acme Inc.', new: 'Acme Corporation' } }]);
+    const exposure = await request(app).get(`/counterparties/${acmeId}/contracts`).set('X-Session-Id', sid).expect(200);
+    expect(exposure.body.contracts.map((c) => c.counterparty_name)).toEqual(['Acme Corporation', 'Acme Corporation']);
+    expect(exposure.body.exposure).toMatchObject({ contract_count: 2, open_contract_count: 2, auto_renew_count: 1, next_end_date: '2099-06-30' });
+
+    const refused = await request(app).delete(`/counterparties/${acmeId}`).set('X-Session-Id', sid).expect(409);
+    expect(refused.body.contract_count).toBe(2);
+
+    const holdings = await request(app)
+      .post('/counterparties')
+      .set('X-Session-Id', sid)
+      .send({ name: 'Acme Holdings', tax_ids: [{ scheme: 'VAT', value: 'DE123456789' }] })
+      .expect(201);
+    const merged = await request(app).post(`/counterparties/${acmeId}/merge`).set('X-Session-Id', sid).send({ into: holdings.body.counterparty_id }).expect(200);
+    expect(merged.body.contracts_moved).toBe(2);
+    expect(merged.body.counterparty.contacts).toHaveLength(1);
+    expect(merged.body.counterparty.tax_ids).toHaveLength(1);
+    expect(state.contractRows.find((c) => c.contract_id === byName.body.contract_id).counterparty_name).toBe('Acme Holdings');
+    expect(state.auditLog.find((a) => a.entity_type === 'counterparty' && a.entity_id === acmeId && a.action === 'merge')).toBeDefined();
+  });
+});
+
+describe('Contract financials', () => {
+  it('stores values in minor units, schedules payments and rolls up per currency', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+
+    await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Fleet', total_value: '1000' }).expect(400);
+    await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Fleet', total_value: '10.5', currency: 'JPY' }).expect(400);
+    const created = await request(app)
+      .post('/contracts')
+      .set('X-Session-Id', sid)
+      .send({ title: 'Fleet leasing', department_id: 2, total_value: '12,000.00', currency: 'usd', billing_frequency: 'quarterly', start_date: '2026-01-01', end_date: '2026-12-31' })
+      .expect(201);
+    expect(created.body).toMatchObject({ total_value_minor: 1200000, total_value: '12000.00', currency: 'USD', billing_frequency: 'quarterly' });
+    const id = created.body.contract_id;
+    await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Parking', department_id: 2, total_value_minor: 50000, currency: 'USD' }).expect(201);
+
+    const generated = await request(app).post(`/contracts/${id}/payments/generate`).set('X-Session-Id', sid).send({}).expect(201);
+    expect(generated.body.map((p) => [p.due_date, p.amount])).toEqual([
+      ['2026-01-01', '3000.00'],
+      ['2026-04-01', '3000.00'],
+      ['2026-07-01', '3000.00'],
+      ['2026-10-01', '3000.00'],
+    ]);
+    await request(app).post(`/contracts/${id}/payments/generate`).set('X-Session-Id', sid).send({}).expect(409);
+    await request(app).patch(`/contracts/${id}/payments/${generated.body[0].payment_id}`).set('X-Session-Id', sid).send({ status: 'paid', paid_date: '2026-01-05' }).expect(200);
+    const schedule = await request(app).get(`/contracts/${id}/payments`).set('X-Session-Id', sid).expect(200);
+    expect(schedule.body).toMatchObject({ currency: 'USD', total_value_minor: 1200000, scheduled_minor: 1200000, paid_minor: 300000, unscheduled_minor: 0 });
+    await request(app).post(`/contracts/${id}/payments`).set('X-Session-Id', sid).send({ due_date: '2026-12-01', amount: '1.005' }).expect(400);
+
+    const moved = await request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send({ currency: 'EUR', total_value: '11000' }).expect(409);
+    expect(moved.body.error).toMatch(/scheduled payments/);
+
+    const rollup = await request(app).get('/contracts/financials?group_by=department').set('X-Session-Id', sid).expect(200);
+    expect(rollup.body.totals_by_currency.USD).toMatchObject({ contract_count: 2, total_value_minor: 1250000 });
+    await request(app).get('/contracts/financials?group_by=owner').set('X-Session-Id', sid).expect(400);
+  });
+
+  it('normalizes money fields and requires restating the value when the currency changes', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const create = (body) => request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Vending', department_id: 1, ...body });
+    const created = await create({ total_value: '1,000.00', currency: 'usd', billing_frequency: 'Semi-Annual' }).expect(201);
+    expect(created.body).toMatchObject({ total_value_minor: 100000, currency: 'USD', billing_frequency: 'semiannual' });
+    expect((await create({ total_value_minor: 12.5, currency: 'EUR' }).expect(400)).body.error).toMatch(/whole number/);
+    expect((await create({ billing_frequency: 'weekly' }).expect(400)).body.error).toMatch(/billing_frequency/);
+
+    const id = created.body.contract_id;
+    const patch = (body) => request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send(body);
+    expect((await patch({ currency: 'JPY' }).expect(400)).body.error).toMatch(/restated/);
+    const restated = await patch({ currency: 'JPY', total_value: '100000' }).expect(200);
+    expect(restated.body).toMatchObject({ currency: 'JPY', total_value_minor: 100000 });
+  });
+});
+
+describe('Contract relationships', () => {
+  it('creates renewals with shifted dates, links amendments and returns the tree', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const parent = (await request(app)
+      .post('/contracts')
+      .set('X-Session-Id', sid)
+      .send({ title: 'Janitorial services', department_id: 1, start_date: '2026-01-01', end_date: '2026-12-31', auto_renew: true, renewal_term_months: 12, total_value: '5000', currency: 'USD' })
+      .expect(201)).body;
+
+    const renewal = await request(app).post(`/contracts/${parent.contract_id}/renewal`).set('X-Session-Id', sid).send({ total_value: '5500' }).expect(201);
+    expect(renewal.body).toMatchObject({
+      title: 'Janitorial services',
+      department_id: 1,
+      start_date: '2027-01-01',
+      effective_date: '2027-01-01',
+      end_date: '2027-12-31',
+      total_value_minor: 550000,
+      currency: 'USD',
+    });
+    expect(renewal.body.signed_date).toBeUndefined();
+    expect(renewal.body.relationships.parents).toMatchObject([{ type: 'renewed_by', contract: { contract_id: parent.contract_id } }]);
+    expect(state.contractRows.find((c) => c.contract_id === parent.contract_id).auto_renew).toBe(false);
+    const again = await request(app).post(`/contracts/${parent.contract_id}/renewal`).set('X-Session-Id', sid).send({ term_months: 6 }).expect(409);
+    expect(again.body.error).toMatch(/already renewed by contract \d+/);
+
+    const amendment = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Janitorial amendment 1', department_id: 1 }).expect(201)).body;
+    await request(app).post(`/contracts/${amendment.contract_id}/relationships`).set('X-Session-Id', sid).send({ type: 'amendment', contract_id: parent.contract_id }).expect(400);
+    const link = await request(app)
+      .post(`/contracts/${amendment.contract_id}/relationships`)
+      .set('X-Session-Id', sid)
+      .send({ type: 'amends', contract_id: renewal.body.contract_id })
+      .expect(201);
+    const loop = await request(app).post(`/contracts/${parent.contract_id}/relationships`).set('X-Session-Id', sid).send({ type: 'supersedes', contract_id: amendment.contract_id }).expect(409);
+    expect(loop.body.error).toMatch(/descends from/);
+
+    const detail = await request(app).get(`/contracts/${parent.contract_id}`).set('X-Session-Id', sid).expect(200);
+    expect(detail.body.relationships).toMatchObject({
+      parents: [],
+      children: [{ type: 'renews', contract: { contract_id: renewal.body.contract_id }, children: [{ type: 'amends', contract: { contract_id: amendment.contract_id }, children: [] }] }],
+    });
+
+    await request(app).delete(`/contracts/${parent.contract_id}/relationships/${link.body.relationship_id}`).set('X-Session-Id', sid).expect(404);
+    await request(app).delete(`/contracts/${amendment.contract_id}/relationships/${link.body.relationship_id}`).set('X-Session-Id', sid).expect(204);
+    const tree = await request(app).get(`/contracts/${renewal.body.contract_id}/relationships`).set('X-Session-Id', sid).expect(200);
+    expect(tree.body.children).toEqual([]);
+  });
+});
+
+describe('Contract obligations', () => {
+  it('tracks recurring obligations and feeds overdue and this-week deadlines', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const contract = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Security guards', department_id: 2 }).expect(201)).body;
+    const base = `/contracts/${contract.contract_id}/obligations`;
+
+    await request(app).post(base).set('X-Session-Id', sid).send({ title: 'Insurance certificate', due_date: '2027-01-31', recurrence: 'fortnightly' }).expect(400);
+    await request(app).post(base).set('X-Session-Id', sid).send({ title: 'Insurance certificate', due_date: '2027-01-31', recurrence_until: '2027-01-01' }).expect(400);
+    const certificate = (await request(app)
+      .post(base)
+      .set('X-Session-Id', sid)
+      .send({ title: 'Insurance certificate', category: 'insurance', owner: 'certs@example.com', due_date: '2027-01-31', recurrence: 'monthly', recurrence_until: '2027-03-31' })
+      .expect(201)).body;
+    expect(certificate).toMatchObject({ series_start: '2027-01-31', occurrence: 1, state: 'open' });
+    await request(app).post(base).set('X-Session-Id', sid).send({ title: 'Price review', category: 'price_review', due_date: '2027-03-05' }).expect(201);
+
+    const first = await request(app).post(`${base}/${certificate.obligation_id}/complete`).set('X-Session-Id', sid).send({ completed_on: '2027-01-29' }).expect(200);
+    expect(first.body.obligation).toMatchObject({ completed_on: '2027-01-29', state: 'completed' });
+    expect(first.body.next).toMatchObject({ due_date: '2027-02-28', occurrence: 2, previous_obligation_id: certificate.obligation_id });
+    await request(app).post(`${base}/${certificate.obligation_id}/complete`).set('X-Session-Id', sid).send({}).expect(409);
+    await request(app).patch(`${base}/${certificate.obligation_id}`).set('X-Session-Id', sid).send({ owner: 'x@example.com' }).expect(409);
+
+    const week = await request(app).get('/contracts/deadlines').query({ as_of: '2027-03-03' }).set('X-Session-Id', sid).expect(200);
+    expect(week.body.week_end).toBe('2027-03-07');
+    expect(week.body.overdue.filter((i) => i.contract_id === contract.contract_id).map((i) => [i.obligation_title, i.due_date, i.days_until])).toEqual([
+      ['Insurance certificate', '2027-02-28', -3],
+    ]);
+    expect(week.body.due_this_week.filter((i) => i.contract_id === contract.contract_id).map((i) => `${i.kind}:${i.obligation_title}`)).toEqual(['obligation:Price review']);
+    const upcoming = await request(app).get('/contracts/upcoming').query({ as_of: '2027-03-03', buckets: '7' }).set('X-Session-Id', sid).expect(200);
+    expect(upcoming.body.overdue.map((i) => i.obligation_id)).toContain(first.body.next.obligation_id);
+
+    const sent = [];
+    mail.setMailTransport({ send: async (message) => { sent.push(message); } });
+    await reminders.runReminders('2027-02-25');
+    expect(sent.filter((m) => m.to === 'certs@example.com').map((m) => m.subject)).toEqual(['Reminder: "Security guards" has "Insurance certificate" due on 2027-02-28']);
+
+    const second = await request(app).post(`${base}/${first.body.next.obligation_id}/complete`).set('X-Session-Id', sid).send({ completed_on: '2027-03-03' }).expect(200);
+    expect(second.body.next).toMatchObject({ due_date: '2027-03-31', occurrence: 3 });
+    const last = await request(app).post(`${base}/${second.body.next.obligation_id}/complete`).set('X-Session-Id', sid).send({}).expect(200);
+    expect(last.body.next).toBeNull();
+
+    await request(app).post(`${base}/${certificate.obligation_id}/reopen`).set('X-Session-Id', sid).send({}).expect(409);
+    await request(app).post(`${base}/${second.body.next.obligation_id}/reopen`).set('X-Session-Id', sid).send({}).expect(200);
+    await request(app).post(`${base}/${first.body.next.obligation_id}/reopen`).set('X-Session-Id', sid).send({}).expect(200);
+    const open = await request(app).get(base).query({ status: 'open' }).set('X-Session-Id', sid).expect(200);
+    expect(open.body.map((o) => [o.title, o.due_date])).toEqual([
+      ['Insurance certificate', '2027-02-28'],
+      ['Price review', '2027-03-05'],
+    ]);
+    await request(app).delete(`${base}/${open.body[1].obligation_id}`).set('X-Session-Id', sid).expect(204);
+    await request(app).delete(`${base}/${open.body[1].obligation_id}`).set('X-Session-Id', sid).expect(404);
+  });
+
+  it('validates obligation bodies and restarts the series only when the schedule changes', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const contract = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Waste hauling', department_id: 1 }).expect(201)).body;
+    const base = `/contracts/${contract.contract_id}/obligations`;
+
+    expect((await request(app).post(base).set('X-Session-Id', sid).send({ due_date: '2027-01-01' }).expect(400)).body.error).toMatch(/title/);
+    expect((await request(app).post(base).set('X-Session-Id', sid).send({ title: 'SLA review', due_date: '2027-02-30' }).expect(400)).body.error).toMatch(/due_date/);
+    const review = (await request(app)
+      .post(base)
+      .set('X-Session-Id', sid)
+      .send({ title: ' SLA review ', category: 'sla', owner: '', due_date: '2027-01-15', recurrence: 'quarterly' })
+      .expect(201)).body;
+    expect(review).toMatchObject({ title: 'SLA review', category: 'sla', owner: null, due_date: '2027-01-15', series_start: '2027-01-15', occurrence: 1 });
+
+    const item = `${base}/${review.obligation_id}`;
+    const reassigned = await request(app).patch(item).set('X-Session-Id', sid).send({ owner: 'ops@example.com' }).expect(200);
+    expect(reassigned.body).toMatchObject({ owner: 'ops@example.com', series_start: '2027-01-15' });
+    const moved = await request(app).patch(item).set('X-Session-Id', sid).send({ due_date: '2027-01-20' }).expect(200);
+    expect(moved.body).toMatchObject({ series_start: '2027-01-20', occurrence: 1 });
+    expect((await request(app).patch(item).set('X-Session-Id', sid).send({ recurrence_until: '2027-01-01' }).expect(400)).body.error).toMatch(/recurrence_until/);
+    expect((await request(app).patch(item).set('X-Session-Id', sid).send({ category: 'audit' }).expect(400)).body.error).toMatch(/category/);
+  });
+});
+
+describe('Contract comments', () => {
+  beforeEach(() => {
+    state.users.get(viewerUser.user_id).department_ids = [1];
+  });
+  afterEach(() => {
+    delete state.users.get(viewerUser.user_id).department_ids;
+  });
+
+  it('threads comments, lets only the author edit or delete and notifies mentioned users', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const viewerSid = (await request(app).post('/auth/login').send({ username: viewerUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const contract = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Snow removal', department_id: 1 }).expect(201)).body;
+    const base = `/contracts/${contract.contract_id}/comments`;
+
+    expect((await request(app).post(base).set('X-Session-Id', sid).send({ body: '   ' }).expect(400)).body.error).toMatch(/required/);
+    expect((await request(app).post(base).set('X-Session-Id', sid).send({ body: 'x'.repeat(10001) }).expect(400)).body.error).toMatch(/at most/);
+    const question = await request(app)
+      .post(base)
+      .set('X-Session-Id', sid)
+      .send({ body: '  Can @Viewer@example.com, @nobody and @user@example.com check the rates?\n' })
+      .expect(201);
+    expect(question.body).toMatchObject({ body: 'Can @Viewer@example.com, @nobody and @user@example.com check the rates?', author_id: defaultUser.user_id, author_name: 'Example User', mentions: [{ user_id: defaultUser.user_id, username: defaultUser.username }, { user_id: viewerUser.user_id }] });
+
+    const unread = await request(app).get('/notifications').query({ unread: 'true' }).set('X-Session-Id', viewerSid).expect(200);
+    expect(unread.headers['x-total-count']).toBe('1');
+    expect(unread.body[0]).toMatchObject({ kind: 'mention', contract_id: contract.contract_id, contract_title: 'Snow removal', comment_id: question.body.comment_id, actor_id: defaultUser.user_id, read: false });
+    expect((await request(app).get('/notifications').set('X-Session-Id', sid).expect(200)).body).toEqual([]);
+
+    const reply = await request(app).post(base).set('X-Session-Id', viewerSid).send({ body: 'Looks fine to me', parent_comment_id: question.body.comment_id }).expect(201);
+    await request(app).post(base).set('X-Session-Id', sid).send({ body: 'x', parent_comment_id: 9999 }).expect(400);
+    await request(app).patch(`${base}/${reply.body.comment_id}`).set('X-Session-Id', sid).send({ body: 'Hijacked' }).expect(403);
+    await request(app).delete(`${base}/${question.body.comment_id}`).set('X-Session-Id', viewerSid).expect(403);
+
+    // Editing only notifies users who were not mentioned before
+    const edited = await request(app).patch(`${base}/${reply.body.comment_id}`).set('X-Session-Id', viewerSid).send({ body: 'Looks fine, @user@example.com.' }).expect(200);
+    expect(edited.body.edited_at).toBeTruthy();
+    await request(app).patch(`${base}/${reply.body.comment_id}`).set('X-Session-Id', viewerSid).send({ body: 'Looks fine, @user@example.com!' }).expect(200);
+    const mine = await request(app).get('/notifications').set('X-Session-Id', sid).expect(200);
+    expect(mine.body.map((n) => [n.comment_id, n.actor_id])).toEqual([[reply.body.comment_id, viewerUser.user_id]]);
+    expect((await request(app).get('/notifications/unread-count').set('X-Session-Id', sid).expect(200)).body).toEqual({ unread: 1 });
+    await request(app).patch(`/notifications/${mine.body[0].notification_id}`).set('X-Session-Id', viewerSid).send({ read: true }).expect(404);
+    await request(app).patch(`/notifications/${mine.body[0].notification_id}`).set('X-Session-Id', sid).send({ read: true }).expect(200);
+    expect((await request(app).get('/notifications/unread-count').set('X-Session-Id', sid).expect(200)).body).toEqual({ unread: 0 });
+    expect((await request(app).post('/notifications/read-all').set('X-Session-Id', viewerSid).expect(200)).body).toEqual({ marked_read: 1 });
+
+    // A deleted comment with replies stays as a placeholder
+    await request(app).delete(`${base}/${question.body.comment_id}`).set('X-Session-Id', sid).expect(204);
+    const thread = await request(app).get(base).set('X-Session-Id', sid).expect(200);
+    expect(thread.body).toMatchObject([{ comment_id: question.body.comment_id, body: null, replies: [{ comment_id: reply.body.comment_id, replies: [] }] }]);
+    await request(app).delete(`${base}/${reply.body.comment_id}`).set('X-Session-Id', viewerSid).expect(204);
+    expect((await request(app).get(base).set('X-Session-Id', sid).expect(200)).body).toEqual([]);
+  });
+});
+
+describe('Custom fields', () => {
+  it('validates typed values per department and filters and exports them', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const viewerSid = (await request(app).post('/auth/login').send({ username: viewerUser.username, password: 'pw' }).expect(200)).body.session_id;
+
+    await request(app).post('/custom-fields').set('X-Session-Id', viewerSid).send({ key: 'risk_tier', label: 'Risk tier', field_type: 'enum', options: ['low'] }).expect(403);
+    await request(app).post('/custom-fields').set('X-Session-Id', sid).send({ key: 'Risk Tier', label: 'Risk tier', field_type: 'enum', options: ['low'] }).expect(400);
+    await request(app).post('/custom-fields').set('X-Session-Id', sid).send({ key: 'risk_tier', label: 'Risk tier', field_type: 'enum' }).expect(400);
+    const risk = (await request(app)
+      .post('/custom-fields')
+      .set('X-Session-Id', sid)
+      .send({ key: 'risk_tier', label: 'Risk tier', field_type: 'enum', options: ['low', 'medium', 'high'] })
+      .expect(201)).body;
+    const po = (await request(app)
+      .post('/custom-fields')
+      .set('X-Session-Id', sid)
+      .send({ key: 'po_number', label: 'PO number', field_type: 'text', department_id: 1, required: true, sort_order: -1 })
+      .expect(201)).body;
+    await request(app).post('/custom-fields').set('X-Session-Id', sid).send({ key: 'po_number', label: 'PO', field_type: 'text' }).expect(409);
+    const forShelters = await request(app).get('/custom-fields?department_id=2').set('X-Session-Id', viewerSid).expect(200);
+    expect(forShelters.body.map((f) => f.key)).toEqual(['risk_tier']);
+
+    const missing = await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Fleet fuel cards', department_id: 1 }).expect(400);
+    expect(missing.body.error).toMatch(/po_number/);
+    const wrongDepartment = await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Kennel cleaning', department_id: 2, custom_fields: { po_number: 'PO-9' } }).expect(400);
+    expect(wrongDepartment.body.error).toMatch(/does not apply/);
+    await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Kennel cleaning', department_id: 2, custom_fields: { grant: 'x' } }).expect(400);
+    const fuel = (await request(app)
+      .post('/contracts')
+      .set('X-Session-Id', sid)
+      .send({ title: 'Fleet fuel cards', department_id: 1, custom_fields: { po_number: ' PO-1001 ', risk_tier: 'HIGH' } })
+      .expect(201)).body;
+    expect(fuel.custom_fields).toEqual({ po_number: 'PO-1001', risk_tier: 'high' });
+
+    await request(app).patch(`/contracts/${fuel.contract_id}`).set('X-Session-Id', sid).send({ custom_fields: { risk_tier: 'extreme' } }).expect(400);
+    await request(app).patch(`/contracts/${fuel.contract_id}`).set('X-Session-Id', sid).send({ custom_fields: { po_number: null } }).expect(400);
+    await request(app).patch(`/contracts/${fuel.contract_id}`).set('X-Session-Id', sid).send({ department_id: 2 }).expect(200);
+    expect(state.contractRows.find((c) => c.contract_id === fuel.contract_id).custom_fields).toEqual({ risk_tier: 'high' });
+
+    mockQuery.mockClear();
+    await request(app).get('/contracts').query({ 'cf.risk_tier': 'High,low' }).set('X-Session-Id', sid).expect(200);
+    const listCall = mockQuery.mock.calls.find(([text]) => /ORDER BY/.test(text) && /FROM\s+contract_management\.contract\s+c/.test(text));
+    expect(listCall[0]).toMatch(/c\.custom_fields->>\$1 = ANY\(\$2::text\[\]\)/);
+    expect(listCall[1]).toEqual(expect.arrayContaining(['risk_tier', ['high', 'low']]));
+    await request(app).get('/contracts').query({ 'cf.grant': 'x' }).set('X-Session-Id', sid).expect(400);
+    await request(app).get('/contracts').query({ 'cf.risk_tier_from': 'low' }).set('X-Session-Id', sid).expect(400);
+
+    const csv = await request(app).get('/contracts/export').set('X-Session-Id', sid).expect(200);
+    const lines = csv.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    expect(lines[0]).toMatch(/,deleted_at,cf\.po_number,cf\.risk_tier$/);
+    expect(lines.find((l) => l.startsWith(`${fuel.contract_id},`))).toMatch(/,,high$/);
+
+    const inUse = await request(app).patch(`/custom-fields/${risk.field_id}`).set('X-Session-Id', sid).send({ options: ['low', 'medium'] }).expect(409);
+    expect(inUse.body.error).toMatch(/high/);
+    await request(app).patch(`/custom-fields/${risk.field_id}`).set('X-Session-Id', sid).send({ field_type: 'text' }).expect(400);
+    const relabeled = await request(app).patch(`/custom-fields/${risk.field_id}`).set('X-Session-Id', sid).send({ label: 'Risk', options: ['low', 'medium', 'high', 'critical'] }).expect(200);
+    expect(relabeled.body).toMatchObject({ label: 'Risk', options: ['low', 'medium', 'high', 'critical'] });
+
+    const deleted = await request(app).delete(`/custom-fields/${risk.field_id}`).set('X-Session-Id', sid).expect(200);
+    expect(deleted.body.contracts_cleared).toBeGreaterThanOrEqual(1);
+    expect(state.contractRows.find((c) => c.contract_id === fuel.contract_id).custom_fields).toEqual({});
+    await request(app).delete(`/custom-fields/${po.field_id}`).set('X-Session-Id', sid).expect(200);
+    expect(state.auditLog.filter((a) => a.entity_type === 'custom_field').map((a) => a.action)).toEqual(['create', 'create', 'update', 'delete', 'delete']);
+  });
+
+  it('checks field definitions and the shape of contract values', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const define = (body) => request(app).post('/custom-fields').set('X-Session-Id', sid).send({ key: 'cost_center', label: 'x', ...body });
+    expect((await define({ field_type: 'list' }).expect(400)).body.error).toMatch(/field_type/);
+    expect((await define({ field_type: 'enum', options: ['a', 'a'] }).expect(400)).body.error).toMatch(/repeat/);
+    expect((await define({ field_type: 'text', options: ['a'] }).expect(400)).body.error).toMatch(/Only enum/);
+    const costCenter = (await define({ label: ' Cost center ', field_type: 'text' }).expect(201)).body;
+    expect(costCenter).toMatchObject({ key: 'cost_center', label: 'Cost center', field_type: 'text' });
+    const required = await request(app).patch(`/custom-fields/${costCenter.field_id}`).set('X-Session-Id', sid).send({ key: 'cost_center', required: true }).expect(200);
+    expect(required.body).toMatchObject({ key: 'cost_center', required: true });
+
+    const create = (customFields) => request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Printer toner', department_id: 1, custom_fields: customFields });
+    expect((await create(['CC-1']).expect(400)).body.error).toMatch(/object/);
+    const toner = (await create({ cost_center: 'CC-1' }).expect(201)).body;
+    expect(toner.custom_fields).toEqual({ cost_center: 'CC-1' });
+    await request(app).delete(`/custom-fields/${costCenter.field_id}`).set('X-Session-Id', sid).expect(200);
+  });
+});
+
+describe('Tags and saved views', () => {
+  it('tags contracts, filters the list by tag and lists tag usage', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const viewerSid = (await request(app).post('/auth/login').send({ username: viewerUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const handbook = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Employee handbook review', department_id: 1 }).expect(201)).body;
+    const payroll = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Payroll provider', department_id: 2 }).expect(201)).body;
+
+    await request(app).put(`/contracts/${handbook.contract_id}/tags`).set('X-Session-Id', viewerSid).send({ tags: ['HR'] }).expect(403);
+    await request(app).put(`/contracts/${handbook.contract_id}/tags`).set('X-Session-Id', sid).send({ tags: ['HR, Legal'] }).expect(400);
+    const tagged = await request(app)
+      .put(`/contracts/${handbook.contract_id}/tags`)
+      .set('X-Session-Id', sid)
+      .send({ tags: ['HR', '  Confidential ', 'hr'] })
+      .expect(200);
+    expect(tagged.body.map((t) => t.name)).toEqual(['Confidential', 'HR']);
+    const added = await request(app).post(`/contracts/${payroll.contract_id}/tags`).set('X-Session-Id', sid).send({ tags: ['hr'] }).expect(200);
+    expect(added.body).toEqual([{ tag_id: tagged.body[1].tag_id, name: 'HR' }]);
+    expect(state.auditLog.filter((a) => a.entity_id === handbook.contract_id && a.changes.tags)).toMatchObject([
+      { action: 'update', changes: { tags: { old: '[]', new: '["Confidential","HR"]' } } },
+    ]);
+
+    const tags = await request(app).get('/tags').set('X-Session-Id', viewerSid).expect(200);
+    expect(tags.body.map((t) => [t.name, t.contract_count])).toEqual([['HR', 2], ['Confidential', 1]]);
+
+    mockQuery.mockClear();
+    await request(app).get('/contracts').query({ tag: 'hr, Legal' }).set('X-Session-Id', sid).expect(200);
+    const listCall = mockQuery.mock.calls.find(([text]) => /ORDER BY/.test(text) && /FROM\s+contract_management\.contract\s+c/.test(text));
+    expect(listCall[0]).toMatch(/EXISTS \(\s*SELECT 1 FROM contract_management\.contract_tag ct[\s\S]*lower\(t\.name\) = ANY\(\$1::text\[\]\)/);
+    expect(listCall[1]).toEqual(expect.arrayContaining([['hr', 'legal']]));
+
+    const confidential = tagged.body[0].tag_id;
+    await request(app).delete(`/contracts/${handbook.contract_id}/tags/${confidential}`).set('X-Session-Id', sid).expect(204);
+    await request(app).delete(`/contracts/${handbook.contract_id}/tags/${confidential}`).set('X-Session-Id', sid).expect(404);
+    const remaining = await request(app).get(`/contracts/${handbook.contract_id}/tags`).set('X-Session-Id', sid).expect(200);
+    expect(remaining.body.map((t) => t.name)).toEqual(['HR']);
+  });
+
+  it('normalizes tag names and rejects blank, long or malformed tag lists', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const contract = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Data processing agreement', department_id: 1 }).expect(201)).body;
+    const put = (tags) => request(app).put(`/contracts/${contract.contract_id}/tags`).set('X-Session-Id', sid).send({ tags });
+
+    expect((await put(['   ']).expect(400)).body.error).toMatch(/non-empty/);
+    expect((await put([7]).expect(400)).body.error).toMatch(/non-empty/);
+    expect((await put(['x'.repeat(51)]).expect(400)).body.error).toMatch(/longer than 50/);
+    expect((await put('HR').expect(400)).body.error).toMatch(/array/);
+    expect((await put(['  data   processing ']).expect(200)).body.map((t) => t.name)).toEqual(['data processing']);
+    expect((await put([]).expect(200)).body).toEqual([]);
+  });
+
+  it('saves views per user, shares them with a department and runs them', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const viewerSid = (await request(app).post('/auth/login').send({ username: viewerUser.username, password: 'pw' }).expect(200)).body.session_id;
+
+    await request(app).post('/saved-views').set('X-Session-Id', sid).send({ name: 'HR', filters: { owner: 'x' } }).expect(400);
+    await request(app).post('/saved-views').set('X-Session-Id', sid).send({ name: 'HR', filters: {}, sort: 'password_hash' }).expect(400);
+    const created = await request(app)
+      .post('/saved-views')
+      .set('X-Session-Id', sid)
+      .send({ name: 'HR auto-renewals', filters: { tag: ['hr', 'people'], auto_renew: true, q: '' }, sort: '-end_date', department_id: 1 })
+      .expect(201);
+    expect(created.body).toMatchObject({ owned: true, filters: { tag: 'hr,people', auto_renew: 'true' }, sort: '-end_date', department: 'operations' });
+    const viewId = created.body.view_id;
+    await request(app).post('/saved-views').set('X-Session-Id', sid).send({ name: 'hr AUTO-renewals', filters: {} }).expect(409);
+
+    await request(app).get(`/saved-views/${viewId}`).set('X-Session-Id', viewerSid).expect(404);
+    state.users.get(viewerUser.user_id).department_ids = [1];
+    try {
+      const shared = await request(app).get('/saved-views').set('X-Session-Id', viewerSid).expect(200);
+      expect(shared.body).toMatchObject([{ view_id: viewId, owned: false, owner_name: defaultUser.name }]);
+      await request(app).patch(`/saved-views/${viewId}`).set('X-Session-Id', viewerSid).send({ name: 'Mine now' }).expect(403);
+      await request(app).delete(`/saved-views/${viewId}`).set('X-Session-Id', viewerSid).expect(403);
+
+      mockQuery.mockClear();
+      const results = await request(app).get(`/saved-views/${viewId}/contracts?limit=5`).set('X-Session-Id', viewerSid).expect(200);
+      expect(results.headers['x-total-count']).toBeDefined();
+      const listCall = mockQuery.mock.calls.find(([text]) => /ORDER BY/.test(text) && /FROM\s+contract_management\.contract\s+c/.test(text));
+      expect(listCall[0]).toMatch(/c\.auto_renew IS TRUE/);
+      expect(listCall[0]).toMatch(/c\.end_date DESC NULLS LAST/);
+      expect(listCall[1]).toEqual(expect.arrayContaining([['hr', 'people'], 5, 0]));
+    } finally {
+      delete state.users.get(viewerUser.user_id).department_ids;
+    }
+
+    const renamed = await request(app).patch(`/saved-views/${viewId}`).set('X-Session-Id', sid).send({ name: 'HR', department_id: null }).expect(200);
+    expect(renamed.body).toMatchObject({ name: 'HR', department_id: null, filters: { tag: 'hr,people' } });
+    await request(app).delete(`/saved-views/${viewId}`).set('X-Session-Id', sid).expect(204);
+    await request(app).get(`/saved-views/${viewId}`).set('X-Session-Id', sid).expect(404);
+  });
+});
+
+describe('Department scoping', () => {
+  const editorUser = { ...viewerUser, user_id: 103, username: 'editor@example.com', name: 'Editor User', role: 'department_editor', department_ids: [1] };
+  beforeAll(() => {
+    state.users.set(editorUser.user_id, { ...editorUser });
+  });
+  afterAll(() => {
+    state.users.delete(editorUser.user_id);
+  });
+
+  it('hides contracts outside a scoped user\'s departments from reads, lists and edits', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const editorSid = (await request(app).post('/auth/login').send({ username: editorUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const own = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Office cleaning', department_id: 1 }).expect(201)).body;
+    const other = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Staff counselling', department_id: 2 }).expect(201)).body;
+    await request(app).post(`/contracts/${own.contract_id}/relationships`).set('X-Session-Id', sid).send({ type: 'amends', contract_id: other.contract_id }).expect(201);
+
+    const seen = await request(app).get(`/contracts/${own.contract_id}`).set('X-Session-Id', editorSid).expect(200);
+    expect(seen.body.relationships.parents).toEqual([]);
+    await request(app).get(`/contracts/${own.contract_id}/history`).set('X-Session-Id', editorSid).expect(200);
+    for (const path of ['', '/history', '/comments', '/tags', '/relationships', '/obligations', '/payments', '/files', '/approvals']) {
+      await request(app).get(`/contracts/${other.contract_id}${path}`).set('X-Session-Id', editorSid).expect(404);
+    }
+    await request(app).patch(`/contracts/${other.contract_id}`).set('X-Session-Id', editorSid).send({ title: 'Mine now' }).expect(404);
+    await request(app).put(`/contracts/${other.contract_id}/tags`).set('X-Session-Id', editorSid).send({ tags: ['HR'] }).expect(404);
+    const moved = await request(app).patch(`/contracts/${own.contract_id}`).set('X-Session-Id', editorSid).send({ department_id: 2 }).expect(403);
+    expect(moved.body.missing_permission).toBe('contracts:write');
+    await request(app).patch(`/contracts/${own.contract_id}`).set('X-Session-Id', editorSid).send({ title: 'Office cleaning, weekly' }).expect(200);
+
+    mockQuery.mockClear();
+    await request(app).get('/contracts').query({ q: 'cleaning' }).set('X-Session-Id', editorSid).expect(200);
+    const listCall = mockQuery.mock.calls.find(([text]) => /ORDER BY/.test(text) && /FROM\s+contract_management\.contract\s+c/.test(text));
+    expect(listCall[0]).toMatch(/c\.department_id = ANY\(\$1::int\[\]\)/);
+    expect(listCall[1].slice(0, 2)).toEqual([[1], '%cleaning%']);
+
+    // Organization-wide roles are not filtered
+    mockQuery.mockClear();
+    await request(app).get('/contracts').set('X-Session-Id', sid).expect(200);
+    const adminCall = mockQuery.mock.calls.find(([text]) => /ORDER BY/.test(text) && /FROM\s+contract_management\.contract\s+c/.test(text));
+    expect(adminCall[0]).not.toMatch(/department_id = ANY/);
+    const full = await request(app).get(`/contracts/${own.contract_id}`).set('X-Session-Id', sid).expect(200);
+    expect(full.body.relationships.parents).toMatchObject([{ type: 'amended_by', contract: { contract_id: other.contract_id } }]);
+  });
+
+  it('only lets users watch departments they can see', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const editorSid = (await request(app).post('/auth/login').send({ username: editorUser.username, password: 'pw' }).expect(200)).body.session_id;
+    await request(app).post('/departments/2/watchers').set('X-Session-Id', editorSid).send({}).expect(404);
+    await request(app).get('/departments/2/watchers').set('X-Session-Id', editorSid).expect(404);
+    await request(app).delete(`/departments/2/watchers/${editorUser.user_id}`).set('X-Session-Id', editorSid).expect(404);
+    await request(app).post('/departments/1/watchers').set('X-Session-Id', editorSid).send({}).expect(204);
+    await request(app).post('/departments/2/watchers').set('X-Session-Id', sid).send({ user_id: editorUser.user_id }).expect(400);
+    await request(app).post('/departments/2/watchers').set('X-Session-Id', sid).send({ user_id: 999 }).expect(404);
+    await request(app).post('/departments/2/watchers').set('X-Session-Id', sid).send({}).expect(204);
+    expect(state.watchers).toEqual([{ department_id: 1, user_id: editorUser.user_id }, { department_id: 2, user_id: defaultUser.user_id }]);
+  });
+
+  it('keeps migrated accounts without departments working as organization-wide contract managers', async () => {
+    const migratedUser = { ...viewerUser, user_id: 105, username: 'legacy@example.com', name: 'Legacy User', role: 'contract_manager' };
+    delete migratedUser.department_ids;
+    state.users.set(migratedUser.user_id, migratedUser);
+    try {
+      const sid = (await request(app).post('/auth/login').send({ username: migratedUser.username, password: 'pw' }).expect(200)).body.session_id;
+      const id = (await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Legacy lease', department_id: 2 }).expect(201)).body.contract_id;
+      await request(app).get(`/contracts/${id}`).set('X-Session-Id', sid).expect(200);
+      await request(app).patch(`/contracts/${id}`).set('X-Session-Id', sid).send({ department_id: 1 }).expect(200);
+    } finally {
+      state.users.delete(migratedUser.user_id);
+    }
+  });
+
+  it('refuses counterparty renames that would rewrite contracts outside the editor\'s departments', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const editorSid = (await request(app).post('/auth/login').send({ username: editorUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const globex = (await request(app).post('/counterparties').set('X-Session-Id', sid).send({ name: 'Globex' }).expect(201)).body.counterparty_id;
+    const initech = (await request(app).post('/counterparties').set('X-Session-Id', sid).send({ name: 'Initech' }).expect(201)).body.counterparty_id;
+    await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Globex supplies', counterparty_id: globex, department_id: 2 }).expect(201);
+    await request(app).post('/contracts').set('X-Session-Id', sid).send({ title: 'Initech printers', counterparty_id: initech, department_id: 1 }).expect(201);
+
+    const refused = await request(app).patch(`/counterparties/${globex}`).set('X-Session-Id', editorSid).send({ name: 'Globex Corp' }).expect(403);
+    expect(refused.body.error).toMatch(/outside your departments/);
+    await request(app).patch(`/counterparties/${globex}`).set('X-Session-Id', editorSid).send({ notes: 'Net 30' }).expect(200);
+    await request(app).patch(`/counterparties/${initech}`).set('X-Session-Id', editorSid).send({ name: 'Initech Ltd' }).expect(200);
+  });
+});
+
+describe('Upcoming deadlines and reminders', () => {
+  beforeAll(() => {
+    state.contractRows.push(
+      { contract_id: 701, title: 'Copier lease', department_id: 1, internal_owner: 'owner@example.com', end_date: '2030-02-15', termination_notice_deadline: '2030-01-16', deleted_at: null },
+      { contract_id: 702, title: 'Cloud hosting', department_id: 2, internal_owner: 'owner@example.com', end_date: '2030-03-20', termination_notice_deadline: null, deleted_at: null },
+      { contract_id: 703, title: 'Far future', department_id: 2, internal_owner: null, end_date: '2031-01-01', termination_notice_deadline: null, deleted_at: null },
+    );
+  });
+
+  it('buckets end dates and notice deadlines by days remaining', async () => {
+    const sid = (await request(app).post('/auth/login').send({ username: defaultUser.username, password: 'pw' }).expect(200)).body.session_id;
+    const res = await request(app).get('/contracts/upcoming').query({ as_of: '2030-01-01' }).set('X-Session-Id', sid).expect(200);
+    expect(res.body.as_of).toBe('2030-01-01');
+    const summary = res.body.buckets.map((b) => [b.within_days, b.items.map((i) => `${i.contract_id}:${i.kind}`)]);
+    expect(summary).toEqual([
+      [30, ['701:notice_deadline']],
+      [60, ['701:end_date']],
+      [90, ['702:end_date']],
+    ]);
+    await request(app).get('/contracts/upcoming').query({ buckets: '30,abc' }).set('X-Session-Id', sid).expect(400);
+  });
+
+  it('emails the owner and watchers once per date and lead time', async () => {
+    const sent = [];
+    mail.setMailTransport({ send: async (message) => { sent.push(message); } });
+
+    await reminders.runReminders('2030-01-01');
+    const recipients = sent.map((m) => `${m.to}:${m.subject}`);
+    expect(recipients).toHaveLength(6);
+    expect(new Set(sent.map((m) => m.to))).toEqual(new Set(['owner@example.com', 'watcher@example.com']));
+
+    // Same day again: nothing new
+    await reminders.runReminders('2030-01-01');
+    expect(sent).toHaveLength(6);
+
+    // A week later the notice deadline crosses the 7-day lead and is reminded again
+    await reminders.runReminders('2030-01-10');
+    expect(sent.slice(6).every((m) => /Copier lease/.test(m.subject))).toBe(true);
+    expect(sent).toHaveLength(8);
+  });
+});
@@ -0,0 +1,27 @@
+import { parseMentions, buildThreads } from '../comments.js';
+
+describe('parseMentions', () => {
+  it('finds plain and email usernames without trailing punctuation', () => {
+    expect(parseMentions('@jdoe, please ask @Jane.Roe@Example.com. Thanks @jdoe!')).toEqual(['jdoe', 'jane.roe@example.com']);
+    expect(parseMentions('(cc @ops-team)')).toEqual(['ops-team']);
+  });
+
+  it('ignores email addresses and a lone @', () => {
+    expect(parseMentions('Send it to billing@example.com @ 5pm')).toEqual([]);
+    expect(parseMentions(null)).toEqual([]);
+  });
+});
+
+describe('buildThreads', () => {
+  it('nests replies and drops deleted comments without replies', () => {
+    const rows = [
+      { comment_id: 1, parent_comment_id: null, deleted_at: '2027-01-02' },
+      { comment_id: 2, parent_comment_id: 1, deleted_at: null },
+      { comment_id: 3, parent_comment_id: null, deleted_at: '2027-01-03' },
+      { comment_id: 4, parent_comment_id: 2, deleted_at: null },
+    ];
+    expect(buildThreads(rows)).toEqual([
+      { ...rows[0], replies: [{ ...rows[1], replies: [{ ...rows[3], replies: [] }] }] },
+    ]);
+  });
+});
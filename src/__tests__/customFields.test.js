@@ -0,0 +1,50 @@
+import { coerceCustomValue, buildCustomFieldFilters } from '../customFields.js';
+
+const fields = [
+  { key: 'grant_number', field_type: 'text', department_id: 2, required: true },
+  { key: 'budget', field_type: 'number', department_id: null, required: false },
+  { key: 'review_on', field_type: 'date', department_id: null, required: false },
+  { key: 'processes_data', field_type: 'boolean', department_id: null, required: false },
+  { key: 'risk_tier', field_type: 'enum', options: ['Low', 'High'], department_id: null, required: false },
+];
+const field = (key) => fields.find((f) => f.key === key);
+
+describe('coerceCustomValue', () => {
+  it('converts each type to its stored form', () => {
+    expect(coerceCustomValue(field('budget'), '12,500.50')).toEqual({ value: 12500.5 });
+    expect(coerceCustomValue(field('budget'), true).error).toMatch(/number/);
+    expect(coerceCustomValue(field('review_on'), '2027-02-30').error).toMatch(/date/);
+    expect(coerceCustomValue(field('processes_data'), 'Yes')).toEqual({ value: true });
+    expect(coerceCustomValue(field('risk_tier'), 'high')).toEqual({ value: 'High' });
+    expect(coerceCustomValue(field('risk_tier'), 'medium').error).toMatch(/one of Low, High/);
+    expect(coerceCustomValue(field('grant_number'), '  ')).toEqual({ value: null });
+  });
+});
+
+describe('buildCustomFieldFilters', () => {
+  const build = (query) => {
+    const params = [];
+    const result = buildCustomFieldFilters(query, fields, (v) => {
+      params.push(v);
+      return `$${params.length}`;
+    });
+    return { ...result, params };
+  };
+
+  it('builds typed comparisons and ranges', () => {
+    expect(build({ 'cf.budget_from': '100', 'cf.review_on_to': '2027-06-30', 'cf.processes_data': 'no', status_id: '1' })).toEqual({
+      where: [
+        '(c.custom_fields->>$1)::numeric >= $2::numeric',
+        '(c.custom_fields->>$3)::date <= $4::date',
+        '(c.custom_fields->>$5)::boolean IS NOT TRUE',
+      ],
+      params: ['budget', 100, 'review_on', '2027-06-30', 'processes_data'],
+    });
+  });
+
+  it('rejects unknown keys, bad values and ranges on other types', () => {
+    expect(build({ 'cf.nope': 'x' }).error).toMatch(/Unknown custom field/);
+    expect(build({ 'cf.budget': 'lots' }).error).toMatch(/Invalid cf\.budget/);
+    expect(build({ 'cf.risk_tier_to': 'High' }).error).toMatch(/only number and date/);
+  });
+});
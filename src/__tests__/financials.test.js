@@ -0,0 +1,56 @@
+import { parseAmount, formatMinor, annualizedValueMinor, buildPaymentSchedule } from '../financials.js';
+
+describe('amounts in minor units', () => {
+  it('converts decimal input using the currency exponent', () => {
+    expect(parseAmount('12,500.5', 'USD')).toEqual({ minor: 1250050 });
+    expect(parseAmount(0.1, 'EUR')).toEqual({ minor: 10 });
+    expect(parseAmount('1500', 'JPY')).toEqual({ minor: 1500 });
+    expect(parseAmount('1.250', 'KWD')).toEqual({ minor: 1250 });
+    expect(parseAmount('10.00', 'JPY')).toEqual({ minor: 10 });
+  });
+
+  it('rejects negative, malformed and over-precise amounts', () => {
+    expect(parseAmount('-5', 'USD').error).toBeDefined();
+    expect(parseAmount('12.345', 'USD').error).toMatch(/at most 2 decimal/);
+    expect(parseAmount('1.5', 'JPY').error).toMatch(/at most 0 decimal/);
+    expect(parseAmount('1e5', 'USD').error).toBeDefined();
+  });
+
+  it('formats minor units back to decimals', () => {
+    expect(formatMinor(1250050, 'USD')).toBe('12500.50');
+    expect(formatMinor(5, 'EUR')).toBe('0.05');
+    expect(formatMinor(1500, 'JPY')).toBe('1500');
+    expect(formatMinor(null, 'USD')).toBeNull();
+  });
+});
+
+describe('annualized value and payment schedules', () => {
+  it('spreads the value over the term', () => {
+    expect(annualizedValueMinor({ total_value_minor: 730000, start_date: '2025-01-01', end_date: '2026-12-31' })).toBe(365000);
+    expect(annualizedValueMinor({ total_value_minor: 120000, effective_date: '2025-01-01', end_date: '2025-06-30' })).toBe(241989);
+    expect(annualizedValueMinor({ total_value_minor: 120000, start_date: '2025-01-01' })).toBeNull();
+  });
+
+  it('splits the value into one installment per billing period', () => {
+    const { payments } = buildPaymentSchedule({
+      total_value_minor: 100000,
+      billing_frequency: 'quarterly',
+      start_date: '2025-01-31',
+      end_date: '2025-12-31',
+    });
+    expect(payments).toEqual([
+      { due_date: '2025-01-31', amount_minor: 25000 },
+      { due_date: '2025-04-30', amount_minor: 25000 },
+      { due_date: '2025-07-31', amount_minor: 25000 },
+      { due_date: '2025-10-31', amount_minor: 25000 },
+    ]);
+    const monthly = buildPaymentSchedule({ total_value_minor: 100000, billing_frequency: 'monthly', start_date: '2025-01-01', end_date: '2025-12-31' });
+    expect(monthly.payments).toHaveLength(12);
+    expect(monthly.payments[0].amount_minor).toBe(8337);
+    expect(monthly.payments.reduce((sum, p) => sum + p.amount_minor, 0)).toBe(100000);
+    expect(buildPaymentSchedule({ total_value_minor: 500, billing_frequency: 'one_time', start_date: '2025-03-01' }).payments).toEqual([
+      { due_date: '2025-03-01', amount_minor: 500 },
+    ]);
+    expect(buildPaymentSchedule({ total_value_minor: 500, billing_frequency: 'monthly', start_date: '2025-03-01' }).error).toMatch(/end_date/);
+  });
+});
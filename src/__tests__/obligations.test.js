@@ -0,0 +1,26 @@
+import { nextDueDate, obligationState } from '../obligations.js';
+import { endOfWeek } from '../deadlines.js';
+
+describe('recurrence', () => {
+  it('counts occurrences from the series start so month ends do not drift', () => {
+    const series = { recurrence: 'monthly', series_start: '2027-01-31', recurrence_until: null };
+    expect(nextDueDate({ ...series, occurrence: 1 })).toBe('2027-02-28');
+    expect(nextDueDate({ ...series, occurrence: 2 })).toBe('2027-03-31');
+    expect(nextDueDate({ recurrence: 'weekly', series_start: '2027-01-01', occurrence: 3 })).toBe('2027-01-22');
+    expect(nextDueDate({ recurrence: 'annual', series_start: '2028-02-29', occurrence: 1 })).toBe('2029-02-28');
+  });
+
+  it('stops at recurrence_until and for one-off obligations', () => {
+    expect(nextDueDate({ recurrence: 'quarterly', series_start: '2027-01-01', occurrence: 1, recurrence_until: '2027-03-31' })).toBeNull();
+    expect(nextDueDate({ recurrence: 'none', series_start: '2027-01-01', occurrence: 1 })).toBeNull();
+  });
+
+  it('derives the state and the end of the week', () => {
+    expect(obligationState({ due_date: '2027-01-01', completed_on: null }, '2027-01-02')).toBe('overdue');
+    expect(obligationState({ due_date: '2027-01-02', completed_on: null }, '2027-01-02')).toBe('open');
+    expect(obligationState({ due_date: '2027-01-01', completed_on: '2027-01-05' }, '2027-01-10')).toBe('completed');
+    expect(endOfWeek('2027-03-03')).toBe('2027-03-07');
+    expect(endOfWeek('2027-03-07')).toBe('2027-03-07');
+    expect(endOfWeek('2027-03-08')).toBe('2027-03-14');
+  });
+});
@@ -0,0 +1,31 @@
+import { addMonths, computeNoticeDeadline, pendingRenewalPeriods } from '../renewals.js';
+
+describe('date helpers', () => {
+  it('clamps month arithmetic to the end of shorter months', () => {
+    expect(addMonths('2024-01-31', 1)).toBe('2024-02-29');
+    expect(addMonths('2023-01-31', 1)).toBe('2023-02-28');
+    expect(addMonths('2024-11-15', 3)).toBe('2025-02-15');
+  });
+
+  it('derives the notice deadline from end date and notice days', () => {
+    expect(computeNoticeDeadline('2025-03-31', 60)).toBe('2025-01-30');
+    expect(computeNoticeDeadline('2025-03-31', null)).toBeNull();
+    expect(computeNoticeDeadline(null, 30)).toBeNull();
+  });
+});
+
+describe('pendingRenewalPeriods', () => {
+  it('rolls an expired term forward until it covers today', () => {
+    const periods = pendingRenewalPeriods('2024-01-31', 6, '2025-03-01');
+    expect(periods).toEqual([
+      { start_date: '2024-02-01', end_date: '2024-07-31', previous_end_date: '2024-01-31' },
+      { start_date: '2024-08-01', end_date: '2025-01-31', previous_end_date: '2024-07-31' },
+      { start_date: '2025-02-01', end_date: '2025-07-31', previous_end_date: '2025-01-31' },
+    ]);
+  });
+
+  it('does nothing for current terms or missing renewal terms', () => {
+    expect(pendingRenewalPeriods('2025-12-31', 12, '2025-03-01')).toEqual([]);
+    expect(pendingRenewalPeriods('2024-12-31', 0, '2025-03-01')).toEqual([]);
+  });
+});
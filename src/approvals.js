@@ -0,0 +1,162 @@
+import { DB_SCHEMA } from './db.js';
+import { sendMail } from './mail.js';
+
+// Contract approvals. approval_rule rows say which contracts (by contract_type,
+// department and/or a minimum value in one currency) need sign-off and from whom: one after another
+// (sequential) or all at once (parallel). A contract matched by a rule cannot
+// enter a status flagged requires_approval until its latest approval request
+// has been approved. An approval covers the contract as it was: changing a field
+// the rules match on voids it.
+
+const APPROVAL_MODES = ['sequential', 'parallel'];
+
+// Contract fields approval rules match on
+const APPROVAL_FIELDS = ['contract_type', 'department_id', 'total_value_minor', 'currency'];
+
+function approvalFieldsChanged(before, after) {
+  return APPROVAL_FIELDS.some((f) => String(before[f] ?? '').toLowerCase() !== String(after[f] ?? '').toLowerCase());
+}
+
+// Voids the pending and approved requests of the given contracts, whose
+// approvers signed off on terms that no longer hold. The caller owns the transaction.
+async function voidApprovals(client, contractIds) {
+  if (contractIds.length === 0) return;
+  await client.query(
+    `
+      UPDATE ${DB_SCHEMA}.approval_request
+      SET status = 'voided', completed_at = NOW()
+      WHERE contract_id = ANY($1::int[]) AND status IN ('pending', 'approved')
+    `,
+    [contractIds],
+  );
+}
+
+async function fetchMatchingRules(client, contract) {
+  const { rows } = await client.query(
+    `
+      SELECT rule_id, name, contract_type, department_id, min_value_minor, currency, mode, approver_ids
+      FROM ${DB_SCHEMA}.approval_rule
+      WHERE (contract_type IS NULL OR lower(contract_type) = lower($1))
+        AND (department_id IS NULL OR department_id = $2)
+        AND (min_value_minor IS NULL OR (currency = $3 AND $4::bigint >= min_value_minor))
+      ORDER BY rule_id
+    `,
+    [contract.contract_type ?? null, contract.department_id ?? null, contract.currency ?? null, contract.total_value_minor ?? null],
+  );
+  return rows;
+}
+
+// Approvers for a new request from the matching rules: rule order, no repeats,
+// sequential if any matching rule is
+function approvalPlanFromRules(rules) {
+  const approverIds = [];
+  for (const rule of rules) {
+    for (const id of rule.approver_ids) if (!approverIds.includes(id)) approverIds.push(id);
+  }
+  return { approverIds, mode: rules.some((r) => r.mode === 'sequential') ? 'sequential' : 'parallel' };
+}
+
+// Returns null when the contract may be in toStatusId, otherwise the reason it may not
+async function checkApprovalGate(client, contract, toStatusId) {
+  if (toStatusId == null) return null;
+  const { rows: statuses } = await client.query(
+    `SELECT name, requires_approval FROM ${DB_SCHEMA}.status WHERE status_id = $1`,
+    [toStatusId],
+  );
+  if (!statuses[0]?.requires_approval) return null;
+  const rules = await fetchMatchingRules(client, contract);
+  if (rules.length === 0) return null;
+  if (contract.contract_id != null) {
+    const { rows } = await client.query(
+      `
+        SELECT status
+        FROM ${DB_SCHEMA}.approval_request
+        WHERE contract_id = $1
+        ORDER BY requested_at DESC, request_id DESC
+        LIMIT 1
+      `,
+      [contract.contract_id],
+    );
+    if (rows[0]?.status === 'approved') return null;
+  }
+  return `Contract needs an approved approval request to be in "${statuses[0].name}"`;
+}
+
+// Approvers who can act now: every undecided approver on a parallel request, the
+// first undecided one on a sequential request
+function currentApproverIds(request, steps) {
+  if (request.status !== 'pending') return [];
+  const pending = steps.filter((s) => s.decision === 'pending').sort((a, b) => a.position - b.position);
+  if (request.mode === 'parallel') return pending.map((s) => s.approver_id);
+  return pending.length > 0 ? [pending[0].approver_id] : [];
+}
+
+// Requests for one contract (contractId) or a single request (requestId), newest
+// first, each with its steps in order
+async function fetchApprovalRequests(client, { contractId = null, requestId = null }) {
+  const { rows: requests } = await client.query(
+    `
+      SELECT r.*, COALESCE(ru.name, ru.username) AS requested_by_name
+      FROM ${DB_SCHEMA}.approval_request r
+      LEFT JOIN ${DB_SCHEMA}.user_account ru ON ru.user_id = r.requested_by
+      WHERE ${requestId != null ? 'r.request_id = $1' : 'r.contract_id = $1'}
+      ORDER BY r.requested_at DESC, r.request_id DESC
+    `,
+    [requestId != null ? requestId : contractId],
+  );
+  if (requests.length === 0) return [];
+  const { rows: steps } = await client.query(
+    `
+      SELECT st.step_id, st.request_id, st.position, st.approver_id, COALESCE(ua.name, ua.username) AS approver_name,
+             st.decision, st.comment, st.decided_at
+      FROM ${DB_SCHEMA}.approval_step st
+      LEFT JOIN ${DB_SCHEMA}.user_account ua ON ua.user_id = st.approver_id
+      WHERE st.request_id = ANY($1::int[])
+      ORDER BY st.position ASC
+    `,
+    [requests.map((r) => r.request_id)],
+  );
+  return requests.map((r) => {
+    const own = steps.filter((s) => s.request_id === r.request_id);
+    return { ...r, steps: own, current_approver_ids: currentApproverIds(r, own) };
+  });
+}
+
+// Best effort: a failed email never undoes the approval change that caused it
+async function notifyUsers(client, userIds, subject, text) {
+  if (userIds.length === 0) return;
+  try {
+    const { rows } = await client.query(
+      `SELECT username FROM ${DB_SCHEMA}.user_account WHERE user_id = ANY($1::int[]) AND status <> 'inactive'`,
+      [userIds],
+    );
+    for (const { username } of rows) {
+      if (!String(username).includes('@')) continue;
+      await sendMail({ to: username, subject, text });
+    }
+  } catch (err) {
+    console.error('Failed to send approval email:', err?.message || err);
+  }
+}
+
+function notifyApprovers(client, approverIds, contract) {
+  return notifyUsers(
+    client,
+    approverIds,
+    `Approval requested: "${contract.title}"`,
+    `Contract "${contract.title}" (#${contract.contract_id}) is waiting for your approval.\n\nSee GET /approvals/pending.`,
+  );
+}
+
+export {
+  APPROVAL_MODES,
+  approvalFieldsChanged,
+  voidApprovals,
+  fetchMatchingRules,
+  approvalPlanFromRules,
+  checkApprovalGate,
+  currentApproverIds,
+  fetchApprovalRequests,
+  notifyUsers,
+  notifyApprovers,
+};
@@ -0,0 +1,47 @@
+import { DB_SCHEMA } from './db.js';
+
+// Field-level change log for contracts, departments, statuses, counterparties
+// and custom field definitions.
+// Each audit_log row holds one create/update/delete (or contract restore/purge,
+// lookup merge) with a { field: { old, new } } diff.
+
+const AUDIT_ENTITY_TYPES = new Set(['contract', 'department', 'status', 'counterparty', 'custom_field']);
+
+// Bookkeeping columns that change on every write and would only add noise
+const IGNORED_FIELDS = new Set(['created_at', 'updated_at', 'created_by', 'updated_by']);
+
+function comparable(v) {
+  if (v === undefined || v === null) return null;
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === 'object') return JSON.stringify(v);
+  return v;
+}
+
+function diffRows(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const oldValue = comparable(before ? before[key] : null);
+    const newValue = comparable(after ? after[key] : null);
+    if (oldValue !== newValue) changes[key] = { old: oldValue, new: newValue };
+  }
+  return changes;
+}
+
+// Writes one audit row using the caller's client so it commits with the change.
+// Updates that change nothing are skipped. Returns the diff that was recorded.
+async function recordAudit(client, { entityType, entityId, action, before = null, after = null, actorId = null }) {
+  const changes = diffRows(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) return changes;
+  await client.query(
+    `
+      INSERT INTO ${DB_SCHEMA}.audit_log (entity_type, entity_id, action, changes, actor_id)
+      VALUES ($1, $2, $3, $4::jsonb, $5)
+    `,
+    [entityType, entityId, action, JSON.stringify(changes), actorId],
+  );
+  return changes;
+}
+
+export { AUDIT_ENTITY_TYPES, diffRows, recordAudit };
@@ -0,0 +1,92 @@
+import { DB_SCHEMA } from './db.js';
+
+// Contract comment threads and @username mentions. Usernames are usually email
+// addresses, so both "@jdoe" and "@jane@example.com" mention someone; a mention
+// starts the text or follows a non-word character, and trailing punctuation
+// ("@jdoe," or "@jane@example.com.") is not part of it.
+
+const COMMENT_MAX_LENGTH = 10000;
+const MENTION = /(^|[^\w@])@([\w.%+-]+(?:@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)?)/g;
+
+// Lower-cased usernames mentioned in text, once each
+function parseMentions(text) {
+  const names = new Set();
+  for (const m of String(text ?? '').matchAll(MENTION)) {
+    const name = m[2].replace(/[.%+-]+$/, '').toLowerCase();
+    if (name) names.add(name);
+  }
+  return [...names];
+}
+
+// Validates a comment body. Returns { body } or { error }.
+function parseCommentBody(v) {
+  const body = typeof v === 'string' ? v.trim() : '';
+  if (!body) return { error: 'body is required' };
+  if (body.length > COMMENT_MAX_LENGTH) return { error: `body must be at most ${COMMENT_MAX_LENGTH} characters` };
+  return { body };
+}
+
+const COMMENT_SELECT = `
+  SELECT cc.comment_id, cc.contract_id, cc.parent_comment_id, cc.author_id,
+         ua.username AS author_username, COALESCE(ua.name, ua.username) AS author_name,
+         cc.body, cc.created_at, cc.edited_at, cc.deleted_at,
+         COALESCE((
+           SELECT json_agg(json_build_object('user_id', mu.user_id, 'username', mu.username) ORDER BY mu.username)
+           FROM ${DB_SCHEMA}.comment_mention m
+           JOIN ${DB_SCHEMA}.user_account mu ON mu.user_id = m.user_id
+           WHERE m.comment_id = cc.comment_id
+         ), '[]'::json) AS mentions
+  FROM ${DB_SCHEMA}.contract_comment cc
+  LEFT JOIN ${DB_SCHEMA}.user_account ua ON ua.user_id = cc.author_id
+`;
+
+async function fetchComment(client, commentId) {
+  const { rows } = await client.query(`${COMMENT_SELECT} WHERE cc.comment_id = $1`, [commentId]);
+  return rows[0] || null;
+}
+
+// Nests flat comment rows (oldest first) into threads under replies. Deleted
+// comments stay as placeholders while they have replies and are dropped otherwise.
+function buildThreads(rows) {
+  const byParent = new Map();
+  for (const row of rows) {
+    const key = row.parent_comment_id ?? null;
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(row);
+  }
+  const build = (parentId) => (byParent.get(parentId) || [])
+    .map((row) => ({ ...row, replies: build(row.comment_id) }))
+    .filter((c) => !c.deleted_at || c.replies.length > 0);
+  return build(null);
+}
+
+// Makes the comment's mention list match its body and returns the user ids
+// that were not mentioned before, i.e. the ones to notify. Unknown and
+// inactive usernames are ignored.
+async function syncMentions(client, commentId, body) {
+  const usernames = parseMentions(body);
+  const { rows: users } = usernames.length === 0
+    ? { rows: [] }
+    : await client.query(
+      `SELECT user_id FROM ${DB_SCHEMA}.user_account WHERE lower(username) = ANY($1::text[]) AND status <> 'inactive'`,
+      [usernames],
+    );
+  const userIds = users.map((u) => u.user_id);
+  await client.query(
+    `DELETE FROM ${DB_SCHEMA}.comment_mention WHERE comment_id = $1 AND NOT (user_id = ANY($2::int[]))`,
+    [commentId, userIds],
+  );
+  if (userIds.length === 0) return [];
+  const { rows: added } = await client.query(
+    `
+      INSERT INTO ${DB_SCHEMA}.comment_mention (comment_id, user_id)
+      SELECT $1, unnest($2::int[])
+      ON CONFLICT DO NOTHING
+      RETURNING user_id
+    `,
+    [commentId, userIds],
+  );
+  return added.map((r) => r.user_id);
+}
+
+export { COMMENT_MAX_LENGTH, parseMentions, parseCommentBody, COMMENT_SELECT, fetchComment, buildThreads, syncMentions };
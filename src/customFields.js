@@ -0,0 +1,196 @@
+import { DB_SCHEMA } from './db.js';
+import { toIsoDate } from './renewals.js';
+
+// Admin-defined contract attributes (PO number, risk tier, ...). Definitions
+// live in custom_field; values sit in contract.custom_fields keyed by field
+// key. A field with a department_id only applies to that department's
+// contracts. In query strings and exports a field is addressed as cf.<key>.
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'enum'];
+const FIELD_KEY = /^[a-z][a-z0-9_]{0,62}$/;
+const TEXT_MAX_LENGTH = 1000;
+const FILTER_PREFIX = 'cf.';
+
+const CUSTOM_FIELD_COLUMNS = 'field_id, key, label, field_type, options, department_id, required, sort_order, created_at, updated_at';
+
+async function fetchCustomFields(client) {
+  const { rows } = await client.query(
+    `SELECT ${CUSTOM_FIELD_COLUMNS} FROM ${DB_SCHEMA}.custom_field ORDER BY sort_order ASC, key ASC`,
+  );
+  return rows;
+}
+
+function appliesTo(field, departmentId) {
+  return field.department_id == null || field.department_id === (departmentId ?? null);
+}
+
+// Validates a field definition. key and field_type are fixed once created
+// (existing set), since stored values depend on them. Returns { data } or { error }.
+function parseFieldDefinition(body = {}, existing = null) {
+  const data = {};
+  if (existing) {
+    for (const key of ['key', 'field_type']) {
+      if (key in body && body[key] !== existing[key]) return { error: `${key} cannot be changed` };
+    }
+  } else {
+    data.key = String(body.key ?? '').trim();
+    if (!FIELD_KEY.test(data.key)) return { error: 'key must be lower-case letters, digits and underscores, starting with a letter' };
+    if (!CUSTOM_FIELD_TYPES.includes(body.field_type)) return { error: `field_type must be one of ${CUSTOM_FIELD_TYPES.join(', ')}` };
+    data.field_type = body.field_type;
+  }
+  if ('label' in body || !existing) {
+    data.label = String(body.label ?? '').trim();
+    if (!data.label) return { error: 'label is required' };
+  }
+  const fieldType = existing ? existing.field_type : data.field_type;
+  if ('options' in body || (!existing && fieldType === 'enum')) {
+    if (fieldType !== 'enum') return { error: 'Only enum fields have options' };
+    const options = Array.isArray(body.options) ? body.options.map((o) => String(o).trim()).filter(Boolean) : [];
+    if (options.length === 0) return { error: 'options must be a non-empty list of values' };
+    if (new Set(options).size !== options.length) return { error: 'options must not repeat' };
+    data.options = options;
+  }
+  if ('department_id' in body) {
+    if (body.department_id !== null && !Number.isInteger(body.department_id)) return { error: 'department_id must be an integer or null' };
+    data.department_id = body.department_id;
+  }
+  if ('required' in body) {
+    if (typeof body.required !== 'boolean') return { error: 'required must be true or false' };
+    data.required = body.required;
+  }
+  if ('sort_order' in body) {
+    if (!Number.isInteger(body.sort_order)) return { error: 'sort_order must be an integer' };
+    data.sort_order = body.sort_order;
+  }
+  return { data };
+}
+
+function coerceBoolean(v) {
+  if (typeof v === 'boolean') return v;
+  const s = String(v).trim().toLowerCase();
+  if (['true', '1', 'yes', 'y'].includes(s)) return true;
+  if (['false', '0', 'no', 'n'].includes(s)) return false;
+  return null;
+}
+
+// Converts one submitted value to its stored form. Returns { value } or { error }.
+function coerceCustomValue(field, v) {
+  if (v === null || v === undefined || (typeof v === 'string' && v.trim() === '')) return { value: null };
+  switch (field.field_type) {
+    case 'text': {
+      if (typeof v === 'object') return { error: `${field.key} must be text` };
+      const s = String(v).trim();
+      if (s.length > TEXT_MAX_LENGTH) return { error: `${field.key} must be at most ${TEXT_MAX_LENGTH} characters` };
+      return { value: s };
+    }
+    case 'number': {
+      const n = typeof v === 'number' ? v : Number(String(v).trim().replace(/,/g, ''));
+      if (typeof v === 'boolean' || !Number.isFinite(n)) return { error: `${field.key} must be a number` };
+      return { value: n };
+    }
+    case 'date': {
+      const d = toIsoDate(v);
+      if (!d) return { error: `${field.key} must be a date (YYYY-MM-DD)` };
+      return { value: d };
+    }
+    case 'boolean': {
+      const b = coerceBoolean(v);
+      if (b === null) return { error: `${field.key} must be true or false` };
+      return { value: b };
+    }
+    case 'enum': {
+      const s = String(v).trim();
+      const option = field.options.find((o) => o === s) ?? field.options.find((o) => o.toLowerCase() === s.toLowerCase());
+      if (option === undefined) return { error: `${field.key} must be one of ${field.options.join(', ')}` };
+      return { value: option };
+    }
+    default:
+      return { error: `${field.key} has an unknown type` };
+  }
+}
+
+// Validates submitted values (an object keyed by field key; null clears a
+// value) against the fields that apply to the contract's department and merges
+// them over the existing values. Existing values for fields that no longer
+// apply (the contract moved department) are dropped. With checkRequired, every
+// applicable required field must end up with a value.
+// Returns { data } (the full values object) or { error }.
+function applyCustomFields(submitted, existing, fields, departmentId, { checkRequired = true } = {}) {
+  if (submitted != null && (typeof submitted !== 'object' || Array.isArray(submitted))) {
+    return { error: 'custom_fields must be an object of field key to value' };
+  }
+  const byKey = new Map(fields.map((f) => [f.key, f]));
+  const data = Object.fromEntries(
+    Object.entries(existing || {}).filter(([key]) => byKey.has(key) && appliesTo(byKey.get(key), departmentId)),
+  );
+  for (const [key, raw] of Object.entries(submitted || {})) {
+    const field = byKey.get(key);
+    if (!field) return { error: `Unknown custom field ${key}` };
+    if (!appliesTo(field, departmentId)) return { error: `Custom field ${key} does not apply to this contract's department` };
+    const coerced = coerceCustomValue(field, raw);
+    if (coerced.error) return { error: coerced.error };
+    if (coerced.value === null) delete data[key];
+    else data[key] = coerced.value;
+  }
+  if (checkRequired) {
+    const missing = fields.filter((f) => f.required && appliesTo(f, departmentId) && data[f.key] == null).map((f) => f.key);
+    if (missing.length > 0) return { error: `Required custom field(s) missing: ${missing.join(', ')}` };
+  }
+  return { data };
+}
+
+// The definitions a request's cf.* filters need, or [] without a database
+// round trip when it has none
+async function fetchFieldsForQuery(client, query = {}) {
+  if (!Object.keys(query).some((k) => k.startsWith(FILTER_PREFIX))) return [];
+  return fetchCustomFields(client);
+}
+
+// Conditions for cf.<key>=value (comma-separated for enum, case-insensitive
+// for text) and cf.<key>_from / cf.<key>_to on number and date fields. add()
+// binds a parameter and returns its placeholder. Returns { where } or { error }.
+function buildCustomFieldFilters(query, fields, add) {
+  const where = [];
+  const byKey = new Map(fields.map((f) => [f.key, f]));
+  for (const [param, raw] of Object.entries(query)) {
+    if (!param.startsWith(FILTER_PREFIX) || raw === undefined || raw === '') continue;
+    const name = param.slice(FILTER_PREFIX.length);
+    const range = /^(.*)_(from|to)$/.exec(name);
+    const field = byKey.get(name) ?? (range && byKey.get(range[1]));
+    if (!field) return { error: `Unknown custom field filter ${param}` };
+    const value = `c.custom_fields->>${add(field.key)}`;
+    const isRange = !byKey.has(name);
+    if (isRange && !['number', 'date'].includes(field.field_type)) return { error: `${param}: only number and date fields take ranges` };
+    if (field.field_type === 'enum' && !isRange) {
+      const values = [];
+      for (const part of String(raw).split(',')) {
+        const coerced = coerceCustomValue(field, part);
+        if (coerced.error) return { error: `Invalid ${param}: ${coerced.error}` };
+        if (coerced.value !== null) values.push(coerced.value);
+      }
+      where.push(`${value} = ANY(${add(values)}::text[])`);
+      continue;
+    }
+    const coerced = coerceCustomValue(field, raw);
+    if (coerced.error || coerced.value === null) return { error: `Invalid ${param}: ${coerced.error || 'empty value'}` };
+    const op = !isRange ? '=' : range[2] === 'from' ? '>=' : '<=';
+    if (field.field_type === 'number') where.push(`(${value})::numeric ${op} ${add(coerced.value)}::numeric`);
+    else if (field.field_type === 'date') where.push(`(${value})::date ${op} ${add(coerced.value)}::date`);
+    else if (field.field_type === 'boolean') where.push(`(${value})::boolean IS ${coerced.value ? 'TRUE' : 'NOT TRUE'}`);
+    else where.push(`lower(${value}) = lower(${add(coerced.value)})`);
+  }
+  return { where };
+}
+
+export {
+  CUSTOM_FIELD_TYPES,
+  FILTER_PREFIX,
+  CUSTOM_FIELD_COLUMNS,
+  fetchCustomFields,
+  appliesTo,
+  parseFieldDefinition,
+  coerceCustomValue,
+  applyCustomFields,
+  fetchFieldsForQuery,
+  buildCustomFieldFilters,
+};
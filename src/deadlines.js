@@ -0,0 +1,101 @@
+import { pool, DB_SCHEMA } from './db.js';
+import { addDays } from './renewals.js';
+
+// Upcoming contract dates ("what expires or needs notice soon"), shared by
+// GET /contracts/upcoming and the reminder scheduler. Each item is one date on
+// one contract: kind is end_date, notice_deadline or obligation (an open
+// contract obligation, with obligation_id/_title/_category/_owner set).
+
+const DEFAULT_BUCKETS = [30, 60, 90];
+
+// Parses "30,60,90" into sorted unique positive day counts, or null if invalid
+function parseBuckets(v) {
+  if (v === undefined || v === '') return DEFAULT_BUCKETS.slice();
+  const days = String(v).split(',').map((x) => Number(x.trim()));
+  if (days.length === 0 || !days.every((d) => Number.isInteger(d) && d > 0 && d <= 366)) return null;
+  return Array.from(new Set(days)).sort((a, b) => a - b);
+}
+
+// Last day (Sunday) of the Monday-to-Sunday week holding isoDate
+function endOfWeek(isoDate) {
+  const weekday = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  return addDays(isoDate, (7 - weekday) % 7);
+}
+
+// The contracts deadlines are drawn from, with the names items show
+function candidatesCte(where) {
+  return `
+    WITH candidates AS (
+      SELECT c.contract_id, c.title, c.counterparty_name, c.internal_owner, c.department_id, c.status_id,
+             d.name AS department, s.name AS status, c.end_date, c.termination_notice_deadline, c.auto_renew
+      FROM ${DB_SCHEMA}.contract c
+      LEFT JOIN ${DB_SCHEMA}.department d ON d.department_id = c.department_id
+      LEFT JOIN ${DB_SCHEMA}.status s ON s.status_id = c.status_id
+      WHERE ${['c.deleted_at IS NULL', ...where].join(' AND ')}
+    )
+  `;
+}
+
+const OBLIGATION_ITEM_COLUMNS = `o.obligation_id, o.title AS obligation_title, o.category AS obligation_category, o.owner AS obligation_owner`;
+const NO_OBLIGATION_COLUMNS = `NULL::integer AS obligation_id, NULL::text AS obligation_title, NULL::text AS obligation_category, NULL::text AS obligation_owner`;
+
+// Returns deadline items due between fromDate and toDate (inclusive, YYYY-MM-DD).
+// where/params are extra contract conditions (alias c) from the caller; the
+// date bounds are appended after them.
+async function fetchUpcomingDeadlines({ fromDate, toDate, where = [], params = [] }) {
+  const p = [...params, fromDate, toDate];
+  const fromParam = `$${p.length - 1}::date`;
+  const toParam = `$${p.length}::date`;
+  const sql = `
+    ${candidatesCte(where)}
+    SELECT 'end_date' AS kind, end_date AS due_date, (end_date - ${fromParam}) AS days_until, candidates.*, ${NO_OBLIGATION_COLUMNS}
+    FROM candidates
+    WHERE end_date BETWEEN ${fromParam} AND ${toParam}
+    UNION ALL
+    SELECT 'notice_deadline' AS kind, termination_notice_deadline AS due_date,
+           (termination_notice_deadline - ${fromParam}) AS days_until, candidates.*, ${NO_OBLIGATION_COLUMNS}
+    FROM candidates
+    WHERE termination_notice_deadline BETWEEN ${fromParam} AND ${toParam}
+    UNION ALL
+    SELECT 'obligation' AS kind, o.due_date, (o.due_date - ${fromParam}) AS days_until, candidates.*, ${OBLIGATION_ITEM_COLUMNS}
+    FROM candidates
+    JOIN ${DB_SCHEMA}.contract_obligation o ON o.contract_id = candidates.contract_id
+    WHERE o.completed_on IS NULL AND o.due_date BETWEEN ${fromParam} AND ${toParam}
+    ORDER BY due_date ASC, contract_id ASC
+  `;
+  const { rows } = await pool.query(sql, p);
+  return rows.map((r) => ({ ...r, days_until: Number(r.days_until) }));
+}
+
+// Open obligations that were due before asOf, oldest first; days_until is negative
+async function fetchOverdueObligations({ asOf, where = [], params = [] }) {
+  const p = [...params, asOf];
+  const asOfParam = `$${p.length}::date`;
+  const sql = `
+    ${candidatesCte(where)}
+    SELECT 'obligation' AS kind, o.due_date, (o.due_date - ${asOfParam}) AS days_until, candidates.*, ${OBLIGATION_ITEM_COLUMNS}
+    FROM candidates
+    JOIN ${DB_SCHEMA}.contract_obligation o ON o.contract_id = candidates.contract_id
+    WHERE o.completed_on IS NULL AND o.due_date < ${asOfParam}
+    ORDER BY o.due_date ASC, candidates.contract_id ASC
+  `;
+  const { rows } = await pool.query(sql, p);
+  return rows.map((r) => ({ ...r, days_until: Number(r.days_until) }));
+}
+
+// Groups items into the smallest bucket that holds them: with [30, 60, 90],
+// an item 45 days out lands in the 31-60 bucket.
+function bucketDeadlines(items, buckets) {
+  const result = buckets.map((withinDays, i) => ({
+    from_days: i === 0 ? 0 : buckets[i - 1] + 1,
+    within_days: withinDays,
+    items: [],
+  }));
+  for (const item of items) {
+    const bucket = result.find((b) => item.days_until <= b.within_days);
+    if (bucket) bucket.items.push(item);
+  }
+  return result;
+}
+
+export { DEFAULT_BUCKETS, parseBuckets, endOfWeek, fetchUpcomingDeadlines, fetchOverdueObligations, bucketDeadlines };
@@ -0,0 +1,180 @@
+import { toIsoDate, addMonths } from './renewals.js';
+
+// Contract money: amounts are stored as integers in the currency's minor unit
+// (cents for USD, yen for JPY) so sums are exact. Decimal input such as
+// "12,500.00" is converted with the currency's exponent; output carries both.
+
+const CURRENCY = /^[A-Z]{3}$/;
+
+// ISO 4217 currencies whose minor unit is not 1/100
+const CURRENCY_EXPONENTS = {
+  BHD: 3, CLP: 0, IQD: 3, ISK: 0, JOD: 3, JPY: 0, KRW: 0, KWD: 3, LYD: 3, OMR: 3, PYG: 0, TND: 3, UGX: 0, VND: 0, XAF: 0, XOF: 0,
+};
+
+// Billing frequency -> invoices per year (0 for a single payment)
+const BILLING_FREQUENCIES = { one_time: 0, monthly: 12, quarterly: 4, semiannual: 2, annual: 1 };
+const BILLING_FREQUENCY_ALIASES = { once: 'one_time', one_off: 'one_time', semi_annual: 'semiannual', yearly: 'annual', annually: 'annual' };
+
+const FINANCIAL_FIELDS = ['total_value', 'total_value_minor', 'currency', 'billing_frequency'];
+
+function currencyExponent(currency) {
+  return CURRENCY_EXPONENTS[currency] ?? 2;
+}
+
+// Parses a non-negative decimal amount ("1,250.5", 1250.5) into minor units.
+// Returns { minor } or { error }.
+function parseAmount(value, currency) {
+  const exponent = currencyExponent(currency);
+  const text = String(value).trim().replace(/[,_\s]/g, '');
+  const m = /^(\d+)(?:\.(\d*))?$/.exec(text);
+  if (!m) return { error: `"${value}" is not an amount` };
+  const fraction = (m[2] || '').replace(/0+$/, '');
+  if (fraction.length > exponent) return { error: `${currency} amounts have at most ${exponent} decimal place(s)` };
+  const minor = Number(m[1] + fraction.padEnd(exponent, '0'));
+  if (!Number.isSafeInteger(minor)) return { error: `"${value}" is too large` };
+  return { minor };
+}
+
+// Minor units back to a plain decimal string: 125050 USD -> "1250.50"
+function formatMinor(minor, currency) {
+  if (minor === null || minor === undefined) return null;
+  const exponent = currencyExponent(currency);
+  const digits = String(BigInt(minor)).padStart(exponent + 1, '0');
+  if (exponent === 0) return digits;
+  return `${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+}
+
+function parseMinor(value, field) {
+  if (value === null || value === undefined) return { minor: null };
+  const n = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isSafeInteger(n) || n < 0) return { error: `${field} must be a non-negative whole number of minor units` };
+  return { minor: n };
+}
+
+// Validates and normalizes total_value/total_value_minor, currency and
+// billing_frequency on a create or update (existing = the current row).
+// total_value is decimal input only and is replaced by total_value_minor.
+// Returns { data } or { error }, like applyContractTerms.
+function applyFinancialTerms(changes, existing = {}) {
+  const data = { ...changes };
+  if (!FINANCIAL_FIELDS.some((field) => field in data)) return { data };
+  if (data.currency != null) {
+    data.currency = String(data.currency).trim().toUpperCase();
+    if (!CURRENCY.test(data.currency)) return { error: 'currency must be a three-letter ISO 4217 code' };
+  }
+  if (data.billing_frequency != null) {
+    const frequency = String(data.billing_frequency).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    data.billing_frequency = BILLING_FREQUENCY_ALIASES[frequency] ?? frequency;
+    if (!Object.hasOwn(BILLING_FREQUENCIES, data.billing_frequency)) {
+      return { error: `billing_frequency must be one of ${Object.keys(BILLING_FREQUENCIES).join(', ')}` };
+    }
+  }
+  const currency = 'currency' in data ? data.currency : existing.currency ?? null;
+  if ('total_value' in data) {
+    if ('total_value_minor' in data) return { error: 'Send total_value or total_value_minor, not both' };
+    if (data.total_value === null) {
+      data.total_value_minor = null;
+    } else {
+      if (!currency) return { error: 'currency is required with total_value' };
+      const parsed = parseAmount(data.total_value, currency);
+      if (parsed.error) return { error: `Invalid total_value: ${parsed.error}` };
+      data.total_value_minor = parsed.minor;
+    }
+    delete data.total_value;
+  } else if ('total_value_minor' in data) {
+    const parsed = parseMinor(data.total_value_minor, 'total_value_minor');
+    if (parsed.error) return { error: parsed.error };
+    data.total_value_minor = parsed.minor;
+  }
+  const merged = { ...existing, ...data };
+  if (merged.total_value_minor != null && !merged.currency) return { error: 'currency is required when the contract has a value' };
+  // Re-reading a stored amount in another currency would silently change it
+  if (
+    'currency' in data &&
+    existing.currency &&
+    data.currency !== existing.currency &&
+    existing.total_value_minor != null &&
+    !('total_value_minor' in data)
+  ) {
+    return { error: 'Changing currency needs the value restated in the new currency (total_value)' };
+  }
+  return { data };
+}
+
+// Days in the contract term, counting both ends; null without a start and end.
+// start_date falls back to effective_date.
+function termDays(contract) {
+  const start = toIsoDate(contract.start_date ?? contract.effective_date);
+  const end = toIsoDate(contract.end_date);
+  if (!start || !end || start > end) return null;
+  return Math.round((Date.parse(end) - Date.parse(start)) / 86400000) + 1;
+}
+
+// Total value spread evenly over the term and scaled to 365 days. Null when the
+// contract has no value or no complete term. Matches ANNUALIZED_SQL.
+function annualizedValueMinor(contract) {
+  const days = termDays(contract);
+  if (contract.total_value_minor == null || !days) return null;
+  return Math.round((Number(contract.total_value_minor) * 365) / days);
+}
+
+// SQL for the same figure over a contract row aliased c
+const TERM_DAYS_SQL = `(c.end_date - COALESCE(c.start_date, c.effective_date) + 1)`;
+const ANNUALIZED_SQL = `ROUND(c.total_value_minor * 365.0 / NULLIF(${TERM_DAYS_SQL}, 0))`;
+
+// Sums per currency: { EUR: { contract_count, total_value_minor, annualized_value_minor }, ... }
+function sumByCurrency(contracts) {
+  const totals = {};
+  for (const c of contracts) {
+    if (c.total_value_minor == null || !c.currency) continue;
+    const t = (totals[c.currency] ||= { contract_count: 0, total_value_minor: 0, annualized_value_minor: 0 });
+    t.contract_count += 1;
+    t.total_value_minor += Number(c.total_value_minor);
+    t.annualized_value_minor += annualizedValueMinor(c) ?? 0;
+  }
+  return totals;
+}
+
+// Splits the contract value into one installment per billing period from the
+// start of the term through end_date; any remainder goes on the first one.
+// Returns { payments: [{ due_date, amount_minor }] } or { error }.
+function buildPaymentSchedule(contract) {
+  const frequency = contract.billing_frequency;
+  if (!frequency) return { error: 'The contract has no billing_frequency' };
+  if (contract.total_value_minor == null) return { error: 'The contract has no total value' };
+  const start = toIsoDate(contract.start_date ?? contract.effective_date);
+  if (!start) return { error: 'The contract needs a start_date or effective_date' };
+  const dueDates = [start];
+  const perYear = BILLING_FREQUENCIES[frequency];
+  if (perYear > 0) {
+    const end = toIsoDate(contract.end_date);
+    if (!end) return { error: `A ${frequency} schedule needs an end_date` };
+    const step = 12 / perYear;
+    // Periods are counted from the term start so month-end clamping does not drift
+    for (let n = 1; addMonths(start, step * n) <= end; n += 1) dueDates.push(addMonths(start, step * n));
+  }
+  const total = Number(contract.total_value_minor);
+  const base = Math.floor(total / dueDates.length);
+  const payments = dueDates.map((due, i) => ({
+    due_date: due,
+    amount_minor: i === 0 ? total - base * (dueDates.length - 1) : base,
+  }));
+  return { payments };
+}
+
+export {
+  CURRENCY,
+  BILLING_FREQUENCIES,
+  FINANCIAL_FIELDS,
+  currencyExponent,
+  parseAmount,
+  parseMinor,
+  formatMinor,
+  applyFinancialTerms,
+  termDays,
+  annualizedValueMinor,
+  ANNUALIZED_SQL,
+  TERM_DAYS_SQL,
+  sumByCurrency,
+  buildPaymentSchedule,
+};
@@ -0,0 +1,62 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Pluggable outgoing mail. A transport is any object with an async
+// send({ to, subject, text }) method. MAIL_TRANSPORT picks one of the
+// registered transports at startup; tests can swap it with setMailTransport().
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@contract-management.local';
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('[Mail] To: %s | Subject: %s\n%s', message.to, message.subject, message.text);
+    },
+  };
+}
+
+// Writes each message as a JSON file so it can be inspected locally
+function createFileTransport({ dir = process.env.MAIL_FILE_DIR || 'tmp/mail' } = {}) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    },
+  };
+}
+
+const transportFactories = new Map([
+  ['console', createConsoleTransport],
+  ['file', createFileTransport],
+]);
+
+function registerMailTransport(name, factory) {
+  transportFactories.set(String(name).toLowerCase(), factory);
+}
+
+let activeTransport = null;
+
+function getMailTransport() {
+  if (!activeTransport) {
+    const name = String(process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    const factory = transportFactories.get(name);
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    activeTransport = factory();
+  }
+  return activeTransport;
+}
+
+function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+async function sendMail({ to, subject, text }) {
+  const message = { from: MAIL_FROM, to, subject, text };
+  await getMailTransport().send(message);
+  return message;
+}
+
+export { sendMail, getMailTransport, setMailTransport, registerMailTransport, createConsoleTransport, createFileTransport };
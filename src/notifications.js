@@ -0,0 +1,25 @@
+import { DB_SCHEMA } from './db.js';
+
+// In-app notifications, one row per recipient, read through GET /notifications.
+// kind says what happened; for now only 'mention' (someone @mentioned the user
+// in a contract comment).
+
+const NOTIFICATION_KINDS = new Set(['mention']);
+
+// Notifies each user once. The actor is never notified about their own action.
+// Returns the number of notifications created.
+async function notifyUsers(client, { userIds, kind, contractId = null, commentId = null, actorId = null }) {
+  if (!NOTIFICATION_KINDS.has(kind)) throw new Error(`Unknown notification kind "${kind}"`);
+  const recipients = [...new Set(userIds)].filter((id) => id !== actorId);
+  if (recipients.length === 0) return 0;
+  const { rowCount } = await client.query(
+    `
+      INSERT INTO ${DB_SCHEMA}.notification (user_id, kind, contract_id, comment_id, actor_id)
+      SELECT unnest($1::int[]), $2, $3, $4, $5
+    `,
+    [recipients, kind, contractId, commentId, actorId],
+  );
+  return rowCount;
+}
+
+export { NOTIFICATION_KINDS, notifyUsers };
@@ -0,0 +1,177 @@
+import { DB_SCHEMA } from './db.js';
+import { toIsoDate, addDays, addMonths } from './renewals.js';
+
+// Dated obligations a contract carries besides its end date: deliverables,
+// insurance certificate renewals, price reviews, SLA checkpoints. A recurring
+// obligation is completed one occurrence at a time; completing an occurrence
+// opens the next one as a new row, so every row keeps its own completion.
+
+const OBLIGATION_CATEGORIES = ['deliverable', 'insurance', 'price_review', 'sla', 'compliance', 'other'];
+
+// Distance between occurrences; 'none' does not repeat
+const RECURRENCES = {
+  none: null,
+  weekly: { days: 7 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  semiannual: { months: 6 },
+  annual: { months: 12 },
+};
+
+const OBLIGATION_COLUMNS = `
+  obligation_id, contract_id, title, category, description, owner, due_date, recurrence, recurrence_until,
+  series_start, occurrence, previous_obligation_id, completed_on, completed_by, completion_note, created_at, created_by, updated_at
+`;
+
+function trimOrNull(v) {
+  if (v === undefined || v === null) return null;
+  const s = String(v).trim();
+  return s === '' ? null : s;
+}
+
+// Validates a create (existing = null) or an update of an obligation. Moving
+// the due date or changing the recurrence restarts the series from due_date.
+// Returns { data } or { error }.
+function parseObligationBody(body = {}, existing = null) {
+  const data = {};
+  if ('title' in body || !existing) {
+    data.title = trimOrNull(body.title);
+    if (!data.title) return { error: 'title is required' };
+  }
+  if ('category' in body) {
+    if (!OBLIGATION_CATEGORIES.includes(body.category)) return { error: `category must be one of ${OBLIGATION_CATEGORIES.join(', ')}` };
+    data.category = body.category;
+  }
+  for (const field of ['description', 'owner']) {
+    if (field in body) data[field] = trimOrNull(body[field]);
+  }
+  if ('due_date' in body || !existing) {
+    data.due_date = toIsoDate(body.due_date);
+    if (!data.due_date) return { error: 'due_date is required, as YYYY-MM-DD' };
+  }
+  if ('recurrence' in body) {
+    if (!Object.hasOwn(RECURRENCES, body.recurrence)) return { error: `recurrence must be one of ${Object.keys(RECURRENCES).join(', ')}` };
+    data.recurrence = body.recurrence;
+  }
+  if ('recurrence_until' in body) {
+    data.recurrence_until = toIsoDate(body.recurrence_until);
+    if (data.recurrence_until === undefined) return { error: 'Invalid date for recurrence_until, expected YYYY-MM-DD' };
+  }
+  const merged = { ...existing, ...data };
+  const due = toIsoDate(merged.due_date);
+  const until = toIsoDate(merged.recurrence_until);
+  if (until && until < due) return { error: 'recurrence_until must not be before due_date' };
+  if (!existing || 'due_date' in data || 'recurrence' in data) {
+    data.series_start = due;
+    data.occurrence = 1;
+  }
+  return { data };
+}
+
+// Due date of the occurrence after this one, or null when the obligation does
+// not repeat or the series ends at recurrence_until
+function nextDueDate({ recurrence, series_start, occurrence, recurrence_until }) {
+  const step = RECURRENCES[recurrence];
+  const start = toIsoDate(series_start);
+  if (!step || !start) return null;
+  const next = step.days ? addDays(start, step.days * occurrence) : addMonths(start, step.months * occurrence);
+  const until = toIsoDate(recurrence_until);
+  return until && next > until ? null : next;
+}
+
+// open, overdue or completed as of the given day
+function obligationState(row, asOf = toIsoDate(new Date())) {
+  if (row.completed_on) return 'completed';
+  return toIsoDate(row.due_date) < asOf ? 'overdue' : 'open';
+}
+
+function normalizeObligation(row, asOf) {
+  return {
+    ...row,
+    due_date: toIsoDate(row.due_date),
+    recurrence_until: toIsoDate(row.recurrence_until),
+    series_start: toIsoDate(row.series_start),
+    completed_on: toIsoDate(row.completed_on),
+    state: obligationState(row, asOf),
+  };
+}
+
+async function insertObligation(client, contractId, data, actorId) {
+  const row = { ...data, contract_id: contractId, created_by: actorId };
+  const keys = Object.keys(row);
+  const { rows } = await client.query(
+    `
+      INSERT INTO ${DB_SCHEMA}.contract_obligation (${keys.join(', ')})
+      VALUES (${keys.map((_, i) => `$${i + 1}`).join(', ')})
+      RETURNING ${OBLIGATION_COLUMNS}
+    `,
+    keys.map((k) => row[k]),
+  );
+  return rows[0];
+}
+
+// Marks an open occurrence done and, for a recurring obligation, opens the
+// next one. The caller owns the transaction and has locked the row.
+// Returns { completed, next } (next is null when the series is over).
+async function completeObligation(client, obligation, { completedOn, note, actorId }) {
+  const { rows } = await client.query(
+    `
+      UPDATE ${DB_SCHEMA}.contract_obligation
+      SET completed_on = $2, completion_note = $3, completed_by = $4, updated_at = NOW()
+      WHERE obligation_id = $1
+      RETURNING ${OBLIGATION_COLUMNS}
+    `,
+    [obligation.obligation_id, completedOn, note, actorId],
+  );
+  const nextDue = nextDueDate(obligation);
+  if (!nextDue) return { completed: rows[0], next: null };
+  const next = await insertObligation(client, obligation.contract_id, {
+    title: obligation.title,
+    category: obligation.category,
+    description: obligation.description,
+    owner: obligation.owner,
+    due_date: nextDue,
+    recurrence: obligation.recurrence,
+    recurrence_until: toIsoDate(obligation.recurrence_until),
+    series_start: toIsoDate(obligation.series_start),
+    occurrence: obligation.occurrence + 1,
+    previous_obligation_id: obligation.obligation_id,
+  }, actorId);
+  return { completed: rows[0], next };
+}
+
+// Undoes a completion, withdrawing the next occurrence it opened. Returns
+// { reopened }, or { error } when that next occurrence is already completed.
+async function reopenObligation(client, obligation) {
+  const { rows: later } = await client.query(
+    `SELECT obligation_id, completed_on FROM ${DB_SCHEMA}.contract_obligation WHERE previous_obligation_id = $1 FOR UPDATE`,
+    [obligation.obligation_id],
+  );
+  if (later.some((o) => o.completed_on)) return { error: 'The next occurrence is already completed; reopen that one first' };
+  if (later.length > 0) {
+    await client.query(`DELETE FROM ${DB_SCHEMA}.contract_obligation WHERE previous_obligation_id = $1`, [obligation.obligation_id]);
+  }
+  const { rows } = await client.query(
+    `
+      UPDATE ${DB_SCHEMA}.contract_obligation
+      SET completed_on = NULL, completion_note = NULL, completed_by = NULL, updated_at = NOW()
+      WHERE obligation_id = $1
+      RETURNING ${OBLIGATION_COLUMNS}
+    `,
+    [obligation.obligation_id],
+  );
+  return { reopened: rows[0] };
+}
+
+export {
+  OBLIGATION_CATEGORIES,
+  RECURRENCES,
+  OBLIGATION_COLUMNS,
+  parseObligationBody,
+  nextDueDate,
+  obligationState,
+  normalizeObligation,
+  insertObligation,
+  completeObligation,
+  reopenObligation,
+};
@@ -0,0 +1,171 @@
+import { DB_SCHEMA } from './db.js';
+
+// Role-based access control. Roles are stored on user_account.role; each role
+// grants a fixed set of permissions. Department-scoped roles only see and change
+// contracts in the departments listed for them in user_department; the other
+// roles are organization-wide.
+
+const PERMISSIONS = Object.freeze({
+  CONTRACTS_READ: 'contracts:read',
+  CONTRACTS_WRITE: 'contracts:write',
+  CONTRACTS_DELETE: 'contracts:delete',
+  CONTRACTS_PURGE: 'contracts:purge',
+  DEPARTMENTS_READ: 'departments:read',
+  DEPARTMENTS_WRITE: 'departments:write',
+  DEPARTMENTS_DELETE: 'departments:delete',
+  STATUSES_READ: 'statuses:read',
+  STATUSES_WRITE: 'statuses:write',
+  STATUSES_DELETE: 'statuses:delete',
+  COUNTERPARTIES_READ: 'counterparties:read',
+  COUNTERPARTIES_WRITE: 'counterparties:write',
+  COUNTERPARTIES_DELETE: 'counterparties:delete',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ: 'audit:read',
+  APPROVALS_MANAGE: 'approvals:manage',
+  CUSTOM_FIELDS_MANAGE: 'custom_fields:manage',
+  TAGS_MANAGE: 'tags:manage',
+});
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLES = Object.freeze({
+  admin: {
+    label: 'Administrator',
+    permissions: ALL_PERMISSIONS,
+    department_scoped: false,
+  },
+  contract_manager: {
+    label: 'Contract manager',
+    permissions: [
+      PERMISSIONS.CONTRACTS_READ,
+      PERMISSIONS.CONTRACTS_WRITE,
+      PERMISSIONS.CONTRACTS_DELETE,
+      PERMISSIONS.DEPARTMENTS_READ,
+      PERMISSIONS.DEPARTMENTS_WRITE,
+      PERMISSIONS.STATUSES_READ,
+      PERMISSIONS.STATUSES_WRITE,
+      PERMISSIONS.COUNTERPARTIES_READ,
+      PERMISSIONS.COUNTERPARTIES_WRITE,
+      PERMISSIONS.AUDIT_READ,
+      PERMISSIONS.TAGS_MANAGE,
+    ],
+    department_scoped: false,
+  },
+  department_editor: {
+    label: 'Department editor',
+    permissions: [
+      PERMISSIONS.CONTRACTS_READ,
+      PERMISSIONS.CONTRACTS_WRITE,
+      PERMISSIONS.DEPARTMENTS_READ,
+      PERMISSIONS.STATUSES_READ,
+      PERMISSIONS.COUNTERPARTIES_READ,
+      PERMISSIONS.COUNTERPARTIES_WRITE,
+    ],
+    department_scoped: true,
+  },
+  viewer: {
+    label: 'Viewer',
+    permissions: [
+      PERMISSIONS.CONTRACTS_READ,
+      PERMISSIONS.DEPARTMENTS_READ,
+      PERMISSIONS.STATUSES_READ,
+      PERMISSIONS.COUNTERPARTIES_READ,
+    ],
+    department_scoped: true,
+  },
+});
+
+const DEFAULT_ROLE = 'viewer';
+
+function normalizeRole(role) {
+  const r = String(role ?? '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(ROLES, r) ? r : DEFAULT_ROLE;
+}
+
+function permissionsForRole(role) {
+  return ROLES[normalizeRole(role)].permissions.slice();
+}
+
+function hasPermission(user, permission) {
+  if (!user) return false;
+  return ROLES[normalizeRole(user.role)].permissions.includes(permission);
+}
+
+// Roles that see every department, for queries about users other than the current one
+const ORGANIZATION_WIDE_ROLES = Object.keys(ROLES).filter((role) => !ROLES[role].department_scoped);
+
+function isDepartmentScoped(user) {
+  return !!user && ROLES[normalizeRole(user.role)].department_scoped;
+}
+
+// True when the user may act on records belonging to departmentId. Unscoped
+// roles can act on any department; scoped roles only on their own, and never
+// on records without a department.
+function canAccessDepartment(user, departmentId) {
+  if (!user) return false;
+  if (!isDepartmentScoped(user)) return true;
+  if (departmentId == null) return false;
+  const ids = Array.isArray(user.department_ids) ? user.department_ids.map(Number) : [];
+  return ids.includes(Number(departmentId));
+}
+
+// SQL condition limiting column (a department_id) to the user's departments,
+// with add(value) returning the placeholder for a bound value; null when the
+// user is organization-wide and nothing needs filtering
+function departmentScopeSql(user, column, add) {
+  if (!isDepartmentScoped(user)) return null;
+  const ids = Array.isArray(user?.department_ids) ? user.department_ids.map(Number) : [];
+  return `${column} = ANY(${add(ids)}::int[])`;
+}
+
+// The contract behind a /contracts/:contract_id/... route when the user may see
+// it; null when it does not exist, is soft-deleted or lies outside the user's
+// departments, so all three read as not found
+async function fetchVisibleContract(client, contractId, user) {
+  const { rows } = await client.query(
+    `
+      SELECT contract_id, title, department_id, contract_type, currency, total_value_minor, billing_frequency,
+             start_date, effective_date, end_date
+      FROM ${DB_SCHEMA}.contract
+      WHERE contract_id = $1 AND deleted_at IS NULL
+    `,
+    [contractId],
+  );
+  return rows[0] && canAccessDepartment(user, rows[0].department_id) ? rows[0] : null;
+}
+
+function forbidden(res, permission, message) {
+  return res.status(403).json({
+    error: message || `Forbidden: missing permission ${permission}`,
+    missing_permission: permission,
+  });
+}
+
+function departmentForbidden(res, permission) {
+  return forbidden(res, permission, `Forbidden: ${permission} is limited to contracts in your departments`);
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    if (!hasPermission(req.user, permission)) return forbidden(res, permission);
+    return next();
+  };
+}
+
+export {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  ORGANIZATION_WIDE_ROLES,
+  normalizeRole,
+  permissionsForRole,
+  hasPermission,
+  isDepartmentScoped,
+  canAccessDepartment,
+  departmentScopeSql,
+  fetchVisibleContract,
+  forbidden,
+  departmentForbidden,
+  requirePermission,
+};
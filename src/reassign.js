@@ -0,0 +1,63 @@
+import { DB_SCHEMA } from './db.js';
+import { recordAudit } from './audit.js';
+
+// Moving contracts off a department, status or counterparty before it is
+// deleted or merged into another. Soft-deleted contracts count as well, since
+// they still reference the row.
+
+const CONTRACT_COLUMNS = { department: 'department_id', status: 'status_id', counterparty: 'counterparty_id' };
+
+// Parses ?reassign_to / { reassign_to }. Returns { id } (null when absent) or { error }.
+function parseReassignTo(req, sourceId) {
+  const raw = req.query.reassign_to ?? req.body?.reassign_to;
+  if (raw === undefined || raw === null || raw === '') return { id: null };
+  const id = Number(raw);
+  if (!Number.isInteger(id)) return { error: 'Invalid reassign_to' };
+  if (id === sourceId) return { error: 'reassign_to must be a different id' };
+  return { id };
+}
+
+async function countContractsUsing(client, entityType, id) {
+  const column = CONTRACT_COLUMNS[entityType];
+  const { rows } = await client.query(
+    `SELECT COUNT(*) AS total FROM ${DB_SCHEMA}.contract WHERE ${column} = $1`,
+    [id],
+  );
+  return Number(rows[0]?.total || 0);
+}
+
+// Points every contract at toId instead of fromId, with an audit entry per
+// contract. The caller owns the transaction. Returns the moved contract ids.
+async function reassignContracts(client, entityType, fromId, toId, actorId) {
+  const column = CONTRACT_COLUMNS[entityType];
+  const { rows } = await client.query(
+    `
+      UPDATE ${DB_SCHEMA}.contract
+      SET ${column} = $2, updated_at = NOW(), updated_by = $3
+      WHERE ${column} = $1
+      RETURNING contract_id
+    `,
+    [fromId, toId, actorId],
+  );
+  for (const { contract_id: contractId } of rows) {
+    await recordAudit(client, {
+      entityType: 'contract',
+      entityId: contractId,
+      action: 'update',
+      before: { [column]: fromId },
+      after: { [column]: toId },
+      actorId,
+    });
+  }
+  return rows.map((r) => r.contract_id);
+}
+
+// 409 for a move refused because some contracts could not make it ({ error, blocked })
+function blockedMove(res, move) {
+  return res.status(409).json({
+    error: `${move.blocked.length} contract(s) cannot be moved: ${move.error}`,
+    blocked_contract_ids: move.blocked,
+  });
+}
+
+export { parseReassignTo, countContractsUsing, reassignContracts, blockedMove };
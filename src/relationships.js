@@ -0,0 +1,168 @@
+import { DB_SCHEMA } from './db.js';
+import { recordAudit } from './audit.js';
+import { canAccessDepartment, fetchVisibleContract } from './permissions.js';
+
+// Typed links between contracts, stored child -> parent: an amendment amends its
+// contract, a renewal renews the previous term, a new agreement supersedes an
+// old one, and a statement of work sits under its master agreement. The links
+// form a forest; a contract can never end up as its own ancestor.
+
+const RELATIONSHIP_TYPES = {
+  amends: { inverse: 'amended_by' },
+  renews: { inverse: 'renewed_by' },
+  supersedes: { inverse: 'superseded_by' },
+  statement_of_work: { inverse: 'has_statement_of_work' },
+};
+
+// Deep enough for any real chain of renewals; also bounds the recursive queries
+const MAX_DEPTH = 25;
+
+const NODE_COLUMNS = `c.contract_id, c.department_id, c.title, c.counterparty_name, c.status_id, s.name AS status, c.start_date, c.end_date`;
+
+// Returns null when user may link fromId to toId with type, otherwise
+// { status, error } with the HTTP status that fits the problem
+async function checkRelationship(client, fromId, toId, type, user) {
+  if (!Object.hasOwn(RELATIONSHIP_TYPES, type)) {
+    return { status: 400, error: `type must be one of ${Object.keys(RELATIONSHIP_TYPES).join(', ')}` };
+  }
+  if (fromId === toId) return { status: 400, error: 'A contract cannot be related to itself' };
+  if (!(await fetchVisibleContract(client, toId, user))) return { status: 404, error: `Contract ${toId} not found` };
+  // toId must not already be below fromId, or the link would close a loop
+  const { rows } = await client.query(
+    `
+      WITH RECURSIVE below AS (
+        SELECT from_contract_id, 1 AS depth FROM ${DB_SCHEMA}.contract_relationship WHERE to_contract_id = $1
+        UNION
+        SELECT r.from_contract_id, b.depth + 1
+        FROM ${DB_SCHEMA}.contract_relationship r
+        JOIN below b ON r.to_contract_id = b.from_contract_id
+        WHERE b.depth < ${MAX_DEPTH}
+      )
+      SELECT EXISTS (SELECT 1 FROM below WHERE from_contract_id = $2) AS cycle
+    `,
+    [fromId, toId],
+  );
+  if (rows[0]?.cycle) return { status: 409, error: `Contract ${toId} already descends from contract ${fromId}` };
+  return null;
+}
+
+// Inserts the link and notes it in the child contract's audit history. The
+// caller owns the transaction and has run checkRelationship.
+async function addRelationship(client, { fromId, toId, type, actorId }) {
+  const { rows } = await client.query(
+    `
+      INSERT INTO ${DB_SCHEMA}.contract_relationship (from_contract_id, to_contract_id, relationship_type, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING relationship_id, from_contract_id, to_contract_id, relationship_type, created_at
+    `,
+    [fromId, toId, type, actorId],
+  );
+  await recordAudit(client, { entityType: 'contract', entityId: fromId, action: 'update', before: { [type]: null }, after: { [type]: toId }, actorId });
+  return rows[0];
+}
+
+// The live contract that renews contractId, if any
+async function fetchRenewedBy(client, contractId) {
+  const { rows } = await client.query(
+    `
+      SELECT r.from_contract_id
+      FROM ${DB_SCHEMA}.contract_relationship r
+      JOIN ${DB_SCHEMA}.contract c ON c.contract_id = r.from_contract_id AND c.deleted_at IS NULL
+      WHERE r.to_contract_id = $1 AND r.relationship_type = 'renews'
+      LIMIT 1
+    `,
+    [contractId],
+  );
+  return rows[0]?.from_contract_id ?? null;
+}
+
+async function removeRelationship(client, { contractId, relationshipId, actorId }) {
+  const { rows } = await client.query(
+    `
+      DELETE FROM ${DB_SCHEMA}.contract_relationship
+      WHERE relationship_id = $1 AND (from_contract_id = $2 OR to_contract_id = $2)
+      RETURNING relationship_id, from_contract_id, to_contract_id, relationship_type
+    `,
+    [relationshipId, contractId],
+  );
+  const removed = rows[0] || null;
+  if (removed) {
+    await recordAudit(client, {
+      entityType: 'contract',
+      entityId: removed.from_contract_id,
+      action: 'update',
+      before: { [removed.relationship_type]: removed.to_contract_id },
+      after: { [removed.relationship_type]: null },
+      actorId,
+    });
+  }
+  return removed;
+}
+
+// Every link within MAX_DEPTH above (direction 'up') or below ('down') a
+// contract, joined with the contract on the far side. Soft-deleted contracts
+// and everything reached through them are left out.
+async function fetchLinks(client, contractId, direction) {
+  const [near, far] = direction === 'up' ? ['from_contract_id', 'to_contract_id'] : ['to_contract_id', 'from_contract_id'];
+  const { rows } = await client.query(
+    `
+      WITH RECURSIVE links AS (
+        SELECT r.relationship_id, r.from_contract_id, r.to_contract_id, r.relationship_type, 1 AS depth
+        FROM ${DB_SCHEMA}.contract_relationship r
+        JOIN ${DB_SCHEMA}.contract x ON x.contract_id = r.${far} AND x.deleted_at IS NULL
+        WHERE r.${near} = $1
+        UNION
+        SELECT r.relationship_id, r.from_contract_id, r.to_contract_id, r.relationship_type, l.depth + 1
+        FROM ${DB_SCHEMA}.contract_relationship r
+        JOIN links l ON r.${near} = l.${far}
+        JOIN ${DB_SCHEMA}.contract x ON x.contract_id = r.${far} AND x.deleted_at IS NULL
+        WHERE l.depth < ${MAX_DEPTH}
+      )
+      SELECT l.relationship_id, l.from_contract_id, l.to_contract_id, l.relationship_type, ${NODE_COLUMNS}
+      FROM links l
+      JOIN ${DB_SCHEMA}.contract c ON c.contract_id = l.${far}
+      LEFT JOIN ${DB_SCHEMA}.status s ON s.status_id = c.status_id
+      ORDER BY c.start_date ASC NULLS LAST, c.contract_id ASC
+    `,
+    [contractId],
+  );
+  // A link reachable at several depths comes back once per depth
+  return [...new Map(rows.map((r) => [r.relationship_id, r])).values()];
+}
+
+function toNode(row) {
+  return {
+    contract_id: row.contract_id,
+    title: row.title,
+    counterparty_name: row.counterparty_name,
+    status_id: row.status_id,
+    status: row.status,
+    start_date: row.start_date,
+    end_date: row.end_date,
+  };
+}
+
+// The contract's relationship tree: parents nest upwards (what it amends,
+// renews, ... and their parents), children nest downwards. Each entry is
+// { relationship_id, type, contract, parents | children }, with type read from
+// the nested contract's side (the child "renews", the parent is "renewed_by").
+// Contracts user may not see are left out along with everything beyond them.
+async function fetchRelationshipTree(client, contractId, user) {
+  const visible = (rows) => rows.filter((r) => canAccessDepartment(user, r.department_id));
+  const [up, down] = (await Promise.all([fetchLinks(client, contractId, 'up'), fetchLinks(client, contractId, 'down')])).map(visible);
+  const build = (rows, near, far, key, typeOf, id, seen) => rows
+    .filter((r) => r[near] === id && !seen.has(r[far]))
+    .map((r) => ({
+      relationship_id: r.relationship_id,
+      type: typeOf(r.relationship_type),
+      contract: toNode(r),
+      [key]: build(rows, near, far, key, typeOf, r[far], new Set([...seen, r[far]])),
+    }));
+  const self = new Set([contractId]);
+  return {
+    parents: build(up, 'from_contract_id', 'to_contract_id', 'parents', (t) => RELATIONSHIP_TYPES[t]?.inverse ?? t, contractId, self),
+    children: build(down, 'to_contract_id', 'from_contract_id', 'children', (t) => t, contractId, self),
+  };
+}
+
+export { RELATIONSHIP_TYPES, checkRelationship, addRelationship, fetchRenewedBy, removeRelationship, fetchRelationshipTree };
@@ -0,0 +1,175 @@
+import { pool, DB_SCHEMA } from './db.js';
+import { sendMail } from './mail.js';
+import { fetchUpcomingDeadlines } from './deadlines.js';
+import { toIsoDate, addDays } from './renewals.js';
+import { ORGANIZATION_WIDE_ROLES } from './permissions.js';
+
+// Scheduled reminder emails for upcoming end dates and notice deadlines. Each
+// date is reminded at the tightest configured lead time it falls within (with
+// 90,60,30,7 a date 20 days out gets the 30-day reminder). reminder_log has one
+// row per contract/kind/date/lead/recipient (and obligation), which keeps
+// reminders from repeating. Obligations also go to their own owner.
+
+const REMINDER_INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES || 60);
+const REMINDER_LEAD_DAYS = String(process.env.REMINDER_LEAD_DAYS || '90,60,30,7')
+  .split(',')
+  .map((x) => Number(x.trim()))
+  .filter((n) => Number.isInteger(n) && n >= 0)
+  .sort((a, b) => a - b);
+
+const KIND_LABELS = {
+  end_date: 'ends',
+  notice_deadline: 'has its termination notice deadline',
+};
+
+function describeItem(item) {
+  if (item.kind === 'obligation') return `has "${item.obligation_title}" due`;
+  return KIND_LABELS[item.kind];
+}
+
+function leadTimeFor(daysUntil, leadDays = REMINDER_LEAD_DAYS) {
+  const lead = leadDays.find((d) => daysUntil <= d);
+  return lead === undefined ? null : lead;
+}
+
+// Owner email (internal_owner may hold an email, a username or a display name)
+// and department watcher emails per contract. Watchers with a department-scoped
+// role only hear about departments they belong to.
+async function fetchRecipients(contractIds) {
+  const { rows } = await pool.query(
+    `
+      SELECT c.contract_id,
+             CASE WHEN c.internal_owner LIKE '%@%' THEN lower(trim(c.internal_owner)) ELSE owner.username END AS owner_email,
+             ARRAY(
+               SELECT ua.username
+               FROM ${DB_SCHEMA}.department_watcher w
+               JOIN ${DB_SCHEMA}.user_account ua ON ua.user_id = w.user_id
+               WHERE w.department_id = c.department_id
+                 AND ua.status <> 'inactive'
+                 AND (
+                   lower(trim(ua.role)) = ANY($2::text[])
+                   OR EXISTS (
+                     SELECT 1 FROM ${DB_SCHEMA}.user_department ud
+                     WHERE ud.user_id = ua.user_id AND ud.department_id = c.department_id
+                   )
+                 )
+             ) AS watcher_emails
+      FROM ${DB_SCHEMA}.contract c
+      LEFT JOIN LATERAL (
+        SELECT u.username
+        FROM ${DB_SCHEMA}.user_account u
+        WHERE u.status <> 'inactive'
+          AND (lower(u.username) = lower(trim(c.internal_owner)) OR lower(u.name) = lower(trim(c.internal_owner)))
+        ORDER BY u.user_id
+        LIMIT 1
+      ) owner ON TRUE
+      WHERE c.contract_id = ANY($1::int[])
+    `,
+    [contractIds, ORGANIZATION_WIDE_ROLES],
+  );
+  const byContract = new Map();
+  for (const row of rows) {
+    const emails = [row.owner_email, ...(row.watcher_emails || [])]
+      .filter((e) => typeof e === 'string' && e.includes('@'))
+      .map((e) => e.toLowerCase());
+    byContract.set(row.contract_id, Array.from(new Set(emails)));
+  }
+  return byContract;
+}
+
+// Emails for obligation owners, which like internal_owner may be an email, a
+// username or a display name. Returns Map owner -> email.
+async function fetchOwnerEmails(owners) {
+  if (owners.length === 0) return new Map();
+  const { rows } = await pool.query(
+    `
+      SELECT o.owner,
+             CASE WHEN o.owner LIKE '%@%' THEN lower(trim(o.owner)) ELSE u.username END AS email
+      FROM unnest($1::text[]) AS o(owner)
+      LEFT JOIN LATERAL (
+        SELECT ua.username
+        FROM ${DB_SCHEMA}.user_account ua
+        WHERE ua.status <> 'inactive'
+          AND (lower(ua.username) = lower(trim(o.owner)) OR lower(ua.name) = lower(trim(o.owner)))
+        ORDER BY ua.user_id
+        LIMIT 1
+      ) u ON TRUE
+    `,
+    [owners],
+  );
+  return new Map(rows.filter((r) => typeof r.email === 'string' && r.email.includes('@')).map((r) => [r.owner, r.email.toLowerCase()]));
+}
+
+function buildReminderMessage(item, recipient) {
+  const due = toIsoDate(item.due_date);
+  const when = item.days_until === 0 ? 'today' : `in ${item.days_until} day${item.days_until === 1 ? '' : 's'}`;
+  const lines = [
+    `Contract "${item.title}" ${describeItem(item)} on ${due} (${when}).`,
+    '',
+    ...(item.kind === 'obligation' ? [`Obligation owner: ${item.obligation_owner || '-'}`] : []),
+    `Counterparty: ${item.counterparty_name || '-'}`,
+    `Department: ${item.department || '-'}`,
+    `Status: ${item.status || '-'}`,
+    `Owner: ${item.internal_owner || '-'}`,
+    `Auto-renew: ${item.auto_renew ? 'yes' : 'no'}`,
+  ];
+  return { to: recipient, subject: `Reminder: "${item.title}" ${describeItem(item)} on ${due}`, text: lines.join('\n') };
+}
+
+// Sends every reminder that is due and not yet sent. Returns the number of emails sent.
+async function runReminders(today = toIsoDate(new Date())) {
+  if (REMINDER_LEAD_DAYS.length === 0) return 0;
+  const items = await fetchUpcomingDeadlines({
+    fromDate: today,
+    toDate: addDays(today, REMINDER_LEAD_DAYS[REMINDER_LEAD_DAYS.length - 1]),
+  });
+  if (items.length === 0) return 0;
+  const recipients = await fetchRecipients(Array.from(new Set(items.map((i) => i.contract_id))));
+  const ownerEmails = await fetchOwnerEmails(Array.from(new Set(items.map((i) => i.obligation_owner).filter(Boolean))));
+
+  let sent = 0;
+  for (const item of items) {
+    const lead = leadTimeFor(item.days_until);
+    if (lead === null) continue;
+    const to = new Set(recipients.get(item.contract_id) || []);
+    if (ownerEmails.has(item.obligation_owner)) to.add(ownerEmails.get(item.obligation_owner));
+    for (const recipient of to) {
+      // Claim the reminder first so concurrent runs cannot both send it
+      const { rows } = await pool.query(
+        `
+          INSERT INTO ${DB_SCHEMA}.reminder_log (contract_id, kind, due_date, lead_days, recipient, obligation_id)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT DO NOTHING
+          RETURNING reminder_id
+        `,
+        [item.contract_id, item.kind, toIsoDate(item.due_date), lead, recipient, item.obligation_id ?? null],
+      );
+      if (rows.length === 0) continue;
+      try {
+        await sendMail(buildReminderMessage(item, recipient));
+        sent += 1;
+      } catch (err) {
+        console.error(`Failed to send reminder to ${recipient}:`, err?.message || err);
+        await pool.query(`DELETE FROM ${DB_SCHEMA}.reminder_log WHERE reminder_id = $1`, [rows[0].reminder_id]);
+      }
+    }
+  }
+  return sent;
+}
+
+function startReminderScheduler(intervalMinutes = REMINDER_INTERVAL_MINUTES) {
+  const run = async () => {
+    try {
+      const sent = await runReminders();
+      if (sent > 0) console.log(`[Reminders] Sent ${sent} reminder(s)`);
+    } catch (err) {
+      console.error('Failed to run reminders:', err?.message || err);
+    }
+  };
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref?.();
+  return timer;
+}
+
+export { leadTimeFor, runReminders, startReminderScheduler };
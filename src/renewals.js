@@ -0,0 +1,216 @@
+import { pool, DB_SCHEMA } from './db.js';
+import { recordAudit } from './audit.js';
+
+// Contract term rules: the termination notice deadline is derived from end_date
+// and termination_notice_days, term dates must be consistent, and auto-renewing
+// contracts are rolled forward by renewal_term_months once they pass end_date.
+
+const RENEWAL_SWEEP_INTERVAL_MINUTES = Number(process.env.RENEWAL_SWEEP_INTERVAL_MINUTES || 60);
+
+const DATE_FIELDS = ['signed_date', 'effective_date', 'start_date', 'end_date', 'termination_notice_deadline'];
+const TERM_FIELDS = [...DATE_FIELDS, 'auto_renew', 'renewal_term_months', 'termination_notice_days'];
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Normalizes a DATE value to 'YYYY-MM-DD'. pg hands DATE columns back as local-midnight
+// Date objects, so local getters are used for those. Returns null for empty input and
+// undefined for anything that is not a valid calendar date.
+function toIsoDate(v) {
+  if (v === null || v === undefined || v === '') return null;
+  if (v instanceof Date) {
+    if (Number.isNaN(v.getTime())) return undefined;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}`;
+  }
+  const m = ISO_DATE.exec(String(v).trim().slice(0, 10));
+  if (!m) return undefined;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  if (d.getUTCFullYear() !== Number(m[1]) || d.getUTCMonth() !== Number(m[2]) - 1 || d.getUTCDate() !== Number(m[3])) return undefined;
+  return m[0];
+}
+
+function parseUtc(isoDate) {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatUtc(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(isoDate, days) {
+  const d = parseUtc(isoDate);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatUtc(d);
+}
+
+// Adds calendar months, clamping to the last day of shorter months (Jan 31 + 1 month = Feb 28/29)
+function addMonths(isoDate, months) {
+  const d = parseUtc(isoDate);
+  const day = d.getUTCDate();
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return formatUtc(target);
+}
+
+function computeNoticeDeadline(endDate, noticeDays) {
+  const end = toIsoDate(endDate);
+  if (!end || noticeDays === null || noticeDays === undefined) return null;
+  return addDays(end, -Number(noticeDays));
+}
+
+// Validates the merged contract (existing row plus changes) and returns the
+// changes with termination_notice_deadline derived where possible. Changes that
+// touch no term field pass through, so older rows that break a rule can still
+// be edited. Returns { data } or { error }.
+function applyContractTerms(changes, existing = {}) {
+  const data = { ...changes };
+  if (!TERM_FIELDS.some((field) => field in data)) return { data };
+  for (const field of DATE_FIELDS) {
+    if (!(field in data)) continue;
+    const iso = toIsoDate(data[field]);
+    if (iso === undefined) return { error: `Invalid date for ${field}, expected YYYY-MM-DD` };
+    data[field] = iso;
+  }
+  const merged = { ...existing, ...data };
+  const get = (field) => toIsoDate(merged[field]) ?? null;
+
+  const start = get('start_date');
+  const end = get('end_date');
+  if (start && end && start > end) return { error: 'start_date must be on or before end_date' };
+  const effective = get('effective_date');
+  if (effective && end && effective > end) return { error: 'effective_date must be on or before end_date' };
+
+  const noticeDays = merged.termination_notice_days;
+  if (noticeDays != null && noticeDays < 0) return { error: 'termination_notice_days cannot be negative' };
+  const termMonths = merged.renewal_term_months;
+  if (termMonths != null && termMonths < 0) return { error: 'renewal_term_months cannot be negative' };
+  if (merged.auto_renew === true && !(termMonths > 0)) {
+    return { error: 'renewal_term_months must be greater than 0 when auto_renew is true' };
+  }
+
+  // The deadline follows end_date and notice days whenever both are known;
+  // otherwise a manually entered deadline is kept
+  if (end && noticeDays != null) {
+    data.termination_notice_deadline = computeNoticeDeadline(end, noticeDays);
+  }
+  return { data };
+}
+
+// Renewal periods needed to bring an expired auto-renewing term up to date.
+// Each period starts the day after the previous end; ends are computed from the
+// original end_date so month-end clamping does not drift.
+function pendingRenewalPeriods(endDate, termMonths, today) {
+  const end = toIsoDate(endDate);
+  const periods = [];
+  if (!end || !(termMonths > 0)) return periods;
+  let previousEnd = end;
+  for (let n = 1; previousEnd < today; n += 1) {
+    const newEnd = addMonths(end, termMonths * n);
+    periods.push({ start_date: addDays(previousEnd, 1), end_date: newEnd, previous_end_date: previousEnd });
+    previousEnd = newEnd;
+  }
+  return periods;
+}
+
+async function renewContract(contractId, today) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT * FROM ${DB_SCHEMA}.contract WHERE contract_id = $1 AND deleted_at IS NULL FOR UPDATE`,
+      [contractId],
+    );
+    const before = rows[0];
+    const periods = before && before.auto_renew ? pendingRenewalPeriods(before.end_date, before.renewal_term_months, today) : [];
+    if (periods.length === 0) {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+    for (const p of periods) {
+      await client.query(
+        `
+          INSERT INTO ${DB_SCHEMA}.contract_renewal (contract_id, period_start, period_end, previous_end_date)
+          VALUES ($1, $2, $3, $4)
+        `,
+        [contractId, p.start_date, p.end_date, p.previous_end_date],
+      );
+    }
+    const newEnd = periods[periods.length - 1].end_date;
+    const { rows: updated } = await client.query(
+      `
+        UPDATE ${DB_SCHEMA}.contract
+        SET end_date = $2, termination_notice_deadline = $3, updated_at = NOW()
+        WHERE contract_id = $1
+        RETURNING *
+      `,
+      [contractId, newEnd, computeNoticeDeadline(newEnd, before.termination_notice_days) ?? before.termination_notice_deadline],
+    );
+    await recordAudit(client, { entityType: 'contract', entityId: contractId, action: 'update', before, after: updated[0], actorId: null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return periods.length;
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    throw err;
+  } finally {
+    if (client) client.release();
+  }
+}
+
+// Rolls every overdue auto-renewing contract forward. Returns the number of renewal periods recorded.
+async function runAutoRenewals(today = formatUtc(new Date())) {
+  const { rows } = await pool.query(
+    `
+      SELECT contract_id
+      FROM ${DB_SCHEMA}.contract
+      WHERE auto_renew IS TRUE
+        AND renewal_term_months > 0
+        AND end_date < $1::date
+        AND deleted_at IS NULL
+      ORDER BY contract_id
+    `,
+    [today],
+  );
+  let renewed = 0;
+  for (const { contract_id: id } of rows) {
+    try {
+      renewed += await renewContract(id, today);
+    } catch (err) {
+      console.error(`Failed to auto-renew contract ${id}:`, err?.message || err);
+    }
+  }
+  return renewed;
+}
+
+function startRenewalScheduler(intervalMinutes = RENEWAL_SWEEP_INTERVAL_MINUTES) {
+  const run = async () => {
+    try {
+      const renewed = await runAutoRenewals();
+      if (renewed > 0) console.log(`[Renewals] Recorded ${renewed} renewal period(s)`);
+    } catch (err) {
+      console.error('Failed to run auto-renewals:', err?.message || err);
+    }
+  };
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref?.();
+  return timer;
+}
+
+export {
+  toIsoDate,
+  addDays,
+  addMonths,
+  computeNoticeDeadline,
+  applyContractTerms,
+  pendingRenewalPeriods,
+  runAutoRenewals,
+  startRenewalScheduler,
+};
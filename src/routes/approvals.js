@@ -0,0 +1,369 @@
+import express from 'express';
+import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission, hasPermission, fetchVisibleContract } from '../permissions.js';
+import {
+  APPROVAL_MODES,
+  fetchMatchingRules,
+  approvalPlanFromRules,
+  currentApproverIds,
+  fetchApprovalRequests,
+  notifyUsers,
+  notifyApprovers,
+} from '../approvals.js';
+import { CURRENCY, parseAmount, parseMinor, formatMinor } from '../financials.js';
+
+// /approvals: approval rules, "my pending approvals" and approve/reject/cancel.
+// contractRouter is mounted at /contracts/:contract_id/approvals for listing and
+// requesting approvals on one contract.
+
+const router = express.Router();
+router.use(express.json());
+
+const contractRouter = express.Router({ mergeParams: true });
+contractRouter.use(express.json());
+
+const RULE_COLUMNS = 'rule_id, name, contract_type, department_id, min_value_minor, currency, mode, approver_ids, created_by, created_at';
+
+function normalizeRule(row) {
+  const minValueMinor = row.min_value_minor == null ? null : Number(row.min_value_minor);
+  return { ...row, min_value_minor: minValueMinor, min_value: formatMinor(minValueMinor, row.currency) };
+}
+
+// Optional value threshold of a rule: min_value (decimal) or min_value_minor,
+// with its currency. Returns { minValueMinor, currency } (both null when absent) or { error }.
+function parseThreshold(body) {
+  if ('min_value' in body && 'min_value_minor' in body) return { error: 'Send min_value or min_value_minor, not both' };
+  if (body.min_value == null && body.min_value_minor == null) {
+    if (body.currency != null) return { error: 'currency is only used with min_value' };
+    return { minValueMinor: null, currency: null };
+  }
+  const currency = String(body.currency ?? '').trim().toUpperCase();
+  if (!CURRENCY.test(currency)) return { error: 'currency must be a three-letter ISO 4217 code' };
+  if (body.min_value != null) {
+    const parsed = parseAmount(body.min_value, currency);
+    if (parsed.error) return { error: `Invalid min_value: ${parsed.error}` };
+    return { minValueMinor: parsed.minor, currency };
+  }
+  const parsed = parseMinor(body.min_value_minor, 'min_value_minor');
+  if (parsed.error) return { error: parsed.error };
+  return { minValueMinor: parsed.minor, currency };
+}
+
+function parseComment(v) {
+  return typeof v === 'string' && v.trim() ? v.trim() : null;
+}
+
+// Validates a list of approver user ids: integers, no repeats, active users.
+// Returns { ids } or { error }.
+async function parseApproverIds(client, value) {
+  if (!Array.isArray(value) || value.length === 0 || !value.every(Number.isInteger)) {
+    return { error: 'approver_ids must be a non-empty array of user ids' };
+  }
+  if (new Set(value).size !== value.length) return { error: 'approver_ids must not repeat a user' };
+  const { rows } = await client.query(
+    `SELECT user_id FROM ${DB_SCHEMA}.user_account WHERE user_id = ANY($1::int[]) AND status <> 'inactive'`,
+    [value],
+  );
+  const unknown = value.filter((id) => !rows.some((r) => r.user_id === id));
+  if (unknown.length > 0) return { error: `Unknown or inactive approver ${unknown.join(', ')}` };
+  return { ids: value };
+}
+
+router.get('/pending', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `
+        SELECT r.request_id, r.contract_id, c.title, r.mode, r.note, r.requested_at,
+               COALESCE(ru.name, ru.username) AS requested_by_name, st.step_id, st.position
+        FROM ${DB_SCHEMA}.approval_step st
+        JOIN ${DB_SCHEMA}.approval_request r ON r.request_id = st.request_id AND r.status = 'pending'
+        JOIN ${DB_SCHEMA}.contract c ON c.contract_id = r.contract_id AND c.deleted_at IS NULL
+        LEFT JOIN ${DB_SCHEMA}.user_account ru ON ru.user_id = r.requested_by
+        WHERE st.approver_id = $1
+          AND st.decision = 'pending'
+          AND (
+            r.mode = 'parallel'
+            OR NOT EXISTS (
+              SELECT 1 FROM ${DB_SCHEMA}.approval_step prev
+              WHERE prev.request_id = st.request_id AND prev.position < st.position AND prev.decision <> 'approved'
+            )
+          )
+        ORDER BY r.requested_at ASC, r.request_id ASC
+      `,
+      [req.user.user_id],
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error listing pending approvals:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.get('/rules', requirePermission(PERMISSIONS.CONTRACTS_READ), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(`SELECT ${RULE_COLUMNS} FROM ${DB_SCHEMA}.approval_rule ORDER BY rule_id`);
+    return res.json(rows.map(normalizeRule));
+  } catch (err) {
+    console.error('Error listing approval rules:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/rules', requirePermission(PERMISSIONS.APPROVALS_MANAGE), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const name = String(body.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    const mode = body.mode === undefined ? 'sequential' : body.mode;
+    if (!APPROVAL_MODES.includes(mode)) return res.status(400).json({ error: 'mode must be sequential or parallel' });
+    const contractType = parseComment(body.contract_type);
+    const departmentId = body.department_id == null ? null : Number(body.department_id);
+    if (departmentId !== null && !Number.isInteger(departmentId)) return res.status(400).json({ error: 'Invalid department_id' });
+    const threshold = parseThreshold(body);
+    if (threshold.error) return res.status(400).json({ error: threshold.error });
+    const approvers = await parseApproverIds(pool, body.approver_ids);
+    if (approvers.error) return res.status(400).json({ error: approvers.error });
+    const { rows } = await pool.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.approval_rule (name, contract_type, department_id, min_value_minor, currency, mode, approver_ids, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7::int[], $8)
+        RETURNING ${RULE_COLUMNS}
+      `,
+      [name, contractType, departmentId, threshold.minValueMinor, threshold.currency, mode, approvers.ids, req.user?.user_id || null],
+    );
+    return res.status(201).json(normalizeRule(rows[0]));
+  } catch (err) {
+    console.error('Error creating approval rule:', err);
+    if (err?.code === '23503') return res.status(400).json({ error: 'Unknown department_id' });
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.delete('/rules/:rule_id', requirePermission(PERMISSIONS.APPROVALS_MANAGE), async (req, res) => {
+  try {
+    const id = Number(req.params.rule_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid rule_id' });
+    const { rowCount } = await pool.query(`DELETE FROM ${DB_SCHEMA}.approval_rule WHERE rule_id = $1`, [id]);
+    if (rowCount === 0) return res.status(404).json({ error: 'Approval rule not found' });
+    return res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting approval rule:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// Records the current user's decision on a request. Rejecting by any approver
+// rejects the request; it is approved once every approver has approved. The
+// requester may reject but never approve their own request.
+async function decide(req, res, decision) {
+  let client;
+  try {
+    const id = Number(req.params.request_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid request_id' });
+    const comment = parseComment(req.body?.comment);
+    if (decision === 'rejected' && !comment) return res.status(400).json({ error: 'comment is required when rejecting' });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows: requests } = await client.query(
+      `
+        SELECT r.*, c.title AS contract_title
+        FROM ${DB_SCHEMA}.approval_request r
+        JOIN ${DB_SCHEMA}.contract c ON c.contract_id = r.contract_id
+        WHERE r.request_id = $1
+        FOR UPDATE OF r
+      `,
+      [id],
+    );
+    const request = requests[0];
+    if (!request) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Approval request not found' });
+    }
+    if (request.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Approval request is already ${request.status}` });
+    }
+    const { rows: steps } = await client.query(
+      `SELECT step_id, position, approver_id, decision FROM ${DB_SCHEMA}.approval_step WHERE request_id = $1 ORDER BY position`,
+      [id],
+    );
+    const mine = steps.find((s) => s.approver_id === req.user.user_id);
+    if (!mine) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'You are not an approver on this request' });
+    }
+    if (decision === 'approved' && request.requested_by === req.user.user_id) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'You cannot approve your own approval request' });
+    }
+    if (mine.decision !== 'pending') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `You already ${mine.decision} this request` });
+    }
+    if (!currentApproverIds(request, steps).includes(req.user.user_id)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Waiting for earlier approvers' });
+    }
+
+    await client.query(
+      `UPDATE ${DB_SCHEMA}.approval_step SET decision = $2, comment = $3, decided_at = NOW() WHERE step_id = $1`,
+      [mine.step_id, decision, comment],
+    );
+    mine.decision = decision;
+    let outcome = 'pending';
+    if (decision === 'rejected') outcome = 'rejected';
+    else if (steps.every((s) => s.decision === 'approved')) outcome = 'approved';
+    if (outcome !== 'pending') {
+      await client.query(
+        `UPDATE ${DB_SCHEMA}.approval_request SET status = $2, completed_at = NOW() WHERE request_id = $1`,
+        [id, outcome],
+      );
+    }
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+
+    const [updated] = await fetchApprovalRequests(pool, { requestId: id });
+    const title = request.contract_title;
+    if (outcome === 'pending' && request.mode === 'sequential') {
+      await notifyApprovers(pool, updated.current_approver_ids, { contract_id: request.contract_id, title });
+    } else if (outcome !== 'pending' && request.requested_by) {
+      await notifyUsers(
+        pool,
+        [request.requested_by],
+        `Approval ${outcome}: "${title}"`,
+        `The approval request for contract "${title}" was ${outcome}${comment ? `:\n\n${comment}` : '.'}`,
+      );
+    }
+    return res.json(updated);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error recording approval decision:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+}
+
+router.post('/:request_id/approve', (req, res) => decide(req, res, 'approved'));
+router.post('/:request_id/reject', (req, res) => decide(req, res, 'rejected'));
+
+// Withdraws a pending request; allowed for the requester and writers of the contract
+router.post('/:request_id/cancel', async (req, res) => {
+  try {
+    const id = Number(req.params.request_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid request_id' });
+    const [request] = await fetchApprovalRequests(pool, { requestId: id });
+    if (!request) return res.status(404).json({ error: 'Approval request not found' });
+    if (request.requested_by !== req.user.user_id) {
+      if (!hasPermission(req.user, PERMISSIONS.CONTRACTS_WRITE) || !(await fetchVisibleContract(pool, request.contract_id, req.user))) {
+        return res.status(403).json({ error: 'Only the requester or a contract editor can cancel this request' });
+      }
+    }
+    const { rowCount } = await pool.query(
+      `
+        UPDATE ${DB_SCHEMA}.approval_request
+        SET status = 'cancelled', completed_at = NOW()
+        WHERE request_id = $1 AND status = 'pending'
+      `,
+      [id],
+    );
+    if (rowCount === 0) return res.status(409).json({ error: `Approval request is already ${request.status}` });
+    const [updated] = await fetchApprovalRequests(pool, { requestId: id });
+    return res.json(updated);
+  } catch (err) {
+    console.error('Error cancelling approval request:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+contractRouter.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    if (!(await fetchVisibleContract(pool, contractId, req.user))) return res.status(404).json({ error: 'Contract not found' });
+    return res.json(await fetchApprovalRequests(pool, { contractId }));
+  } catch (err) {
+    console.error('Error listing contract approvals:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// Opens an approval request. Approvers come from the approval rules matching the
+// contract, or from approver_ids/mode in the body, which may add approvers but
+// must keep everyone the matching rules require. The requester cannot be one of them.
+contractRouter.post('/', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const body = req.body || {};
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+
+    const rules = await fetchMatchingRules(pool, contract);
+    let plan;
+    if (body.approver_ids !== undefined) {
+      const approvers = await parseApproverIds(pool, body.approver_ids);
+      if (approvers.error) return res.status(400).json({ error: approvers.error });
+      const missing = approvalPlanFromRules(rules).approverIds.filter((id) => !approvers.ids.includes(id));
+      if (missing.length > 0) {
+        return res.status(400).json({ error: `approver_ids must include the approvers required by the approval rules: ${missing.join(', ')}` });
+      }
+      plan = { approverIds: approvers.ids, mode: body.mode === undefined ? 'sequential' : body.mode };
+      if (!APPROVAL_MODES.includes(plan.mode)) return res.status(400).json({ error: 'mode must be sequential or parallel' });
+    } else {
+      if (rules.length === 0) return res.status(400).json({ error: 'No approval rule matches this contract; pass approver_ids' });
+      plan = approvalPlanFromRules(rules);
+    }
+    // Requesters never approve their own request, so one naming them could never complete
+    if (plan.approverIds.includes(req.user.user_id)) {
+      return res.status(409).json({ error: 'You are an approver for this contract; another editor has to open the request' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.approval_request (contract_id, mode, note, requested_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING request_id
+      `,
+      [contractId, plan.mode, parseComment(body.note), req.user?.user_id || null],
+    );
+    const requestId = rows[0].request_id;
+    await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.approval_step (request_id, position, approver_id)
+        SELECT $1, a.position, a.approver_id
+        FROM unnest($2::int[]) WITH ORDINALITY AS a (approver_id, position)
+      `,
+      [requestId, plan.approverIds],
+    );
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+
+    const [created] = await fetchApprovalRequests(pool, { requestId });
+    await notifyApprovers(pool, created.current_approver_ids, contract);
+    return res.status(201).json(created);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23505') return res.status(409).json({ error: 'This contract already has a pending approval request' });
+    console.error('Error requesting contract approval:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+export { router, contractRouter };
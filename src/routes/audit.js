@@ -0,0 +1,77 @@
+import express from 'express';
+import { pool, DB_SCHEMA } from '../db.js';
+import { AUDIT_ENTITY_TYPES } from '../audit.js';
+import { PERMISSIONS, requirePermission } from '../permissions.js';
+
+const router = express.Router();
+router.use(express.json());
+
+const AUDIT_ACTIONS = new Set(['create', 'update', 'delete', 'restore', 'purge', 'merge']);
+
+router.get('/', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const params = [];
+    const where = [];
+
+    if (req.query.user_id !== undefined && req.query.user_id !== '') {
+      const userId = Number(req.query.user_id);
+      if (!Number.isInteger(userId)) return res.status(400).json({ error: 'Invalid user_id' });
+      params.push(userId);
+      where.push(`a.actor_id = $${params.length}`);
+    }
+    if (req.query.entity_type !== undefined && req.query.entity_type !== '') {
+      const entityType = String(req.query.entity_type).trim().toLowerCase();
+      if (!AUDIT_ENTITY_TYPES.has(entityType)) return res.status(400).json({ error: 'Invalid entity_type' });
+      params.push(entityType);
+      where.push(`a.entity_type = $${params.length}`);
+    }
+    if (req.query.entity_id !== undefined && req.query.entity_id !== '') {
+      const entityId = Number(req.query.entity_id);
+      if (!Number.isInteger(entityId)) return res.status(400).json({ error: 'Invalid entity_id' });
+      params.push(entityId);
+      where.push(`a.entity_id = $${params.length}`);
+    }
+    if (req.query.action !== undefined && req.query.action !== '') {
+      const action = String(req.query.action).trim().toLowerCase();
+      if (!AUDIT_ACTIONS.has(action)) return res.status(400).json({ error: 'Invalid action' });
+      params.push(action);
+      where.push(`a.action = $${params.length}`);
+    }
+    // from/to accept a date or timestamp; a bare date in "to" covers that whole day
+    for (const [key, op] of [['from', '>='], ['to', '<']]) {
+      const v = req.query[key];
+      if (v === undefined || v === '') continue;
+      if (Number.isNaN(Date.parse(v))) return res.status(400).json({ error: `Invalid ${key}` });
+      params.push(String(v));
+      const bound = key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(String(v))
+        ? `$${params.length}::date + 1`
+        : `$${params.length}::timestamptz`;
+      where.push(`a.created_at ${op} ${bound}`);
+    }
+
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const sql = `
+      SELECT a.audit_id, a.entity_type, a.entity_id, a.action, a.changes, a.actor_id,
+             COALESCE(ua.name, ua.username) AS actor_name, a.created_at
+      FROM ${DB_SCHEMA}.audit_log a
+      LEFT JOIN ${DB_SCHEMA}.user_account ua ON ua.user_id = a.actor_id
+      ${whereSql}
+      ORDER BY a.created_at DESC, a.audit_id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+    const countSql = `SELECT COUNT(*) AS total FROM ${DB_SCHEMA}.audit_log a ${whereSql}`;
+    const [{ rows }, count] = await Promise.all([
+      pool.query(sql, [...params, limit, offset]),
+      pool.query(countSql, params),
+    ]);
+    res.set('X-Total-Count', String(Number(count.rows[0]?.total || 0)));
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error listing audit log:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+export { router };
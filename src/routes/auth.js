@@ -1,6 +1,17 @@
 import express from 'express';
-import { randomUUID } from 'node:crypto';
+import { randomUUID, randomBytes, createHash } from 'node:crypto';
 import { pool, DB_SCHEMA } from '../db.js';
+import { sendMail } from '../mail.js';
+import {
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  sleep,
+  findActiveLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordResetRequest,
+  retryAfterSeconds,
+} from '../throttle.js';
+import { normalizeRole, permissionsForRole } from '../permissions.js';
 
 const router = express.Router();
 router.use(express.json());
@@ -9,8 +20,13 @@ const USER_STATUSES = new Set(['pending', 'active', 'inactive']);
 
 const SESSION_COOKIE_NAME = process.env.SESSION_COOKIE_NAME || 'cm_session';
 const SESSION_MAX_AGE_DAYS = Number(process.env.SESSION_MAX_AGE_DAYS || 7);
+const SESSION_IDLE_TIMEOUT_MINUTES = Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES || 120);
+const SESSION_SWEEP_INTERVAL_MINUTES = Number(process.env.SESSION_SWEEP_INTERVAL_MINUTES || 15);
 const SESSION_COOKIE_SECURE = String(process.env.SESSION_COOKIE_SECURE || 'false').toLowerCase() === 'true';
 
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30);
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || '';
+
 const SESSION_COOKIE_OPTIONS = {
   httpOnly: true,
   sameSite: 'lax',
@@ -58,18 +74,47 @@ function extractSessionId(req) {
 function normalizeUserRow(row) {
   if (!row) return row;
   const { user_id, username, name, status, last_login_at, created_at, password_must_change } = row;
-  return { user_id, username, name, status, last_login_at, created_at, password_must_change: !!password_must_change };
+  const role = normalizeRole(row.role);
+  const department_ids = Array.isArray(row.department_ids) ? row.department_ids.map(Number) : [];
+  return {
+    user_id,
+    username,
+    name,
+    status,
+    last_login_at,
+    created_at,
+    password_must_change: !!password_must_change,
+    role,
+    department_ids,
+    permissions: permissionsForRole(role),
+  };
+}
+
+// A session is live while it is younger than SESSION_MAX_AGE_DAYS and has been
+// seen within SESSION_IDLE_TIMEOUT_MINUTES. The arguments are the placeholder
+// numbers that carry sessionLimitParams() in the caller's query.
+function liveSessionCondition(maxAgeParam, idleParam) {
+  return `(
+    s.created_at > NOW() - ($${maxAgeParam} || ' days')::interval
+    AND COALESCE(s.last_seen_at, s.created_at) > NOW() - ($${idleParam} || ' minutes')::interval
+  )`;
+}
+
+function sessionLimitParams() {
+  return [String(SESSION_MAX_AGE_DAYS), String(SESSION_IDLE_TIMEOUT_MINUTES)];
 }
 
 async function fetchUserBySession(sessionId) {
   const sql = `
-    SELECT ua.user_id, ua.username, ua.name, ua.status, ua.created_at, ua.last_login_at, ua.password_must_change
+    SELECT ua.user_id, ua.username, ua.name, ua.status, ua.created_at, ua.last_login_at, ua.password_must_change, ua.role,
+           ARRAY(SELECT ud.department_id FROM ${DB_SCHEMA}.user_department ud WHERE ud.user_id = ua.user_id) AS department_ids
     FROM ${DB_SCHEMA}.user_session s
     JOIN ${DB_SCHEMA}.user_account ua ON ua.user_id = s.user_id
     WHERE s.session_id = $1
+      AND ${liveSessionCondition(2, 3)}
     LIMIT 1
   `;
-  const { rows } = await pool.query(sql, [sessionId]);
+  const { rows } = await pool.query(sql, [sessionId, ...sessionLimitParams()]);
   return rows.length ? normalizeUserRow(rows[0]) : null;
 }
 
@@ -80,21 +125,39 @@ router.post('/login', async (req, res) => {
     if (!username || !password) {
       return res.status(400).json({ error: 'username and password are required' });
     }
+    const normalizedUsername = String(username).trim().toLowerCase();
+    const ip = req.ip || null;
+
+    // Lockouts apply to the username whether or not it exists
+    const activeLockout = await findActiveLockout(normalizedUsername, ip);
+    if (activeLockout) {
+      res.set('Retry-After', String(retryAfterSeconds(activeLockout.locked_until)));
+      return res.status(423).json({ error: 'Too many failed login attempts. Try again later.' });
+    }
 
     client = await pool.connect();
     await client.query('BEGIN');
 
     // Validate username/password using pgcrypto crypt() comparison
     const sql = `
-      SELECT user_id, username, name, status, created_at, last_login_at, password_must_change
+      SELECT user_id, username, name, status, created_at, last_login_at, password_must_change, role,
+             ARRAY(SELECT ud.department_id FROM ${DB_SCHEMA}.user_department ud WHERE ud.user_id = user_account.user_id) AS department_ids
       FROM ${DB_SCHEMA}.user_account
       WHERE username = $1
         AND password_hash = crypt($2, password_hash)
       LIMIT 1
     `;
-    const { rows } = await client.query(sql, [String(username).trim().toLowerCase(), password]);
+    const { rows } = await client.query(sql, [normalizedUsername, password]);
     if (rows.length === 0) {
       await client.query('ROLLBACK');
+      client.release();
+      client = null;
+      const { lockout, delayMs } = await recordLoginFailure(normalizedUsername, ip);
+      if (delayMs > 0) await sleep(delayMs);
+      if (lockout) {
+        res.set('Retry-After', String(retryAfterSeconds(lockout.locked_until)));
+        return res.status(423).json({ error: 'Too many failed login attempts. Try again later.' });
+      }
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
@@ -121,14 +184,15 @@ router.post('/login', async (req, res) => {
     );
 
     await client.query(
-      `INSERT INTO ${DB_SCHEMA}.user_session (session_id, user_id) VALUES ($1, $2)`,
-      [sessionId, user.user_id],
+      `INSERT INTO ${DB_SCHEMA}.user_session (session_id, user_id, user_agent, ip) VALUES ($1, $2, $3, $4)`,
+      [sessionId, user.user_id, req.get('user-agent') || null, ip],
     );
 
     await client.query('COMMIT');
     client.release();
     client = null;
 
+    await recordLoginSuccess(normalizedUsername, ip);
     setSessionCookie(res, sessionId);
     return res.json({ session_id: sessionId, ...normalizeUserRow(user) });
   } catch (err) {
@@ -160,17 +224,12 @@ router.post('/logout', async (req, res) => {
 
 router.get('/me', async (req, res) => {
   try {
-    const sessionId = extractSessionId(req);
-    if (!sessionId) {
+    // The global auth gate has already resolved the session or API token
+    if (!req.user) {
       clearSessionCookie(res);
       return res.status(401).json({ error: 'Not authenticated' });
     }
-    const user = await fetchUserBySession(sessionId);
-    if (!user) {
-      clearSessionCookie(res);
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-    return res.json(user);
+    return res.json(req.user);
   } catch (err) {
     console.error('Error fetching current user:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
@@ -204,4 +263,196 @@ router.post('/change-password', async (req, res) => {
   }
 });
 
-export { router, extractSessionId, fetchUserBySession, setSessionCookie, clearSessionCookie, SESSION_COOKIE_NAME };
+async function deleteExpiredSessions() {
+  const { rowCount } = await pool.query(
+    `
+      DELETE FROM ${DB_SCHEMA}.user_session s
+      WHERE NOT ${liveSessionCondition(1, 2)}
+    `,
+    sessionLimitParams(),
+  );
+  return rowCount;
+}
+
+// Periodically removes expired sessions. Returns the timer so callers can stop it.
+function startSessionSweep(intervalMinutes = SESSION_SWEEP_INTERVAL_MINUTES) {
+  const sweep = async () => {
+    try {
+      const removed = await deleteExpiredSessions();
+      if (removed > 0) console.log(`[Auth] Removed ${removed} expired session(s)`);
+    } catch (err) {
+      console.error('Failed to sweep expired sessions:', err?.message || err);
+    }
+  };
+  sweep();
+  const timer = setInterval(sweep, intervalMinutes * 60 * 1000);
+  timer.unref?.();
+  return timer;
+}
+
+router.get('/sessions', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `
+        SELECT s.session_ref, s.created_at, s.last_seen_at, s.user_agent, s.ip, (s.session_id = $4) AS current
+        FROM ${DB_SCHEMA}.user_session s
+        WHERE s.user_id = $1
+          AND ${liveSessionCondition(2, 3)}
+        ORDER BY COALESCE(s.last_seen_at, s.created_at) DESC
+      `,
+      [req.user.user_id, ...sessionLimitParams(), req.sessionId],
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error listing sessions:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// Revokes every session of the current user except this one (add ?include_current=true to end it too)
+router.delete('/sessions', async (req, res) => {
+  try {
+    const includeCurrent = String(req.query.include_current || '').toLowerCase() === 'true';
+    const { rowCount } = await pool.query(
+      `DELETE FROM ${DB_SCHEMA}.user_session WHERE user_id = $1 AND ($2::boolean OR session_id IS DISTINCT FROM $3)`,
+      [req.user.user_id, includeCurrent, req.sessionId],
+    );
+    if (includeCurrent) clearSessionCookie(res);
+    return res.json({ revoked: rowCount });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.delete('/sessions/:session_ref', async (req, res) => {
+  try {
+    const ref = Number(req.params.session_ref);
+    if (!Number.isInteger(ref)) return res.status(400).json({ error: 'Invalid session_ref' });
+    const { rows } = await pool.query(
+      `DELETE FROM ${DB_SCHEMA}.user_session WHERE session_ref = $1 AND user_id = $2 RETURNING session_id`,
+      [ref, req.user.user_id],
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Session not found' });
+    if (rows[0].session_id === req.sessionId) clearSessionCookie(res);
+    return res.status(204).send();
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+function hashResetToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function buildResetMessage(user, token) {
+  const link = PASSWORD_RESET_URL
+    ? `${PASSWORD_RESET_URL}${PASSWORD_RESET_URL.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`
+    : null;
+  const lines = [
+    `Hello ${user.name || user.username},`,
+    '',
+    'A password reset was requested for your Contract Management account.',
+    link ? `Open this link to choose a new password: ${link}` : `Your reset token is: ${token}`,
+    '',
+    `This ${link ? 'link' : 'token'} expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.`,
+    'If you did not request a reset, you can ignore this email.',
+  ];
+  return { to: user.username, subject: 'Reset your Contract Management password', text: lines.join('\n') };
+}
+
+// Always answers 202 so the response does not reveal whether the username exists;
+// the mail is sent in the background so response timing does not reveal it either
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const username = String(req.body?.username || '').trim().toLowerCase();
+    if (!username) return res.status(400).json({ error: 'username is required' });
+    if (!(await recordResetRequest(username, req.ip || null))) {
+      res.set('Retry-After', String(LOGIN_FAILURE_WINDOW_MINUTES * 60));
+      return res.status(429).json({ error: 'Too many password reset requests. Try again later.' });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT user_id, username, name, status FROM ${DB_SCHEMA}.user_account WHERE username = $1 AND status <> 'inactive' LIMIT 1`,
+      [username],
+    );
+    if (rows.length > 0) {
+      const user = rows[0];
+      const token = randomBytes(32).toString('base64url');
+      // Only the most recent token is valid
+      await pool.query(
+        `UPDATE ${DB_SCHEMA}.password_reset_token SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL`,
+        [user.user_id],
+      );
+      await pool.query(
+        `
+          INSERT INTO ${DB_SCHEMA}.password_reset_token (user_id, token_hash, expires_at, requested_ip)
+          VALUES ($1, $2, NOW() + ($3 || ' minutes')::interval, $4)
+        `,
+        [user.user_id, hashResetToken(token), String(PASSWORD_RESET_TTL_MINUTES), req.ip || null],
+      );
+      sendMail(buildResetMessage(user, token)).catch((err) => {
+        console.error('Error sending password reset email:', err);
+      });
+    }
+    return res.status(202).json({ ok: true });
+  } catch (err) {
+    console.error('Error requesting password reset:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/reset-password', async (req, res) => {
+  let client;
+  try {
+    const { token, new_password } = req.body || {};
+    const tok = String(token || '').trim();
+    const nxt = String(new_password || '');
+    if (tok.length === 0 || nxt.length === 0) return res.status(400).json({ error: 'token and new_password are required' });
+    if (nxt.length < 8) return res.status(400).json({ error: 'New password must be at least 8 characters' });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `
+        SELECT token_id, user_id
+        FROM ${DB_SCHEMA}.password_reset_token
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+        FOR UPDATE
+      `,
+      [hashResetToken(tok)],
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    const { token_id, user_id } = rows[0];
+
+    await client.query(`UPDATE ${DB_SCHEMA}.password_reset_token SET used_at = NOW() WHERE token_id = $1`, [token_id]);
+    await client.query(
+      `UPDATE ${DB_SCHEMA}.user_account SET password_hash = ${DB_SCHEMA}.password_hash($1), password_must_change = FALSE WHERE user_id = $2`,
+      [nxt, user_id],
+    );
+    // Sign the user out everywhere
+    await client.query(`DELETE FROM ${DB_SCHEMA}.user_session WHERE user_id = $1`, [user_id]);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+
+    clearSessionCookie(res);
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error resetting password:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+export { router, USER_STATUSES, extractSessionId, normalizeUserRow, fetchUserBySession, startSessionSweep, setSessionCookie, clearSessionCookie, SESSION_COOKIE_NAME };
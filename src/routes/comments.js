@@ -0,0 +1,178 @@
+import express from 'express';
+import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission, fetchVisibleContract } from '../permissions.js';
+import { parseCommentBody, COMMENT_SELECT, fetchComment, buildThreads, syncMentions } from '../comments.js';
+import { notifyUsers } from '../notifications.js';
+
+// Threaded discussion under /contracts/:contract_id/comments. Anyone who can
+// read the contract may comment; only the author may edit or delete a comment.
+// Newly @mentioned users get a notification.
+
+const router = express.Router({ mergeParams: true });
+router.use(express.json());
+
+async function fetchCommentForUpdate(client, contractId, commentId) {
+  const { rows } = await client.query(
+    `SELECT comment_id, author_id, deleted_at FROM ${DB_SCHEMA}.contract_comment WHERE contract_id = $1 AND comment_id = $2 FOR UPDATE`,
+    [contractId, commentId],
+  );
+  return rows[0] || null;
+}
+
+router.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    if (!(await fetchVisibleContract(pool, contractId, req.user))) return res.status(404).json({ error: 'Contract not found' });
+    const { rows } = await pool.query(
+      `${COMMENT_SELECT} WHERE cc.contract_id = $1 ORDER BY cc.created_at ASC, cc.comment_id ASC`,
+      [contractId],
+    );
+    return res.json(buildThreads(rows));
+  } catch (err) {
+    console.error('Error listing contract comments:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// { body, parent_comment_id? } - a reply names the comment it answers
+router.post('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const parsed = parseCommentBody(req.body?.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const parentId = req.body?.parent_comment_id == null ? null : Number(req.body.parent_comment_id);
+    if (parentId !== null && !Number.isInteger(parentId)) return res.status(400).json({ error: 'Invalid parent_comment_id' });
+    if (!(await fetchVisibleContract(pool, contractId, req.user))) return res.status(404).json({ error: 'Contract not found' });
+    const actorId = req.user?.user_id || null;
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    if (parentId !== null) {
+      const parent = await fetchCommentForUpdate(client, contractId, parentId);
+      if (!parent || parent.deleted_at) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'parent_comment_id must be a comment on this contract' });
+      }
+    }
+    const { rows } = await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.contract_comment (contract_id, parent_comment_id, author_id, body)
+        VALUES ($1, $2, $3, $4)
+        RETURNING comment_id
+      `,
+      [contractId, parentId, actorId, parsed.body],
+    );
+    const commentId = rows[0].comment_id;
+    const mentioned = await syncMentions(client, commentId, parsed.body);
+    await notifyUsers(client, { userIds: mentioned, kind: 'mention', contractId, commentId, actorId });
+    const created = await fetchComment(client, commentId);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(201).json(created);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error adding contract comment:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// { body } - users mentioned for the first time by the edit are notified
+router.patch('/:comment_id', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    const commentId = Number(req.params.comment_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(commentId)) return res.status(400).json({ error: 'Invalid contract_id or comment_id' });
+    const parsed = parseCommentBody(req.body?.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const actorId = req.user?.user_id || null;
+    if (!(await fetchVisibleContract(pool, contractId, req.user))) return res.status(404).json({ error: 'Contract not found' });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const comment = await fetchCommentForUpdate(client, contractId, commentId);
+    if (!comment || comment.deleted_at) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (comment.author_id !== actorId) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Only the author can edit a comment' });
+    }
+    await client.query(
+      `UPDATE ${DB_SCHEMA}.contract_comment SET body = $2, edited_at = NOW() WHERE comment_id = $1`,
+      [commentId, parsed.body],
+    );
+    const mentioned = await syncMentions(client, commentId, parsed.body);
+    await notifyUsers(client, { userIds: mentioned, kind: 'mention', contractId, commentId, actorId });
+    const updated = await fetchComment(client, commentId);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json(updated);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error editing contract comment:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Clears the body and mentions; replies stay in the thread under a placeholder
+router.delete('/:comment_id', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    const commentId = Number(req.params.comment_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(commentId)) return res.status(400).json({ error: 'Invalid contract_id or comment_id' });
+    if (!(await fetchVisibleContract(pool, contractId, req.user))) return res.status(404).json({ error: 'Contract not found' });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const comment = await fetchCommentForUpdate(client, contractId, commentId);
+    if (!comment || comment.deleted_at) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (comment.author_id !== (req.user?.user_id || null)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Only the author can delete a comment' });
+    }
+    await client.query(
+      `UPDATE ${DB_SCHEMA}.contract_comment SET body = NULL, deleted_at = NOW() WHERE comment_id = $1`,
+      [commentId],
+    );
+    await client.query(`DELETE FROM ${DB_SCHEMA}.comment_mention WHERE comment_id = $1`, [commentId]);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error deleting contract comment:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+export { router };
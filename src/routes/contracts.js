@@ -1,11 +1,25 @@
 import express from 'express';
+import multer from 'multer';
 import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission, isDepartmentScoped, canAccessDepartment, departmentScopeSql, departmentForbidden } from '../permissions.js';
+import { recordAudit } from '../audit.js';
+import { getStorageDriver } from '../storage.js';
+import { applyContractTerms, toIsoDate, addDays, addMonths } from '../renewals.js';
+import { parseBuckets, endOfWeek, fetchUpcomingDeadlines, fetchOverdueObligations, bucketDeadlines } from '../deadlines.js';
+import { readSpreadsheet, createExportWriter } from '../spreadsheet.js';
+import { fetchDefaultStatusId, checkStatusTransition, recordStatusChange } from '../workflow.js';
+import { approvalFieldsChanged, voidApprovals, checkApprovalGate } from '../approvals.js';
+import { applyFinancialTerms, formatMinor, ANNUALIZED_SQL, TERM_DAYS_SQL } from '../financials.js';
+import { addRelationship, fetchRenewedBy, fetchRelationshipTree } from '../relationships.js';
+import { CONTRACT_TAGS_SQL } from '../tags.js';
+import { FILTER_PREFIX, fetchCustomFields, fetchFieldsForQuery, applyCustomFields, buildCustomFieldFilters } from '../customFields.js';
 
 const router = express.Router();
 router.use(express.json());
 
 const FIELDS = [
   'title',
+  'counterparty_id',
   'counterparty_name',
   'counterparty_contact',
   'counterparty_email',
@@ -23,10 +37,17 @@ const FIELDS = [
   'renewal_term_months',
   'termination_notice_days',
   'termination_notice_deadline',
+  'total_value',
+  'total_value_minor',
+  'currency',
+  'billing_frequency',
   'notes',
   'file_name',
+  'custom_fields',
 ];
 
+const INTEGER_FIELDS = ['renewal_term_months', 'termination_notice_days', 'department_id', 'status_id', 'counterparty_id'];
+
 function coerceBoolean(v) {
   if (v === null || v === undefined || v === '') return null;
   if (typeof v === 'boolean') return v;
@@ -49,7 +70,7 @@ function sanitizeCreatePayload(payload = {}) {
     if (payload[k] === undefined) continue;
     let v = payload[k];
     if (k === 'auto_renew') v = coerceBoolean(v);
-    if (k === 'renewal_term_months' || k === 'termination_notice_days' || k === 'department_id' || k === 'status_id') v = coerceInteger(v);
+    if (INTEGER_FIELDS.includes(k)) v = coerceInteger(v);
     if (typeof v === 'string') v = v.trim();
     data[k] = v === '' ? null : v;
   }
@@ -62,7 +83,7 @@ function sanitizePatchPayload(payload = {}) {
     if (!(k in payload)) continue;
     let v = payload[k];
     if (k === 'auto_renew') v = coerceBoolean(v);
-    if (k === 'renewal_term_months' || k === 'termination_notice_days' || k === 'department_id' || k === 'status_id') v = coerceInteger(v);
+    if (INTEGER_FIELDS.includes(k)) v = coerceInteger(v);
     if (typeof v === 'string') v = v.trim();
     data[k] = v === '' ? null : v;
   }
@@ -70,61 +91,672 @@ function sanitizePatchPayload(payload = {}) {
 }
 
 function normalizeRow(row) {
-  return row; // keep DB casing (snake_case) as-is
+  // keep DB casing (snake_case) as-is; pg returns the bigint amount as a string
+  if (row.total_value_minor == null) return row;
+  return { ...row, total_value_minor: Number(row.total_value_minor), total_value: formatMinor(row.total_value_minor, row.currency) };
+}
+
+// Term dates and money rules for a create (existing = {}) or an update
+function applyTerms(changes, existing = {}) {
+  const terms = applyContractTerms(changes, existing);
+  if (terms.error) return terms;
+  return applyFinancialTerms(terms.data, existing);
+}
+
+// Locks and returns the raw contract row for a write; the caller must be in a transaction.
+// Soft-deleted contracts are skipped unless includeDeleted is set.
+async function fetchContractForUpdate(client, id, { includeDeleted = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM ${DB_SCHEMA}.contract WHERE contract_id = $1 ${includeDeleted ? '' : 'AND deleted_at IS NULL'} FOR UPDATE`,
+    [id],
+  );
+  return rows[0] || null;
 }
 
-router.get('/', async (req, res) => {
+// True when a department-scoped user may not see the contract (soft-deleted
+// ones included). Unscoped users are never refused, so they can still read the
+// history of purged contracts.
+async function hiddenFromUser(id, user) {
+  if (!isDepartmentScoped(user)) return false;
+  const { rows } = await pool.query(`SELECT department_id FROM ${DB_SCHEMA}.contract WHERE contract_id = $1`, [id]);
+  return !rows[0] || !canAccessDepartment(user, rows[0].department_id);
+}
+
+// Contract rows joined with the names the UI shows; shared by list, detail and export
+const CONTRACT_SELECT = `
+  SELECT c.*,
+         d.name AS department,
+         s.name AS status,
+         COALESCE(cu.name, cu.username) AS created_by_name,
+         COALESCE(uu.name, uu.username) AS updated_by_name,
+         ${CONTRACT_TAGS_SQL} AS tags
+  FROM ${DB_SCHEMA}.contract c
+  LEFT JOIN ${DB_SCHEMA}.department d ON d.department_id = c.department_id
+  LEFT JOIN ${DB_SCHEMA}.status s ON s.status_id = c.status_id
+  LEFT JOIN ${DB_SCHEMA}.user_account cu ON cu.user_id = c.created_by
+  LEFT JOIN ${DB_SCHEMA}.user_account uu ON uu.user_id = c.updated_by
+`;
+
+const DEFAULT_ORDER_BY = `COALESCE(c.end_date, DATE '9999-12-31') ASC, c.created_at DESC`;
+
+// Sortable fields for ?sort=field,-other (leading '-' for descending)
+const SORT_FIELDS = {
+  title: 'lower(c.title)',
+  counterparty_name: 'lower(c.counterparty_name)',
+  internal_owner: 'lower(c.internal_owner)',
+  contract_type: 'lower(c.contract_type)',
+  department: 'lower(d.name)',
+  status: 'lower(s.name)',
+  start_date: 'c.start_date',
+  end_date: 'c.end_date',
+  termination_notice_deadline: 'c.termination_notice_deadline',
+  signed_date: 'c.signed_date',
+  effective_date: 'c.effective_date',
+  created_at: 'c.created_at',
+  updated_at: 'c.updated_at',
+};
+
+// Date-range query params: <param>_from / <param>_to (inclusive)
+const DATE_RANGE_FILTERS = {
+  start_date: 'c.start_date',
+  end_date: 'c.end_date',
+  notice_deadline: 'c.termination_notice_deadline',
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Every query parameter buildContractFilters reads, besides cf.<key>
+const FILTER_PARAMS = [
+  'department_id',
+  'status_id',
+  'counterparty_id',
+  'contract_type',
+  'internal_owner',
+  'auto_renew',
+  ...Object.keys(DATE_RANGE_FILTERS).flatMap((param) => [`${param}_from`, `${param}_to`]),
+  'tag',
+  'q',
+  'include_deleted',
+];
+
+function parseIdList(v) {
+  const parts = String(v).split(',').map((x) => x.trim()).filter(Boolean);
+  const ids = parts.map(Number);
+  return ids.length > 0 && ids.every(Number.isInteger) ? ids : null;
+}
+
+function escapeLike(v) {
+  return String(v).replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+// Builds WHERE conditions for the list filters, limited to the contracts user
+// may see. Placeholders continue from the params array passed in so callers can
+// add their own conditions around it. cf.<key> filters need the custom field
+// definitions (see fetchFieldsForQuery).
+// Returns { where, params } or { error } for an invalid filter.
+function buildContractFilters(query = {}, user, params = [], customFields = []) {
+  const where = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const scope = departmentScopeSql(user, 'c.department_id', add);
+  if (scope) where.push(scope);
+  if (coerceBoolean(query.include_deleted) !== true) where.push('c.deleted_at IS NULL');
+
+  for (const key of ['department_id', 'status_id', 'counterparty_id']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const ids = parseIdList(query[key]);
+    if (!ids) return { error: `Invalid ${key}` };
+    where.push(`c.${key} = ANY(${add(ids)}::int[])`);
+  }
+  for (const key of ['contract_type', 'internal_owner']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    where.push(`lower(c.${key}) = lower(${add(String(query[key]).trim())})`);
+  }
+  if (query.auto_renew !== undefined && query.auto_renew !== '') {
+    const b = coerceBoolean(query.auto_renew);
+    if (b === null) return { error: 'Invalid auto_renew' };
+    where.push(b ? 'c.auto_renew IS TRUE' : 'c.auto_renew IS NOT TRUE');
+  }
+  for (const [param, column] of Object.entries(DATE_RANGE_FILTERS)) {
+    for (const [suffix, op] of [['from', '>='], ['to', '<=']]) {
+      const v = query[`${param}_${suffix}`];
+      if (v === undefined || v === '') continue;
+      if (!ISO_DATE.test(String(v)) || Number.isNaN(Date.parse(v))) return { error: `Invalid ${param}_${suffix}, expected YYYY-MM-DD` };
+      where.push(`${column} ${op} ${add(String(v))}::date`);
+    }
+  }
+  // Contracts carrying any of the comma-separated tags
+  if (query.tag !== undefined && query.tag !== '') {
+    const names = String(query.tag).split(',').map((x) => x.trim().toLowerCase()).filter(Boolean);
+    if (names.length === 0) return { error: 'Invalid tag' };
+    where.push(`EXISTS (
+      SELECT 1 FROM ${DB_SCHEMA}.contract_tag ct
+      JOIN ${DB_SCHEMA}.tag t ON t.tag_id = ct.tag_id
+      WHERE ct.contract_id = c.contract_id AND lower(t.name) = ANY(${add(names)}::text[])
+    )`);
+  }
+  if (typeof query.q === 'string' && query.q.trim()) {
+    const p = add(`%${escapeLike(query.q.trim())}%`);
+    where.push(`(c.title ILIKE ${p} OR c.counterparty_name ILIKE ${p} OR c.notes ILIKE ${p})`);
+  }
+  const custom = buildCustomFieldFilters(query, customFields, add);
+  if (custom.error) return custom;
+  where.push(...custom.where);
+  return { where, params };
+}
+
+// Parses ?sort into an ORDER BY list. Returns { orderBy } or { error }.
+function buildContractOrderBy(sort) {
+  if (sort === undefined || sort === '') return { orderBy: DEFAULT_ORDER_BY };
+  const terms = [];
+  for (const raw of String(sort).split(',').map((x) => x.trim()).filter(Boolean)) {
+    const desc = raw.startsWith('-');
+    const field = desc ? raw.slice(1) : raw;
+    if (!SORT_FIELDS[field]) return { error: `Cannot sort by ${field}` };
+    terms.push(`${SORT_FIELDS[field]} ${desc ? 'DESC' : 'ASC'} NULLS LAST`);
+  }
+  if (terms.length === 0) return { orderBy: DEFAULT_ORDER_BY };
+  terms.push('c.contract_id ASC');
+  return { orderBy: terms.join(', ') };
+}
+
+// Checks the filters and sort of a list query (GET /contracts parameters)
+// without running it. Returns { filters, orderBy } or { error }.
+async function parseContractQuery(query, user) {
+  const filters = buildContractFilters(query, user, [], await fetchFieldsForQuery(pool, query));
+  if (filters.error) return { error: filters.error };
+  const order = buildContractOrderBy(query.sort);
+  if (order.error) return { error: order.error };
+  return { filters, orderBy: order.orderBy };
+}
+
+// One page of the contract list for a query, as user sees it. Also runs saved
+// views. Returns { rows, total } or { error } for an invalid filter or sort.
+async function listContracts(query, user, { limit, offset }) {
+  const parsed = await parseContractQuery(query, user);
+  if (parsed.error) return parsed;
+  const { filters, orderBy } = parsed;
+  const whereSql = filters.where.length ? `WHERE ${filters.where.join(' AND ')}` : '';
+  const countSql = `
+    SELECT COUNT(*) AS total
+    FROM ${DB_SCHEMA}.contract c
+    ${whereSql}
+  `;
+  const sql = `
+    ${CONTRACT_SELECT}
+    ${whereSql}
+    ORDER BY ${orderBy}
+    LIMIT $${filters.params.length + 1} OFFSET $${filters.params.length + 2}
+  `;
+  const [{ rows }, count] = await Promise.all([
+    pool.query(sql, [...filters.params, limit, offset]),
+    pool.query(countSql, filters.params),
+  ]);
+  return { rows: rows.map(normalizeRow), total: Number(count.rows[0]?.total || 0) };
+}
+
+router.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
   try {
     const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
     const offset = Math.max(Number(req.query.offset) || 0, 0);
-    const sql = `
-      SELECT c.*,
-             d.name AS department,
-             s.name AS status,
-             COALESCE(cu.name, cu.username) AS created_by_name,
-             COALESCE(uu.name, uu.username) AS updated_by_name
-      FROM ${DB_SCHEMA}.contract c
-      LEFT JOIN ${DB_SCHEMA}.department d ON d.department_id = c.department_id
-      LEFT JOIN ${DB_SCHEMA}.status s ON s.status_id = c.status_id
-      LEFT JOIN ${DB_SCHEMA}.user_account cu ON cu.user_id = c.created_by
-      LEFT JOIN ${DB_SCHEMA}.user_account uu ON uu.user_id = c.updated_by
-      ORDER BY COALESCE(c.end_date, DATE '9999-12-31') ASC, c.created_at DESC
-      LIMIT $1 OFFSET $2
-    `;
-    const { rows } = await pool.query(sql, [limit, offset]);
-    return res.json(rows.map(normalizeRow));
+    const result = await listContracts(req.query, req.user, { limit, offset });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.set('X-Total-Count', String(result.total));
+    return res.json(result.rows);
   } catch (err) {
     console.error('Error listing contracts:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
   }
 });
 
-router.get('/:contract_id', async (req, res) => {
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+  'contract_id',
+  'title',
+  'counterparty_id',
+  'counterparty_name',
+  'counterparty_contact',
+  'counterparty_email',
+  'internal_owner',
+  'department_id',
+  'department',
+  'contract_type',
+  'status_id',
+  'status',
+  'signed_date',
+  'effective_date',
+  'start_date',
+  'end_date',
+  'auto_renew',
+  'renewal_term_months',
+  'termination_notice_days',
+  'termination_notice_deadline',
+  'total_value',
+  'currency',
+  'billing_frequency',
+  'notes',
+  'tags',
+  'file_name',
+  'created_at',
+  'created_by_name',
+  'updated_at',
+  'updated_by_name',
+  'deleted_at',
+];
+const EXPORT_DATE_COLUMNS = new Set(['signed_date', 'effective_date', 'start_date', 'end_date', 'termination_notice_deadline']);
+
+// Custom fields follow the fixed columns as cf.<key>
+function exportValue(row, column) {
+  const v = column.startsWith(FILTER_PREFIX) ? row.custom_fields?.[column.slice(FILTER_PREFIX.length)] : row[column];
+  if (v === null || v === undefined) return null;
+  if (EXPORT_DATE_COLUMNS.has(column)) return toIsoDate(v) ?? null;
+  if (Array.isArray(v)) return v.join(', ');
+  if (v instanceof Date) return v.toISOString();
+  return v;
+}
+
+// Every contract matching the list filters, as csv (default), xlsx or json.
+// Rows are read through a server-side cursor and written as they arrive, so
+// there is no row cap and the export is never held in memory.
+router.get('/export', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  let client;
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: 'format must be csv, xlsx or json' });
+    const customFields = await fetchCustomFields(pool);
+    const filters = buildContractFilters(req.query, req.user, [], customFields);
+    if (filters.error) return res.status(400).json({ error: filters.error });
+    const order = buildContractOrderBy(req.query.sort);
+    if (order.error) return res.status(400).json({ error: order.error });
+    const whereSql = filters.where.length ? `WHERE ${filters.where.join(' AND ')}` : '';
+
+    client = await pool.connect();
+    await client.query('BEGIN READ ONLY');
+    await client.query(
+      `
+        DECLARE contract_export NO SCROLL CURSOR FOR
+        ${CONTRACT_SELECT}
+        ${whereSql}
+        ORDER BY ${order.orderBy}
+      `,
+      filters.params,
+    );
+    const fetchBatch = async () => (await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM contract_export`)).rows;
+
+    // Fetch before writing anything so query errors still get a JSON response
+    let rows = await fetchBatch();
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="contracts-${toIsoDate(new Date())}.${extension}"`);
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const columns = [...EXPORT_COLUMNS, ...customFields.map((f) => `${FILTER_PREFIX}${f.key}`)];
+    const writer = createExportWriter(format, res, columns);
+    for (;;) {
+      for (const row of rows.map(normalizeRow)) await writer.writeRow(columns.map((c) => exportValue(row, c)));
+      if (rows.length < EXPORT_BATCH_SIZE || closed) break;
+      rows = await fetchBatch();
+    }
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    if (!closed) await writer.end();
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error exporting contracts:', err);
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+const FINANCIAL_GROUPS = {
+  department: { id: 'c.department_id', name: 'd.name' },
+  status: { id: 'c.status_id', name: 's.name' },
+  counterparty: { id: 'c.counterparty_id', name: 'c.counterparty_name' },
+};
+
+// Value rollups per department, status or counterparty (?group_by=) and
+// currency, over contracts matching the list filters. ?year=YYYY adds the part
+// of each contract's value that falls in that calendar year, pro rata by day.
+router.get('/financials', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const groupBy = String(req.query.group_by || 'department');
+    const group = FINANCIAL_GROUPS[groupBy];
+    if (!group) return res.status(400).json({ error: `group_by must be one of ${Object.keys(FINANCIAL_GROUPS).join(', ')}` });
+    let year = null;
+    if (req.query.year !== undefined && req.query.year !== '') {
+      year = Number(req.query.year);
+      if (!Number.isInteger(year) || year < 1900 || year > 9999) return res.status(400).json({ error: 'Invalid year' });
+    }
+    const filters = buildContractFilters(req.query, req.user, [], await fetchFieldsForQuery(pool, req.query));
+    if (filters.error) return res.status(400).json({ error: filters.error });
+    const { where, params } = filters;
+    where.push('c.total_value_minor IS NOT NULL');
+
+    let yearSql = '';
+    if (year !== null) {
+      params.push(`${year}-01-01`, `${year}-12-31`);
+      const from = `$${params.length - 1}::date`;
+      const to = `$${params.length}::date`;
+      const overlapDays = `(LEAST(c.end_date, ${to}) - GREATEST(COALESCE(c.start_date, c.effective_date), ${from}) + 1)`;
+      yearSql = `,
+        COALESCE(SUM(ROUND(c.total_value_minor * ${overlapDays}::numeric / NULLIF(${TERM_DAYS_SQL}, 0)))
+          FILTER (WHERE c.end_date >= ${from} AND COALESCE(c.start_date, c.effective_date) <= ${to}), 0) AS year_value_minor`;
+    }
+    const { rows } = await pool.query(
+      `
+        SELECT ${group.id} AS group_id,
+               ${group.name} AS group_name,
+               c.currency,
+               COUNT(*) AS contract_count,
+               SUM(c.total_value_minor) AS total_value_minor,
+               COALESCE(SUM(${ANNUALIZED_SQL}), 0) AS annualized_value_minor,
+               COUNT(*) FILTER (WHERE ${ANNUALIZED_SQL} IS NULL) AS unannualized_count${yearSql}
+        FROM ${DB_SCHEMA}.contract c
+        LEFT JOIN ${DB_SCHEMA}.department d ON d.department_id = c.department_id
+        LEFT JOIN ${DB_SCHEMA}.status s ON s.status_id = c.status_id
+        WHERE ${where.join(' AND ')}
+        GROUP BY ${group.id}, ${group.name}, c.currency
+        ORDER BY lower(${group.name}) ASC NULLS LAST, c.currency ASC
+      `,
+      params,
+    );
+    const amountFields = ['total_value_minor', 'annualized_value_minor', ...(year !== null ? ['year_value_minor'] : [])];
+    const totals = {};
+    const groups = rows.map((r) => {
+      const out = { group_id: r.group_id, group_name: r.group_name, currency: r.currency, contract_count: Number(r.contract_count) };
+      const sum = (totals[r.currency] ||= { contract_count: 0, ...Object.fromEntries(amountFields.map((f) => [f, 0])) });
+      sum.contract_count += out.contract_count;
+      for (const f of amountFields) {
+        out[f] = Number(r[f] || 0);
+        sum[f] += out[f];
+      }
+      out.unannualized_count = Number(r.unannualized_count || 0);
+      return out;
+    });
+    return res.json({ group_by: groupBy, year, groups, totals_by_currency: totals });
+  } catch (err) {
+    console.error('Error summarizing contract financials:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// Contracts whose end date or notice deadline falls within the next N days, grouped
+// into buckets (?buckets=30,60,90). Accepts the same filters as the list.
+router.get('/upcoming', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const buckets = parseBuckets(req.query.buckets);
+    if (!buckets) return res.status(400).json({ error: 'buckets must be comma-separated day counts between 1 and 366' });
+    const asOf = req.query.as_of === undefined ? toIsoDate(new Date()) : toIsoDate(req.query.as_of);
+    if (!asOf) return res.status(400).json({ error: 'Invalid as_of, expected YYYY-MM-DD' });
+    const filters = buildContractFilters(req.query, req.user, [], await fetchFieldsForQuery(pool, req.query));
+    if (filters.error) return res.status(400).json({ error: filters.error });
+
+    const [items, overdue] = await Promise.all([
+      fetchUpcomingDeadlines({
+        fromDate: asOf,
+        toDate: addDays(asOf, buckets[buckets.length - 1]),
+        where: filters.where,
+        params: filters.params,
+      }),
+      fetchOverdueObligations({ asOf, where: filters.where, params: filters.params }),
+    ]);
+    return res.json({ as_of: asOf, overdue, buckets: bucketDeadlines(items, buckets) });
+  } catch (err) {
+    console.error('Error listing upcoming deadlines:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// The week view: open obligations already overdue, and every deadline from
+// as_of through the end of its week (Sunday)
+router.get('/deadlines', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const asOf = req.query.as_of === undefined ? toIsoDate(new Date()) : toIsoDate(req.query.as_of);
+    if (!asOf) return res.status(400).json({ error: 'Invalid as_of, expected YYYY-MM-DD' });
+    const filters = buildContractFilters(req.query, req.user, [], await fetchFieldsForQuery(pool, req.query));
+    if (filters.error) return res.status(400).json({ error: filters.error });
+
+    const weekEnd = endOfWeek(asOf);
+    const [overdue, dueThisWeek] = await Promise.all([
+      fetchOverdueObligations({ asOf, where: filters.where, params: filters.params }),
+      fetchUpcomingDeadlines({ fromDate: asOf, toDate: weekEnd, where: filters.where, params: filters.params }),
+    ]);
+    return res.json({ as_of: asOf, week_end: weekEnd, overdue, due_this_week: dueThisWeek });
+  } catch (err) {
+    console.error('Error listing deadlines:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.get('/:contract_id', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
   try {
     const id = Number(req.params.contract_id);
     if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const includeDeleted = coerceBoolean(req.query.include_deleted) === true;
     const { rows } = await pool.query(
-      `SELECT c.*,
-              d.name AS department,
-              s.name AS status,
-              COALESCE(cu.name, cu.username) AS created_by_name,
-              COALESCE(uu.name, uu.username) AS updated_by_name
-       FROM ${DB_SCHEMA}.contract c
-       LEFT JOIN ${DB_SCHEMA}.department d ON d.department_id = c.department_id
-       LEFT JOIN ${DB_SCHEMA}.status s ON s.status_id = c.status_id
-       LEFT JOIN ${DB_SCHEMA}.user_account cu ON cu.user_id = c.created_by
-       LEFT JOIN ${DB_SCHEMA}.user_account uu ON uu.user_id = c.updated_by
-       WHERE c.contract_id = $1`,
+      `${CONTRACT_SELECT} WHERE c.contract_id = $1 ${includeDeleted ? '' : 'AND c.deleted_at IS NULL'}`,
       [id],
     );
-    if (rows.length === 0) return res.status(404).json({ error: 'Contract not found' });
-    return res.json(normalizeRow(rows[0]));
+    if (rows.length === 0 || !canAccessDepartment(req.user, rows[0].department_id)) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    return res.json({ ...normalizeRow(rows[0]), relationships: await fetchRelationshipTree(pool, id, req.user) });
   } catch (err) {
     console.error('Error fetching contract:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
   }
 });
 
+router.get('/:contract_id/history', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.contract_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid contract_id' });
+    if (await hiddenFromUser(id, req.user)) return res.status(404).json({ error: 'Contract not found' });
+    const { rows } = await pool.query(
+      `
+        SELECT a.audit_id, a.action, a.changes, a.actor_id, COALESCE(ua.name, ua.username) AS actor_name, a.created_at
+        FROM ${DB_SCHEMA}.audit_log a
+        LEFT JOIN ${DB_SCHEMA}.user_account ua ON ua.user_id = a.actor_id
+        WHERE a.entity_type = 'contract' AND a.entity_id = $1
+        ORDER BY a.created_at DESC, a.audit_id DESC
+      `,
+      [id],
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error fetching contract history:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.get('/:contract_id/status-history', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.contract_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid contract_id' });
+    if (await hiddenFromUser(id, req.user)) return res.status(404).json({ error: 'Contract not found' });
+    const { rows } = await pool.query(
+      `
+        SELECT sc.change_id, sc.from_status_id, f.name AS from_status, sc.to_status_id, t.name AS to_status,
+               sc.reason, sc.actor_id, COALESCE(ua.name, ua.username) AS actor_name, sc.changed_at
+        FROM ${DB_SCHEMA}.contract_status_change sc
+        LEFT JOIN ${DB_SCHEMA}.status f ON f.status_id = sc.from_status_id
+        LEFT JOIN ${DB_SCHEMA}.status t ON t.status_id = sc.to_status_id
+        LEFT JOIN ${DB_SCHEMA}.user_account ua ON ua.user_id = sc.actor_id
+        WHERE sc.contract_id = $1
+        ORDER BY sc.changed_at ASC, sc.change_id ASC
+      `,
+      [id],
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error fetching contract status history:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// What a renewal copies from the contract it renews. Dates are shifted, and
+// status, signature date and notice deadline start over.
+const RENEWAL_COPY_FIELDS = [
+  'title',
+  'counterparty_id',
+  'counterparty_name',
+  'counterparty_contact',
+  'counterparty_email',
+  'internal_owner',
+  'department_id',
+  'contract_type',
+  'auto_renew',
+  'renewal_term_months',
+  'termination_notice_days',
+  'total_value_minor',
+  'currency',
+  'billing_frequency',
+  'notes',
+];
+
+// The renewal term starts the day after the parent ends and runs termMonths,
+// or as long as the parent's own term. Returns { start_date, end_date } or { error }.
+function renewalTerm(parent, termMonths) {
+  const end = toIsoDate(parent.end_date);
+  if (!end) return { error: 'The contract has no end_date to renew from' };
+  const start = addDays(end, 1);
+  if (termMonths > 0) return { start_date: start, end_date: addMonths(end, termMonths) };
+  const parentStart = toIsoDate(parent.start_date ?? parent.effective_date);
+  if (!parentStart) return { error: 'Pass term_months; the contract has no start_date to measure its term by' };
+  const days = Math.round((Date.parse(end) - Date.parse(parentStart)) / 86400000);
+  return { start_date: start, end_date: addDays(start, days) };
+}
+
+// Creates the next term as a new contract linked with "renews". Fields in the
+// body override the copied ones; term_months overrides renewal_term_months.
+// The parent stops auto-renewing, since the new contract now carries the term.
+router.post('/:contract_id/renewal', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.contract_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid contract_id' });
+    let termMonths = null;
+    if (req.body?.term_months != null) {
+      termMonths = Number(req.body.term_months);
+      if (!Number.isInteger(termMonths) || termMonths <= 0) return res.status(400).json({ error: 'term_months must be a positive integer' });
+    }
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const parent = await fetchContractForUpdate(client, id);
+    if (!parent || !canAccessDepartment(req.user, parent.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    const renewedBy = await fetchRenewedBy(client, id);
+    if (renewedBy) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Contract ${id} is already renewed by contract ${renewedBy}; renew that one instead` });
+    }
+    const term = renewalTerm(parent, termMonths ?? parent.renewal_term_months);
+    if (term.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: term.error });
+    }
+    const overrides = sanitizeCreatePayload(req.body || {});
+    const copied = Object.fromEntries(RENEWAL_COPY_FIELDS.map((f) => [f, parent[f] ?? null]));
+    // A name or decimal value in the body replaces the copied id or minor amount
+    if ('counterparty_name' in overrides && !('counterparty_id' in overrides)) copied.counterparty_id = null;
+    if ('department' in overrides && !('department_id' in overrides)) delete copied.department_id;
+    if ('total_value' in overrides) delete copied.total_value_minor;
+    if (termMonths) copied.renewal_term_months = termMonths;
+    let body = await resolveIdsFromNames(client, { ...copied, effective_date: term.start_date, ...term, ...overrides });
+    const terms = applyTerms(body);
+    if (terms.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: terms.error });
+    }
+    body = terms.data;
+    if (!canAccessDepartment(req.user, body.department_id)) {
+      await client.query('ROLLBACK');
+      return departmentForbidden(res, PERMISSIONS.CONTRACTS_WRITE);
+    }
+    // Custom field values carry over; ones in the body are merged on top
+    const customFields = applyCustomFields(overrides.custom_fields, parent.custom_fields, await fetchCustomFields(client), body.department_id);
+    if (customFields.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: customFields.error });
+    }
+    body.custom_fields = customFields.data;
+    const approvalError = await checkApprovalGate(client, body, body.status_id);
+    if (approvalError) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: approvalError });
+    }
+    const created = await insertContract(client, body, actorId);
+    await addRelationship(client, { fromId: created.contract_id, toId: id, type: 'renews', actorId });
+    if (parent.auto_renew) {
+      const { rows } = await client.query(
+        `UPDATE ${DB_SCHEMA}.contract SET "auto_renew" = $2, updated_at = NOW(), updated_by = $3 WHERE contract_id = $1 RETURNING *`,
+        [id, false, actorId],
+      );
+      await recordAudit(client, { entityType: 'contract', entityId: id, action: 'update', before: parent, after: rows[0], actorId });
+    }
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(201).json({ ...normalizeRow(created), relationships: await fetchRelationshipTree(pool, created.contract_id, req.user) });
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error creating contract renewal:', err);
+    if (err?.code === '23503') {
+      return res.status(400).json({ error: 'Unknown department_id, status_id or counterparty_id' });
+    }
+    if (err?.code === '22007') {
+      return res.status(400).json({ error: 'Invalid date format in request' });
+    }
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+router.get('/:contract_id/renewals', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.contract_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid contract_id' });
+    if (await hiddenFromUser(id, req.user)) return res.status(404).json({ error: 'Contract not found' });
+    const { rows } = await pool.query(
+      `
+        SELECT renewal_id, contract_id, period_start, period_end, previous_end_date, renewed_at
+        FROM ${DB_SCHEMA}.contract_renewal
+        WHERE contract_id = $1
+        ORDER BY period_start ASC
+      `,
+      [id],
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error listing contract renewals:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
 async function resolveIdsFromNames(client, data) {
   const resolved = { ...data };
   if (resolved.department_id == null && typeof resolved.department === 'string' && resolved.department.trim()) {
@@ -135,54 +767,384 @@ async function resolveIdsFromNames(client, data) {
     const { rows } = await client.query(`SELECT status_id FROM ${DB_SCHEMA}.status WHERE lower(name) = lower($1) LIMIT 1`, [resolved.status.trim()]);
     if (rows[0]) resolved.status_id = rows[0].status_id;
   }
+  // A linked counterparty always shows its registry name. A free-text name is
+  // linked when it matches a registry entry (see counterparty_key) and
+  // unlinked otherwise; it never creates one.
+  if (resolved.counterparty_id != null) {
+    const { rows } = await client.query(`SELECT name FROM ${DB_SCHEMA}.counterparty WHERE counterparty_id = $1`, [resolved.counterparty_id]);
+    if (rows[0]) resolved.counterparty_name = rows[0].name;
+  } else if (typeof resolved.counterparty_name === 'string' && resolved.counterparty_name.trim()) {
+    const { rows } = await client.query(
+      `SELECT counterparty_id, name FROM ${DB_SCHEMA}.counterparty WHERE ${DB_SCHEMA}.counterparty_key(name) = ${DB_SCHEMA}.counterparty_key($1) LIMIT 1`,
+      [resolved.counterparty_name.trim()],
+    );
+    resolved.counterparty_id = rows[0]?.counterparty_id ?? null;
+    if (rows[0]) resolved.counterparty_name = rows[0].name;
+  }
   return resolved;
 }
 
-router.post('/', async (req, res) => {
+// Inserts a sanitized, validated contract (in the default status when none is
+// given) and records its create audit entry and initial status. The caller owns
+// the transaction.
+async function insertContract(client, data, actorId) {
+  const body = { ...data };
+  if (body.status_id == null) body.status_id = await fetchDefaultStatusId(client);
+  // set audit fields
+  if (actorId != null) {
+    if (body.created_by == null) body.created_by = actorId;
+    if (body.updated_by == null) body.updated_by = actorId;
+  }
+  const keys = Object.keys(body);
+  const cols = keys.map((k) => `"${k}"`).join(', ');
+  const placeholders = keys.map((_, i) => `$${i + 1}`).join(', ');
+  const values = keys.map((k) => body[k]);
+
+  const sql = `
+    INSERT INTO ${DB_SCHEMA}.contract (${cols})
+    VALUES (${placeholders})
+    RETURNING *
+  `;
+  const { rows } = await client.query(sql, values);
+  await recordAudit(client, { entityType: 'contract', entityId: rows[0].contract_id, action: 'create', after: rows[0], actorId });
+  if (rows[0].status_id != null) {
+    await recordStatusChange(client, { contractId: rows[0].contract_id, toStatusId: rows[0].status_id, actorId });
+  }
+  return rows[0];
+}
+
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES || 10 * 1024 * 1024);
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 5000);
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+}).single('file');
+
+function parseImportUpload(req, res, next) {
+  importUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `File exceeds the ${IMPORT_MAX_BYTES} byte limit` });
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: 'Upload one file in the "file" field' });
+    }
+    console.error('Error parsing import upload:', err);
+    return res.status(400).json({ error: 'Invalid multipart upload' });
+  });
+}
+
+// Spreadsheet headings people commonly use for contract fields
+const IMPORT_HEADER_ALIASES = {
+  counterparty: 'counterparty_name',
+  vendor: 'counterparty_name',
+  contact: 'counterparty_contact',
+  email: 'counterparty_email',
+  owner: 'internal_owner',
+  department_name: 'department',
+  status_name: 'status',
+  type: 'contract_type',
+  notice_days: 'termination_notice_days',
+  notice_deadline: 'termination_notice_deadline',
+  renewal_months: 'renewal_term_months',
+  value: 'total_value',
+  contract_value: 'total_value',
+  amount: 'total_value',
+  billing: 'billing_frequency',
+};
+
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Custom field values come in as columns of their own, never as the raw object
+const IMPORT_FIELDS = FIELDS.filter((f) => f !== 'custom_fields');
+
+// Maps header cells onto FIELDS by name ("End Date" -> end_date) or alias, and
+// onto custom fields (cf.<key>) by key or label. An explicit mapping
+// ({ "Header": "field" }, null to skip) wins over all of these.
+// Returns { columns, ignored } with columns[i] the field for cell i, or { error }.
+function mapImportColumns(headers, mapping = {}, customFields = []) {
+  const columns = [];
+  const ignored = [];
+  const seen = new Map();
+  const targets = new Set([...IMPORT_FIELDS, ...customFields.map((f) => `${FILTER_PREFIX}${f.key}`)]);
+  const customHeaders = new Map();
+  for (const f of customFields) {
+    for (const name of [f.label, f.key, `cf_${f.key}`]) customHeaders.set(normalizeHeader(name), `${FILTER_PREFIX}${f.key}`);
+  }
+  for (const header of headers) {
+    const key = normalizeHeader(header);
+    let field;
+    if (Object.hasOwn(mapping, header)) field = mapping[header];
+    else if (Object.hasOwn(mapping, key)) field = mapping[key];
+    else field = IMPORT_FIELDS.includes(key) ? key : IMPORT_HEADER_ALIASES[key] ?? customHeaders.get(key);
+    if (field && !targets.has(field)) return { error: `Column "${header}" is mapped to unknown field ${field}` };
+    if (field && seen.has(field)) return { error: `Columns "${seen.get(field)}" and "${header}" both map to ${field}` };
+    if (field) seen.set(field, header);
+    else if (String(header).trim()) ignored.push(header);
+    columns.push(field || null);
+  }
+  if (!seen.has('title')) return { error: 'No column maps to title' };
+  return { columns, ignored };
+}
+
+// Runs one row through the same checks as POST /contracts and collects every
+// problem instead of stopping at the first. Returns { data } or { errors }.
+async function prepareImportRow(raw, { user, departmentIds, statusIds, counterpartyIds, customFields }) {
+  const errors = [];
+  if ('auto_renew' in raw && coerceBoolean(raw.auto_renew) === null) errors.push(`Invalid auto_renew "${raw.auto_renew}"`);
+  for (const k of INTEGER_FIELDS) {
+    if (k in raw && !Number.isFinite(Number(raw[k]))) errors.push(`Invalid ${k} "${raw[k]}"`);
+  }
+  const data = await resolveIdsFromNames(pool, sanitizeCreatePayload(raw));
+  if (!data.title) errors.push('title is required');
+  if (data.department_id == null && data.department) errors.push(`Unknown department "${data.department}"`);
+  if (data.department_id != null && !departmentIds.has(data.department_id)) errors.push(`Unknown department_id ${data.department_id}`);
+  if (data.status_id == null && data.status) errors.push(`Unknown status "${data.status}"`);
+  if (data.status_id != null && !statusIds.has(data.status_id)) errors.push(`Unknown status_id ${data.status_id}`);
+  if (data.counterparty_id != null && !counterpartyIds.has(data.counterparty_id)) errors.push(`Unknown counterparty_id ${data.counterparty_id}`);
+  const submitted = Object.fromEntries(
+    Object.entries(raw).filter(([k]) => k.startsWith(FILTER_PREFIX)).map(([k, v]) => [k.slice(FILTER_PREFIX.length), v]),
+  );
+  const custom = applyCustomFields(submitted, {}, customFields, data.department_id);
+  if (custom.error) errors.push(custom.error);
+  else data.custom_fields = custom.data;
+  const terms = applyTerms(data);
+  if (terms.error) errors.push(terms.error);
+  if (errors.length === 0 && !canAccessDepartment(user, data.department_id)) {
+    errors.push('You can only import contracts into your own departments');
+  }
+  if (errors.length === 0) {
+    const approvalError = await checkApprovalGate(pool, terms.data, terms.data.status_id);
+    if (approvalError) errors.push(approvalError);
+  }
+  return errors.length > 0 ? { errors } : { data: terms.data };
+}
+
+// Bulk import from a CSV or XLSX upload (multipart field "file", first sheet,
+// header row first). Every row is validated before anything is written; with
+// ?dry_run=true only the validation report is returned. Otherwise all rows are
+// inserted in one transaction, or none are if any row is invalid.
+router.post('/import', requirePermission(PERMISSIONS.CONTRACTS_WRITE), parseImportUpload, async (req, res) => {
+  let client;
+  let currentRow = null;
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded; send multipart field "file"' });
+    let mapping = {};
+    if (req.body?.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (_) {
+        mapping = null;
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({ error: 'mapping must be a JSON object of column heading to field' });
+      }
+    }
+    const dryRun = coerceBoolean(req.query.dry_run ?? req.body?.dry_run) === true;
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet({ buffer: req.file.buffer, fileName: req.file.originalname, mimetype: req.file.mimetype });
+    } catch (err) {
+      if (err.code === 'UNSUPPORTED_FORMAT') return res.status(415).json({ error: err.message });
+      return res.status(400).json({ error: `Could not read ${req.file.originalname}: ${err?.message || err}` });
+    }
+    const [header, ...records] = sheet.records;
+    if (!header) return res.status(400).json({ error: 'The file is empty' });
+    const customFields = await fetchCustomFields(pool);
+    const mapped = mapImportColumns(header.values, mapping, customFields);
+    if (mapped.error) return res.status(400).json({ error: mapped.error });
+    const dataRows = records.filter((r) => r.values.some((v) => String(v).trim() !== ''));
+    if (dataRows.length === 0) return res.status(400).json({ error: 'The file has no data rows' });
+    if (dataRows.length > IMPORT_MAX_ROWS) {
+      return res.status(413).json({ error: `Import up to ${IMPORT_MAX_ROWS} rows at a time` });
+    }
+
+    const [departments, statuses, counterparties] = await Promise.all([
+      pool.query(`SELECT department_id FROM ${DB_SCHEMA}.department`),
+      pool.query(`SELECT status_id FROM ${DB_SCHEMA}.status`),
+      pool.query(`SELECT counterparty_id FROM ${DB_SCHEMA}.counterparty`),
+    ]);
+    const context = {
+      user: req.user,
+      departmentIds: new Set(departments.rows.map((r) => r.department_id)),
+      statusIds: new Set(statuses.rows.map((r) => r.status_id)),
+      counterpartyIds: new Set(counterparties.rows.map((r) => r.counterparty_id)),
+      customFields,
+    };
+
+    const prepared = [];
+    const errors = [];
+    for (const record of dataRows) {
+      // Blank cells count as "not provided" so column defaults still apply
+      const raw = {};
+      mapped.columns.forEach((field, i) => {
+        const v = record.values[i];
+        if (field && v !== undefined && String(v).trim() !== '') raw[field] = v;
+      });
+      const result = await prepareImportRow(raw, context);
+      if (result.errors) errors.push({ row: record.row, errors: result.errors });
+      else prepared.push({ row: record.row, data: result.data });
+    }
+
+    const report = {
+      format: sheet.format,
+      dry_run: dryRun,
+      total_rows: dataRows.length,
+      valid_rows: prepared.length,
+      invalid_rows: errors.length,
+      columns: Object.fromEntries(header.values.map((h, i) => [h, mapped.columns[i]]).filter(([, f]) => f)),
+      ignored_columns: mapped.ignored,
+      errors,
+    };
+    if (dryRun) return res.json(report);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: `${errors.length} row(s) failed validation; nothing was imported`, ...report, imported: 0 });
+    }
+
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const contractIds = [];
+    for (const item of prepared) {
+      currentRow = item.row;
+      const created = await insertContract(client, item.data, actorId);
+      contractIds.push(created.contract_id);
+    }
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(201).json({ ...report, imported: contractIds.length, contract_ids: contractIds });
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error importing contracts:', err);
+    if (err?.code === '23505') {
+      return res.status(409).json({ error: `Conflict importing row ${currentRow}; nothing was imported` });
+    }
+    if (err?.code === '22007') {
+      return res.status(400).json({ error: `Invalid date format in row ${currentRow}; nothing was imported` });
+    }
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+router.post('/', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
   try {
     let body = sanitizeCreatePayload(req.body || {});
     body = await resolveIdsFromNames(pool, body);
     if (!body.title) {
       return res.status(400).json({ error: 'title is required' });
     }
-    // set audit fields
-    const actorId = req.user?.user_id || null;
-    if (actorId != null) {
-      if (body.created_by == null) body.created_by = actorId;
-      if (body.updated_by == null) body.updated_by = actorId;
+    const terms = applyTerms(body);
+    if (terms.error) return res.status(400).json({ error: terms.error });
+    body = terms.data;
+    if (!canAccessDepartment(req.user, body.department_id)) {
+      return departmentForbidden(res, PERMISSIONS.CONTRACTS_WRITE);
     }
-    const keys = Object.keys(body);
-    const cols = keys.map((k) => `"${k}"`).join(', ');
-    const placeholders = keys.map((_, i) => `$${i + 1}`).join(', ');
-    const values = keys.map((k) => body[k]);
-
-    const sql = `
-      INSERT INTO ${DB_SCHEMA}.contract (${cols})
-      VALUES (${placeholders})
-      RETURNING *
-    `;
-    const { rows } = await pool.query(sql, values);
-    return res.status(201).json(normalizeRow(rows[0]));
+    const customFields = applyCustomFields(body.custom_fields, {}, await fetchCustomFields(pool), body.department_id);
+    if (customFields.error) return res.status(400).json({ error: customFields.error });
+    body.custom_fields = customFields.data;
+    const approvalError = await checkApprovalGate(pool, body, body.status_id);
+    if (approvalError) return res.status(409).json({ error: approvalError });
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const created = await insertContract(client, body, req.user?.user_id || null);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(201).json(normalizeRow(created));
   } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
     console.error('Error creating contract:', err);
     if (err?.code === '23505') {
       return res.status(409).json({ error: 'Conflict creating contract' });
     }
+    if (err?.code === '23503') {
+      return res.status(400).json({ error: 'Unknown department_id, status_id or counterparty_id' });
+    }
     if (err?.code === '22007') {
       return res.status(400).json({ error: 'Invalid date format in request' });
     }
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
   }
 });
 
-router.patch('/:contract_id', async (req, res) => {
+router.patch('/:contract_id', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
   try {
     const id = Number(req.params.contract_id);
     if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid contract_id' });
     let body = sanitizePatchPayload(req.body || {});
     body = await resolveIdsFromNames(pool, body);
-    const entries = Object.entries(body);
-    if (entries.length === 0) return res.status(400).json({ error: 'No fields provided for update' });
+    if (Object.keys(body).length === 0) return res.status(400).json({ error: 'No fields provided for update' });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchContractForUpdate(client, id);
+    if (!before || !canAccessDepartment(req.user, before.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    if ('department_id' in body && !canAccessDepartment(req.user, body.department_id)) {
+      await client.query('ROLLBACK');
+      return departmentForbidden(res, PERMISSIONS.CONTRACTS_WRITE);
+    }
+    const terms = applyTerms(body, before);
+    if (terms.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: terms.error });
+    }
+    // Submitted values merge over the stored ones; a department move re-checks
+    // which fields apply and which are required
+    if ('custom_fields' in body || ('department_id' in body && body.department_id !== before.department_id)) {
+      const departmentId = 'department_id' in body ? body.department_id : before.department_id;
+      const customFields = applyCustomFields(body.custom_fields, before.custom_fields, await fetchCustomFields(client), departmentId);
+      if (customFields.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: customFields.error });
+      }
+      terms.data.custom_fields = customFields.data;
+    }
+    if ('currency' in terms.data && terms.data.currency !== before.currency) {
+      const { rows: payments } = await client.query(
+        `SELECT COUNT(*) AS total FROM ${DB_SCHEMA}.contract_payment WHERE contract_id = $1`,
+        [id],
+      );
+      if (Number(payments[0]?.total || 0) > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'The contract has scheduled payments; remove them before changing its currency' });
+      }
+    }
+    const statusChanged = 'status_id' in body && (body.status_id ?? null) !== (before.status_id ?? null);
+    const after = { ...before, ...terms.data };
+    // Earlier approvals no longer count once the fields rules match on change, so
+    // the gate also applies to a contract staying in a requires_approval status
+    const approvalChanged = approvalFieldsChanged(before, after);
+    if (approvalChanged) await voidApprovals(client, [id]);
+    if (statusChanged || approvalChanged) {
+      const transitionError =
+        (statusChanged && (await checkStatusTransition(client, before.status_id ?? null, after.status_id ?? null))) ||
+        (await checkApprovalGate(client, after, after.status_id ?? null));
+      if (transitionError) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: transitionError });
+      }
+    }
+    const entries = Object.entries(terms.data);
 
     const setClauses = [];
     const values = [];
@@ -206,29 +1168,158 @@ router.patch('/:contract_id', async (req, res) => {
       WHERE contract_id = $${actorId != null ? values.length - 1 : values.length}
       RETURNING *
     `;
-    const { rows } = await pool.query(sql, values);
-    if (rows.length === 0) return res.status(404).json({ error: 'Contract not found' });
+    const { rows } = await client.query(sql, values);
+    await recordAudit(client, { entityType: 'contract', entityId: id, action: 'update', before, after: rows[0], actorId });
+    if (statusChanged) {
+      const reason = typeof req.body?.status_reason === 'string' ? req.body.status_reason.trim() || null : null;
+      await recordStatusChange(client, { contractId: id, fromStatusId: before.status_id, toStatusId: rows[0].status_id, reason, actorId });
+    }
+    await client.query('COMMIT');
+    client.release();
+    client = null;
     return res.json(normalizeRow(rows[0]));
   } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
     console.error('Error updating contract:', err);
+    if (err?.code === '23503') {
+      return res.status(400).json({ error: 'Unknown department_id, status_id or counterparty_id' });
+    }
     if (err?.code === '22007') {
       return res.status(400).json({ error: 'Invalid date format in request' });
     }
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
   }
 });
 
-router.delete('/:contract_id', async (req, res) => {
+// Soft delete: the row stays with deleted_at/deleted_by set and can be restored
+router.delete('/:contract_id', requirePermission(PERMISSIONS.CONTRACTS_DELETE), async (req, res) => {
+  let client;
   try {
     const id = Number(req.params.contract_id);
     if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid contract_id' });
-    const { rowCount } = await pool.query(`DELETE FROM ${DB_SCHEMA}.contract WHERE contract_id = $1`, [id]);
-    if (rowCount === 0) return res.status(404).json({ error: 'Contract not found' });
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchContractForUpdate(client, id);
+    if (!before || !canAccessDepartment(req.user, before.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    const { rows } = await client.query(
+      `UPDATE ${DB_SCHEMA}.contract SET deleted_at = NOW(), deleted_by = $2 WHERE contract_id = $1 RETURNING *`,
+      [id, actorId],
+    );
+    await recordAudit(client, { entityType: 'contract', entityId: id, action: 'delete', before, after: rows[0], actorId });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
     return res.status(204).send();
   } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
     console.error('Error deleting contract:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+router.post('/:contract_id/restore', requirePermission(PERMISSIONS.CONTRACTS_DELETE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.contract_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchContractForUpdate(client, id, { includeDeleted: true });
+    if (!before || !canAccessDepartment(req.user, before.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    if (before.deleted_at == null) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Contract is not deleted' });
+    }
+    const { rows } = await client.query(
+      `
+        UPDATE ${DB_SCHEMA}.contract
+        SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW(), updated_by = $2
+        WHERE contract_id = $1
+        RETURNING *
+      `,
+      [id, actorId],
+    );
+    await recordAudit(client, { entityType: 'contract', entityId: id, action: 'restore', before, after: rows[0], actorId });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json(normalizeRow(rows[0]));
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error restoring contract:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Permanently removes a contract that has already been soft-deleted
+router.delete('/:contract_id/purge', requirePermission(PERMISSIONS.CONTRACTS_PURGE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.contract_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid contract_id' });
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchContractForUpdate(client, id, { includeDeleted: true });
+    if (!before || !canAccessDepartment(req.user, before.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    if (before.deleted_at == null) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Only deleted contracts can be purged; delete it first' });
+    }
+    const files = await client.query(`SELECT storage_key FROM ${DB_SCHEMA}.contract_file WHERE contract_id = $1`, [id]);
+    await client.query(`DELETE FROM ${DB_SCHEMA}.contract WHERE contract_id = $1`, [id]);
+    await recordAudit(client, { entityType: 'contract', entityId: id, action: 'purge', before, actorId: req.user?.user_id || null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    // Attachment rows went with the contract (ON DELETE CASCADE); drop their blobs too
+    for (const { storage_key: key } of files.rows) {
+      try {
+        await getStorageDriver().remove(key);
+      } catch (err) {
+        console.error('Failed to remove stored file:', key, err?.message || err);
+      }
+    }
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error purging contract:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
   }
 });
 
-export { router };
+export { router, CONTRACT_SELECT, normalizeRow as normalizeContractRow, FILTER_PARAMS, parseContractQuery, listContracts };
@@ -0,0 +1,533 @@
+import express from 'express';
+import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission, departmentScopeSql, forbidden } from '../permissions.js';
+import { recordAudit } from '../audit.js';
+import { parseReassignTo, countContractsUsing, reassignContracts } from '../reassign.js';
+import { toIsoDate } from '../renewals.js';
+import { sumByCurrency } from '../financials.js';
+import { CONTRACT_SELECT, normalizeContractRow } from './contracts.js';
+
+const router = express.Router();
+router.use(express.json());
+
+const COUNTERPARTY_COLUMNS = 'counterparty_id, name, legal_name, website, notes, created_at, updated_at';
+const TEXT_FIELDS = ['legal_name', 'website', 'notes'];
+const COUNTRY = /^[A-Z]{2}$/;
+
+// Contacts, addresses and tax ids are owned by the counterparty and always
+// written as a whole list: sending one replaces every existing entry.
+const CHILDREN = {
+  contacts: {
+    table: 'counterparty_contact',
+    key: 'contact_id',
+    fields: ['name', 'email', 'phone', 'role', 'is_primary'],
+    orderBy: 'is_primary DESC, lower(name) ASC, contact_id ASC',
+  },
+  addresses: {
+    table: 'counterparty_address',
+    key: 'address_id',
+    fields: ['label', 'line1', 'line2', 'city', 'region', 'postal_code', 'country'],
+    orderBy: 'address_id ASC',
+  },
+  tax_ids: {
+    table: 'counterparty_tax_id',
+    key: 'tax_id_id',
+    fields: ['scheme', 'value', 'country'],
+    orderBy: 'scheme ASC, value ASC',
+  },
+};
+
+function trimOrNull(v) {
+  if (v === undefined || v === null) return null;
+  const s = String(v).trim();
+  return s === '' ? null : s;
+}
+
+// Checks one child entry of the given kind. Returns { item } or { error }.
+function parseChild(kind, raw, index) {
+  const label = `${kind}[${index}]`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: `${label} must be an object` };
+  const item = {};
+  for (const field of CHILDREN[kind].fields) {
+    if (field === 'is_primary') {
+      if (raw.is_primary !== undefined && typeof raw.is_primary !== 'boolean') return { error: `${label}.is_primary must be true or false` };
+      item.is_primary = raw.is_primary === true;
+    } else {
+      item[field] = trimOrNull(raw[field]);
+    }
+  }
+  if ('country' in item && item.country !== null) {
+    item.country = item.country.toUpperCase();
+    if (!COUNTRY.test(item.country)) return { error: `${label}.country must be a two-letter country code` };
+  }
+  if (kind === 'contacts') {
+    if (!item.name && !item.email) return { error: `${label} needs a name or an email` };
+    if (item.email) {
+      item.email = item.email.toLowerCase();
+      if (!item.email.includes('@')) return { error: `${label}.email is not an email address` };
+    }
+  }
+  if (kind === 'addresses' && !item.line1) return { error: `${label}.line1 is required` };
+  if (kind === 'tax_ids') {
+    if (!item.scheme || !item.value) return { error: `${label} needs a scheme and a value` };
+    item.scheme = item.scheme.toUpperCase();
+  }
+  return { item };
+}
+
+function parseChildren(kind, list) {
+  if (!Array.isArray(list)) return { error: `${kind} must be an array` };
+  const items = [];
+  for (const [i, raw] of list.entries()) {
+    const parsed = parseChild(kind, raw, i);
+    if (parsed.error) return parsed;
+    items.push(parsed.item);
+  }
+  if (kind === 'contacts' && items.filter((c) => c.is_primary).length > 1) {
+    return { error: 'Only one contact can be primary' };
+  }
+  if (kind === 'tax_ids') {
+    const keys = items.map((t) => `${t.scheme}:${t.value}`);
+    if (new Set(keys).size !== keys.length) return { error: 'tax_ids contains the same scheme and value twice' };
+  }
+  return { items };
+}
+
+// Validates a counterparty body. name is required unless partial; child lists
+// are only returned when present. Returns { data, children } or { error }.
+function parseCounterpartyBody(body = {}, { partial = false } = {}) {
+  const data = {};
+  if ('name' in body || !partial) {
+    const name = trimOrNull(body.name);
+    if (!name) return { error: 'name is required' };
+    data.name = name;
+  }
+  for (const field of TEXT_FIELDS) {
+    if (field in body) data[field] = trimOrNull(body[field]);
+  }
+  const children = {};
+  for (const kind of Object.keys(CHILDREN)) {
+    if (!(kind in body)) continue;
+    const parsed = parseChildren(kind, body[kind] ?? []);
+    if (parsed.error) return { error: parsed.error };
+    children[kind] = parsed.items;
+  }
+  return { data, children };
+}
+
+async function fetchChildren(client, id) {
+  const result = {};
+  for (const [kind, spec] of Object.entries(CHILDREN)) {
+    const { rows } = await client.query(
+      `SELECT ${spec.key}, ${spec.fields.join(', ')} FROM ${DB_SCHEMA}.${spec.table} WHERE counterparty_id = $1 ORDER BY ${spec.orderBy}`,
+      [id],
+    );
+    result[kind] = rows;
+  }
+  return result;
+}
+
+// The counterparty row with its contacts, addresses and tax ids, or null
+async function fetchCounterparty(client, id, { forUpdate = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT ${COUNTERPARTY_COLUMNS} FROM ${DB_SCHEMA}.counterparty WHERE counterparty_id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [id],
+  );
+  if (!rows[0]) return null;
+  return { ...rows[0], ...(await fetchChildren(client, id)) };
+}
+
+async function replaceChildren(client, id, kind, items) {
+  const spec = CHILDREN[kind];
+  await client.query(`DELETE FROM ${DB_SCHEMA}.${spec.table} WHERE counterparty_id = $1`, [id]);
+  for (const item of items) {
+    const cols = ['counterparty_id', ...spec.fields];
+    const placeholders = cols.map((_, i) => `$${i + 1}`).join(', ');
+    await client.query(
+      `INSERT INTO ${DB_SCHEMA}.${spec.table} (${cols.join(', ')}) VALUES (${placeholders})`,
+      [id, ...spec.fields.map((f) => item[f])],
+    );
+  }
+}
+
+// Audit snapshot: child lists without their surrogate ids, so replacing a list
+// with the same entries is not reported as a change
+function auditSnapshot(counterparty) {
+  const snapshot = { ...counterparty };
+  for (const [kind, spec] of Object.entries(CHILDREN)) {
+    snapshot[kind] = (counterparty[kind] || []).map((row) => Object.fromEntries(spec.fields.map((f) => [f, row[f] ?? null])));
+  }
+  return snapshot;
+}
+
+// contract.counterparty_name is kept as a copy of the registry name so lists,
+// search and sorting keep working on the contract row alone. Each rewritten
+// contract gets an audit entry, as with any other contract edit.
+async function syncContractNames(client, id, name, actorId) {
+  const { rows } = await client.query(
+    `
+      UPDATE ${DB_SCHEMA}.contract c
+      SET counterparty_name = $2, updated_at = NOW(), updated_by = $3
+      FROM (
+        SELECT contract_id, counterparty_name
+        FROM ${DB_SCHEMA}.contract
+        WHERE counterparty_id = $1 AND counterparty_name IS DISTINCT FROM $2
+        FOR UPDATE
+      ) old
+      WHERE c.contract_id = old.contract_id
+      RETURNING c.contract_id, old.counterparty_name AS old_name
+    `,
+    [id, name, actorId],
+  );
+  for (const row of rows) {
+    await recordAudit(client, {
+      entityType: 'contract',
+      entityId: row.contract_id,
+      action: 'update',
+      before: { counterparty_name: row.old_name },
+      after: { counterparty_name: name },
+      actorId,
+    });
+  }
+}
+
+// Renames, deletes and merges rewrite every contract linked to the counterparty;
+// department-scoped users may only do that when all of them are in their departments
+async function refuseOutOfScope(client, res, id, user) {
+  const params = [id];
+  const scope = departmentScopeSql(user, 'department_id', (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  });
+  if (!scope) return false;
+  const { rows } = await client.query(
+    `SELECT COUNT(*) AS total FROM ${DB_SCHEMA}.contract WHERE counterparty_id = $1 AND NOT COALESCE(${scope}, FALSE)`,
+    params,
+  );
+  if (Number(rows[0]?.total || 0) === 0) return false;
+  await client.query('ROLLBACK');
+  forbidden(res, PERMISSIONS.COUNTERPARTIES_WRITE, 'Forbidden: this counterparty is used by contracts outside your departments');
+  return true;
+}
+
+function rollupExposure(contracts, today = toIsoDate(new Date())) {
+  const exposure = {
+    contract_count: contracts.length,
+    open_contract_count: 0,
+    auto_renew_count: 0,
+    next_end_date: null,
+    last_end_date: null,
+    // Amounts in minor units; currencies are never mixed
+    value_by_currency: sumByCurrency(contracts),
+  };
+  for (const c of contracts) {
+    const end = toIsoDate(c.end_date) ?? null;
+    if (!end || end >= today) exposure.open_contract_count += 1;
+    if (c.auto_renew === true) exposure.auto_renew_count += 1;
+    if (end && end >= today && (!exposure.next_end_date || end < exposure.next_end_date)) exposure.next_end_date = end;
+    if (end && (!exposure.last_end_date || end > exposure.last_end_date)) exposure.last_end_date = end;
+  }
+  return exposure;
+}
+
+function duplicateName(res) {
+  return res.status(409).json({ error: 'A counterparty with that name already exists' });
+}
+
+// ?q= matches name or legal name; each entry carries the number of its
+// contracts the user can see
+router.get('/', requirePermission(PERMISSIONS.COUNTERPARTIES_READ), async (req, res) => {
+  try {
+    const params = [];
+    let where = '';
+    if (typeof req.query.q === 'string' && req.query.q.trim()) {
+      params.push(`%${req.query.q.trim().replace(/[\\%_]/g, '\\$&')}%`);
+      where = 'WHERE cp.name ILIKE $1 OR cp.legal_name ILIKE $1';
+    }
+    const scope = departmentScopeSql(req.user, 'c.department_id', (v) => {
+      params.push(v);
+      return `$${params.length}`;
+    });
+    const { rows } = await pool.query(
+      `
+        SELECT cp.counterparty_id, cp.name, cp.legal_name, cp.website,
+               (SELECT COUNT(*) FROM ${DB_SCHEMA}.contract c
+                WHERE c.counterparty_id = cp.counterparty_id AND c.deleted_at IS NULL${scope ? ` AND ${scope}` : ''}) AS contract_count
+        FROM ${DB_SCHEMA}.counterparty cp
+        ${where}
+        ORDER BY lower(cp.name) ASC
+      `,
+      params,
+    );
+    return res.json(rows.map((r) => ({ ...r, contract_count: Number(r.contract_count || 0) })));
+  } catch (err) {
+    console.error('Error listing counterparties:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.get('/:counterparty_id', requirePermission(PERMISSIONS.COUNTERPARTIES_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.counterparty_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid counterparty_id' });
+    const counterparty = await fetchCounterparty(pool, id);
+    if (!counterparty) return res.status(404).json({ error: 'Counterparty not found' });
+    return res.json(counterparty);
+  } catch (err) {
+    console.error('Error fetching counterparty:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// Every live contract with this counterparty the user can see, plus a rollup
+// of the exposure over them
+router.get('/:counterparty_id/contracts', requirePermission(PERMISSIONS.COUNTERPARTIES_READ), requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.counterparty_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid counterparty_id' });
+    const { rows: found } = await pool.query(`SELECT counterparty_id, name FROM ${DB_SCHEMA}.counterparty WHERE counterparty_id = $1`, [id]);
+    if (!found[0]) return res.status(404).json({ error: 'Counterparty not found' });
+    const params = [id];
+    const scope = departmentScopeSql(req.user, 'c.department_id', (v) => {
+      params.push(v);
+      return `$${params.length}`;
+    });
+    const { rows } = await pool.query(
+      `
+        ${CONTRACT_SELECT}
+        WHERE c.counterparty_id = $1 AND c.deleted_at IS NULL${scope ? ` AND ${scope}` : ''}
+        ORDER BY COALESCE(c.end_date, DATE '9999-12-31') ASC, c.contract_id ASC
+      `,
+      params,
+    );
+    return res.json({ counterparty: found[0], exposure: rollupExposure(rows), contracts: rows.map(normalizeContractRow) });
+  } catch (err) {
+    console.error('Error listing counterparty contracts:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/', requirePermission(PERMISSIONS.COUNTERPARTIES_WRITE), async (req, res) => {
+  let client;
+  try {
+    const parsed = parseCounterpartyBody(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const actorId = req.user?.user_id || null;
+    const data = { ...parsed.data, created_by: actorId, updated_by: actorId };
+    const keys = Object.keys(data);
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.counterparty (${keys.join(', ')})
+        VALUES (${keys.map((_, i) => `$${i + 1}`).join(', ')})
+        RETURNING counterparty_id
+      `,
+      keys.map((k) => data[k]),
+    );
+    const id = rows[0].counterparty_id;
+    for (const [kind, items] of Object.entries(parsed.children)) await replaceChildren(client, id, kind, items);
+    const created = await fetchCounterparty(client, id);
+    await recordAudit(client, { entityType: 'counterparty', entityId: id, action: 'create', after: auditSnapshot(created), actorId });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(201).json(created);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23505') return duplicateName(res);
+    console.error('Error creating counterparty:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+router.patch('/:counterparty_id', requirePermission(PERMISSIONS.COUNTERPARTIES_WRITE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.counterparty_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid counterparty_id' });
+    const parsed = parseCounterpartyBody(req.body, { partial: true });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchCounterparty(client, id, { forUpdate: true });
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Counterparty not found' });
+    }
+    if (parsed.data.name !== undefined && parsed.data.name !== before.name && (await refuseOutOfScope(client, res, id, req.user))) return;
+    const data = { ...parsed.data, updated_by: actorId };
+    const keys = Object.keys(data);
+    await client.query(
+      `UPDATE ${DB_SCHEMA}.counterparty SET ${keys.map((k, i) => `${k} = $${i + 2}`).join(', ')}, updated_at = NOW() WHERE counterparty_id = $1`,
+      [id, ...keys.map((k) => data[k])],
+    );
+    for (const [kind, items] of Object.entries(parsed.children)) await replaceChildren(client, id, kind, items);
+    if (data.name !== undefined && data.name !== before.name) await syncContractNames(client, id, data.name, actorId);
+    const after = await fetchCounterparty(client, id);
+    await recordAudit(client, {
+      entityType: 'counterparty',
+      entityId: id,
+      action: 'update',
+      before: auditSnapshot(before),
+      after: auditSnapshot(after),
+      actorId,
+    });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json(after);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23505') return duplicateName(res);
+    console.error('Error updating counterparty:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Same rules as departments and statuses: contracts still linked here must be
+// moved with ?reassign_to=<id> first, otherwise the answer is 409 with the count
+router.delete('/:counterparty_id', requirePermission(PERMISSIONS.COUNTERPARTIES_DELETE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.counterparty_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid counterparty_id' });
+    const reassign = parseReassignTo(req, id);
+    if (reassign.error) return res.status(400).json({ error: reassign.error });
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchCounterparty(client, id, { forUpdate: true });
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Counterparty not found' });
+    }
+    if (await refuseOutOfScope(client, res, id, req.user)) return;
+    const contractCount = await countContractsUsing(client, 'counterparty', id);
+    let reassigned = [];
+    if (contractCount > 0) {
+      if (reassign.id === null) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Counterparty is used by ${contractCount} contract(s); pass reassign_to or merge it into another counterparty`,
+          contract_count: contractCount,
+        });
+      }
+      const target = await fetchCounterparty(client, reassign.id, { forUpdate: true });
+      if (!target) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'reassign_to counterparty not found' });
+      }
+      reassigned = await reassignContracts(client, 'counterparty', id, reassign.id, actorId);
+      await syncContractNames(client, reassign.id, target.name, actorId);
+    }
+    await client.query(`DELETE FROM ${DB_SCHEMA}.counterparty WHERE counterparty_id = $1`, [id]);
+    await recordAudit(client, { entityType: 'counterparty', entityId: id, action: 'delete', before: auditSnapshot(before), actorId });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    if (reassigned.length > 0) {
+      return res.json({ deleted: { counterparty_id: id, name: before.name }, reassigned_to: reassign.id, contracts_moved: reassigned.length });
+    }
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23503') return res.status(409).json({ error: 'Counterparty is still referenced and cannot be deleted' });
+    console.error('Error deleting counterparty:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Folds a duplicate into another counterparty: contracts move over, contacts,
+// addresses and tax ids the target lacks are copied, then this one is removed
+router.post('/:counterparty_id/merge', requirePermission(PERMISSIONS.COUNTERPARTIES_DELETE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.counterparty_id);
+    const intoId = Number(req.body?.into);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid counterparty_id' });
+    if (!Number.isInteger(intoId)) return res.status(400).json({ error: 'into must be a counterparty_id' });
+    if (intoId === id) return res.status(400).json({ error: 'Cannot merge a counterparty into itself' });
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    // Lock both rows in id order so opposite merges cannot deadlock
+    const locked = {};
+    for (const lockId of [id, intoId].sort((a, b) => a - b)) locked[lockId] = await fetchCounterparty(client, lockId, { forUpdate: true });
+    const source = locked[id];
+    const target = locked[intoId];
+    if (!source || !target) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Counterparty not found' });
+    }
+    if (await refuseOutOfScope(client, res, id, req.user)) return;
+    const moved = await reassignContracts(client, 'counterparty', id, intoId, actorId);
+    await syncContractNames(client, intoId, target.name, actorId);
+    const merged = {};
+    for (const [kind, spec] of Object.entries(CHILDREN)) {
+      const sameEntry = (a, b) => spec.fields.every((f) => f === 'is_primary' || (a[f] ?? null) === (b[f] ?? null));
+      let extra = source[kind].filter((s) => !target[kind].some((t) => sameEntry(s, t)));
+      // The target keeps its own primary contact
+      if (kind === 'contacts' && target.contacts.some((c) => c.is_primary)) extra = extra.map((c) => ({ ...c, is_primary: false }));
+      if (kind === 'tax_ids') {
+        merged[kind] = [...target[kind], ...extra.filter((s) => !target[kind].some((t) => t.scheme === s.scheme && t.value === s.value))];
+      } else {
+        merged[kind] = [...target[kind], ...extra];
+      }
+      await replaceChildren(client, intoId, kind, merged[kind]);
+    }
+    await client.query(`DELETE FROM ${DB_SCHEMA}.counterparty WHERE counterparty_id = $1`, [id]);
+    await recordAudit(client, {
+      entityType: 'counterparty',
+      entityId: id,
+      action: 'merge',
+      before: auditSnapshot(source),
+      after: { merged_into: intoId },
+      actorId,
+    });
+    const after = await fetchCounterparty(client, intoId);
+    await recordAudit(client, {
+      entityType: 'counterparty',
+      entityId: intoId,
+      action: 'update',
+      before: auditSnapshot(target),
+      after: auditSnapshot(after),
+      actorId,
+    });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json({ counterparty: after, merged_counterparty_id: id, contracts_moved: moved.length });
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error merging counterparty:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+export { router };
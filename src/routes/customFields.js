@@ -0,0 +1,198 @@
+import express from 'express';
+import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission } from '../permissions.js';
+import { recordAudit } from '../audit.js';
+import { CUSTOM_FIELD_COLUMNS, parseFieldDefinition } from '../customFields.js';
+
+// Custom field definitions. Anyone who can read contracts can list them (forms
+// and filters need them); only admins define, change or remove them.
+
+const router = express.Router();
+router.use(express.json());
+
+async function fetchForUpdate(client, id) {
+  const { rows } = await client.query(
+    `SELECT ${CUSTOM_FIELD_COLUMNS} FROM ${DB_SCHEMA}.custom_field WHERE field_id = $1 FOR UPDATE`,
+    [id],
+  );
+  return rows[0] || null;
+}
+
+// ?department_id= limits the list to the fields that apply to that department
+router.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const params = [];
+    let whereSql = '';
+    if (req.query.department_id !== undefined) {
+      const departmentId = Number(req.query.department_id);
+      if (!Number.isInteger(departmentId)) return res.status(400).json({ error: 'Invalid department_id' });
+      params.push(departmentId);
+      whereSql = 'WHERE department_id IS NULL OR department_id = $1';
+    }
+    const { rows } = await pool.query(
+      `SELECT ${CUSTOM_FIELD_COLUMNS} FROM ${DB_SCHEMA}.custom_field ${whereSql} ORDER BY sort_order ASC, key ASC`,
+      params,
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error listing custom fields:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// { key, label, field_type, options? (enum), department_id?, required?, sort_order? }
+router.post('/', requirePermission(PERMISSIONS.CUSTOM_FIELDS_MANAGE), async (req, res) => {
+  let client;
+  try {
+    const parsed = parseFieldDefinition(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const data = parsed.data;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const keys = Object.keys(data);
+    const { rows } = await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.custom_field (${keys.join(', ')})
+        VALUES (${keys.map((_, i) => `$${i + 1}`).join(', ')})
+        RETURNING ${CUSTOM_FIELD_COLUMNS}
+      `,
+      keys.map((k) => data[k]),
+    );
+    await recordAudit(client, { entityType: 'custom_field', entityId: rows[0].field_id, action: 'create', after: rows[0], actorId: req.user?.user_id || null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(201).json(rows[0]);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23505') return res.status(409).json({ error: 'A custom field with that key already exists' });
+    if (err?.code === '23503') return res.status(400).json({ error: 'Unknown department_id' });
+    console.error('Error creating custom field:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// key and field_type are fixed. Dropping an enum option, or narrowing the field
+// to one department, is refused while contracts still hold values it would strand.
+router.patch('/:field_id', requirePermission(PERMISSIONS.CUSTOM_FIELDS_MANAGE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.field_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid field_id' });
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchForUpdate(client, id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+    const parsed = parseFieldDefinition(req.body || {}, before);
+    if (parsed.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: parsed.error });
+    }
+    const data = parsed.data;
+    if (Object.keys(data).length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'No fields provided for update' });
+    }
+    const removed = data.options ? before.options.filter((o) => !data.options.includes(o)) : [];
+    if (removed.length > 0) {
+      const { rows: used } = await client.query(
+        `
+          SELECT DISTINCT custom_fields->>$1 AS value FROM ${DB_SCHEMA}.contract
+          WHERE custom_fields->>$1 = ANY($2::text[])
+        `,
+        [before.key, removed],
+      );
+      if (used.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: `Option(s) still used by contracts: ${used.map((r) => r.value).join(', ')}` });
+      }
+    }
+    if (data.department_id != null && data.department_id !== before.department_id) {
+      const { rows: outside } = await client.query(
+        `
+          SELECT COUNT(*) AS total FROM ${DB_SCHEMA}.contract
+          WHERE custom_fields ? $1 AND department_id IS DISTINCT FROM $2
+        `,
+        [before.key, data.department_id],
+      );
+      const total = Number(outside[0]?.total || 0);
+      if (total > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: `${total} contract(s) in other departments have a value for this field` });
+      }
+    }
+    const keys = Object.keys(data);
+    const { rows } = await client.query(
+      `
+        UPDATE ${DB_SCHEMA}.custom_field
+        SET ${keys.map((k, i) => `${k} = $${i + 1}`).join(', ')}, updated_at = NOW()
+        WHERE field_id = $${keys.length + 1}
+        RETURNING ${CUSTOM_FIELD_COLUMNS}
+      `,
+      [...keys.map((k) => data[k]), id],
+    );
+    await recordAudit(client, { entityType: 'custom_field', entityId: id, action: 'update', before, after: rows[0], actorId: req.user?.user_id || null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json(rows[0]);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23503') return res.status(400).json({ error: 'Unknown department_id' });
+    console.error('Error updating custom field:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Removes the definition and its values from every contract
+router.delete('/:field_id', requirePermission(PERMISSIONS.CUSTOM_FIELDS_MANAGE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.field_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid field_id' });
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchForUpdate(client, id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+    const { rowCount } = await client.query(
+      `UPDATE ${DB_SCHEMA}.contract SET custom_fields = custom_fields - $1 WHERE custom_fields ? $1`,
+      [before.key],
+    );
+    await client.query(`DELETE FROM ${DB_SCHEMA}.custom_field WHERE field_id = $1`, [id]);
+    await recordAudit(client, { entityType: 'custom_field', entityId: id, action: 'delete', before, actorId: req.user?.user_id || null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json({ deleted: before, contracts_cleared: rowCount });
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error deleting custom field:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+export { router };
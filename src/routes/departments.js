@@ -1,5 +1,9 @@
 import express from 'express';
 import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission, hasPermission, canAccessDepartment, forbidden } from '../permissions.js';
+import { recordAudit } from '../audit.js';
+import { parseReassignTo, countContractsUsing, reassignContracts, blockedMove } from '../reassign.js';
+import { voidApprovals, checkApprovalGate } from '../approvals.js';
 
 const router = express.Router();
 router.use(express.json());
@@ -8,7 +12,12 @@ function normalizeRow(row) {
   return { department_id: row.department_id, name: row.name };
 }
 
-router.get('/', async (_req, res) => {
+async function fetchForUpdate(client, id) {
+  const { rows } = await client.query(`SELECT department_id, name FROM ${DB_SCHEMA}.department WHERE department_id = $1 FOR UPDATE`, [id]);
+  return rows[0] || null;
+}
+
+router.get('/', requirePermission(PERMISSIONS.DEPARTMENTS_READ), async (_req, res) => {
   try {
     const { rows } = await pool.query(`SELECT department_id, name FROM ${DB_SCHEMA}.department ORDER BY lower(name) ASC`);
     return res.json(rows.map(normalizeRow));
@@ -18,51 +27,320 @@ router.get('/', async (_req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.DEPARTMENTS_WRITE), async (req, res) => {
+  let client;
   try {
     const name = String(req.body?.name || '').trim();
     if (!name) return res.status(400).json({ error: 'name is required' });
-    const { rows } = await pool.query(
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
       `INSERT INTO ${DB_SCHEMA}.department (name) VALUES ($1) RETURNING department_id, name`,
       [name],
     );
+    await recordAudit(client, { entityType: 'department', entityId: rows[0].department_id, action: 'create', after: rows[0], actorId: req.user?.user_id || null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
     return res.status(201).json(normalizeRow(rows[0]));
   } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
     if (err?.code === '23505') return res.status(409).json({ error: 'A department with that name already exists' });
     console.error('Error creating department:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
   }
 });
 
-router.patch('/:department_id', async (req, res) => {
+router.patch('/:department_id', requirePermission(PERMISSIONS.DEPARTMENTS_WRITE), async (req, res) => {
+  let client;
   try {
     const id = Number(req.params.department_id);
     if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid department_id' });
     const name = String(req.body?.name || '').trim();
     if (!name) return res.status(400).json({ error: 'name is required' });
-    const { rows } = await pool.query(
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchForUpdate(client, id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Department not found' });
+    }
+    const { rows } = await client.query(
       `UPDATE ${DB_SCHEMA}.department SET name = $1 WHERE department_id = $2 RETURNING department_id, name`,
       [name, id],
     );
-    if (rows.length === 0) return res.status(404).json({ error: 'Department not found' });
+    await recordAudit(client, { entityType: 'department', entityId: id, action: 'update', before, after: rows[0], actorId: req.user?.user_id || null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
     return res.json(normalizeRow(rows[0]));
   } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
     if (err?.code === '23505') return res.status(409).json({ error: 'A department with that name already exists' });
     console.error('Error updating department:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
   }
 });
 
-router.delete('/:department_id', async (req, res) => {
+// Moving contracts to another department voids their approvals, so a contract in a
+// requires_approval status that an approval rule of one of ruleDepartmentIds would
+// match cannot move. Returns { error, blocked } when any is refused, otherwise null.
+async function checkDepartmentMove(client, fromId, ruleDepartmentIds) {
+  const { rows: contracts } = await client.query(
+    `
+      SELECT contract_id, contract_type, department_id, total_value_minor, currency, status_id
+      FROM ${DB_SCHEMA}.contract
+      WHERE department_id = $1
+      ORDER BY contract_id
+    `,
+    [fromId],
+  );
+  let error = null;
+  const blocked = [];
+  for (const contract of contracts) {
+    for (const departmentId of ruleDepartmentIds) {
+      // Checked as a contract without approvals, which it is once moved
+      const refused = await checkApprovalGate(client, { ...contract, contract_id: null, department_id: departmentId }, contract.status_id);
+      if (!refused) continue;
+      error ??= refused;
+      blocked.push(contract.contract_id);
+      break;
+    }
+  }
+  return blocked.length > 0 ? { error, blocked } : null;
+}
+
+// A department still used by contracts is only deleted with ?reassign_to=<id>,
+// which moves those contracts first; otherwise the answer is 409 with the count
+router.delete('/:department_id', requirePermission(PERMISSIONS.DEPARTMENTS_DELETE), async (req, res) => {
+  let client;
   try {
     const id = Number(req.params.department_id);
     if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid department_id' });
-    const { rowCount } = await pool.query(`DELETE FROM ${DB_SCHEMA}.department WHERE department_id = $1`, [id]);
-    if (rowCount === 0) return res.status(404).json({ error: 'Department not found' });
+    const reassign = parseReassignTo(req, id);
+    if (reassign.error) return res.status(400).json({ error: reassign.error });
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchForUpdate(client, id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Department not found' });
+    }
+    const contractCount = await countContractsUsing(client, 'department', id);
+    let reassigned = [];
+    if (contractCount > 0) {
+      if (reassign.id === null) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Department is used by ${contractCount} contract(s); pass reassign_to or merge it into another department`,
+          contract_count: contractCount,
+        });
+      }
+      if (!(await fetchForUpdate(client, reassign.id))) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'reassign_to department not found' });
+      }
+      // This department's rules are deleted with it, so only the target's apply
+      const refused = await checkDepartmentMove(client, id, [reassign.id]);
+      if (refused) {
+        await client.query('ROLLBACK');
+        return blockedMove(res, refused);
+      }
+      reassigned = await reassignContracts(client, 'department', id, reassign.id, actorId);
+      await voidApprovals(client, reassigned);
+    }
+    await client.query(`DELETE FROM ${DB_SCHEMA}.department WHERE department_id = $1`, [id]);
+    await recordAudit(client, { entityType: 'department', entityId: id, action: 'delete', before, actorId });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    if (reassigned.length > 0) return res.json({ deleted: normalizeRow(before), reassigned_to: reassign.id, contracts_moved: reassigned.length });
     return res.status(204).send();
   } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23503') return res.status(409).json({ error: 'Department is still referenced and cannot be deleted' });
     console.error('Error deleting department:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Folds this department into another: contracts, member users, watchers,
+// approval rules and custom fields move to the target, then this department is removed
+router.post('/:department_id/merge', requirePermission(PERMISSIONS.DEPARTMENTS_DELETE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.department_id);
+    const intoId = Number(req.body?.into);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid department_id' });
+    if (!Number.isInteger(intoId)) return res.status(400).json({ error: 'into must be a department_id' });
+    if (intoId === id) return res.status(400).json({ error: 'Cannot merge a department into itself' });
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    // Lock both rows in id order so opposite merges cannot deadlock
+    const locked = {};
+    for (const lockId of [id, intoId].sort((a, b) => a - b)) locked[lockId] = await fetchForUpdate(client, lockId);
+    const source = locked[id];
+    const target = locked[intoId];
+    if (!source || !target) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Department not found' });
+    }
+    // This department's rules move to the target, so both sets apply afterwards
+    const refused = await checkDepartmentMove(client, id, [intoId, id]);
+    if (refused) {
+      await client.query('ROLLBACK');
+      return blockedMove(res, refused);
+    }
+    const moved = await reassignContracts(client, 'department', id, intoId, actorId);
+    await voidApprovals(client, moved);
+    await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.user_department (user_id, department_id)
+        SELECT user_id, $2 FROM ${DB_SCHEMA}.user_department WHERE department_id = $1
+        ON CONFLICT DO NOTHING
+      `,
+      [id, intoId],
+    );
+    await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.department_watcher (department_id, user_id)
+        SELECT $2, user_id FROM ${DB_SCHEMA}.department_watcher WHERE department_id = $1
+        ON CONFLICT DO NOTHING
+      `,
+      [id, intoId],
+    );
+    await client.query(`UPDATE ${DB_SCHEMA}.approval_rule SET department_id = $2 WHERE department_id = $1`, [id, intoId]);
+    await client.query(`UPDATE ${DB_SCHEMA}.custom_field SET department_id = $2 WHERE department_id = $1`, [id, intoId]);
+    await client.query(`DELETE FROM ${DB_SCHEMA}.department WHERE department_id = $1`, [id]);
+    await recordAudit(client, {
+      entityType: 'department',
+      entityId: id,
+      action: 'merge',
+      before: source,
+      after: { merged_into: intoId },
+      actorId,
+    });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json({ department: normalizeRow(target), merged_department_id: id, contracts_moved: moved.length });
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error merging department:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Watchers get reminder emails for the department's contracts. Anyone who can
+// read departments may watch or unwatch themselves; managing others needs departments:write.
+// Only users who can see the department's contracts may watch it; departments
+// outside a scoped user's own read as not found.
+function canManageWatcher(user, userId) {
+  return userId === user.user_id || hasPermission(user, PERMISSIONS.DEPARTMENTS_WRITE);
+}
+
+async function fetchWatcherUser(userId) {
+  const { rows } = await pool.query(
+    `
+      SELECT ua.user_id, ua.role,
+             ARRAY(SELECT ud.department_id FROM ${DB_SCHEMA}.user_department ud WHERE ud.user_id = ua.user_id) AS department_ids
+      FROM ${DB_SCHEMA}.user_account ua
+      WHERE ua.user_id = $1
+    `,
+    [userId],
+  );
+  return rows[0] || null;
+}
+
+router.get('/:department_id/watchers', requirePermission(PERMISSIONS.DEPARTMENTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.department_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid department_id' });
+    if (!canAccessDepartment(req.user, id)) return res.status(404).json({ error: 'Department not found' });
+    const { rows } = await pool.query(
+      `
+        SELECT ua.user_id, ua.username, ua.name
+        FROM ${DB_SCHEMA}.department_watcher w
+        JOIN ${DB_SCHEMA}.user_account ua ON ua.user_id = w.user_id
+        WHERE w.department_id = $1
+        ORDER BY lower(ua.username) ASC
+      `,
+      [id],
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error listing department watchers:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/:department_id/watchers', requirePermission(PERMISSIONS.DEPARTMENTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.department_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid department_id' });
+    const userId = req.body?.user_id == null ? req.user.user_id : Number(req.body.user_id);
+    if (!Number.isInteger(userId)) return res.status(400).json({ error: 'Invalid user_id' });
+    if (!canManageWatcher(req.user, userId)) return forbidden(res, PERMISSIONS.DEPARTMENTS_WRITE);
+    if (!canAccessDepartment(req.user, id)) return res.status(404).json({ error: 'Department not found' });
+    if (userId !== req.user.user_id) {
+      const watcher = await fetchWatcherUser(userId);
+      if (!watcher) return res.status(404).json({ error: 'Department or user not found' });
+      if (!canAccessDepartment(watcher, id)) return res.status(400).json({ error: 'That user cannot see this department\'s contracts' });
+    }
+    await pool.query(
+      `INSERT INTO ${DB_SCHEMA}.department_watcher (department_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+      [id, userId],
+    );
+    return res.status(204).send();
+  } catch (err) {
+    if (err?.code === '23503') return res.status(404).json({ error: 'Department or user not found' });
+    console.error('Error adding department watcher:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.delete('/:department_id/watchers/:user_id', requirePermission(PERMISSIONS.DEPARTMENTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.department_id);
+    const userId = Number(req.params.user_id);
+    if (!Number.isInteger(id) || !Number.isInteger(userId)) return res.status(400).json({ error: 'Invalid department_id or user_id' });
+    if (!canAccessDepartment(req.user, id)) return res.status(404).json({ error: 'Department not found' });
+    if (!canManageWatcher(req.user, userId)) return forbidden(res, PERMISSIONS.DEPARTMENTS_WRITE);
+    const { rowCount } = await pool.query(
+      `DELETE FROM ${DB_SCHEMA}.department_watcher WHERE department_id = $1 AND user_id = $2`,
+      [id, userId],
+    );
+    if (rowCount === 0) return res.status(404).json({ error: 'Watcher not found' });
+    return res.status(204).send();
+  } catch (err) {
+    console.error('Error removing department watcher:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
   }
 });
 
@@ -0,0 +1,257 @@
+import express from 'express';
+import multer from 'multer';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import { Transform, pipeline } from 'node:stream';
+import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission, fetchVisibleContract } from '../permissions.js';
+import { getStorageDriver, newStorageKey } from '../storage.js';
+
+// Attachments under /contracts/:contract_id/files. Blobs live in the storage
+// driver; contract_file holds the metadata.
+
+const router = express.Router({ mergeParams: true });
+
+const FILE_MAX_BYTES = Number(process.env.FILE_MAX_BYTES || 25 * 1024 * 1024);
+const FILE_MAX_COUNT = Number(process.env.FILE_MAX_COUNT || 10);
+const FILE_ALLOWED_TYPES = new Set(
+  String(
+    process.env.FILE_ALLOWED_TYPES ||
+      [
+        'application/pdf',
+        'image/png',
+        'image/jpeg',
+        'text/plain',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      ].join(','),
+  )
+    .split(',')
+    .map((t) => t.trim().toLowerCase())
+    .filter(Boolean),
+);
+
+// Uploads are spooled to temp files and read one at a time, so a request never
+// holds more than one file in memory
+const upload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { fileSize: FILE_MAX_BYTES, files: FILE_MAX_COUNT },
+  fileFilter: (_req, file, cb) => {
+    if (FILE_ALLOWED_TYPES.has(String(file.mimetype).toLowerCase())) return cb(null, true);
+    const err = new Error(`File type ${file.mimetype} is not allowed`);
+    err.code = 'UNSUPPORTED_FILE_TYPE';
+    return cb(err);
+  },
+}).array('file', FILE_MAX_COUNT);
+
+// Wraps multer so its errors become 4xx responses in this API's error shape
+function parseUpload(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `File exceeds the ${FILE_MAX_BYTES} byte limit` });
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Upload up to ${FILE_MAX_COUNT} files in the "file" field` });
+    }
+    if (err.code === 'UNSUPPORTED_FILE_TYPE') return res.status(415).json({ error: err.message });
+    console.error('Error parsing upload:', err);
+    return res.status(400).json({ error: 'Invalid multipart upload' });
+  });
+}
+
+// Checks the contract before the body is read, so uploads to missing or hidden
+// contracts are refused without spooling anything
+async function requireContract(req, res, next) {
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    if (!(await fetchVisibleContract(pool, contractId, req.user))) return res.status(404).json({ error: 'Contract not found' });
+    return next();
+  } catch (err) {
+    console.error('Error fetching contract for upload:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+}
+
+async function removeTempFiles(files = []) {
+  for (const file of files) {
+    try { await fsp.rm(file.path, { force: true }); } catch (_) {}
+  }
+}
+
+function normalizeRow(row) {
+  return {
+    file_id: row.file_id,
+    contract_id: row.contract_id,
+    file_name: row.file_name,
+    content_type: row.content_type,
+    size_bytes: Number(row.size_bytes),
+    sha256: row.sha256,
+    uploaded_by: row.uploaded_by,
+    uploaded_by_name: row.uploaded_by_name ?? null,
+    uploaded_at: row.uploaded_at,
+  };
+}
+
+function contentDisposition(fileName) {
+  const fallback = String(fileName).replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+router.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    const { rows } = await pool.query(
+      `
+        SELECT f.*, COALESCE(ua.name, ua.username) AS uploaded_by_name
+        FROM ${DB_SCHEMA}.contract_file f
+        LEFT JOIN ${DB_SCHEMA}.user_account ua ON ua.user_id = f.uploaded_by
+        WHERE f.contract_id = $1
+        ORDER BY f.uploaded_at DESC, f.file_id DESC
+      `,
+      [contractId],
+    );
+    return res.json(rows.map(normalizeRow));
+  } catch (err) {
+    console.error('Error listing contract files:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/', requirePermission(PERMISSIONS.CONTRACTS_WRITE), requireContract, parseUpload, async (req, res) => {
+  const storage = getStorageDriver();
+  const storedKeys = [];
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    const files = req.files || [];
+    if (files.length === 0) return res.status(400).json({ error: 'No file uploaded; send multipart field "file"' });
+
+    // Write blobs first; if the metadata insert fails they are removed again
+    const prepared = [];
+    for (const file of files) {
+      // Stream the temp file into storage, hashing it on the way through; read
+      // errors destroy the returned stream, so they surface from put()
+      const hash = createHash('sha256');
+      const hashing = new Transform({
+        transform(chunk, _encoding, callback) {
+          hash.update(chunk);
+          callback(null, chunk);
+        },
+      });
+      const body = pipeline(fs.createReadStream(file.path), hashing, () => {});
+      const key = newStorageKey(contractId);
+      storedKeys.push(key);
+      await storage.put(key, body);
+      prepared.push({
+        key,
+        file_name: file.originalname,
+        content_type: file.mimetype,
+        size_bytes: file.size,
+        sha256: hash.digest('hex'),
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const created = [];
+    for (const f of prepared) {
+      const { rows } = await client.query(
+        `
+          INSERT INTO ${DB_SCHEMA}.contract_file (contract_id, storage_key, file_name, content_type, size_bytes, sha256, uploaded_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING *
+        `,
+        [contractId, f.key, f.file_name, f.content_type, f.size_bytes, f.sha256, req.user?.user_id || null],
+      );
+      created.push(normalizeRow(rows[0]));
+    }
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(201).json(created);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    for (const key of storedKeys) {
+      try { await storage.remove(key); } catch (_) {}
+    }
+    console.error('Error uploading contract files:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+    await removeTempFiles(req.files);
+  }
+});
+
+router.get('/:file_id', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    const fileId = Number(req.params.file_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(fileId)) return res.status(400).json({ error: 'Invalid contract_id or file_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    const { rows } = await pool.query(
+      `SELECT * FROM ${DB_SCHEMA}.contract_file WHERE contract_id = $1 AND file_id = $2`,
+      [contractId, fileId],
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'File not found' });
+    const file = rows[0];
+
+    let stream;
+    try {
+      stream = await getStorageDriver().get(file.storage_key);
+    } catch (err) {
+      console.error('Stored file is missing:', file.storage_key, err?.message || err);
+      return res.status(404).json({ error: 'File content not found' });
+    }
+    res.set('Content-Type', file.content_type || 'application/octet-stream');
+    res.set('Content-Length', String(file.size_bytes));
+    res.set('Content-Disposition', contentDisposition(file.file_name));
+    res.set('X-Content-SHA256', file.sha256);
+    stream.on('error', (err) => {
+      console.error('Error streaming contract file:', err);
+      res.destroy(err);
+    });
+    return stream.pipe(res);
+  } catch (err) {
+    console.error('Error downloading contract file:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.delete('/:file_id', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    const fileId = Number(req.params.file_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(fileId)) return res.status(400).json({ error: 'Invalid contract_id or file_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    const { rows } = await pool.query(
+      `DELETE FROM ${DB_SCHEMA}.contract_file WHERE contract_id = $1 AND file_id = $2 RETURNING storage_key`,
+      [contractId, fileId],
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'File not found' });
+    try {
+      await getStorageDriver().remove(rows[0].storage_key);
+    } catch (err) {
+      // The metadata is gone either way; an orphaned blob is only wasted space
+      console.error('Failed to remove stored file:', rows[0].storage_key, err?.message || err);
+    }
+    return res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting contract file:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+export { router };
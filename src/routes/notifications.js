@@ -0,0 +1,112 @@
+import express from 'express';
+import { pool, DB_SCHEMA } from '../db.js';
+import { departmentScopeSql } from '../permissions.js';
+
+// The signed-in user's own notifications; every user has access to theirs.
+// Notifications about contracts outside their departments are not shown.
+
+const router = express.Router();
+router.use(express.json());
+
+// ?unread=true lists only unread ones; newest first, limit/offset with X-Total-Count
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const unreadOnly = req.query.unread === 'true';
+    const params = [req.user.user_id];
+    const scope = departmentScopeSql(req.user, 'c.department_id', (v) => {
+      params.push(v);
+      return `$${params.length}`;
+    });
+    const whereSql = `WHERE n.user_id = $1 ${unreadOnly ? 'AND n.read_at IS NULL' : ''} ${scope ? `AND ${scope}` : ''}`;
+    const sql = `
+      SELECT n.notification_id, n.kind, n.contract_id, c.title AS contract_title, n.comment_id,
+             LEFT(cc.body, 200) AS comment_excerpt, n.actor_id, COALESCE(a.name, a.username) AS actor_name,
+             n.created_at, n.read_at
+      FROM ${DB_SCHEMA}.notification n
+      LEFT JOIN ${DB_SCHEMA}.contract c ON c.contract_id = n.contract_id
+      LEFT JOIN ${DB_SCHEMA}.contract_comment cc ON cc.comment_id = n.comment_id
+      LEFT JOIN ${DB_SCHEMA}.user_account a ON a.user_id = n.actor_id
+      ${whereSql}
+      ORDER BY n.created_at DESC, n.notification_id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+    const countSql = `
+      SELECT COUNT(*) AS total
+      FROM ${DB_SCHEMA}.notification n
+      LEFT JOIN ${DB_SCHEMA}.contract c ON c.contract_id = n.contract_id
+      ${whereSql}
+    `;
+    const [{ rows }, count] = await Promise.all([
+      pool.query(sql, [...params, limit, offset]),
+      pool.query(countSql, params),
+    ]);
+    res.set('X-Total-Count', String(Number(count.rows[0]?.total || 0)));
+    return res.json(rows.map((r) => ({ ...r, read: r.read_at !== null })));
+  } catch (err) {
+    console.error('Error listing notifications:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.get('/unread-count', async (req, res) => {
+  try {
+    const params = [req.user.user_id];
+    const scope = departmentScopeSql(req.user, 'c.department_id', (v) => {
+      params.push(v);
+      return `$${params.length}`;
+    });
+    const { rows } = await pool.query(
+      `
+        SELECT COUNT(*) AS unread
+        FROM ${DB_SCHEMA}.notification n
+        LEFT JOIN ${DB_SCHEMA}.contract c ON c.contract_id = n.contract_id
+        WHERE n.user_id = $1 AND n.read_at IS NULL ${scope ? `AND ${scope}` : ''}
+      `,
+      params,
+    );
+    return res.json({ unread: Number(rows[0]?.unread || 0) });
+  } catch (err) {
+    console.error('Error counting unread notifications:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/read-all', async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      `UPDATE ${DB_SCHEMA}.notification SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL`,
+      [req.user.user_id],
+    );
+    return res.json({ marked_read: rowCount });
+  } catch (err) {
+    console.error('Error marking notifications read:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// { read: true|false }
+router.patch('/:notification_id', async (req, res) => {
+  try {
+    const id = Number(req.params.notification_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid notification_id' });
+    if (typeof req.body?.read !== 'boolean') return res.status(400).json({ error: 'read must be true or false' });
+    const { rows } = await pool.query(
+      `
+        UPDATE ${DB_SCHEMA}.notification
+        SET read_at = ${req.body.read ? 'COALESCE(read_at, NOW())' : 'NULL'}
+        WHERE notification_id = $1 AND user_id = $2
+        RETURNING notification_id, kind, contract_id, comment_id, actor_id, created_at, read_at
+      `,
+      [id, req.user.user_id],
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Notification not found' });
+    return res.json({ ...rows[0], read: rows[0].read_at !== null });
+  } catch (err) {
+    console.error('Error updating notification:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+export { router };
@@ -0,0 +1,233 @@
+import express from 'express';
+import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission, fetchVisibleContract } from '../permissions.js';
+import { toIsoDate } from '../renewals.js';
+import {
+  OBLIGATION_COLUMNS,
+  parseObligationBody,
+  normalizeObligation,
+  insertObligation,
+  completeObligation,
+  reopenObligation,
+} from '../obligations.js';
+
+// Obligations and milestones under /contracts/:contract_id/obligations. The
+// cross-contract views (overdue, due this week) live with the other deadlines
+// under GET /contracts/upcoming and GET /contracts/deadlines.
+
+const router = express.Router({ mergeParams: true });
+router.use(express.json());
+
+const OBLIGATION_STATUSES = ['open', 'completed'];
+
+async function fetchObligationForUpdate(client, contractId, obligationId) {
+  const { rows } = await client.query(
+    `SELECT ${OBLIGATION_COLUMNS} FROM ${DB_SCHEMA}.contract_obligation WHERE contract_id = $1 AND obligation_id = $2 FOR UPDATE`,
+    [contractId, obligationId],
+  );
+  return rows[0] || null;
+}
+
+// ?status=open|completed narrows the list; every row carries its state
+// (open, overdue or completed)
+router.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const status = req.query.status;
+    if (status !== undefined && !OBLIGATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${OBLIGATION_STATUSES.join(', ')}` });
+    }
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    const condition = status === 'open' ? 'AND completed_on IS NULL' : status === 'completed' ? 'AND completed_on IS NOT NULL' : '';
+    const { rows } = await pool.query(
+      `
+        SELECT ${OBLIGATION_COLUMNS} FROM ${DB_SCHEMA}.contract_obligation
+        WHERE contract_id = $1 ${condition}
+        ORDER BY due_date ASC, obligation_id ASC
+      `,
+      [contractId],
+    );
+    return res.json(rows.map((r) => normalizeObligation(r)));
+  } catch (err) {
+    console.error('Error listing contract obligations:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    const parsed = parseObligationBody(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const created = await insertObligation(pool, contractId, parsed.data, req.user?.user_id || null);
+    return res.status(201).json(normalizeObligation(created));
+  } catch (err) {
+    console.error('Error adding contract obligation:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// Open occurrences only; completion goes through /complete and /reopen
+router.patch('/:obligation_id', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    const obligationId = Number(req.params.obligation_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(obligationId)) return res.status(400).json({ error: 'Invalid contract_id or obligation_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const existing = await fetchObligationForUpdate(client, contractId, obligationId);
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Obligation not found' });
+    }
+    if (existing.completed_on) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'The obligation is completed; reopen it to make changes' });
+    }
+    const parsed = parseObligationBody(req.body, existing);
+    if (parsed.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: parsed.error });
+    }
+    const keys = Object.keys(parsed.data);
+    if (keys.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'No fields provided for update' });
+    }
+    const { rows } = await client.query(
+      `
+        UPDATE ${DB_SCHEMA}.contract_obligation
+        SET ${keys.map((k, i) => `${k} = $${i + 2}`).join(', ')}, updated_at = NOW()
+        WHERE obligation_id = $1
+        RETURNING ${OBLIGATION_COLUMNS}
+      `,
+      [obligationId, ...keys.map((k) => parsed.data[k])],
+    );
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json(normalizeObligation(rows[0]));
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error updating contract obligation:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Completes the occurrence (completed_on defaults to today). For a recurring
+// obligation the response carries the next occurrence, or null at the end of the series.
+router.post('/:obligation_id/complete', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
+  try {
+    const completedOn = req.body?.completed_on == null ? toIsoDate(new Date()) : toIsoDate(req.body.completed_on);
+    if (!completedOn) return res.status(400).json({ error: 'Invalid completed_on, expected YYYY-MM-DD' });
+    const note = req.body?.note == null ? null : String(req.body.note).trim() || null;
+    const contractId = Number(req.params.contract_id);
+    const obligationId = Number(req.params.obligation_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(obligationId)) return res.status(400).json({ error: 'Invalid contract_id or obligation_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const obligation = await fetchObligationForUpdate(client, contractId, obligationId);
+    if (!obligation) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Obligation not found' });
+    }
+    if (obligation.completed_on) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'The obligation is already completed' });
+    }
+    const { completed, next } = await completeObligation(client, obligation, { completedOn, note, actorId: req.user?.user_id || null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json({ obligation: normalizeObligation(completed), next: next && normalizeObligation(next) });
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error completing contract obligation:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+router.post('/:obligation_id/reopen', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    const obligationId = Number(req.params.obligation_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(obligationId)) return res.status(400).json({ error: 'Invalid contract_id or obligation_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const obligation = await fetchObligationForUpdate(client, contractId, obligationId);
+    if (!obligation) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Obligation not found' });
+    }
+    if (!obligation.completed_on) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'The obligation is not completed' });
+    }
+    const result = await reopenObligation(client, obligation);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: result.error });
+    }
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json(normalizeObligation(result.reopened));
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error reopening contract obligation:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+router.delete('/:obligation_id', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    const obligationId = Number(req.params.obligation_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(obligationId)) return res.status(400).json({ error: 'Invalid contract_id or obligation_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    const { rowCount } = await pool.query(
+      `DELETE FROM ${DB_SCHEMA}.contract_obligation WHERE contract_id = $1 AND obligation_id = $2`,
+      [contractId, obligationId],
+    );
+    if (rowCount === 0) return res.status(404).json({ error: 'Obligation not found' });
+    return res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting contract obligation:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+export { router };
@@ -0,0 +1,234 @@
+import express from 'express';
+import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission, fetchVisibleContract } from '../permissions.js';
+import { toIsoDate } from '../renewals.js';
+import { parseAmount, parseMinor, formatMinor, buildPaymentSchedule } from '../financials.js';
+
+// Payment/invoice schedule under /contracts/:contract_id/payments. Amounts are
+// minor units in the contract's currency.
+
+const router = express.Router({ mergeParams: true });
+router.use(express.json());
+
+const PAYMENT_STATUSES = ['scheduled', 'invoiced', 'paid', 'cancelled'];
+const PAYMENT_COLUMNS = 'payment_id, contract_id, due_date, amount_minor, description, invoice_number, status, paid_date, created_at, updated_at';
+
+function normalizeRow(row, currency) {
+  return {
+    ...row,
+    due_date: toIsoDate(row.due_date),
+    paid_date: toIsoDate(row.paid_date) ?? null,
+    amount_minor: Number(row.amount_minor),
+    amount: formatMinor(row.amount_minor, currency),
+  };
+}
+
+function trimOrNull(v) {
+  if (v === undefined || v === null) return null;
+  const s = String(v).trim();
+  return s === '' ? null : s;
+}
+
+// Validates a payment body against the contract currency. due_date and an
+// amount are required unless partial. Returns { data } or { error }.
+function parsePaymentBody(body = {}, currency, { partial = false } = {}) {
+  const data = {};
+  if ('due_date' in body || !partial) {
+    const due = toIsoDate(body.due_date);
+    if (!due) return { error: 'due_date is required, as YYYY-MM-DD' };
+    data.due_date = due;
+  }
+  if ('amount' in body && 'amount_minor' in body) return { error: 'Send amount or amount_minor, not both' };
+  if ('amount' in body) {
+    const parsed = body.amount == null ? { error: 'amount is required' } : parseAmount(body.amount, currency);
+    if (parsed.error) return { error: `Invalid amount: ${parsed.error}` };
+    data.amount_minor = parsed.minor;
+  } else if ('amount_minor' in body) {
+    const parsed = parseMinor(body.amount_minor, 'amount_minor');
+    if (parsed.error || parsed.minor === null) return { error: parsed.error || 'amount_minor is required' };
+    data.amount_minor = parsed.minor;
+  } else if (!partial) {
+    return { error: 'amount or amount_minor is required' };
+  }
+  for (const field of ['description', 'invoice_number']) {
+    if (field in body) data[field] = trimOrNull(body[field]);
+  }
+  if ('status' in body) {
+    if (!PAYMENT_STATUSES.includes(body.status)) return { error: `status must be one of ${PAYMENT_STATUSES.join(', ')}` };
+    data.status = body.status;
+  }
+  if ('paid_date' in body) {
+    const paid = toIsoDate(body.paid_date);
+    if (paid === undefined) return { error: 'Invalid date for paid_date, expected YYYY-MM-DD' };
+    data.paid_date = paid;
+  }
+  // Marking a payment paid records today unless a date was given
+  if (data.status === 'paid' && !data.paid_date) data.paid_date = toIsoDate(new Date());
+  if (data.status && data.status !== 'paid' && !('paid_date' in data)) data.paid_date = null;
+  return { data };
+}
+
+async function insertPayment(client, contractId, data, actorId) {
+  const row = { ...data, contract_id: contractId, created_by: actorId };
+  const keys = Object.keys(row);
+  const { rows } = await client.query(
+    `
+      INSERT INTO ${DB_SCHEMA}.contract_payment (${keys.join(', ')})
+      VALUES (${keys.map((_, i) => `$${i + 1}`).join(', ')})
+      RETURNING ${PAYMENT_COLUMNS}
+    `,
+    keys.map((k) => row[k]),
+  );
+  return rows[0];
+}
+
+// The schedule plus how much of the contract value it covers
+router.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    const { rows } = await pool.query(
+      `SELECT ${PAYMENT_COLUMNS} FROM ${DB_SCHEMA}.contract_payment WHERE contract_id = $1 ORDER BY due_date ASC, payment_id ASC`,
+      [contractId],
+    );
+    const payments = rows.map((r) => normalizeRow(r, contract.currency));
+    const live = payments.filter((p) => p.status !== 'cancelled');
+    const scheduled = live.reduce((sum, p) => sum + p.amount_minor, 0);
+    const paid = live.filter((p) => p.status === 'paid').reduce((sum, p) => sum + p.amount_minor, 0);
+    const total = contract.total_value_minor == null ? null : Number(contract.total_value_minor);
+    return res.json({
+      contract_id: contractId,
+      currency: contract.currency,
+      total_value_minor: total,
+      scheduled_minor: scheduled,
+      paid_minor: paid,
+      unscheduled_minor: total == null ? null : total - scheduled,
+      payments,
+    });
+  } catch (err) {
+    console.error('Error listing contract payments:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    if (!contract.currency) return res.status(409).json({ error: 'Set the contract currency before scheduling payments' });
+    const parsed = parsePaymentBody(req.body, contract.currency);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const created = await insertPayment(pool, contractId, parsed.data, req.user?.user_id || null);
+    return res.status(201).json(normalizeRow(created, contract.currency));
+  } catch (err) {
+    console.error('Error adding contract payment:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// Fills the schedule from total value, billing_frequency and the term. Refuses
+// when payments exist unless replace=true, which regenerates the scheduled ones.
+router.post('/generate', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const replace = req.body?.replace === true || req.query.replace === 'true';
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows: existing } = await client.query(
+      `SELECT payment_id, amount_minor, status FROM ${DB_SCHEMA}.contract_payment WHERE contract_id = $1 FOR UPDATE`,
+      [contractId],
+    );
+    if (existing.length > 0 && !replace) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'The contract already has payments; pass replace=true to regenerate the scheduled ones' });
+    }
+    // Invoiced and paid installments stay and count against the value to schedule
+    const kept = existing.filter((p) => p.status === 'paid' || p.status === 'invoiced');
+    const remaining = contract.total_value_minor == null
+      ? null
+      : Number(contract.total_value_minor) - kept.reduce((sum, p) => sum + Number(p.amount_minor), 0);
+    const schedule = buildPaymentSchedule({ ...contract, total_value_minor: remaining == null ? null : Math.max(remaining, 0) });
+    if (schedule.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: schedule.error });
+    }
+    await client.query(
+      `DELETE FROM ${DB_SCHEMA}.contract_payment WHERE contract_id = $1 AND status IN ('scheduled', 'cancelled')`,
+      [contractId],
+    );
+    const created = [];
+    for (const p of schedule.payments) created.push(await insertPayment(client, contractId, p, req.user?.user_id || null));
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(201).json(created.map((r) => normalizeRow(r, contract.currency)));
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error generating contract payments:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+router.patch('/:payment_id', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    const paymentId = Number(req.params.payment_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(paymentId)) return res.status(400).json({ error: 'Invalid contract_id or payment_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    const parsed = parsePaymentBody(req.body, contract.currency, { partial: true });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const keys = Object.keys(parsed.data);
+    if (keys.length === 0) return res.status(400).json({ error: 'No fields provided for update' });
+    const { rows } = await pool.query(
+      `
+        UPDATE ${DB_SCHEMA}.contract_payment
+        SET ${keys.map((k, i) => `${k} = $${i + 3}`).join(', ')}, updated_at = NOW()
+        WHERE contract_id = $1 AND payment_id = $2
+        RETURNING ${PAYMENT_COLUMNS}
+      `,
+      [contractId, paymentId, ...keys.map((k) => parsed.data[k])],
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Payment not found' });
+    return res.json(normalizeRow(rows[0], contract.currency));
+  } catch (err) {
+    console.error('Error updating contract payment:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.delete('/:payment_id', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    const paymentId = Number(req.params.payment_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(paymentId)) return res.status(400).json({ error: 'Invalid contract_id or payment_id' });
+    const contract = await fetchVisibleContract(pool, contractId, req.user);
+    if (!contract) return res.status(404).json({ error: 'Contract not found' });
+    const { rowCount } = await pool.query(
+      `DELETE FROM ${DB_SCHEMA}.contract_payment WHERE contract_id = $1 AND payment_id = $2`,
+      [contractId, paymentId],
+    );
+    if (rowCount === 0) return res.status(404).json({ error: 'Payment not found' });
+    return res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting contract payment:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+export { router };
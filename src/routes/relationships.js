@@ -0,0 +1,96 @@
+import express from 'express';
+import { pool } from '../db.js';
+import { PERMISSIONS, requirePermission, fetchVisibleContract } from '../permissions.js';
+import { checkRelationship, addRelationship, removeRelationship, fetchRelationshipTree } from '../relationships.js';
+
+// Links between contracts under /contracts/:contract_id/relationships. A link
+// is created from the child side: POST /contracts/12/relationships
+// { type: 'renews', contract_id: 7 } records that 12 renews 7.
+
+const router = express.Router({ mergeParams: true });
+router.use(express.json());
+
+router.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    if (!(await fetchVisibleContract(pool, contractId, req.user))) return res.status(404).json({ error: 'Contract not found' });
+    return res.json(await fetchRelationshipTree(pool, contractId, req.user));
+  } catch (err) {
+    console.error('Error fetching contract relationships:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    const targetId = Number(req.body?.contract_id);
+    const type = String(req.body?.type || '').trim();
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    if (!Number.isInteger(targetId)) return res.status(400).json({ error: 'contract_id of the related contract is required' });
+    if (!(await fetchVisibleContract(pool, contractId, req.user))) return res.status(404).json({ error: 'Contract not found' });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const problem = await checkRelationship(client, contractId, targetId, type, req.user);
+    if (problem) {
+      await client.query('ROLLBACK');
+      return res.status(problem.status).json({ error: problem.error });
+    }
+    const created = await addRelationship(client, { fromId: contractId, toId: targetId, type, actorId: req.user?.user_id || null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(201).json(created);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23505') {
+      return res.status(409).json({ error: 'The contract already has this link, or already has a parent of this type' });
+    }
+    console.error('Error adding contract relationship:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+router.delete('/:relationship_id', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    const relationshipId = Number(req.params.relationship_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(relationshipId)) {
+      return res.status(400).json({ error: 'Invalid contract_id or relationship_id' });
+    }
+    if (!(await fetchVisibleContract(pool, contractId, req.user))) return res.status(404).json({ error: 'Contract not found' });
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const removed = await removeRelationship(client, { contractId, relationshipId, actorId: req.user?.user_id || null });
+    if (!removed) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Relationship not found' });
+    }
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error removing contract relationship:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+export { router };
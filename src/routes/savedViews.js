@@ -0,0 +1,213 @@
+import express from 'express';
+import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission, canAccessDepartment, departmentForbidden } from '../permissions.js';
+import { FILTER_PREFIX } from '../customFields.js';
+import { FILTER_PARAMS, parseContractQuery, listContracts } from './contracts.js';
+
+// Named GET /contracts filter and sort combinations. A view belongs to the user
+// who saved it; with a department_id it is also listed for that department's
+// members, who can run it but not change it. Results always come from the
+// current data, seen with the permissions of whoever runs the view.
+
+const router = express.Router();
+router.use(express.json());
+
+const VIEW_NAME_MAX_LENGTH = 100;
+
+const VIEW_SELECT = `
+  SELECT v.view_id, v.owner_id, COALESCE(u.name, u.username) AS owner_name, v.name, v.filters, v.sort,
+         v.department_id, d.name AS department, v.created_at, v.updated_at
+  FROM ${DB_SCHEMA}.saved_view v
+  LEFT JOIN ${DB_SCHEMA}.user_account u ON u.user_id = v.owner_id
+  LEFT JOIN ${DB_SCHEMA}.department d ON d.department_id = v.department_id
+`;
+
+// Views the user owns or that are shared with one of their departments
+const VISIBLE_SQL = '(v.owner_id = $1 OR v.department_id = ANY($2::int[]))';
+
+function visibilityParams(user) {
+  return [user.user_id, Array.isArray(user.department_ids) ? user.department_ids.map(Number) : []];
+}
+
+function normalizeRow(row, user) {
+  return { ...row, owned: row.owner_id === user.user_id };
+}
+
+// Query-string style values: lists become comma-separated, blanks are dropped.
+// Returns { filters } or { error }.
+function parseFilters(v) {
+  if (v === null || typeof v !== 'object' || Array.isArray(v)) return { error: 'filters must be an object of GET /contracts query parameters' };
+  const filters = {};
+  for (const [key, raw] of Object.entries(v)) {
+    if (!FILTER_PARAMS.includes(key) && !key.startsWith(FILTER_PREFIX)) return { error: `Unknown filter ${key}` };
+    const values = Array.isArray(raw) ? raw : [raw];
+    if (!values.every((x) => ['string', 'number', 'boolean'].includes(typeof x))) return { error: `Invalid value for filter ${key}` };
+    const value = values.map((x) => String(x).trim()).filter(Boolean).join(',');
+    if (value) filters[key] = value;
+  }
+  return { filters };
+}
+
+// Validates name/filters/sort/department_id; name is required unless partial.
+// Returns { data } or { error }.
+function parseViewBody(body = {}, { partial = false } = {}) {
+  const data = {};
+  if ('name' in body || !partial) {
+    const name = String(body.name ?? '').trim();
+    if (!name) return { error: 'name is required' };
+    if (name.length > VIEW_NAME_MAX_LENGTH) return { error: `name must be at most ${VIEW_NAME_MAX_LENGTH} characters` };
+    data.name = name;
+  }
+  if ('filters' in body || !partial) {
+    const parsed = parseFilters(body.filters ?? {});
+    if (parsed.error) return parsed;
+    data.filters = parsed.filters;
+  }
+  if ('sort' in body) {
+    if (body.sort !== null && typeof body.sort !== 'string') return { error: 'sort must be text like -end_date,title, or null' };
+    data.sort = body.sort?.trim() || null;
+  }
+  if ('department_id' in body) {
+    if (body.department_id !== null && !Number.isInteger(body.department_id)) return { error: 'department_id must be an integer or null' };
+    data.department_id = body.department_id;
+  }
+  return { data };
+}
+
+// The stored filters and sort as a GET /contracts query
+function viewQuery(view) {
+  return { ...(view.filters || {}), ...(view.sort ? { sort: view.sort } : {}) };
+}
+
+async function fetchVisibleView(id, user) {
+  const { rows } = await pool.query(`${VIEW_SELECT} WHERE v.view_id = $3 AND ${VISIBLE_SQL}`, [...visibilityParams(user), id]);
+  return rows[0] || null;
+}
+
+router.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const { rows } = await pool.query(`${VIEW_SELECT} WHERE ${VISIBLE_SQL} ORDER BY lower(v.name) ASC, v.view_id ASC`, visibilityParams(req.user));
+    return res.json(rows.map((r) => normalizeRow(r, req.user)));
+  } catch (err) {
+    console.error('Error listing saved views:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// { name, filters, sort?, department_id? } - filters and sort are checked like GET /contracts would
+router.post('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const parsed = parseViewBody(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const data = parsed.data;
+    const check = await parseContractQuery(viewQuery(data), req.user);
+    if (check.error) return res.status(400).json({ error: check.error });
+    if (data.department_id != null && !canAccessDepartment(req.user, data.department_id)) {
+      return departmentForbidden(res, PERMISSIONS.CONTRACTS_READ);
+    }
+    const keys = ['owner_id', ...Object.keys(data)];
+    const values = [req.user.user_id, ...Object.values(data)];
+    const { rows } = await pool.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.saved_view (${keys.join(', ')})
+        VALUES (${keys.map((_, i) => `$${i + 1}`).join(', ')})
+        RETURNING view_id
+      `,
+      values,
+    );
+    return res.status(201).json(normalizeRow(await fetchVisibleView(rows[0].view_id, req.user), req.user));
+  } catch (err) {
+    if (err?.code === '23505') return res.status(409).json({ error: 'You already have a saved view with that name' });
+    if (err?.code === '23503') return res.status(400).json({ error: 'Unknown department_id' });
+    console.error('Error saving view:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.get('/:view_id', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.view_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid view_id' });
+    const view = await fetchVisibleView(id, req.user);
+    if (!view) return res.status(404).json({ error: 'Saved view not found' });
+    return res.json(normalizeRow(view, req.user));
+  } catch (err) {
+    console.error('Error fetching saved view:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// Runs the view: the matching contracts exactly as GET /contracts returns them,
+// limit/offset with X-Total-Count
+router.get('/:view_id/contracts', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.view_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid view_id' });
+    const view = await fetchVisibleView(id, req.user);
+    if (!view) return res.status(404).json({ error: 'Saved view not found' });
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const result = await listContracts(viewQuery(view), req.user, { limit, offset });
+    // e.g. a custom field the view filters on was deleted
+    if (result.error) return res.status(409).json({ error: `The view's filters are no longer valid: ${result.error}` });
+    res.set('X-Total-Count', String(result.total));
+    return res.json(result.rows);
+  } catch (err) {
+    console.error('Error running saved view:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// Only the owner may change a view; filters, when sent, replace the stored ones
+router.patch('/:view_id', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.view_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid view_id' });
+    const parsed = parseViewBody(req.body || {}, { partial: true });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const data = parsed.data;
+    if (Object.keys(data).length === 0) return res.status(400).json({ error: 'No fields provided for update' });
+    const view = await fetchVisibleView(id, req.user);
+    if (!view) return res.status(404).json({ error: 'Saved view not found' });
+    if (view.owner_id !== req.user.user_id) return res.status(403).json({ error: 'Only the owner can change a saved view' });
+    const check = await parseContractQuery(viewQuery({ ...view, ...data }), req.user);
+    if (check.error) return res.status(400).json({ error: check.error });
+    if (data.department_id != null && !canAccessDepartment(req.user, data.department_id)) {
+      return departmentForbidden(res, PERMISSIONS.CONTRACTS_READ);
+    }
+    const keys = Object.keys(data);
+    await pool.query(
+      `
+        UPDATE ${DB_SCHEMA}.saved_view
+        SET ${keys.map((k, i) => `${k} = $${i + 1}`).join(', ')}, updated_at = NOW()
+        WHERE view_id = $${keys.length + 1} AND owner_id = $${keys.length + 2}
+      `,
+      [...keys.map((k) => data[k]), id, req.user.user_id],
+    );
+    return res.json(normalizeRow(await fetchVisibleView(id, req.user), req.user));
+  } catch (err) {
+    if (err?.code === '23505') return res.status(409).json({ error: 'You already have a saved view with that name' });
+    if (err?.code === '23503') return res.status(400).json({ error: 'Unknown department_id' });
+    console.error('Error updating saved view:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.delete('/:view_id', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const id = Number(req.params.view_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid view_id' });
+    const { rowCount } = await pool.query(
+      `DELETE FROM ${DB_SCHEMA}.saved_view WHERE view_id = $1 AND owner_id = $2`,
+      [id, req.user.user_id],
+    );
+    if (rowCount > 0) return res.status(204).send();
+    if (await fetchVisibleView(id, req.user)) return res.status(403).json({ error: 'Only the owner can delete a saved view' });
+    return res.status(404).json({ error: 'Saved view not found' });
+  } catch (err) {
+    console.error('Error deleting saved view:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+export { router };
@@ -1,16 +1,70 @@
 import express from 'express';
 import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission } from '../permissions.js';
+import { recordAudit } from '../audit.js';
+import { parseReassignTo, countContractsUsing, reassignContracts, blockedMove } from '../reassign.js';
+import { checkStatusTransition, recordStatusChange } from '../workflow.js';
+import { checkApprovalGate } from '../approvals.js';
 
 const router = express.Router();
 router.use(express.json());
 
+const STATUS_COLUMNS = 'status_id, name, sort_order, color, is_terminal, is_default, requires_approval';
+const COLOR = /^#[0-9a-f]{6}$/i;
+
 function normalizeRow(row) {
-  return { status_id: row.status_id, name: row.name };
+  return {
+    status_id: row.status_id,
+    name: row.name,
+    sort_order: row.sort_order ?? 0,
+    color: row.color ?? null,
+    is_terminal: row.is_terminal === true,
+    is_default: row.is_default === true,
+    requires_approval: row.requires_approval === true,
+  };
+}
+
+async function fetchForUpdate(client, id) {
+  const { rows } = await client.query(`SELECT ${STATUS_COLUMNS} FROM ${DB_SCHEMA}.status WHERE status_id = $1 FOR UPDATE`, [id]);
+  return rows[0] || null;
+}
+
+// Validates name/sort_order/color and the boolean flags from a request body.
+// name is required unless partial. Returns { data } or { error }.
+function parseStatusBody(body = {}, { partial = false } = {}) {
+  const data = {};
+  if ('name' in body || !partial) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'name is required' };
+    data.name = name;
+  }
+  if ('sort_order' in body) {
+    if (!Number.isInteger(body.sort_order)) return { error: 'sort_order must be an integer' };
+    data.sort_order = body.sort_order;
+  }
+  if ('color' in body) {
+    if (body.color !== null && !COLOR.test(String(body.color))) return { error: 'color must be a hex color like #1f883d, or null' };
+    data.color = body.color === null ? null : String(body.color).toLowerCase();
+  }
+  for (const key of ['is_terminal', 'is_default', 'requires_approval']) {
+    if (!(key in body)) continue;
+    if (typeof body[key] !== 'boolean') return { error: `${key} must be true or false` };
+    data[key] = body[key];
+  }
+  return { data };
+}
+
+async function fetchTransitionIds(client, fromId) {
+  const { rows } = await client.query(
+    `SELECT to_status_id FROM ${DB_SCHEMA}.status_transition WHERE from_status_id = $1 ORDER BY to_status_id`,
+    [fromId],
+  );
+  return rows.map((r) => r.to_status_id);
 }
 
-router.get('/', async (_req, res) => {
+router.get('/', requirePermission(PERMISSIONS.STATUSES_READ), async (_req, res) => {
   try {
-    const { rows } = await pool.query(`SELECT status_id, name FROM ${DB_SCHEMA}.status ORDER BY lower(name) ASC`);
+    const { rows } = await pool.query(`SELECT ${STATUS_COLUMNS} FROM ${DB_SCHEMA}.status ORDER BY sort_order ASC, lower(name) ASC`);
     return res.json(rows.map(normalizeRow));
   } catch (err) {
     console.error('Error listing statuses:', err);
@@ -18,53 +72,359 @@ router.get('/', async (_req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+// The whole transition graph, one entry per allowed move
+router.get('/transitions', requirePermission(PERMISSIONS.STATUSES_READ), async (_req, res) => {
   try {
-    const name = String(req.body?.name || '').trim();
-    if (!name) return res.status(400).json({ error: 'name is required' });
     const { rows } = await pool.query(
-      `INSERT INTO ${DB_SCHEMA}.status (name) VALUES ($1) RETURNING status_id, name`,
-      [name],
+      `
+        SELECT t.from_status_id, f.name AS from_status, t.to_status_id, s.name AS to_status
+        FROM ${DB_SCHEMA}.status_transition t
+        JOIN ${DB_SCHEMA}.status f ON f.status_id = t.from_status_id
+        JOIN ${DB_SCHEMA}.status s ON s.status_id = t.to_status_id
+        ORDER BY f.sort_order ASC, lower(f.name) ASC, s.sort_order ASC, lower(s.name) ASC
+      `,
     );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error listing status transitions:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/', requirePermission(PERMISSIONS.STATUSES_WRITE), async (req, res) => {
+  let client;
+  try {
+    const parsed = parseStatusBody(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const data = parsed.data;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    if (data.is_default) await client.query(`UPDATE ${DB_SCHEMA}.status SET is_default = FALSE WHERE is_default`);
+    const keys = Object.keys(data);
+    const { rows } = await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.status (${keys.join(', ')})
+        VALUES (${keys.map((_, i) => `$${i + 1}`).join(', ')})
+        RETURNING ${STATUS_COLUMNS}
+      `,
+      keys.map((k) => data[k]),
+    );
+    await recordAudit(client, { entityType: 'status', entityId: rows[0].status_id, action: 'create', after: rows[0], actorId: req.user?.user_id || null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
     return res.status(201).json(normalizeRow(rows[0]));
   } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
     if (err?.code === '23505') return res.status(409).json({ error: 'A status with that name already exists' });
     console.error('Error creating status:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
   }
 });
 
-router.patch('/:status_id', async (req, res) => {
+router.patch('/:status_id', requirePermission(PERMISSIONS.STATUSES_WRITE), async (req, res) => {
+  let client;
   try {
     const id = Number(req.params.status_id);
     if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid status_id' });
-    const name = String(req.body?.name || '').trim();
-    if (!name) return res.status(400).json({ error: 'name is required' });
-    const { rows } = await pool.query(
-      `UPDATE ${DB_SCHEMA}.status SET name = $1 WHERE status_id = $2 RETURNING status_id, name`,
-      [name, id],
+    const parsed = parseStatusBody(req.body || {}, { partial: true });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const data = parsed.data;
+    if (Object.keys(data).length === 0) return res.status(400).json({ error: 'No fields provided for update' });
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchForUpdate(client, id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Status not found' });
+    }
+    if (data.is_terminal === true && !before.is_terminal && (await fetchTransitionIds(client, id)).length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Remove the transitions out of this status before marking it terminal' });
+    }
+    if (data.is_default) {
+      await client.query(`UPDATE ${DB_SCHEMA}.status SET is_default = FALSE WHERE is_default AND status_id <> $1`, [id]);
+    }
+    const keys = Object.keys(data);
+    const { rows } = await client.query(
+      `
+        UPDATE ${DB_SCHEMA}.status
+        SET ${keys.map((k, i) => `${k} = $${i + 1}`).join(', ')}
+        WHERE status_id = $${keys.length + 1}
+        RETURNING ${STATUS_COLUMNS}
+      `,
+      [...keys.map((k) => data[k]), id],
     );
-    if (rows.length === 0) return res.status(404).json({ error: 'Status not found' });
+    await recordAudit(client, { entityType: 'status', entityId: id, action: 'update', before, after: rows[0], actorId: req.user?.user_id || null });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
     return res.json(normalizeRow(rows[0]));
   } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
     if (err?.code === '23505') return res.status(409).json({ error: 'A status with that name already exists' });
     console.error('Error updating status:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Replaces the statuses a contract may move to from this one
+router.put('/:status_id/transitions', requirePermission(PERMISSIONS.STATUSES_WRITE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.status_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid status_id' });
+    const raw = req.body?.to_status_ids;
+    if (!Array.isArray(raw) || !raw.every(Number.isInteger)) {
+      return res.status(400).json({ error: 'to_status_ids must be an array of status ids' });
+    }
+    const toIds = Array.from(new Set(raw)).sort((a, b) => a - b);
+    if (toIds.includes(id)) return res.status(400).json({ error: 'A status cannot transition to itself' });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const status = await fetchForUpdate(client, id);
+    if (!status) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Status not found' });
+    }
+    if (status.is_terminal && toIds.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Terminal statuses cannot have outgoing transitions' });
+    }
+    const { rows: known } = await client.query(`SELECT status_id FROM ${DB_SCHEMA}.status WHERE status_id = ANY($1::int[])`, [toIds]);
+    const unknown = toIds.filter((t) => !known.some((k) => k.status_id === t));
+    if (unknown.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Unknown status_id ${unknown.join(', ')}` });
+    }
+    const before = await fetchTransitionIds(client, id);
+    await client.query(`DELETE FROM ${DB_SCHEMA}.status_transition WHERE from_status_id = $1`, [id]);
+    if (toIds.length > 0) {
+      await client.query(
+        `
+          INSERT INTO ${DB_SCHEMA}.status_transition (from_status_id, to_status_id)
+          SELECT $1, unnest($2::int[])
+        `,
+        [id, toIds],
+      );
+    }
+    await recordAudit(client, {
+      entityType: 'status',
+      entityId: id,
+      action: 'update',
+      before: { allowed_transitions: before },
+      after: { allowed_transitions: toIds },
+      actorId: req.user?.user_id || null,
+    });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json({ status_id: id, to_status_ids: toIds });
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error updating status transitions:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
   }
 });
 
-router.delete('/:status_id', async (req, res) => {
+// Moves contracts off a status (see reassignContracts) and notes the change in
+// each contract's status history. The workflow and approval checks of a single
+// move apply to every contract; if any is refused nothing moves and the result
+// is { error, blocked } with the refused contract ids, otherwise { moved }.
+async function moveContracts(client, fromId, toId, reason, actorId) {
+  const transitionError = await checkStatusTransition(client, fromId, toId);
+  const { rows: contracts } = await client.query(
+    `
+      SELECT contract_id, contract_type, department_id, total_value_minor, currency
+      FROM ${DB_SCHEMA}.contract
+      WHERE status_id = $1
+      ORDER BY contract_id
+    `,
+    [fromId],
+  );
+  let error = null;
+  const blocked = [];
+  for (const contract of contracts) {
+    const refused = transitionError || (await checkApprovalGate(client, contract, toId));
+    if (!refused) continue;
+    error ??= refused;
+    blocked.push(contract.contract_id);
+  }
+  if (blocked.length > 0) return { error, blocked };
+
+  const moved = await reassignContracts(client, 'status', fromId, toId, actorId);
+  for (const contractId of moved) {
+    await recordStatusChange(client, { contractId, fromStatusId: fromId, toStatusId: toId, reason, actorId });
+  }
+  return { moved };
+}
+
+// A status still used by contracts is only deleted with ?reassign_to=<id>,
+// which moves those contracts first; otherwise the answer is 409 with the count
+router.delete('/:status_id', requirePermission(PERMISSIONS.STATUSES_DELETE), async (req, res) => {
+  let client;
   try {
     const id = Number(req.params.status_id);
     if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid status_id' });
-    const { rowCount } = await pool.query(`DELETE FROM ${DB_SCHEMA}.status WHERE status_id = $1`, [id]);
-    if (rowCount === 0) return res.status(404).json({ error: 'Status not found' });
+    const reassign = parseReassignTo(req, id);
+    if (reassign.error) return res.status(400).json({ error: reassign.error });
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchForUpdate(client, id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Status not found' });
+    }
+    const contractCount = await countContractsUsing(client, 'status', id);
+    let moved = [];
+    if (contractCount > 0) {
+      if (reassign.id === null) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Status is used by ${contractCount} contract(s); pass reassign_to or merge it into another status`,
+          contract_count: contractCount,
+        });
+      }
+      if (!(await fetchForUpdate(client, reassign.id))) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'reassign_to status not found' });
+      }
+      const move = await moveContracts(client, id, reassign.id, `Status "${before.name}" was deleted`, actorId);
+      if (move.error) {
+        await client.query('ROLLBACK');
+        return blockedMove(res, move);
+      }
+      moved = move.moved;
+    }
+    await client.query(`DELETE FROM ${DB_SCHEMA}.status WHERE status_id = $1`, [id]);
+    await recordAudit(client, { entityType: 'status', entityId: id, action: 'delete', before, actorId });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    if (moved.length > 0) return res.json({ deleted: normalizeRow(before), reassigned_to: reassign.id, contracts_moved: moved.length });
     return res.status(204).send();
   } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23503') return res.status(409).json({ error: 'Status is still referenced and cannot be deleted' });
     console.error('Error deleting status:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
   }
 });
 
-export { router };
+// Folds this status into another: contracts, status history and transitions
+// move to the target (and the default flag, if this status had it), then this
+// status is removed
+router.post('/:status_id/merge', requirePermission(PERMISSIONS.STATUSES_DELETE), async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.status_id);
+    const intoId = Number(req.body?.into);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid status_id' });
+    if (!Number.isInteger(intoId)) return res.status(400).json({ error: 'into must be a status_id' });
+    if (intoId === id) return res.status(400).json({ error: 'Cannot merge a status into itself' });
+    const actorId = req.user?.user_id || null;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    // Lock both rows in id order so opposite merges cannot deadlock
+    const locked = {};
+    for (const lockId of [id, intoId].sort((a, b) => a - b)) locked[lockId] = await fetchForUpdate(client, lockId);
+    const source = locked[id];
+    const target = locked[intoId];
+    if (!source || !target) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Status not found' });
+    }
+    const move = await moveContracts(client, id, intoId, `Status "${source.name}" was merged into "${target.name}"`, actorId);
+    if (move.error) {
+      await client.query('ROLLBACK');
+      return blockedMove(res, move);
+    }
+    const { moved } = move;
+    await client.query(
+      `
+        UPDATE ${DB_SCHEMA}.contract_status_change
+        SET from_status_id = CASE WHEN from_status_id = $1 THEN $2 ELSE from_status_id END,
+            to_status_id = CASE WHEN to_status_id = $1 THEN $2 ELSE to_status_id END
+        WHERE from_status_id = $1 OR to_status_id = $1
+      `,
+      [id, intoId],
+    );
+    // Re-point the source's transitions at the target, dropping self-loops and
+    // anything that would leave a terminal target
+    await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.status_transition (from_status_id, to_status_id)
+        SELECT moved.from_id, moved.to_id
+        FROM (
+          SELECT CASE WHEN from_status_id = $1 THEN $2 ELSE from_status_id END AS from_id,
+                 CASE WHEN to_status_id = $1 THEN $2 ELSE to_status_id END AS to_id
+          FROM ${DB_SCHEMA}.status_transition
+          WHERE from_status_id = $1 OR to_status_id = $1
+        ) moved
+        WHERE moved.from_id <> moved.to_id AND NOT (moved.from_id = $2 AND $3::boolean)
+        ON CONFLICT DO NOTHING
+      `,
+      [id, intoId, target.is_terminal === true],
+    );
+    await client.query(`DELETE FROM ${DB_SCHEMA}.status WHERE status_id = $1`, [id]);
+    let merged = target;
+    if (source.is_default && !target.is_default) {
+      const { rows } = await client.query(
+        `UPDATE ${DB_SCHEMA}.status SET is_default = TRUE WHERE status_id = $1 RETURNING ${STATUS_COLUMNS}`,
+        [intoId],
+      );
+      merged = rows[0];
+      await recordAudit(client, { entityType: 'status', entityId: intoId, action: 'update', before: target, after: merged, actorId });
+    }
+    await recordAudit(client, {
+      entityType: 'status',
+      entityId: id,
+      action: 'merge',
+      before: source,
+      after: { merged_into: intoId },
+      actorId,
+    });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json({ status: normalizeRow(merged), merged_status_id: id, contracts_moved: moved.length });
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error merging status:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
 
+export { router };
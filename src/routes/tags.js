@@ -0,0 +1,178 @@
+import express from 'express';
+import { pool, DB_SCHEMA } from '../db.js';
+import { PERMISSIONS, requirePermission, departmentScopeSql, fetchVisibleContract } from '../permissions.js';
+import { recordAudit } from '../audit.js';
+import { parseTagName, parseTagList, fetchContractTags, setContractTags } from '../tags.js';
+
+// /tags manages the tag list itself; contractRouter (mounted under
+// /contracts/:contract_id/tags) tags and untags one contract. Tag changes show
+// up in the contract's history as a tags { old, new } diff.
+
+const router = express.Router();
+router.use(express.json());
+
+const contractRouter = express.Router({ mergeParams: true });
+contractRouter.use(express.json());
+
+// Every tag with the number of live contracts the user can see using it; ?q=
+// matches a name prefix
+router.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const params = [];
+    let whereSql = '';
+    if (typeof req.query.q === 'string' && req.query.q.trim()) {
+      params.push(`${req.query.q.trim().toLowerCase().replace(/[\\%_]/g, (ch) => `\\${ch}`)}%`);
+      whereSql = 'WHERE lower(t.name) LIKE $1';
+    }
+    const scope = departmentScopeSql(req.user, 'c.department_id', (v) => {
+      params.push(v);
+      return `$${params.length}`;
+    });
+    const { rows } = await pool.query(
+      `
+        SELECT t.tag_id, t.name, t.created_at, COUNT(c.contract_id) AS contract_count
+        FROM ${DB_SCHEMA}.tag t
+        LEFT JOIN ${DB_SCHEMA}.contract_tag ct ON ct.tag_id = t.tag_id
+        LEFT JOIN ${DB_SCHEMA}.contract c ON c.contract_id = ct.contract_id AND c.deleted_at IS NULL${scope ? ` AND ${scope}` : ''}
+        ${whereSql}
+        GROUP BY t.tag_id
+        ORDER BY lower(t.name) ASC
+      `,
+      params,
+    );
+    return res.json(rows.map((r) => ({ ...r, contract_count: Number(r.contract_count) })));
+  } catch (err) {
+    console.error('Error listing tags:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// { name } - renames the tag on every contract
+router.patch('/:tag_id', requirePermission(PERMISSIONS.TAGS_MANAGE), async (req, res) => {
+  try {
+    const id = Number(req.params.tag_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid tag_id' });
+    const parsed = parseTagName(req.body?.name);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const { rows } = await pool.query(
+      `UPDATE ${DB_SCHEMA}.tag SET name = $2 WHERE tag_id = $1 RETURNING tag_id, name, created_at`,
+      [id, parsed.name],
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Tag not found' });
+    return res.json(rows[0]);
+  } catch (err) {
+    if (err?.code === '23505') return res.status(409).json({ error: 'A tag with that name already exists' });
+    console.error('Error renaming tag:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// Removes the tag from every contract
+router.delete('/:tag_id', requirePermission(PERMISSIONS.TAGS_MANAGE), async (req, res) => {
+  try {
+    const id = Number(req.params.tag_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid tag_id' });
+    const { rowCount } = await pool.query(`DELETE FROM ${DB_SCHEMA}.tag WHERE tag_id = $1`, [id]);
+    if (rowCount === 0) return res.status(404).json({ error: 'Tag not found' });
+    return res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting tag:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+contractRouter.get('/', requirePermission(PERMISSIONS.CONTRACTS_READ), async (req, res) => {
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    if (!(await fetchVisibleContract(pool, contractId, req.user))) return res.status(404).json({ error: 'Contract not found' });
+    return res.json(await fetchContractTags(pool, contractId));
+  } catch (err) {
+    console.error('Error listing contract tags:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+// PUT { tags: [names] } replaces the contract's tags; POST { tags } adds to them.
+// Unknown names create new tags.
+async function writeTags(req, res, { add }) {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    if (!Number.isInteger(contractId)) return res.status(400).json({ error: 'Invalid contract_id' });
+    const parsed = parseTagList(req.body?.tags);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const actorId = req.user?.user_id || null;
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    if (!(await fetchVisibleContract(client, contractId, req.user))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    const { before, after } = await setContractTags(client, contractId, parsed.names, actorId, { add });
+    await recordAudit(client, { entityType: 'contract', entityId: contractId, action: 'update', before: { tags: before }, after: { tags: after }, actorId });
+    const tags = await fetchContractTags(client, contractId);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json(tags);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error tagging contract:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+}
+
+contractRouter.put('/', requirePermission(PERMISSIONS.CONTRACTS_WRITE), (req, res) => writeTags(req, res, { add: false }));
+contractRouter.post('/', requirePermission(PERMISSIONS.CONTRACTS_WRITE), (req, res) => writeTags(req, res, { add: true }));
+
+contractRouter.delete('/:tag_id', requirePermission(PERMISSIONS.CONTRACTS_WRITE), async (req, res) => {
+  let client;
+  try {
+    const contractId = Number(req.params.contract_id);
+    const tagId = Number(req.params.tag_id);
+    if (!Number.isInteger(contractId) || !Number.isInteger(tagId)) return res.status(400).json({ error: 'Invalid contract_id or tag_id' });
+    const actorId = req.user?.user_id || null;
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    if (!(await fetchVisibleContract(client, contractId, req.user))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    const before = (await fetchContractTags(client, contractId)).map((t) => t.name);
+    const { rowCount } = await client.query(
+      `DELETE FROM ${DB_SCHEMA}.contract_tag WHERE contract_id = $1 AND tag_id = $2`,
+      [contractId, tagId],
+    );
+    if (rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'The contract does not have that tag' });
+    }
+    const after = (await fetchContractTags(client, contractId)).map((t) => t.name);
+    await recordAudit(client, { entityType: 'contract', entityId: contractId, action: 'update', before: { tags: before }, after: { tags: after }, actorId });
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error untagging contract:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+export { router, contractRouter };
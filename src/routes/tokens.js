@@ -0,0 +1,145 @@
+import express from 'express';
+import { randomBytes, createHash } from 'node:crypto';
+import { pool, DB_SCHEMA } from '../db.js';
+import { normalizeUserRow } from './auth.js';
+
+// Personal API tokens for scripts. Tokens are sent as "Authorization: Bearer cmt_..."
+// and only their SHA-256 hash is stored. A read scope token may only issue GET/HEAD
+// requests; read_write tokens carry the owner's role permissions.
+
+const router = express.Router();
+router.use(express.json());
+
+const API_TOKEN_PREFIX = 'cmt_';
+const API_TOKEN_SCOPES = new Set(['read', 'read_write']);
+const READ_ONLY_METHODS = new Set(['GET', 'HEAD']);
+
+function isApiToken(credential) {
+  return typeof credential === 'string' && credential.startsWith(API_TOKEN_PREFIX);
+}
+
+function hashApiToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function normalizeRow(row) {
+  return {
+    token_id: row.token_id,
+    name: row.name,
+    token_prefix: row.token_prefix,
+    scope: row.scope,
+    expires_at: row.expires_at,
+    last_used_at: row.last_used_at,
+    last_used_ip: row.last_used_ip,
+    created_at: row.created_at,
+    revoked_at: row.revoked_at,
+  };
+}
+
+async function fetchUserByApiToken(token) {
+  const sql = `
+    SELECT ua.user_id, ua.username, ua.name, ua.status, ua.created_at, ua.last_login_at, ua.password_must_change, ua.role,
+           ARRAY(SELECT ud.department_id FROM ${DB_SCHEMA}.user_department ud WHERE ud.user_id = ua.user_id) AS department_ids,
+           t.token_id, t.scope
+    FROM ${DB_SCHEMA}.api_token t
+    JOIN ${DB_SCHEMA}.user_account ua ON ua.user_id = t.user_id
+    WHERE t.token_hash = $1
+      AND t.revoked_at IS NULL
+      AND (t.expires_at IS NULL OR t.expires_at > NOW())
+      AND ua.status <> 'inactive'
+    LIMIT 1
+  `;
+  const { rows } = await pool.query(sql, [hashApiToken(token)]);
+  if (rows.length === 0) return null;
+  return { user: normalizeUserRow(rows[0]), token: { token_id: rows[0].token_id, scope: rows[0].scope } };
+}
+
+function apiTokenAllowsMethod(token, method) {
+  return token.scope === 'read_write' || READ_ONLY_METHODS.has(String(method).toUpperCase());
+}
+
+async function touchApiToken(tokenId, ip) {
+  try {
+    await pool.query(
+      `UPDATE ${DB_SCHEMA}.api_token SET last_used_at = NOW(), last_used_ip = $2 WHERE token_id = $1`,
+      [tokenId, ip || null],
+    );
+  } catch (err) {
+    console.error('Failed to update API token usage:', err?.message || err);
+  }
+}
+
+// Tokens are managed from an interactive session only, never with another token
+router.use((req, res, next) => {
+  if (req.apiToken) return res.status(403).json({ error: 'API tokens cannot manage API tokens' });
+  return next();
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `
+        SELECT token_id, name, token_prefix, scope, expires_at, last_used_at, last_used_ip, created_at, revoked_at
+        FROM ${DB_SCHEMA}.api_token
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+      `,
+      [req.user.user_id],
+    );
+    return res.json(rows.map(normalizeRow));
+  } catch (err) {
+    console.error('Error listing API tokens:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    const scope = String(req.body?.scope || 'read').trim().toLowerCase();
+    if (!API_TOKEN_SCOPES.has(scope)) return res.status(400).json({ error: 'scope must be read or read_write' });
+
+    let expiresAt = null;
+    if (req.body?.expires_at != null && req.body.expires_at !== '') {
+      const d = new Date(req.body.expires_at);
+      if (Number.isNaN(d.getTime())) return res.status(400).json({ error: 'Invalid expires_at' });
+      if (d.getTime() <= Date.now()) return res.status(400).json({ error: 'expires_at must be in the future' });
+      expiresAt = d.toISOString();
+    }
+
+    const token = API_TOKEN_PREFIX + randomBytes(32).toString('base64url');
+    const { rows } = await pool.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.api_token (user_id, name, token_prefix, token_hash, scope, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING token_id, name, token_prefix, scope, expires_at, last_used_at, last_used_ip, created_at, revoked_at
+      `,
+      [req.user.user_id, name, token.slice(0, API_TOKEN_PREFIX.length + 6), hashApiToken(token), scope, expiresAt],
+    );
+    // The plain token is only ever returned here
+    return res.status(201).json({ ...normalizeRow(rows[0]), token });
+  } catch (err) {
+    if (err?.code === '23505') return res.status(409).json({ error: 'You already have a token with that name' });
+    console.error('Error creating API token:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.delete('/:token_id', async (req, res) => {
+  try {
+    const id = Number(req.params.token_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid token_id' });
+    const { rowCount } = await pool.query(
+      `UPDATE ${DB_SCHEMA}.api_token SET revoked_at = NOW() WHERE token_id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+      [id, req.user.user_id],
+    );
+    if (rowCount === 0) return res.status(404).json({ error: 'API token not found' });
+    return res.status(204).send();
+  } catch (err) {
+    console.error('Error revoking API token:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+export { router, isApiToken, fetchUserByApiToken, apiTokenAllowsMethod, touchApiToken };
@@ -0,0 +1,329 @@
+import express from 'express';
+import { randomBytes } from 'node:crypto';
+import { pool, DB_SCHEMA } from '../db.js';
+import { USER_STATUSES } from './auth.js';
+import { PERMISSIONS, ROLES, DEFAULT_ROLE, requirePermission } from '../permissions.js';
+
+const router = express.Router();
+router.use(express.json());
+router.use(requirePermission(PERMISSIONS.USERS_MANAGE));
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const USER_COLUMNS = `
+  ua.user_id, ua.username, ua.name, ua.status, ua.role, ua.created_at, ua.last_login_at, ua.password_must_change,
+  ARRAY(SELECT ud.department_id FROM ${DB_SCHEMA}.user_department ud WHERE ud.user_id = ua.user_id ORDER BY ud.department_id) AS department_ids
+`;
+
+function normalizeRow(row) {
+  return {
+    user_id: row.user_id,
+    username: row.username,
+    name: row.name,
+    status: row.status,
+    role: row.role,
+    department_ids: Array.isArray(row.department_ids) ? row.department_ids.map(Number) : [],
+    created_at: row.created_at,
+    last_login_at: row.last_login_at,
+    password_must_change: !!row.password_must_change,
+  };
+}
+
+function generateTemporaryPassword() {
+  return randomBytes(12).toString('base64url');
+}
+
+function parseRole(v) {
+  const role = String(v ?? '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(ROLES, role) ? role : null;
+}
+
+function parseStatus(v) {
+  const status = String(v ?? '').trim().toLowerCase();
+  return USER_STATUSES.has(status) ? status : null;
+}
+
+// Returns an array of unique integer ids, or null if the input is not a list of integers.
+function parseDepartmentIds(v) {
+  if (!Array.isArray(v)) return null;
+  const ids = v.map(Number);
+  if (!ids.every(Number.isInteger)) return null;
+  return Array.from(new Set(ids));
+}
+
+async function fetchUser(client, userId) {
+  const { rows } = await client.query(`SELECT ${USER_COLUMNS} FROM ${DB_SCHEMA}.user_account ua WHERE ua.user_id = $1`, [userId]);
+  return rows.length ? normalizeRow(rows[0]) : null;
+}
+
+async function replaceDepartments(client, userId, departmentIds) {
+  await client.query(`DELETE FROM ${DB_SCHEMA}.user_department WHERE user_id = $1`, [userId]);
+  if (departmentIds.length > 0) {
+    await client.query(
+      `INSERT INTO ${DB_SCHEMA}.user_department (user_id, department_id) SELECT $1, unnest($2::int[])`,
+      [userId, departmentIds],
+    );
+  }
+}
+
+async function revokeSessions(client, userId) {
+  await client.query(`DELETE FROM ${DB_SCHEMA}.user_session WHERE user_id = $1`, [userId]);
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const params = [];
+    const where = [];
+    const status = req.query.status === undefined ? undefined : parseStatus(req.query.status);
+    if (status === null) return res.status(400).json({ error: 'Invalid status filter' });
+    if (status) {
+      params.push(status);
+      where.push(`ua.status = $${params.length}`);
+    }
+    const sql = `
+      SELECT ${USER_COLUMNS}
+      FROM ${DB_SCHEMA}.user_account ua
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY lower(ua.username) ASC
+    `;
+    const { rows } = await pool.query(sql, params);
+    return res.json(rows.map(normalizeRow));
+  } catch (err) {
+    console.error('Error listing users:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.get('/lockouts', async (req, res) => {
+  try {
+    const activeOnly = String(req.query.active || '').toLowerCase() === 'true';
+    const sql = `
+      SELECT l.lockout_id, l.username, l.ip, l.reason, l.failure_count, l.locked_until, l.created_at,
+             l.cleared_at, l.cleared_by, COALESCE(cb.name, cb.username) AS cleared_by_name,
+             (l.locked_until > NOW() AND l.cleared_at IS NULL) AS active
+      FROM ${DB_SCHEMA}.login_lockout l
+      LEFT JOIN ${DB_SCHEMA}.user_account cb ON cb.user_id = l.cleared_by
+      ${activeOnly ? 'WHERE l.locked_until > NOW() AND l.cleared_at IS NULL' : ''}
+      ORDER BY l.created_at DESC
+      LIMIT 500
+    `;
+    const { rows } = await pool.query(sql);
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error listing lockouts:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/lockouts/:lockout_id/clear', async (req, res) => {
+  try {
+    const id = Number(req.params.lockout_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid lockout_id' });
+    const { rows } = await pool.query(
+      `
+        UPDATE ${DB_SCHEMA}.login_lockout
+        SET cleared_at = NOW(), cleared_by = $2
+        WHERE lockout_id = $1 AND cleared_at IS NULL
+        RETURNING lockout_id, username, ip, reason
+      `,
+      [id, req.user.user_id],
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Lockout not found or already cleared' });
+    // Forget the failures that caused it so the next attempt does not lock again immediately
+    const lockout = rows[0];
+    if (lockout.reason === 'username') {
+      await pool.query(`DELETE FROM ${DB_SCHEMA}.login_attempt WHERE username = $1 AND succeeded = FALSE`, [lockout.username]);
+    } else {
+      await pool.query(`DELETE FROM ${DB_SCHEMA}.login_attempt WHERE ip = $1 AND succeeded = FALSE`, [lockout.ip]);
+    }
+    return res.status(204).send();
+  } catch (err) {
+    console.error('Error clearing lockout:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.get('/:user_id', async (req, res) => {
+  try {
+    const id = Number(req.params.user_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid user_id' });
+    const user = await fetchUser(pool, id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    return res.json(user);
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+router.post('/', async (req, res) => {
+  let client;
+  try {
+    const body = req.body || {};
+    const username = String(body.username || '').trim().toLowerCase();
+    if (!username) return res.status(400).json({ error: 'username is required' });
+    const name = String(body.name || '').trim() || null;
+    const role = body.role === undefined ? DEFAULT_ROLE : parseRole(body.role);
+    if (!role) return res.status(400).json({ error: 'Invalid role' });
+    const departmentIds = body.department_ids === undefined ? [] : parseDepartmentIds(body.department_ids);
+    if (!departmentIds) return res.status(400).json({ error: 'department_ids must be an array of integers' });
+    const temporaryPassword = body.temporary_password ? String(body.temporary_password) : generateTemporaryPassword();
+    if (temporaryPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `temporary_password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.user_account (username, name, role, status, password_hash, password_must_change)
+        VALUES ($1, $2, $3, 'pending', ${DB_SCHEMA}.password_hash($4), TRUE)
+        RETURNING user_id
+      `,
+      [username, name, role, temporaryPassword],
+    );
+    const userId = rows[0].user_id;
+    await replaceDepartments(client, userId, departmentIds);
+    const user = await fetchUser(client, userId);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+
+    return res.status(201).json({ ...user, temporary_password: temporaryPassword });
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23505') return res.status(409).json({ error: 'A user with that username already exists' });
+    if (err?.code === '23503') return res.status(400).json({ error: 'Unknown department_id' });
+    console.error('Error creating user:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+router.patch('/:user_id', async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.user_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid user_id' });
+    const body = req.body || {};
+
+    const setClauses = [];
+    const values = [];
+    if ('name' in body) {
+      values.push(String(body.name || '').trim() || null);
+      setClauses.push(`name = $${values.length}`);
+    }
+    let role;
+    if ('role' in body) {
+      role = parseRole(body.role);
+      if (!role) return res.status(400).json({ error: 'Invalid role' });
+      values.push(role);
+      setClauses.push(`role = $${values.length}`);
+    }
+    let status;
+    if ('status' in body) {
+      status = parseStatus(body.status);
+      if (!status) return res.status(400).json({ error: 'Invalid status' });
+      values.push(status);
+      setClauses.push(`status = $${values.length}`);
+    }
+    let departmentIds;
+    if ('department_ids' in body) {
+      departmentIds = parseDepartmentIds(body.department_ids);
+      if (!departmentIds) return res.status(400).json({ error: 'department_ids must be an array of integers' });
+    }
+    if (setClauses.length === 0 && departmentIds === undefined) {
+      return res.status(400).json({ error: 'No fields provided for update' });
+    }
+    if (id === req.user.user_id && ((role && role !== 'admin') || status === 'inactive')) {
+      return res.status(409).json({ error: 'You cannot remove your own admin access' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    if (setClauses.length > 0) {
+      values.push(id);
+      const { rowCount } = await client.query(
+        `UPDATE ${DB_SCHEMA}.user_account SET ${setClauses.join(', ')} WHERE user_id = $${values.length}`,
+        values,
+      );
+      if (rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'User not found' });
+      }
+    }
+    if (departmentIds !== undefined) {
+      await replaceDepartments(client, id, departmentIds);
+    }
+    // Deactivated users lose any sessions they still hold
+    if (status === 'inactive') {
+      await revokeSessions(client, id);
+    }
+    const user = await fetchUser(client, id);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json(user);
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    if (err?.code === '23503') return res.status(400).json({ error: 'Unknown department_id' });
+    console.error('Error updating user:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+router.post('/:user_id/reset-password', async (req, res) => {
+  let client;
+  try {
+    const id = Number(req.params.user_id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid user_id' });
+    const provided = req.body?.temporary_password;
+    const temporaryPassword = provided ? String(provided) : generateTemporaryPassword();
+    if (temporaryPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `temporary_password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rowCount } = await client.query(
+      `UPDATE ${DB_SCHEMA}.user_account SET password_hash = ${DB_SCHEMA}.password_hash($1), password_must_change = TRUE WHERE user_id = $2`,
+      [temporaryPassword, id],
+    );
+    if (rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await revokeSessions(client, id);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+    return res.json({ user_id: id, temporary_password: temporaryPassword, password_must_change: true });
+  } catch (err) {
+    if (client) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      client.release();
+      client = null;
+    }
+    console.error('Error resetting password:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+export { router };
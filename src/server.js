@@ -1,17 +1,33 @@
 import dotenv from 'dotenv';
 import express from 'express';
-import { router as authRoute, extractSessionId, fetchUserBySession, clearSessionCookie } from './routes/auth.js';
+import { router as authRoute, extractSessionId, fetchUserBySession, clearSessionCookie, startSessionSweep } from './routes/auth.js';
 import { router as contractsRoute } from './routes/contracts.js';
+import { router as filesRoute } from './routes/files.js';
+import { router as paymentsRoute } from './routes/payments.js';
+import { router as relationshipsRoute } from './routes/relationships.js';
+import { router as obligationsRoute } from './routes/obligations.js';
+import { router as commentsRoute } from './routes/comments.js';
+import { router as notificationsRoute } from './routes/notifications.js';
 import { router as departmentsRoute } from './routes/departments.js';
 import { router as statusesRoute } from './routes/statuses.js';
+import { router as counterpartiesRoute } from './routes/counterparties.js';
+import { router as customFieldsRoute } from './routes/customFields.js';
+import { router as tagsRoute, contractRouter as contractTagsRoute } from './routes/tags.js';
+import { router as savedViewsRoute } from './routes/savedViews.js';
+import { router as usersRoute } from './routes/users.js';
+import { router as auditRoute } from './routes/audit.js';
+import { router as approvalsRoute, contractRouter as contractApprovalsRoute } from './routes/approvals.js';
+import { router as tokensRoute, isApiToken, fetchUserByApiToken, apiTokenAllowsMethod, touchApiToken } from './routes/tokens.js';
 import { assertDbConnection, pool, DB_SCHEMA } from './db.js';
+import { startRenewalScheduler } from './renewals.js';
+import { startReminderScheduler } from './reminders.js';
 
 dotenv.config();
 
 const app = express();
 
 // Only these routes are public (unauthenticated)
-const AUTH_EXEMPT_PATHS = new Set(['/auth/login', '/auth/logout']);
+const AUTH_EXEMPT_PATHS = new Set(['/auth/login', '/auth/logout', '/auth/forgot-password', '/auth/reset-password']);
 
 function isAuthExemptPath(pathname) {
   if (!pathname) return false;
@@ -42,6 +58,7 @@ app.use((req, res, next) => {
   // Include DELETE and PUT to support settings deletes and future updates
   res.set('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,PUT,OPTIONS');
   res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Session-Id');
+  res.set('Access-Control-Expose-Headers', 'X-Total-Count');
   res.set('Access-Control-Max-Age', '600');
   if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
@@ -62,25 +79,36 @@ app.use(async (req, res, next) => {
       return next();
     }
 
-    const sessionId = extractSessionId(req);
-    if (!sessionId) {
+    const credential = extractSessionId(req);
+    if (!credential) {
       clearSessionCookie(res);
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    const user = await fetchUserBySession(sessionId);
-    if (!user) {
-      clearSessionCookie(res);
-      return res.status(401).json({ error: 'Not authenticated' });
+    // Personal API tokens and cookie/header sessions share the same credential slot
+    if (isApiToken(credential)) {
+      const result = await fetchUserByApiToken(credential);
+      if (!result) return res.status(401).json({ error: 'Invalid or expired API token' });
+      if (!apiTokenAllowsMethod(result.token, req.method)) {
+        return res.status(403).json({ error: 'API token is read-only', missing_scope: 'read_write' });
+      }
+      req.apiToken = result.token;
+      req.user = result.user;
+      touchApiToken(result.token.token_id, req.ip);
+    } else {
+      const user = await fetchUserBySession(credential);
+      if (!user) {
+        clearSessionCookie(res);
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+      req.sessionId = credential;
+      req.user = user;
+      updateSessionActivity(credential);
     }
 
-    req.sessionId = sessionId;
-    req.user = user;
-    updateSessionActivity(sessionId);
-
     // Enforce password change before allowing app access
     // Allow only change-password, logout, me, health when must change
-    if (user.password_must_change) {
+    if (req.user.password_must_change) {
       const allowedWhenMustChange = new Set(['/auth/change-password', '/auth/logout', '/auth/me', '/health']);
       if (!allowedWhenMustChange.has(req.path)) {
         return res.status(403).json({ error: 'Password change required' });
@@ -96,10 +124,26 @@ app.use(async (req, res, next) => {
 app.get('/health', (_, res) => res.json({ ok: true }));
 
 // Mount routes
+app.use('/auth/tokens', tokensRoute);
 app.use('/auth', authRoute);
+app.use('/contracts/:contract_id/files', filesRoute);
+app.use('/contracts/:contract_id/payments', paymentsRoute);
+app.use('/contracts/:contract_id/relationships', relationshipsRoute);
+app.use('/contracts/:contract_id/obligations', obligationsRoute);
+app.use('/contracts/:contract_id/comments', commentsRoute);
+app.use('/contracts/:contract_id/approvals', contractApprovalsRoute);
+app.use('/contracts/:contract_id/tags', contractTagsRoute);
 app.use('/contracts', contractsRoute);
 app.use('/departments', departmentsRoute);
 app.use('/statuses', statusesRoute);
+app.use('/counterparties', counterpartiesRoute);
+app.use('/custom-fields', customFieldsRoute);
+app.use('/tags', tagsRoute);
+app.use('/saved-views', savedViewsRoute);
+app.use('/users', usersRoute);
+app.use('/audit', auditRoute);
+app.use('/approvals', approvalsRoute);
+app.use('/notifications', notificationsRoute);
 
 // Start listening only outside of tests
 if (process.env.NODE_ENV !== 'test') {
@@ -113,6 +157,9 @@ if (process.env.NODE_ENV !== 'test') {
       app
         .listen(port, () => {
           console.log(`API listening on http://localhost:${port}`);
+          startSessionSweep();
+          startRenewalScheduler();
+          startReminderScheduler();
         })
         .on('error', (err) => {
           console.error('[Server] HTTP server error:', err);
@@ -0,0 +1,175 @@
+import path from 'node:path';
+import ExcelJS from 'exceljs';
+
+// CSV and XLSX reading for bulk contract import and streaming writers for
+// export. Read files come back as { format, records } where each record is
+// { row, values } with string values and row being the 1-based row number the
+// user sees in their spreadsheet.
+
+const XLSX_TYPES = new Set([
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel.sheet.macroenabled.12',
+]);
+
+// RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line breaks.
+// Accepts CRLF or LF line endings and a leading UTF-8 BOM.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let row = 1;
+  let recordRow = 1;
+  const s = String(text).replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    records.push({ row: recordRow, values: record });
+    record = [];
+  };
+
+  for (let i = 0; i < s.length; i += 1) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') row += 1;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i += 1;
+      endRecord();
+      row += 1;
+      recordRow = row;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on row ${recordRow}`);
+  if (field !== '' || record.length > 0) endRecord();
+  return records;
+}
+
+// ExcelJS hands back rich text, formulas, hyperlinks and dates as objects
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  // Dates in XLSX carry no timezone; ExcelJS returns them as UTC midnight
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString().slice(0, 10);
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value.richText)) return value.richText.map((r) => r.text).join('');
+  if ('result' in value) return cellText(value.result);
+  if ('text' in value) return cellText(value.text);
+  return '';
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  const records = [];
+  if (!sheet) return records;
+  sheet.eachRow({ includeEmpty: false }, (r, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= r.cellCount; col += 1) values.push(cellText(r.getCell(col).value));
+    records.push({ row: rowNumber, values });
+  });
+  return records;
+}
+
+function detectFormat({ fileName, mimetype }) {
+  const ext = path.extname(String(fileName || '')).toLowerCase();
+  if (ext === '.xlsx' || ext === '.xlsm' || XLSX_TYPES.has(String(mimetype).toLowerCase())) return 'xlsx';
+  if (ext === '.csv' || ext === '.txt' || /^text\/(csv|plain)/i.test(String(mimetype))) return 'csv';
+  return null;
+}
+
+// Returns { format, records } or throws; an unknown format throws with code UNSUPPORTED_FORMAT
+async function readSpreadsheet({ buffer, fileName, mimetype }) {
+  const format = detectFormat({ fileName, mimetype });
+  if (format === 'xlsx') return { format, records: await parseXlsx(buffer) };
+  if (format === 'csv') return { format, records: parseCsv(buffer.toString('utf8')) };
+  const err = new Error('Upload a .csv or .xlsx file');
+  err.code = 'UNSUPPORTED_FORMAT';
+  throw err;
+}
+
+// Resolves once the stream can take more data (or has gone away), so writers
+// never buffer more than a chunk ahead of a slow client
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+// Quotes a CSV field when needed. Text that a spreadsheet would run as a
+// formula (=, +, -, @) is prefixed with a single quote.
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let s = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+// Returns { writeRow(values), end() } writing csv, xlsx or json to stream.
+// The header (csv/xlsx) or opening bracket (json) is written straight away.
+function createExportWriter(format, stream, columns) {
+  if (format === 'csv') {
+    // BOM so Excel opens UTF-8 text correctly
+    stream.write(`\uFEFF${csvLine(columns)}`);
+    return {
+      writeRow: (values) => writeChunk(stream, csvLine(values)),
+      end: async () => { stream.end(); },
+    };
+  }
+  if (format === 'json') {
+    let first = true;
+    stream.write('[');
+    return {
+      writeRow: (values) => {
+        const item = Object.fromEntries(columns.map((c, i) => [c, values[i] ?? null]));
+        const chunk = `${first ? '' : ','}\n${JSON.stringify(item)}`;
+        first = false;
+        return writeChunk(stream, chunk);
+      },
+      end: async () => { stream.end(first ? ']' : '\n]\n'); },
+    };
+  }
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Contracts');
+    sheet.addRow(columns).commit();
+    return {
+      writeRow: async (values) => { sheet.addRow(values.map((v) => v ?? null)).commit(); },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+  throw new Error(`Unknown export format ${format}`);
+}
+
+export { parseCsv, readSpreadsheet, createExportWriter };
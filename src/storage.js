@@ -0,0 +1,66 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { randomUUID } from 'node:crypto';
+
+// Pluggable blob storage for contract attachments. A driver is an object with
+// async put(key, Readable), async get(key) -> Readable and async remove(key);
+// put consumes the stream, so uploads never have to sit in memory.
+// STORAGE_DRIVER picks one of the registered drivers; tests can swap it with
+// setStorageDriver().
+
+function createLocalDriver({ root = process.env.STORAGE_LOCAL_DIR || 'storage' } = {}) {
+  const resolved = path.resolve(root);
+  // Keys are generated by us, but never let one escape the storage root
+  const fullPath = (key) => {
+    const p = path.resolve(resolved, key);
+    if (!p.startsWith(resolved + path.sep)) throw new Error('Invalid storage key');
+    return p;
+  };
+  return {
+    name: 'local',
+    async put(key, body) {
+      const p = fullPath(key);
+      await fsp.mkdir(path.dirname(p), { recursive: true });
+      await pipeline(body, fs.createWriteStream(p));
+    },
+    async get(key) {
+      const p = fullPath(key);
+      await fsp.access(p);
+      return fs.createReadStream(p);
+    },
+    async remove(key) {
+      await fsp.rm(fullPath(key), { force: true });
+    },
+  };
+}
+
+const driverFactories = new Map([['local', createLocalDriver]]);
+
+function registerStorageDriver(name, factory) {
+  driverFactories.set(String(name).toLowerCase(), factory);
+}
+
+let activeDriver = null;
+
+function getStorageDriver() {
+  if (!activeDriver) {
+    const name = String(process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    const factory = driverFactories.get(name);
+    if (!factory) throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    activeDriver = factory();
+  }
+  return activeDriver;
+}
+
+function setStorageDriver(driver) {
+  activeDriver = driver;
+}
+
+// Storage keys are opaque and grouped per contract: contracts/<id>/<uuid>
+function newStorageKey(contractId) {
+  return `contracts/${contractId}/${randomUUID()}`;
+}
+
+export { getStorageDriver, setStorageDriver, registerStorageDriver, createLocalDriver, newStorageKey };
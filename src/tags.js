@@ -0,0 +1,91 @@
+import { DB_SCHEMA } from './db.js';
+
+// Free-form contract tags. A tag is created the first time a contract uses it
+// and matched ignoring case afterwards ("HR" and "hr" are the same tag). Commas
+// are not allowed because ?tag= takes a comma-separated list.
+
+const TAG_MAX_LENGTH = 50;
+
+// Trims and collapses whitespace. Returns { name } or { error }.
+function parseTagName(v) {
+  const name = typeof v === 'string' ? v.trim().replace(/\s+/g, ' ') : '';
+  if (!name) return { error: 'Tag names must be non-empty text' };
+  if (name.includes(',')) return { error: `Tag "${name}" must not contain commas` };
+  if (name.length > TAG_MAX_LENGTH) return { error: `Tag "${name}" is longer than ${TAG_MAX_LENGTH} characters` };
+  return { name };
+}
+
+// A list of tag names, deduplicated ignoring case. Returns { names } or { error }.
+function parseTagList(v) {
+  if (!Array.isArray(v)) return { error: 'tags must be an array of tag names' };
+  const byKey = new Map();
+  for (const raw of v) {
+    const parsed = parseTagName(raw);
+    if (parsed.error) return parsed;
+    if (!byKey.has(parsed.name.toLowerCase())) byKey.set(parsed.name.toLowerCase(), parsed.name);
+  }
+  return { names: [...byKey.values()] };
+}
+
+// Sorted name list for one contract; shared by the contract queries
+const CONTRACT_TAGS_SQL = `ARRAY(
+  SELECT t.name FROM ${DB_SCHEMA}.contract_tag ct
+  JOIN ${DB_SCHEMA}.tag t ON t.tag_id = ct.tag_id
+  WHERE ct.contract_id = c.contract_id
+  ORDER BY lower(t.name)
+)`;
+
+async function fetchContractTags(client, contractId) {
+  const { rows } = await client.query(
+    `
+      SELECT t.tag_id, t.name
+      FROM ${DB_SCHEMA}.contract_tag ct
+      JOIN ${DB_SCHEMA}.tag t ON t.tag_id = ct.tag_id
+      WHERE ct.contract_id = $1
+      ORDER BY lower(t.name)
+    `,
+    [contractId],
+  );
+  return rows;
+}
+
+// Returns { tag_id, name } for each name, creating the tags that do not exist yet
+async function ensureTags(client, names) {
+  if (names.length === 0) return [];
+  await client.query(
+    `INSERT INTO ${DB_SCHEMA}.tag (name) SELECT unnest($1::text[]) ON CONFLICT DO NOTHING`,
+    [names],
+  );
+  const { rows } = await client.query(
+    `SELECT tag_id, name FROM ${DB_SCHEMA}.tag WHERE lower(name) = ANY($1::text[])`,
+    [names.map((n) => n.toLowerCase())],
+  );
+  return rows;
+}
+
+// Makes the contract's tags exactly names (or adds them, with { add: true }).
+// The caller owns the transaction. Returns { before, after } name lists.
+async function setContractTags(client, contractId, names, actorId, { add = false } = {}) {
+  const before = (await fetchContractTags(client, contractId)).map((t) => t.name);
+  const tagIds = (await ensureTags(client, names)).map((t) => t.tag_id);
+  if (!add) {
+    await client.query(
+      `DELETE FROM ${DB_SCHEMA}.contract_tag WHERE contract_id = $1 AND NOT (tag_id = ANY($2::int[]))`,
+      [contractId, tagIds],
+    );
+  }
+  if (tagIds.length > 0) {
+    await client.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.contract_tag (contract_id, tag_id, created_by)
+        SELECT $1, unnest($2::int[]), $3
+        ON CONFLICT DO NOTHING
+      `,
+      [contractId, tagIds, actorId],
+    );
+  }
+  const after = (await fetchContractTags(client, contractId)).map((t) => t.name);
+  return { before, after };
+}
+
+export { TAG_MAX_LENGTH, parseTagName, parseTagList, CONTRACT_TAGS_SQL, fetchContractTags, ensureTags, setContractTags };
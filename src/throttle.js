@@ -0,0 +1,131 @@
+import { pool, DB_SCHEMA } from './db.js';
+
+// Failed-login tracking for /auth/login. Failures are counted per username and
+// per client IP inside a sliding window; each extra failure adds a growing
+// delay, and reaching the limit writes a temporary lockout row that admins can
+// review and clear through /users/lockouts. Password reset requests are
+// limited per username and per IP over the same window.
+
+const LOGIN_FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15);
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const LOGIN_MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP || 20);
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const LOGIN_DELAY_BASE_MS = Number(process.env.LOGIN_DELAY_BASE_MS || 250);
+const LOGIN_DELAY_MAX_MS = Number(process.env.LOGIN_DELAY_MAX_MS || 5000);
+const PASSWORD_RESET_MAX_REQUESTS = Number(process.env.PASSWORD_RESET_MAX_REQUESTS || 3);
+const PASSWORD_RESET_MAX_REQUESTS_PER_IP = Number(process.env.PASSWORD_RESET_MAX_REQUESTS_PER_IP || 20);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// No delay for the first failure, then base, 2x base, 4x base... up to the max
+function failureDelayMs(failures) {
+  if (failures <= 1 || LOGIN_DELAY_BASE_MS <= 0) return 0;
+  return Math.min(LOGIN_DELAY_BASE_MS * 2 ** (failures - 2), LOGIN_DELAY_MAX_MS);
+}
+
+async function findActiveLockout(username, ip) {
+  const { rows } = await pool.query(
+    `
+      SELECT lockout_id, locked_until
+      FROM ${DB_SCHEMA}.login_lockout
+      WHERE ((reason = 'username' AND username = $1) OR (reason = 'ip' AND ip = $2))
+        AND locked_until > NOW()
+        AND cleared_at IS NULL
+      ORDER BY locked_until DESC
+      LIMIT 1
+    `,
+    [username, ip],
+  );
+  return rows[0] || null;
+}
+
+async function countRecentFailures(username, ip) {
+  const { rows } = await pool.query(
+    `
+      SELECT COUNT(*) FILTER (WHERE username = $1) AS username_failures,
+             COUNT(*) FILTER (WHERE ip = $2) AS ip_failures
+      FROM ${DB_SCHEMA}.login_attempt
+      WHERE succeeded = FALSE
+        AND attempted_at > NOW() - ($3 || ' minutes')::interval
+    `,
+    [username, ip, String(LOGIN_FAILURE_WINDOW_MINUTES)],
+  );
+  return {
+    username: Number(rows[0]?.username_failures || 0),
+    ip: Number(rows[0]?.ip_failures || 0),
+  };
+}
+
+// Records a failed attempt. Returns { lockout, delayMs } where lockout is the
+// new lockout row when this failure reached a limit.
+async function recordLoginFailure(username, ip) {
+  await pool.query(
+    `INSERT INTO ${DB_SCHEMA}.login_attempt (username, ip, succeeded) VALUES ($1, $2, FALSE)`,
+    [username, ip],
+  );
+  const failures = await countRecentFailures(username, ip);
+  let lockout = null;
+  if (failures.username >= LOGIN_MAX_FAILURES || failures.ip >= LOGIN_MAX_FAILURES_PER_IP) {
+    const reason = failures.username >= LOGIN_MAX_FAILURES ? 'username' : 'ip';
+    const { rows } = await pool.query(
+      `
+        INSERT INTO ${DB_SCHEMA}.login_lockout (username, ip, reason, failure_count, locked_until)
+        VALUES ($1, $2, $3, $4, NOW() + ($5 || ' minutes')::interval)
+        RETURNING lockout_id, locked_until
+      `,
+      [username, ip, reason, reason === 'username' ? failures.username : failures.ip, String(LOGIN_LOCKOUT_MINUTES)],
+    );
+    lockout = rows[0] || null;
+  }
+  return { lockout, delayMs: failureDelayMs(Math.max(failures.username, failures.ip)) };
+}
+
+// A successful login resets the username's failure count
+async function recordLoginSuccess(username, ip) {
+  await pool.query(`DELETE FROM ${DB_SCHEMA}.login_attempt WHERE username = $1 AND succeeded = FALSE`, [username]);
+  await pool.query(
+    `INSERT INTO ${DB_SCHEMA}.login_attempt (username, ip, succeeded) VALUES ($1, $2, TRUE)`,
+    [username, ip],
+  );
+}
+
+// Records a reset request unless the username or IP already reached its limit
+// in the window. Counts requests, not accounts, so unknown usernames are
+// limited exactly like real ones. Returns false when the request is refused.
+async function recordResetRequest(username, ip) {
+  const { rows } = await pool.query(
+    `
+      SELECT COUNT(*) FILTER (WHERE username = $1) AS username_requests,
+             COUNT(*) FILTER (WHERE ip = $2) AS ip_requests
+      FROM ${DB_SCHEMA}.password_reset_request
+      WHERE requested_at > NOW() - ($3 || ' minutes')::interval
+    `,
+    [username, ip, String(LOGIN_FAILURE_WINDOW_MINUTES)],
+  );
+  if (Number(rows[0]?.username_requests || 0) >= PASSWORD_RESET_MAX_REQUESTS
+    || Number(rows[0]?.ip_requests || 0) >= PASSWORD_RESET_MAX_REQUESTS_PER_IP) {
+    return false;
+  }
+  await pool.query(
+    `INSERT INTO ${DB_SCHEMA}.password_reset_request (username, ip) VALUES ($1, $2)`,
+    [username, ip],
+  );
+  return true;
+}
+
+function retryAfterSeconds(lockedUntil) {
+  const ms = new Date(lockedUntil).getTime() - Date.now();
+  return Number.isFinite(ms) ? Math.max(Math.ceil(ms / 1000), 1) : LOGIN_LOCKOUT_MINUTES * 60;
+}
+
+export {
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  sleep,
+  findActiveLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordResetRequest,
+  retryAfterSeconds,
+};
@@ -0,0 +1,50 @@
+import { DB_SCHEMA } from './db.js';
+
+// Contract status workflow. Admins list the allowed moves in status_transition;
+// while that table is empty any move is allowed, so existing installs keep
+// working until a graph is defined. A terminal status is never left. Every
+// change of a contract's status is recorded in contract_status_change.
+
+async function fetchDefaultStatusId(client) {
+  const { rows } = await client.query(`SELECT status_id FROM ${DB_SCHEMA}.status WHERE is_default LIMIT 1`);
+  return rows[0]?.status_id ?? null;
+}
+
+// Returns null when a contract may move from fromId to toId, otherwise the reason it may not
+async function checkStatusTransition(client, fromId, toId) {
+  if (fromId == null || fromId === toId) return null;
+  if (toId == null) return 'A contract status cannot be cleared once set';
+  const { rows: statuses } = await client.query(
+    `SELECT status_id, name, is_terminal FROM ${DB_SCHEMA}.status WHERE status_id = ANY($1::int[])`,
+    [[fromId, toId]],
+  );
+  const from = statuses.find((s) => s.status_id === fromId);
+  const to = statuses.find((s) => s.status_id === toId);
+  if (!to) return `Unknown status_id ${toId}`;
+  if (!from) return null;
+  if (from.is_terminal) return `"${from.name}" is a final status; contracts cannot move out of it`;
+  const { rows } = await client.query(
+    `
+      SELECT EXISTS (SELECT 1 FROM ${DB_SCHEMA}.status_transition) AS graph_defined,
+             EXISTS (
+               SELECT 1 FROM ${DB_SCHEMA}.status_transition
+               WHERE from_status_id = $1 AND to_status_id = $2
+             ) AS allowed
+    `,
+    [fromId, toId],
+  );
+  if (rows[0]?.graph_defined && !rows[0]?.allowed) return `Cannot move a contract from "${from.name}" to "${to.name}"`;
+  return null;
+}
+
+async function recordStatusChange(client, { contractId, fromStatusId = null, toStatusId = null, reason = null, actorId = null }) {
+  await client.query(
+    `
+      INSERT INTO ${DB_SCHEMA}.contract_status_change (contract_id, from_status_id, to_status_id, reason, actor_id)
+      VALUES ($1, $2, $3, $4, $5)
+    `,
+    [contractId, fromStatusId, toStatusId, reason, actorId],
+  );
+}
+
+export { fetchDefaultStatusId, checkStatusTransition, recordStatusChange };